@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+// Loaded first so the library modules see the .env settings (DATA_DIR, AI
+// provider, ...) and their log is routed before they write any
+import 'dotenv/config';
+import { printError } from './cli/logRouting.js';
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import { parseArgs } from 'util';
+import { TEMP_UPLOADS_DIR } from './lib/paths.js';
+import { ingestScormPackage } from './lib/packageIngest.js';
+import { collectScos } from './lib/scormManifest.js';
+import { validatePackageFile, inspectPackageFile } from './lib/packageInspection.js';
+import { getCourse } from './lib/courseStore.js';
+import { exportCourse, EXPORT_FORMATS } from './lib/export/index.js';
+import { getJob } from './lib/jobQueue.js';
+import { getTenant, ensureDefaultTenant, DEFAULT_TENANT_ID } from './lib/auth/tenantStore.js';
+
+// --- Command-Line Interface ---
+// Batch ingest and inspection of packages without the web UI, on the same
+// data directory as the server (SYNAPTICX_DATA_DIR):
+//
+//   synapticx ingest <dir|zip...>   register packages as courses
+//   synapticx inspect <zip...>      show what a package contains
+//   synapticx validate <zip...>     check packages for conformance problems
+//   synapticx export <courseId>     write a course as a package
+//
+// --json prints one JSON document, --ndjson one JSON line per package as
+// soon as it is done. Exit codes: 0 when everything is fine, 1 when a
+// package was rejected or failed validation, 2 for usage errors.
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const DEFAULT_PARALLEL = 2;
+const JOB_POLL_MS = 500;
+
+const USAGE = `Usage: synapticx <command> [options]
+
+Commands:
+  ingest <dir|zip...>    Register packages as courses; directories are searched for .zip files
+  inspect <zip...>       Show the manifest, organizations and SCOs of packages
+  validate <zip...>      Check packages for conformance problems
+  export <courseId>      Write a course as a package
+
+Options:
+  --json                 Print the results as one JSON document
+  --ndjson               Print one JSON line per package as soon as it is done
+  --parallel <n>         Packages handled at the same time (default ${DEFAULT_PARALLEL})
+  --verbose              Print the log of the ingest, validation and export steps to stderr
+  -h, --help             Show this help
+
+ingest:
+  --tenant <id>          Tenant the courses belong to (default "${DEFAULT_TENANT_ID}")
+  --new-course           Register every package as a new course, even when its manifest identifier is known
+  --no-wait              Don't wait for the background processing; the server picks it up when it starts
+
+export:
+  --format <format>      ${Object.keys(EXPORT_FORMATS).join(', ')} (default scorm2004)
+  --out <file>           Where to write the zip (default <title>-<format>.zip)
+`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  ndjson: { type: 'boolean' },
+  parallel: { type: 'string' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  tenant: { type: 'string' },
+  'new-course': { type: 'boolean' },
+  'no-wait': { type: 'boolean' },
+  format: { type: 'string' },
+  out: { type: 'string' }
+};
+
+class UsageError extends Error {}
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+const safeFileName = (name) => String(name || 'course').replace(/[^A-Za-z0-9_.-]+/g, '_');
+
+// Prints results as text, JSON or NDJSON. emit() is called per package as
+// soon as it is done; finish() prints the JSON document at the end.
+function createOutput(mode, formatText) {
+  const results = [];
+  return {
+    emit(result) {
+      results.push(result);
+      if (mode === 'ndjson') print(JSON.stringify(result));
+      else if (mode === 'text') print(formatText(result));
+    },
+    finish(summary) {
+      if (mode === 'json') print(JSON.stringify({ results, summary }, null, 2));
+      else if (mode === 'text' && summary) print(`\n${Object.entries(summary).map(([key, value]) => `${key}: ${value}`).join(', ')}`);
+    }
+  };
+}
+
+// Runs worker over items with at most limit at a time, keeping the order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+function parseParallel(value) {
+  if (value === undefined) return DEFAULT_PARALLEL;
+  const parallel = Number(value);
+  if (!Number.isInteger(parallel) || parallel < 1) throw new UsageError('--parallel must be a positive whole number');
+  return parallel;
+}
+
+// Expands directories to the .zip files below them, sorted by path
+async function collectZipFiles(targets) {
+  const files = [];
+  for (const target of targets) {
+    let stats;
+    try {
+      stats = await fs.stat(target);
+    } catch {
+      throw new UsageError(`No such file or directory: ${target}`);
+    }
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(target, { recursive: true, withFileTypes: true });
+      files.push(...entries
+        .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.zip'))
+        .map(entry => path.join(entry.parentPath || entry.path, entry.name))
+        .sort());
+    } else {
+      files.push(target);
+    }
+  }
+  return files;
+}
+
+function requireFiles(positionals, command) {
+  if (!positionals.length) throw new UsageError(`${command} needs at least one package`);
+}
+
+async function waitForJob(jobId) {
+  for (;;) {
+    const job = await getJob(jobId);
+    if (!job || job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+function validationSummary(validation) {
+  return validation ? { valid: validation.valid, error_count: validation.error_count, warning_count: validation.warning_count } : null;
+}
+
+const describeValidation = (validation) =>
+  `${validation.valid ? 'valid' : 'INVALID'} (${validation.error_count} error(s), ${validation.warning_count} warning(s))`;
+
+// --- ingest ---
+
+async function ingestFile(filePath, { tenantId, newCourse, wait }) {
+  const base = { file: filePath };
+  try {
+    const { response, error, extraction } = await ingestScormPackage(filePath, path.basename(filePath), { newCourse, tenantId });
+    if (error) {
+      return { ...base, status: 'rejected', error, errors: extraction ? extraction.errors : [] };
+    }
+    if (response.duplicate) {
+      return { ...base, status: 'duplicate', course_id: response.course_id, duplicate_of: response.duplicate_of };
+    }
+    const result = {
+      ...base,
+      status: response.course_id ? 'ingested' : 'failed',
+      course_id: response.course_id || null,
+      revision: response.revision ? response.revision.revision : null,
+      error: response.manifest_error_details || null,
+      validation: validationSummary(response.validation),
+      accessibility_score: response.accessibility ? response.accessibility.score : null,
+      sco_count: response.manifest_data ? collectScos(response.manifest_data).length : 0,
+      assessment_item_count: response.assessment_item_count ?? null,
+      processing_job_id: response.processing_job_id || null,
+      processing_status: response.processing_status
+    };
+    if (wait && result.processing_job_id) {
+      const job = await waitForJob(result.processing_job_id);
+      result.processing_status = job ? job.status : 'unknown';
+    }
+    return result;
+  } catch (error) {
+    return { ...base, status: 'failed', error: error.message };
+  }
+}
+
+function formatIngestResult(result) {
+  switch (result.status) {
+    case 'ingested':
+      return `ingested   ${result.file}: course ${result.course_id} revision ${result.revision}, ${describeValidation(result.validation)}, accessibility ${result.accessibility_score ?? 'n/a'}, processing ${result.processing_status}`;
+    case 'duplicate':
+      return `duplicate  ${result.file}: same as course ${result.course_id} revision ${result.duplicate_of.revision} (${result.duplicate_of.match})`;
+    case 'rejected':
+      return `rejected   ${result.file}: ${result.error}${result.errors.length ? ` (${result.errors.map(issue => issue.code).join(', ')})` : ''}`;
+    default:
+      return `failed     ${result.file}: ${result.error}`;
+  }
+}
+
+async function runIngest(positionals, values, output) {
+  requireFiles(positionals, 'ingest');
+  const parallel = parseParallel(values.parallel);
+  const tenantId = values.tenant || DEFAULT_TENANT_ID;
+  if (tenantId === DEFAULT_TENANT_ID) await ensureDefaultTenant();
+  else if (!(await getTenant(tenantId))) throw new UsageError(`Unknown tenant: ${tenantId}`);
+  const files = await collectZipFiles(positionals);
+  if (!files.length) throw new UsageError('No .zip files found');
+
+  const results = await mapWithConcurrency(files, parallel, async (filePath) => {
+    const result = await ingestFile(filePath, { tenantId, newCourse: Boolean(values['new-course']), wait: !values['no-wait'] });
+    output.emit(result);
+    return result;
+  });
+  const count = (predicate) => results.filter(predicate).length;
+  const summary = {
+    total: results.length,
+    ingested: count(result => result.status === 'ingested'),
+    duplicate: count(result => result.status === 'duplicate'),
+    rejected: count(result => result.status === 'rejected'),
+    failed: count(result => result.status === 'failed'),
+    invalid: count(result => result.validation && !result.validation.valid)
+  };
+  output.finish(summary);
+  return summary.rejected || summary.failed || summary.invalid ? EXIT_FAILED : EXIT_OK;
+}
+
+// --- inspect ---
+
+function formatItems(items, depth = 1) {
+  return items.flatMap(item => [
+    `${'  '.repeat(depth)}- ${item.title || item.identifier}${item.scorm_type === 'sco' ? ' [SCO]' : ''}${item.href ? ` -> ${item.href}` : ''}`,
+    ...formatItems(item.children, depth + 1)
+  ]);
+}
+
+function formatInspection(result) {
+  const lines = [`${result.file_name} (${result.size_bytes} bytes)`, `  archive hash: ${result.archive_hash}`];
+  if (result.error) {
+    lines.push(`  rejected: ${result.error}`);
+    return lines.join('\n');
+  }
+  lines.push(`  content hash: ${result.content_hash}`, `  files: ${result.extraction.file_count}`);
+  if (result.manifest_error) {
+    lines.push(`  manifest error: ${result.manifest_error}`);
+  } else {
+    lines.push(
+      `  identifier: ${result.identifier}`,
+      `  title: ${result.title}`,
+      `  SCORM ${result.scorm_version || 'version unknown'}${result.schemaversion ? ` (schemaversion ${result.schemaversion})` : ''}`,
+      `  resources: ${result.resource_count}, SCOs: ${result.scos.length}`
+    );
+    result.organizations.forEach(organization => {
+      lines.push(`  organization ${organization.title || organization.identifier}${organization.identifier === result.default_organization ? ' (default)' : ''}`);
+      lines.push(...formatItems(organization.items, 2));
+    });
+  }
+  lines.push(`  ${describeValidation(result.validation)}`);
+  return lines.join('\n');
+}
+
+async function runInspect(positionals, values, output) {
+  requireFiles(positionals, 'inspect');
+  const results = await mapWithConcurrency(positionals, parseParallel(values.parallel), async (filePath) => {
+    const result = await inspectPackageFile(filePath, filePath);
+    output.emit(result);
+    return result;
+  });
+  output.finish(null);
+  return results.some(result => result.error || !result.validation.valid) ? EXIT_FAILED : EXIT_OK;
+}
+
+// --- validate ---
+
+function formatValidation(result) {
+  if (result.error) return `${result.file_name}: rejected: ${result.error}`;
+  const { validation } = result;
+  return [
+    `${result.file_name}: ${describeValidation(validation)}`,
+    ...validation.errors.map(issue => `  error    ${issue.code}: ${issue.message}${issue.location ? ` (${issue.location})` : ''}`),
+    ...validation.warnings.map(issue => `  warning  ${issue.code}: ${issue.message}${issue.location ? ` (${issue.location})` : ''}`)
+  ].join('\n');
+}
+
+async function runValidate(positionals, values, output) {
+  requireFiles(positionals, 'validate');
+  const results = await mapWithConcurrency(positionals, parseParallel(values.parallel), async (filePath) => {
+    const result = await validatePackageFile(filePath, filePath);
+    output.emit(result);
+    return result;
+  });
+  const invalid = results.filter(result => result.error || !result.validation.valid).length;
+  output.finish({ total: results.length, valid: results.length - invalid, invalid });
+  return invalid ? EXIT_FAILED : EXIT_OK;
+}
+
+// --- export ---
+
+async function runExport(positionals, values, output) {
+  if (positionals.length !== 1) throw new UsageError('export needs exactly one course id');
+  const format = values.format || 'scorm2004';
+  if (!EXPORT_FORMATS[format]) throw new UsageError(`Unsupported format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const course = await getCourse(positionals[0]);
+  const result = course ? await exportCourse(course, format) : { error: 'Course not found' };
+  if (result.error) {
+    output.emit({ course_id: positionals[0], error: result.error });
+    output.finish(null);
+    return EXIT_FAILED;
+  }
+  const outFile = values.out || `${safeFileName(course.title)}-${format}.zip`;
+  await fs.writeFile(outFile, result.buffer);
+  output.emit({ course_id: course.id, file: outFile, ...result.report });
+  output.finish(null);
+  return result.report.valid ? EXIT_OK : EXIT_FAILED;
+}
+
+function formatExport(result) {
+  if (result.error) return `${result.course_id}: export failed: ${result.error}`;
+  return [
+    `${result.course_id}: wrote ${result.file} (${result.label}, ${result.file_count} files), ${describeValidation(result.validation)}`,
+    ...result.warnings.map(warning => `  warning  ${warning}`)
+  ].join('\n');
+}
+
+const COMMANDS = {
+  ingest: { run: runIngest, format: formatIngestResult },
+  inspect: { run: runInspect, format: formatInspection },
+  validate: { run: runValidate, format: formatValidation },
+  export: { run: runExport, format: formatExport }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+  if (values.help || !commandName) {
+    print(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+  const command = COMMANDS[commandName];
+  if (!command) throw new UsageError(`Unknown command: ${commandName}`);
+  if (values.json && values.ndjson) throw new UsageError('Use either --json or --ndjson');
+
+  // Extraction and export work in temp_uploads, like the server
+  if (!existsSync(TEMP_UPLOADS_DIR)) mkdirSync(TEMP_UPLOADS_DIR, { recursive: true });
+  const output = createOutput(values.json ? 'json' : values.ndjson ? 'ndjson' : 'text', command.format);
+  return command.run(args, values, output);
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    if (error instanceof UsageError) {
+      printError(`synapticx: ${error.message}\nRun synapticx --help for the usage.`);
+      return EXIT_USAGE;
+    }
+    printError('synapticx:', error);
+    return EXIT_FAILED;
+  })
+  // Background processing left running with --no-wait is resumed by the
+  // server, so the process exits once the output is written
+  .then(code => process.stdout.write('', () => process.exit(code)));
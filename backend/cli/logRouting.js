@@ -0,0 +1,17 @@
+// --- CLI Log Routing ---
+// The library modules log every step to the console, some of it while they
+// are imported. Imported by cli.js before any of them, this sends that log
+// to stderr with --verbose and drops it otherwise, so stdout only has the
+// command's results and stderr the CLI's own errors.
+
+const verbose = process.argv.includes('--verbose');
+const writeStderr = console.error.bind(console);
+const drop = () => {};
+
+// For the CLI's own messages
+export const printError = writeStderr;
+
+console.log = verbose ? writeStderr : drop;
+console.info = verbose ? writeStderr : drop;
+console.warn = verbose ? writeStderr : drop;
+console.error = verbose ? writeStderr : drop;
@@ -0,0 +1,91 @@
+// --- Color Contrast ---
+// WCAG 2.1 contrast ratio of CSS colors, for the colors set in inline
+// styles. Colors that can't be resolved (currentColor, variables, unknown
+// names) give null and are not checked.
+
+// Text at least this large (CSS px) is "large" and needs a lower ratio
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+
+export const MIN_CONTRAST = 4.5;
+export const MIN_CONTRAST_LARGE_TEXT = 3;
+
+// The CSS basic colors plus a few common extended ones
+const NAMED_COLORS = {
+  black: [0, 0, 0], silver: [192, 192, 192], gray: [128, 128, 128], grey: [128, 128, 128], white: [255, 255, 255],
+  maroon: [128, 0, 0], red: [255, 0, 0], purple: [128, 0, 128], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+  green: [0, 128, 0], lime: [0, 255, 0], olive: [128, 128, 0], yellow: [255, 255, 0], navy: [0, 0, 128],
+  blue: [0, 0, 255], teal: [0, 128, 128], aqua: [0, 255, 255], cyan: [0, 255, 255], orange: [255, 165, 0],
+  darkgray: [169, 169, 169], darkgrey: [169, 169, 169], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+  gainsboro: [220, 220, 220], whitesmoke: [245, 245, 245], dimgray: [105, 105, 105], dimgrey: [105, 105, 105],
+  pink: [255, 192, 203], gold: [255, 215, 0], beige: [245, 245, 220], ivory: [255, 255, 240],
+  lightyellow: [255, 255, 224], lightblue: [173, 216, 230], lightgreen: [144, 238, 144], darkblue: [0, 0, 139],
+  darkred: [139, 0, 0], darkgreen: [0, 100, 0], brown: [165, 42, 42]
+};
+
+// Returns { r, g, b, a } with 0..255 channels and alpha 0..1, or null
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+  if (!color) return null;
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[color]) {
+    const [r, g, b] = NAMED_COLORS[color];
+    return { r, g, b, a: 1 };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+    const channel = (index) => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+  }
+
+  const functional = color.match(/^rgba?\(\s*([^)]+)\)$/);
+  if (functional) {
+    const parts = functional[1].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const channel = (part) => (part.endsWith('%') ? (parseFloat(part) / 100) * 255 : parseFloat(part));
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    const alphaPart = parts[3];
+    const a = alphaPart === undefined ? 1 : (alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart));
+    if ([r, g, b, a].some(number => !Number.isFinite(number))) return null;
+    return { r, g, b, a };
+  }
+  return null;
+}
+
+// A semi-transparent color over an opaque background
+export function blend(color, background) {
+  const mix = (front, back) => front * color.a + back * (1 - color.a);
+  return { r: mix(color.r, background.r), g: mix(color.g, background.g), b: mix(color.b, background.b), a: 1 };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Font size in CSS px from an inline font-size, or null for relative sizes
+export function fontSizePx(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([\d.]+)(px|pt)$/i);
+  if (!match) return null;
+  const size = parseFloat(match[1]);
+  return match[2].toLowerCase() === 'pt' ? size * (4 / 3) : size;
+}
+
+export function isLargeText(sizePx, bold) {
+  if (sizePx === null) return false;
+  return sizePx >= LARGE_TEXT_PX || (bold && sizePx >= LARGE_BOLD_TEXT_PX);
+}
+
+export const formatColor = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
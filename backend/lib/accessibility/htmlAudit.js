@@ -0,0 +1,325 @@
+import { JSDOM, VirtualConsole } from 'jsdom';
+import {
+  parseColor, blend, contrastRatio, fontSizePx, isLargeText, formatColor, MIN_CONTRAST, MIN_CONTRAST_LARGE_TEXT
+} from './colorContrast.js';
+
+// --- HTML Accessibility Checks ---
+// Static WCAG 2.1 AA checks of one HTML page. The page is parsed, never
+// run: content a script writes at runtime can't be checked, so the
+// document.write calls that produce it are reported instead.
+//
+// Each rule counts the elements it checked and the ones that failed, for
+// scoring. Issues are { severity, code, wcag, message, selector, snippet,
+// location } with location as "file:line".
+
+export const RULES = [
+  { id: 'image-alt', wcag: '1.1.1', severity: 'error', description: 'Images have a text alternative (alt="" for decorative images)' },
+  { id: 'html-lang', wcag: '3.1.1', severity: 'error', description: 'The page declares its language on <html>' },
+  { id: 'heading-order', wcag: '1.3.1', severity: 'warning', description: 'Heading levels increase by one at a time' },
+  { id: 'form-label', wcag: '1.3.1, 4.1.2', severity: 'error', description: 'Form controls and buttons have a label or accessible name' },
+  { id: 'link-name', wcag: '2.4.4, 4.1.2', severity: 'error', description: 'Links have text or an accessible name' },
+  { id: 'color-contrast', wcag: '1.4.3', severity: 'error', description: 'Text colors set inline have a contrast of 4.5:1 (3:1 for large text)' },
+  { id: 'document-write', wcag: null, severity: 'warning', description: 'Content is not injected with document.write, which can\'t be audited and breaks assistive technology' }
+];
+
+const RULES_BY_ID = new Map(RULES.map(rule => [rule.id, rule]));
+
+const SNIPPET_LENGTH = 120;
+const DOCUMENT_WRITE_PATTERN = /\bdocument\s*\.\s*write(?:ln)?\s*\(/;
+
+// Input types whose name comes from their value, or that have no label
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+// Headings are rendered large by default (2em and 1.5em)
+const LARGE_TEXT_TAGS = new Set(['H1', 'H2']);
+const BOLD_TAGS = new Set(['B', 'STRONG', 'H3', 'H4', 'H5', 'H6', 'TH']);
+const NON_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE']);
+
+const normalizeText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+function createRuleCounter() {
+  const counts = Object.fromEntries(RULES.map(rule => [rule.id, { checked: 0, failed: 0 }]));
+  const issues = [];
+  return {
+    counts,
+    issues,
+    pass: (ruleId) => { counts[ruleId].checked += 1; },
+    fail: (ruleId, message, details) => {
+      counts[ruleId].checked += 1;
+      counts[ruleId].failed += 1;
+      const rule = RULES_BY_ID.get(ruleId);
+      issues.push({ severity: rule.severity, code: ruleId, wcag: rule.wcag, message, ...details });
+    }
+  };
+}
+
+// A CSS selector for element: its id when it has a usable one, otherwise
+// the tag path from the nearest ancestor with an id (or <html>), with
+// :nth-of-type where siblings share the tag
+export function cssSelector(element) {
+  const parts = [];
+  for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+    const id = current.getAttribute('id');
+    if (id && /^[A-Za-z][\w-]*$/.test(id) && current.ownerDocument.querySelectorAll(`#${id}`).length === 1) {
+      parts.unshift(`#${id}`);
+      break;
+    }
+    const tag = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    const sameTag = parent ? [...parent.children].filter(sibling => sibling.tagName === current.tagName) : [current];
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+  }
+  return parts.join(' > ');
+}
+
+function snippetOf(element) {
+  const html = element.outerHTML.replace(/\s+/g, ' ');
+  return html.length > SNIPPET_LENGTH ? `${html.slice(0, SNIPPET_LENGTH)}…` : html;
+}
+
+// Names an element gets from aria-label, aria-labelledby and title
+function ariaName(element) {
+  const label = normalizeText(element.getAttribute('aria-label'));
+  if (label) return label;
+  const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => element.ownerDocument.getElementById(id))
+    .filter(Boolean)
+    .map(labelElement => normalizeText(labelElement.textContent))
+    .join(' ');
+  if (normalizeText(labelledBy)) return labelledBy;
+  return normalizeText(element.getAttribute('title'));
+}
+
+// Visible text plus the alt text of images inside, as screen readers read it
+function contentName(element) {
+  const imageText = [...element.querySelectorAll('img[alt]')].map(image => image.getAttribute('alt')).join(' ');
+  return normalizeText(`${element.textContent} ${imageText}`);
+}
+
+function checkImages(document, counter, where) {
+  document.querySelectorAll('img').forEach(image => {
+    const role = (image.getAttribute('role') || '').toLowerCase();
+    if (image.hasAttribute('alt') || role === 'presentation' || role === 'none') {
+      counter.pass('image-alt');
+    } else {
+      const source = image.getAttribute('src');
+      counter.fail('image-alt', `Image${source ? ` "${source}"` : ''} has no alt attribute`, where(image));
+    }
+  });
+  // Image buttons and image map areas need a non-empty text alternative
+  document.querySelectorAll('input[type="image"], area[href]').forEach(element => {
+    if (normalizeText(element.getAttribute('alt')) || ariaName(element)) {
+      counter.pass('image-alt');
+    } else {
+      counter.fail('image-alt', `${element.tagName === 'AREA' ? 'Image map area' : 'Image button'} has no alt text`, where(element));
+    }
+  });
+}
+
+function checkLanguage(document, counter, where) {
+  const root = document.documentElement;
+  const lang = normalizeText(root.getAttribute('lang') || root.getAttribute('xml:lang'));
+  if (lang) {
+    counter.pass('html-lang');
+  } else {
+    counter.fail('html-lang', 'The <html> element has no lang attribute', where(root));
+  }
+  return lang || null;
+}
+
+function checkHeadings(document, counter, where) {
+  let previousLevel = null;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const level = Number(heading.tagName[1]);
+    if (previousLevel !== null) {
+      if (level > previousLevel + 1) {
+        counter.fail('heading-order', `Heading level skips from h${previousLevel} to h${level}`, where(heading));
+      } else {
+        counter.pass('heading-order');
+      }
+    }
+    previousLevel = level;
+  });
+}
+
+function hasLabel(control) {
+  if (ariaName(control)) return true;
+  const id = control.getAttribute('id');
+  if (id) {
+    const labels = [...control.ownerDocument.querySelectorAll('label[for]')].filter(label => label.getAttribute('for') === id);
+    if (labels.some(label => contentName(label))) return true;
+  }
+  const wrappingLabel = control.closest('label');
+  return Boolean(wrappingLabel && contentName(wrappingLabel));
+}
+
+function checkFormControls(document, counter, where) {
+  document.querySelectorAll('input, select, textarea').forEach(control => {
+    const type = (control.getAttribute('type') || 'text').toLowerCase();
+    if (control.tagName === 'INPUT' && UNLABELED_INPUT_TYPES.has(type)) {
+      // Buttons are named by their value; submit and reset have a default one
+      if (type !== 'button' || normalizeText(control.getAttribute('value')) || ariaName(control)) {
+        if (type !== 'hidden' && type !== 'image') counter.pass('form-label');
+      } else {
+        counter.fail('form-label', 'Input button has no value or accessible name', where(control));
+      }
+      return;
+    }
+    if (hasLabel(control)) {
+      counter.pass('form-label');
+    } else {
+      const kind = control.tagName === 'INPUT' ? `${type} input` : control.tagName.toLowerCase();
+      counter.fail('form-label', `Form control (${kind}) has no label`, where(control));
+    }
+  });
+  document.querySelectorAll('button').forEach(button => {
+    if (contentName(button) || ariaName(button)) {
+      counter.pass('form-label');
+    } else {
+      counter.fail('form-label', 'Button has no text or accessible name', where(button));
+    }
+  });
+}
+
+function checkLinks(document, counter, where) {
+  document.querySelectorAll('a[href]').forEach(link => {
+    if (contentName(link) || ariaName(link)) {
+      counter.pass('link-name');
+    } else {
+      counter.fail('link-name', `Link to "${link.getAttribute('href')}" has no text or accessible name`, where(link));
+    }
+  });
+}
+
+// Inline style of an element; elements outside HTML may not have one
+const styleOf = (element) => element.style || {};
+
+// Colors from inline styles and the legacy color/bgcolor attributes
+const foregroundOf = (element) => parseColor(styleOf(element).color) || (element.tagName === 'FONT' ? parseColor(element.getAttribute('color')) : null);
+const backgroundOf = (element) => parseColor(styleOf(element).backgroundColor) || parseColor(element.getAttribute('bgcolor'));
+
+// The text colors an element renders with, from the inline colors of it and
+// its ancestors over a white page with black text. Returns null when no
+// color is set inline (nothing to check) or a background image makes the
+// background unknown.
+function resolveTextColors(element) {
+  const chain = [];
+  for (let current = element; current; current = current.parentElement) chain.unshift(current);
+  let background = { r: 255, g: 255, b: 255, a: 1 };
+  let foreground = { r: 0, g: 0, b: 0, a: 1 };
+  let colorSet = false;
+  let sizePx = null;
+  let bold = false;
+  let largeTag = false;
+  for (const current of chain) {
+    const style = styleOf(current);
+    if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+    const currentBackground = backgroundOf(current);
+    if (currentBackground) {
+      background = blend(currentBackground, background);
+      colorSet = true;
+    }
+    const currentForeground = foregroundOf(current);
+    if (currentForeground) {
+      foreground = currentForeground;
+      colorSet = true;
+    }
+    sizePx = fontSizePx(style.fontSize) ?? sizePx;
+    const weight = style.fontWeight;
+    if (weight) bold = weight === 'bold' || weight === 'bolder' || Number(weight) >= 700;
+    if (BOLD_TAGS.has(current.tagName)) bold = true;
+    if (LARGE_TEXT_TAGS.has(current.tagName)) largeTag = true;
+  }
+  if (!colorSet) return null;
+  return {
+    foreground: foreground.a < 1 ? blend(foreground, background) : foreground,
+    background,
+    large: sizePx === null ? largeTag : isLargeText(sizePx, bold)
+  };
+}
+
+// Checks every element that holds text directly
+function checkContrast(document, counter, where) {
+  const body = document.body || document.documentElement;
+  [body, ...body.querySelectorAll('*')].forEach(element => {
+    if (NON_TEXT_TAGS.has(element.tagName) || element.closest('script, style, noscript, template')) return;
+    const ownText = [...element.childNodes].some(node => node.nodeType === 3 && normalizeText(node.textContent));
+    if (!ownText) return;
+    const colors = resolveTextColors(element);
+    if (!colors) return;
+    const ratio = contrastRatio(colors.foreground, colors.background);
+    const required = colors.large ? MIN_CONTRAST_LARGE_TEXT : MIN_CONTRAST;
+    if (ratio >= required) {
+      counter.pass('color-contrast');
+    } else {
+      counter.fail(
+        'color-contrast',
+        `Text contrast ${ratio.toFixed(2)}:1 (${formatColor(colors.foreground)} on ${formatColor(colors.background)}) is below ${required}:1`,
+        where(element)
+      );
+    }
+  });
+}
+
+// Lines of a script that call document.write, as 1-based line numbers
+export function findDocumentWrites(source) {
+  const lines = [];
+  source.split(/\r?\n/).forEach((line, index) => {
+    if (DOCUMENT_WRITE_PATTERN.test(line) && !/^\s*(\/\/|\*)/.test(line)) lines.push(index + 1);
+  });
+  return lines;
+}
+
+// Inline scripts and the package scripts they load. loadScript(src) gives
+// { file, source } for a script inside the package, or null.
+async function checkScripts(document, dom, file, counter, where, loadScript) {
+  for (const script of document.querySelectorAll('script')) {
+    const src = script.getAttribute('src');
+    const loaded = src ? await loadScript(src) : null;
+    if (src && !loaded) continue;
+    const source = loaded ? loaded.source : script.textContent;
+    if (!normalizeText(source)) continue;
+    const writes = findDocumentWrites(source);
+    if (!writes.length) {
+      counter.pass('document-write');
+      continue;
+    }
+    // Line numbers of inline scripts are counted from the <script> tag
+    const firstLine = loaded ? 1 : (dom.nodeLocation(script)?.startTag.endLine || 1);
+    const scriptFile = loaded ? loaded.file : file;
+    const message = loaded
+      ? `Script "${loaded.file}" injects content with document.write (${writes.length} call${writes.length === 1 ? '' : 's'})`
+      : `Inline script injects content with document.write (${writes.length} call${writes.length === 1 ? '' : 's'})`;
+    counter.fail('document-write', message, {
+      ...where(script),
+      location: `${scriptFile}:${firstLine + writes[0] - 1}`,
+      lines: writes.map(line => firstLine + line - 1)
+    });
+  }
+}
+
+// Audits one page. Returns { lang, counts, issues } where counts has
+// { checked, failed } per rule id.
+export async function auditHtml(html, file, { loadScript = async () => null } = {}) {
+  // Nothing of the page is run or fetched, and jsdom's CSS parse errors stay quiet
+  const dom = new JSDOM(html, { includeNodeLocations: true, virtualConsole: new VirtualConsole() });
+  const { document } = dom.window;
+  const counter = createRuleCounter();
+  const where = (element) => {
+    const location = dom.nodeLocation(element);
+    return {
+      selector: cssSelector(element),
+      snippet: snippetOf(element),
+      location: location ? `${file}:${location.startLine}` : file
+    };
+  };
+
+  const lang = checkLanguage(document, counter, where);
+  checkImages(document, counter, where);
+  checkHeadings(document, counter, where);
+  checkFormControls(document, counter, where);
+  checkLinks(document, counter, where);
+  checkContrast(document, counter, where);
+  await checkScripts(document, dom, file, counter, where, loadScript);
+
+  return { lang, counts: counter.counts, issues: counter.issues };
+}
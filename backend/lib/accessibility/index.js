@@ -0,0 +1,127 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { isHtmlFile, collectScoHtmlFiles } from '../contentText.js';
+import { collectScos } from '../scormManifest.js';
+import { resolvePackagePath } from '../structuredContent.js';
+import { listFiles } from '../packageFingerprint.js';
+import { RULES, auditHtml } from './htmlAudit.js';
+
+// --- Package Accessibility Audit ---
+// Runs the WCAG 2.1 AA checks of htmlAudit.js over every HTML file of an
+// extracted package and reports them per file, per SCO (the pages listed
+// by collectScoHtmlFiles) and for the course as a whole.
+//
+// Scores run from 0 to 100. A file scores the share of checks it passed,
+// per rule that applies to it, weighted by severity; a SCO and the course
+// score the mean of their files.
+
+// Bounds the audit of packages with very many pages
+const ACCESSIBILITY_MAX_FILES = Number(process.env.ACCESSIBILITY_MAX_FILES) || 500;
+
+const SEVERITY_WEIGHTS = { error: 3, warning: 1 };
+
+const round = (value) => (value === null ? null : Number(value.toFixed(1)));
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const countSeverity = (issues, severity) => issues.filter(issue => issue.severity === severity).length;
+
+export function scoreCounts(counts) {
+  let weighted = 0;
+  let totalWeight = 0;
+  RULES.forEach(rule => {
+    const { checked, failed } = counts[rule.id];
+    if (!checked) return;
+    const weight = SEVERITY_WEIGHTS[rule.severity];
+    weighted += weight * ((checked - failed) / checked);
+    totalWeight += weight;
+  });
+  return totalWeight ? (weighted / totalWeight) * 100 : 100;
+}
+
+// Reads the package scripts pages load, each once per audit
+function createScriptLoader(extractDir) {
+  const cache = new Map();
+  const root = path.resolve(extractDir);
+  return (fromFile) => async (src) => {
+    const file = resolvePackagePath(fromFile, src);
+    if (!file) return null;
+    if (!cache.has(file)) {
+      const filePath = path.resolve(root, file);
+      cache.set(file, filePath.startsWith(root + path.sep)
+        ? fs.readFile(filePath, 'utf-8').then(source => ({ file, source }), () => null)
+        : Promise.resolve(null));
+    }
+    return cache.get(file);
+  };
+}
+
+async function auditFile(extractDir, file, loadScriptFrom) {
+  try {
+    const html = await fs.readFile(path.join(extractDir, file), 'utf-8');
+    const { lang, counts, issues } = await auditHtml(html, file, { loadScript: loadScriptFrom(file) });
+    return {
+      file,
+      score: round(scoreCounts(counts)),
+      lang,
+      error_count: countSeverity(issues, 'error'),
+      warning_count: countSeverity(issues, 'warning'),
+      counts,
+      issues
+    };
+  } catch (error) {
+    console.error(`auditFile: Could not audit ${file}:`, error);
+    return { file, score: null, error: error.message, error_count: 0, warning_count: 0, counts: null, issues: [] };
+  }
+}
+
+function summarizeRules(files) {
+  return RULES.map(rule => {
+    const audited = files.filter(file => file.counts);
+    const checked = audited.reduce((sum, file) => sum + file.counts[rule.id].checked, 0);
+    const failed = audited.reduce((sum, file) => sum + file.counts[rule.id].failed, 0);
+    return { ...rule, checked, failed, files_failed: audited.filter(file => file.counts[rule.id].failed).length };
+  });
+}
+
+// Returns { standard, score, file_count, audited_file_count, truncated,
+// error_count, warning_count, rules, files, scos }. manifestData may be a
+// failed parse, in which case there are no SCOs.
+export async function auditPackageAccessibility(extractDir, manifestData) {
+  const htmlFiles = (await listFiles(extractDir)).filter(isHtmlFile).sort();
+  const audited = htmlFiles.slice(0, ACCESSIBILITY_MAX_FILES);
+  const loadScriptFrom = createScriptLoader(extractDir);
+
+  console.log(`auditPackageAccessibility: Auditing ${audited.length} of ${htmlFiles.length} HTML files in ${extractDir}`);
+  const files = [];
+  for (const file of audited) {
+    files.push(await auditFile(extractDir, file, loadScriptFrom));
+  }
+  const filesByPath = new Map(files.map(file => [file.file, file]));
+
+  const scos = (manifestData && !manifestData.error ? collectScos(manifestData) : []).map(sco => {
+    const scoFiles = collectScoHtmlFiles(manifestData, sco).map(file => filesByPath.get(file)).filter(Boolean);
+    const scores = scoFiles.map(file => file.score).filter(score => score !== null);
+    return {
+      identifier: sco.identifier,
+      title: sco.title || sco.identifier,
+      files: scoFiles.map(file => file.file),
+      score: round(mean(scores)),
+      error_count: scoFiles.reduce((sum, file) => sum + file.error_count, 0),
+      warning_count: scoFiles.reduce((sum, file) => sum + file.warning_count, 0)
+    };
+  });
+
+  const scores = files.map(file => file.score).filter(score => score !== null);
+  return {
+    standard: 'WCAG 2.1 AA',
+    score: round(mean(scores)),
+    file_count: htmlFiles.length,
+    audited_file_count: files.length,
+    truncated: htmlFiles.length > files.length,
+    error_count: files.reduce((sum, file) => sum + file.error_count, 0),
+    warning_count: files.reduce((sum, file) => sum + file.warning_count, 0),
+    rules: summarizeRules(files),
+    // The per-rule counts only feed the scores and rule summary
+    files: files.map(({ counts, ...file }) => file),
+    scos
+  };
+}
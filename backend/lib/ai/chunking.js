@@ -0,0 +1,75 @@
+// --- Text Chunking ---
+// Splits page texts into chunks that fit a token budget. Each chunk records
+// which part of which page it came from (segments), so anything generated
+// from a chunk can be traced back to the page.
+
+// Rough token estimate (about 4 characters per token for English text),
+// good enough to stay within a budget without a model-specific tokenizer
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+function lastMatchEnd(text, pattern) {
+  let end = -1;
+  for (const match of text.matchAll(pattern)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+}
+
+// Cuts text into pieces of at most maxChars, preferring to end a piece at a
+// sentence boundary, then at a space, in the second half of the window
+function splitText(text, maxChars) {
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxChars);
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const minimum = Math.floor(maxChars / 2);
+      const sentenceEnd = lastMatchEnd(window, /[.!?]["')\]]?\s+/g);
+      const spaceEnd = window.lastIndexOf(' ') + 1;
+      if (sentenceEnd > minimum) end = start + sentenceEnd;
+      else if (spaceEnd > minimum) end = start + spaceEnd;
+    }
+    const piece = text.slice(start, end).trim();
+    if (piece) pieces.push({ start, end, text: piece });
+    start = end;
+  }
+  return pieces;
+}
+
+// Packs pages ([{ file, text }]) into chunks of at most maxTokens. Small
+// pages share a chunk, large pages are split over several.
+export function chunkPages(pages, { maxTokens = 3000 } = {}) {
+  const maxChars = Math.max(200, maxTokens * 4);
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      current.tokens = estimateTokens(current.text);
+      chunks.push(current);
+      current = null;
+    }
+  };
+
+  pages.forEach(page => {
+    splitText(page.text, maxChars).forEach(piece => {
+      if (current && current.text.length + piece.text.length + 2 > maxChars) flush();
+      if (!current) {
+        current = { id: `c${chunks.length + 1}`, text: '', tokens: 0, segments: [] };
+      }
+      current.text = current.text ? `${current.text}\n\n${piece.text}` : piece.text;
+      current.segments.push({ file: page.file, start: piece.start, end: piece.end });
+    });
+  });
+  flush();
+
+  return chunks;
+}
+
+// Chunk description without its text, for provenance records
+export function describeChunk(chunk) {
+  return { id: chunk.id, tokens: chunk.tokens, segments: chunk.segments };
+}
@@ -0,0 +1,128 @@
+import axios from 'axios';
+import { requestErrorResult } from './providerErrors.js';
+
+// --- Embedding Providers ---
+// An embedding provider turns texts into vectors: embed(texts) resolves to
+// { vectors } (one per text, same order) or a provider error (see
+// providerErrors.js). The provider is chosen by EMBEDDING_PROVIDER:
+//   openai  EMBEDDING_API_KEY, EMBEDDING_BASE_URL, EMBEDDING_MODEL; the key
+//           and URL fall back to OPENAI_API_KEY and OPENAI_BASE_URL
+//   local   deterministic hashed bag of words and character trigrams,
+//           offline and without configuration
+// Without EMBEDDING_PROVIDER search is keyword-only.
+
+export const EMBEDDING_PROVIDER_NAMES = ['openai', 'local'];
+
+const OPENAI_BATCH_SIZE = 64;
+
+export function createOpenAiEmbeddingProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'text-embedding-3-small', timeoutMs = 45000 }) {
+  const endpointUrl = `${baseUrl.replace(/\/+$/, '')}/embeddings`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const vectors = [];
+      for (let start = 0; start < texts.length; start += OPENAI_BATCH_SIZE) {
+        const batch = texts.slice(start, start + OPENAI_BATCH_SIZE);
+        console.log(`openai: Embedding ${batch.length} text(s) with ${model}...`);
+        try {
+          const apiResponse = await axios.post(endpointUrl, { model, input: batch }, { headers, timeout: timeoutMs });
+          const data = apiResponse.data && apiResponse.data.data;
+          if (!Array.isArray(data) || data.length !== batch.length) {
+            console.error('openai: Unexpected embeddings response structure:', apiResponse.data);
+            return { error: 'Unexpected embeddings response', error_type: 'invalid_json', details: apiResponse.data };
+          }
+          // Entries carry their input index; don't rely on the order
+          data.sort((a, b) => a.index - b.index).forEach(entry => vectors.push(entry.embedding));
+        } catch (error) {
+          return requestErrorResult('openai', error);
+        }
+      }
+      return { vectors };
+    }
+  };
+}
+
+// --- Local stand-in ---
+// Feature hashing: every word and character trigram adds to one of
+// LOCAL_DIMENSIONS buckets (with a hashed sign), and the vector is
+// normalized. Texts sharing words or word parts end up close together, which
+// is enough to exercise semantic search without a model.
+const LOCAL_DIMENSIONS = 256;
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  vector[hash % LOCAL_DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+}
+
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  words.forEach(word => {
+    addFeature(vector, `w:${word}`, 1);
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5);
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => Number((value / norm).toFixed(6))) : vector;
+}
+
+export function createLocalEmbeddingProvider() {
+  return {
+    name: 'local',
+    model: `hashed-trigrams-${LOCAL_DIMENSIONS}`,
+
+    async embed(texts) {
+      return { vectors: texts.map(localEmbedding) };
+    }
+  };
+}
+
+// Returns the configured embedding provider, or null for keyword-only search
+export function getEmbeddingProvider(env = process.env) {
+  const name = (env.EMBEDDING_PROVIDER || 'none').toLowerCase();
+  switch (name) {
+    case 'openai':
+      return createOpenAiEmbeddingProvider({
+        apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+        baseUrl: env.EMBEDDING_BASE_URL || env.OPENAI_BASE_URL || undefined,
+        model: env.EMBEDDING_MODEL || undefined,
+        timeoutMs: Number(env.AI_TIMEOUT_MS) || 45000
+      });
+    case 'local':
+      return createLocalEmbeddingProvider();
+    case 'none':
+      return null;
+    default:
+      console.warn(`getEmbeddingProvider: Unknown EMBEDDING_PROVIDER "${name}", expected one of ${EMBEDDING_PROVIDER_NAMES.join(', ')}. Semantic search is disabled.`);
+      return null;
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
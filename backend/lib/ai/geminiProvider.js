@@ -0,0 +1,75 @@
+import axios from 'axios';
+import { requestErrorResult, parseJsonText } from './providerErrors.js';
+
+// --- Gemini Provider ---
+// Google Generative Language REST API, asked for a JSON response that is
+// constrained to the request's schema.
+
+// Gemini's responseSchema is an OpenAPI subset: keywords it doesn't know
+// (minLength) are left out, type lists become a type plus nullable and
+// enums must be strings. The full schema is still checked afterwards.
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const geminiSchema = {};
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+  const nonNullTypes = types.filter(type => type !== 'null');
+  if (nonNullTypes.length) geminiSchema.type = nonNullTypes[0];
+  if (nonNullTypes.length < types.length) geminiSchema.nullable = true;
+  if (schema.description) geminiSchema.description = schema.description;
+  if (schema.enum && schema.enum.every(option => typeof option === 'string')) geminiSchema.enum = schema.enum;
+  ['minItems', 'maxItems', 'minimum', 'maximum', 'required'].forEach(key => {
+    if (schema[key] !== undefined) geminiSchema[key] = schema[key];
+  });
+  if (schema.items) geminiSchema.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    geminiSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, propertySchema]) => [key, toGeminiSchema(propertySchema)])
+    );
+  }
+  return geminiSchema;
+}
+
+export function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash-latest', timeoutMs = 45000 }) {
+  return {
+    name: 'gemini',
+    model,
+
+    async generateJson({ prompt, schema }) {
+      if (!apiKey) {
+        console.error('gemini: API key is missing. Cannot make API call.');
+        return { error: 'Gemini API key is missing.', error_type: 'config' };
+      }
+
+      const endpointUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+      const payload = {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          responseMimeType: 'application/json',
+          ...(schema ? { responseSchema: toGeminiSchema(schema) } : {})
+        }
+      };
+
+      console.log(`gemini: Calling ${model}...`);
+      try {
+        const apiResponse = await axios.post(endpointUrl, payload, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: timeoutMs
+        });
+        const data = apiResponse.data;
+        const text = data && data.candidates && data.candidates[0] && data.candidates[0].content
+          && data.candidates[0].content.parts && data.candidates[0].content.parts[0] && data.candidates[0].content.parts[0].text;
+        if (!text) {
+          console.error('gemini: Unexpected API response structure:', data);
+          return { error: 'Failed to extract JSON text from Gemini API response structure', error_type: 'invalid_json', details: data };
+        }
+        return parseJsonText('gemini', text);
+      } catch (error) {
+        return requestErrorResult('gemini', error);
+      }
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAiProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { validateSchema } from './schema.js';
+
+// --- AI Providers ---
+// A provider turns a prompt into a JSON object: generateJson({ task, prompt,
+// text, input, schema }) resolves to the parsed object or a provider error
+// (see providerErrors.js). Real providers use prompt and schema; the mock
+// provider works from task, text and the structured input of the prompt. The provider is chosen by AI_PROVIDER:
+//   gemini  GEMINI_API_KEY, GEMINI_MODEL
+//   openai  OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL (any compatible server)
+//   mock    deterministic offline answers, no configuration
+// Without AI_PROVIDER, Gemini is used when GEMINI_API_KEY is set.
+
+export const AI_PROVIDER_NAMES = ['gemini', 'openai', 'mock'];
+
+// Returns the configured provider, or null when AI processing is disabled
+export function getAiProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'none')).toLowerCase();
+  const timeoutMs = Number(env.AI_TIMEOUT_MS) || 45000;
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined, timeoutMs });
+    case 'openai':
+      return createOpenAiProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model: env.OPENAI_MODEL || undefined,
+        timeoutMs
+      });
+    case 'mock':
+      return createMockProvider();
+    case 'none':
+      return null;
+    default:
+      console.warn(`getAiProvider: Unknown AI_PROVIDER "${name}", expected one of ${AI_PROVIDER_NAMES.join(', ')}. AI processing is disabled.`);
+      return null;
+  }
+}
+
+export function describeAiProvider(provider = getAiProvider()) {
+  return provider ? `${provider.name} (${provider.model})` : 'none';
+}
+
+// Asks the provider for JSON and checks it against the schema. Responses of
+// the wrong shape come back as a 'schema_mismatch' error listing every problem.
+export async function generateStructured(provider, { task, prompt, text, input, schema }) {
+  const response = await provider.generateJson({ task, prompt, text, input, schema });
+  if (response && response.error && response.error_type) {
+    return response;
+  }
+
+  const schemaErrors = validateSchema(response, schema);
+  if (schemaErrors.length) {
+    console.error(`generateStructured: ${provider.name} response for "${task}" does not match the schema:`, schemaErrors);
+    return {
+      error: 'AI response does not match the expected schema',
+      error_type: 'schema_mismatch',
+      schema_errors: schemaErrors,
+      details: response
+    };
+  }
+  return response;
+}
@@ -0,0 +1,43 @@
+import { generateStructured } from './index.js';
+
+// --- Content Metadata ---
+// Title, summary, keywords and learning objectives of a piece of content.
+
+export const METADATA_SCHEMA = {
+  type: 'object',
+  required: ['title', 'summary', 'keywords', 'learning_objectives', 'language'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    summary: { type: 'string', minLength: 1 },
+    keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    learning_objectives: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    language: { type: 'string', minLength: 1 }
+  }
+};
+
+export function buildMetadataPrompt(textContent) {
+  return `Analyze the following educational content. Based *only* on this text, provide the following in valid JSON format with the specified keys:
+"title": (A concise and engaging title for this content)
+"summary": (A comprehensive 4-5 sentence summary explaining the key concepts)
+"keywords": (A list of 7-10 relevant keywords and topics as strings)
+"learning_objectives": (A list of 2-4 learning objectives that a student should be able to achieve after studying this content. Each objective should start with an action verb like "Describe", "Identify", "Explain".)
+"language": (The primary language of the text e.g., "English", "Spanish")
+
+Content:
+${textContent}
+
+Respond *only* with the JSON object, without any leading or trailing text or markdown backticks. Just the raw JSON object.`;
+}
+
+export async function generateMetadata(provider, textContent) {
+  if (!textContent || typeof textContent !== 'string' || !textContent.trim()) {
+    console.warn('generateMetadata: Text content is empty or invalid, skipping AI call.');
+    return { error: 'Text content is empty or invalid, skipping AI call.', error_type: 'empty_input' };
+  }
+  return generateStructured(provider, {
+    task: 'metadata',
+    prompt: buildMetadataPrompt(textContent),
+    text: textContent,
+    schema: METADATA_SCHEMA
+  });
+}
@@ -0,0 +1,221 @@
+// --- Mock Provider ---
+// Deterministic, offline stand-in for a real model: the same text always
+// gives the same answer, derived from the text itself. Used in CI and for
+// local development without API keys (AI_PROVIDER=mock).
+
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+  'could', 'does', 'doing', 'down', 'during', 'each', 'from', 'further', 'have', 'having', 'here', 'into',
+  'itself', 'just', 'more', 'most', 'once', 'only', 'other', 'over', 'same', 'should', 'some', 'such', 'than',
+  'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'under', 'until',
+  'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours'
+]);
+
+// Small word lists for guessing the language of a text
+const LANGUAGE_MARKERS = {
+  English: ['the', 'and', 'of', 'to', 'is', 'in', 'you', 'that'],
+  Spanish: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'es'],
+  French: ['le', 'la', 'les', 'de', 'et', 'est', 'un', 'une'],
+  German: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'zu']
+};
+
+export function splitSentences(text) {
+  return String(text).split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+export function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Most frequent content words, ties broken alphabetically
+export function topKeywords(text, count) {
+  const frequencies = new Map();
+  tokenize(text)
+    .filter(word => word.length > 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+function guessLanguage(text) {
+  const words = tokenize(text);
+  let best = 'English';
+  let bestScore = 0;
+  Object.entries(LANGUAGE_MARKERS).forEach(([language, markers]) => {
+    const score = words.filter(word => markers.includes(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+function mockMetadata(text) {
+  const sentences = splitSentences(text);
+  const keywords = topKeywords(text, 8);
+  const firstWords = tokenize(sentences[0] || text).slice(0, 8);
+  return {
+    title: firstWords.length ? firstWords.map(capitalize).join(' ') : 'Untitled Content',
+    summary: sentences.slice(0, 4).join(' ') || String(text).substring(0, 300),
+    keywords: keywords.length ? keywords : ['content'],
+    learning_objectives: (keywords.length ? keywords.slice(0, 3) : ['the content'])
+      .map((keyword, index) => `${['Describe', 'Explain', 'Identify'][index]} ${keyword}`),
+    language: guessLanguage(text)
+  };
+}
+
+// Fills a schema with placeholder values for tasks without a dedicated generator
+function sampleFromSchema(schema, text) {
+  if (!schema) return {};
+  if (schema.enum) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, propertySchema]) => [key, sampleFromSchema(propertySchema, text)]));
+    case 'array':
+      return Array.from({ length: Math.max(1, schema.minItems || 1) }, () => sampleFromSchema(schema.items, text));
+    case 'string':
+      return topKeywords(text, 1)[0] || 'mock';
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+function mockChunkSummary(text) {
+  const keywords = topKeywords(text, 5);
+  return {
+    summary: splitSentences(text).slice(0, 2).join(' ') || String(text).substring(0, 200),
+    keywords: keywords.length ? keywords : ['content'],
+    learning_objectives: (keywords.length ? keywords.slice(0, 2) : ['the content'])
+      .map((keyword, index) => `${['Describe', 'Explain'][index]} ${keyword}`)
+  };
+}
+
+// Merges part summaries: objectives with the same text are combined and
+// point at every part objective they came from
+function mockMergeSummary(text, input) {
+  const partials = (input && input.partials) || [];
+  const objectives = new Map();
+  partials.forEach(partial => partial.objectives.forEach(objective => {
+    const key = objective.text.toLowerCase();
+    if (!objectives.has(key)) objectives.set(key, { text: objective.text, source_ids: [] });
+    objectives.get(key).source_ids.push(objective.id);
+  }));
+
+  const frequencies = new Map();
+  partials.flatMap(partial => partial.keywords).forEach(keyword => {
+    frequencies.set(keyword, (frequencies.get(keyword) || 0) + 1);
+  });
+  const keywords = [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 10)
+    .map(([keyword]) => keyword);
+
+  return {
+    title: keywords.length ? keywords.slice(0, 3).map(capitalize).join(', ') : 'Untitled Content',
+    summary: partials.map(partial => splitSentences(partial.summary)[0]).filter(Boolean).slice(0, 5).join(' ') || 'No summary available.',
+    keywords: keywords.length ? keywords : ['content'],
+    learning_objectives: objectives.size
+      ? [...objectives.values()].slice(0, 6)
+      : [{ text: 'Describe the content', source_ids: [] }],
+    language: guessLanguage(text)
+  };
+}
+
+// Cloze questions from sentences that contain a keyword: the keyword is the
+// answer, other keywords are the distractors
+function mockQuiz(text, input) {
+  const objectives = (input && input.objectives) || [];
+  const questionCount = (input && input.question_count) || 5;
+  const flashcardCount = (input && input.flashcard_count) || 5;
+  const keywords = topKeywords(text, 12);
+  // Prose lines only, not Markdown headings, images, tables or source comments
+  const sentences = String(text).split(/\n+/)
+    .filter(line => !/^\s*(#|!\[|\||>|<!--)/.test(line))
+    .flatMap(splitSentences)
+    .filter(sentence => sentence.length >= 20 && sentence.length <= 300);
+  const types = ['multiple_choice', 'true_false', 'short_answer'];
+
+  const pairs = [];
+  keywords.forEach(keyword => {
+    const sentence = sentences.find(candidate => tokenize(candidate).includes(keyword)
+      && !pairs.some(pair => pair.sentence === candidate));
+    if (sentence) pairs.push({ keyword, sentence });
+  });
+
+  const objectiveFor = (index) => (objectives.length ? objectives[index % objectives.length] : '');
+  const cloze = (pair) => pair.sentence.replace(new RegExp(`\\b${pair.keyword}\\b`, 'i'), '_____');
+
+  const questions = pairs.slice(0, questionCount).map((pair, index) => {
+    const type = types[index % types.length];
+    const objective = objectiveFor(index);
+    if (type === 'multiple_choice') {
+      const distractors = keywords.filter(keyword => keyword !== pair.keyword).slice(index % 3, (index % 3) + 3);
+      const choices = [...distractors];
+      choices.splice(index % (distractors.length + 1), 0, pair.keyword);
+      return {
+        type,
+        question: `Which term completes the statement: "${cloze(pair)}"`,
+        choices,
+        correct_answer: pair.keyword,
+        explanation: `The content states: "${pair.sentence}"`,
+        objective
+      };
+    }
+    if (type === 'true_false') {
+      return {
+        type,
+        question: `True or false: ${pair.sentence}`,
+        correct_answer: 'true',
+        explanation: 'The statement is taken from the content.',
+        objective
+      };
+    }
+    return {
+      type,
+      question: `Fill in the blank: ${cloze(pair)}`,
+      correct_answer: pair.keyword,
+      explanation: `The content states: "${pair.sentence}"`,
+      objective
+    };
+  });
+
+  return {
+    questions,
+    flashcards: pairs.slice(0, flashcardCount).map((pair, index) => ({
+      front: capitalize(pair.keyword),
+      back: pair.sentence,
+      objective: objectiveFor(index)
+    }))
+  };
+}
+
+const generators = {
+  metadata: mockMetadata,
+  chunk_summary: mockChunkSummary,
+  merge_summary: mockMergeSummary,
+  quiz: mockQuiz
+};
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock-deterministic',
+
+    async generateJson({ task, text, input, schema }) {
+      const generate = generators[task];
+      return generate ? generate(text || '', input) : sampleFromSchema(schema, text || '');
+    }
+  };
+}
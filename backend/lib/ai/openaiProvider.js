@@ -0,0 +1,48 @@
+import axios from 'axios';
+import { requestErrorResult, parseJsonText } from './providerErrors.js';
+
+// --- OpenAI-compatible Provider ---
+// Any server implementing POST /chat/completions (OpenAI, Azure proxies,
+// Ollama, vLLM, LM Studio, ...). Local servers usually need no API key.
+export function createOpenAiProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini', timeoutMs = 45000 }) {
+  const endpointUrl = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async generateJson({ prompt, schema }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      // json_object mode is the most widely supported way to get JSON back;
+      // the schema itself goes into the system message
+      const payload = {
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: `You respond with a single JSON object only.${schema ? ` It must match this JSON Schema:\n${JSON.stringify(schema)}` : ''}`
+          },
+          { role: 'user', content: prompt }
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0.2
+      };
+
+      console.log(`openai: Calling ${model} at ${endpointUrl}...`);
+      try {
+        const apiResponse = await axios.post(endpointUrl, payload, { headers, timeout: timeoutMs });
+        const data = apiResponse.data;
+        const text = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+        if (!text) {
+          console.error('openai: Unexpected API response structure:', data);
+          return { error: 'Failed to extract JSON text from chat completion response', error_type: 'invalid_json', details: data };
+        }
+        return parseJsonText('openai', text);
+      } catch (error) {
+        return requestErrorResult('openai', error);
+      }
+    }
+  };
+}
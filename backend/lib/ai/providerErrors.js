@@ -0,0 +1,43 @@
+// --- Provider Errors ---
+// Every provider reports failures the same way: { error, error_type, ... }.
+// error_type is one of 'config', 'empty_input', 'rate_limited',
+// 'request_failed', 'invalid_json' or 'schema_mismatch'; rate limits carry
+// status_code 429 so the job queue can retry them.
+
+// Turns an axios exception into a provider error
+export function requestErrorResult(source, error) {
+  console.error(`${source}: API request exception:`, error.message);
+  if (error.response) { // Axios wraps HTTP errors in error.response
+    if (error.response.status === 429) {
+      console.warn(`${source}: API rate limit exceeded.`);
+      const retryAfter = Number(error.response.headers && error.response.headers['retry-after']);
+      return {
+        error: 'AI provider rate limit exceeded',
+        error_type: 'rate_limited',
+        status_code: 429,
+        retry_after_seconds: Number.isFinite(retryAfter) ? retryAfter : null
+      };
+    }
+    console.error(`${source}: Error response status:`, error.response.status);
+    return {
+      error: 'AI provider request failed',
+      error_type: 'request_failed',
+      details: error.message,
+      status_code: error.response.status,
+      data: error.response.data
+    };
+  }
+  return { error: 'AI provider request exception', error_type: 'request_failed', details: error.message };
+}
+
+// Parses the JSON text a model answered with. Models sometimes wrap it in
+// markdown fences despite being told not to, so those are stripped first.
+export function parseJsonText(source, text) {
+  const unfenced = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (parseError) {
+    console.error(`${source}: Error parsing JSON from response text:`, parseError.message);
+    return { error: 'Failed to parse JSON from AI provider response text', error_type: 'invalid_json', details: text };
+  }
+}
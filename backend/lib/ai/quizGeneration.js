@@ -0,0 +1,198 @@
+import { generateStructured } from './index.js';
+import { chunkPages } from './chunking.js';
+
+// --- Quiz Generation ---
+// Asks the model for multiple-choice, true/false and short-answer questions
+// (with distractors and explanations) and flashcards for the text of a SCO,
+// tied to its learning objectives. Questions that don't hold together (the
+// correct answer missing from the choices, too few distractors, ...) are
+// rejected, and duplicates are removed. Accepted questions use the item
+// format of assessmentExtractor.js, so they export the same way.
+
+const AI_CHUNK_TOKENS = Number(process.env.AI_CHUNK_TOKENS) || 3000;
+// Chunks of a SCO that questions are generated from, to bound the calls
+const AI_QUIZ_MAX_CHUNKS = Number(process.env.AI_QUIZ_MAX_CHUNKS) || 3;
+
+export const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+
+export const QUIZ_SCHEMA = {
+  type: 'object',
+  required: ['questions', 'flashcards'],
+  properties: {
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'question', 'correct_answer', 'explanation', 'objective'],
+        properties: {
+          type: { type: 'string', enum: QUESTION_TYPES },
+          question: { type: 'string', minLength: 1 },
+          choices: { type: 'array', items: { type: 'string', minLength: 1 } },
+          correct_answer: { type: 'string', minLength: 1 },
+          explanation: { type: 'string', minLength: 1 },
+          objective: { type: 'string' }
+        }
+      }
+    },
+    flashcards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['front', 'back'],
+        properties: {
+          front: { type: 'string', minLength: 1 },
+          back: { type: 'string', minLength: 1 },
+          objective: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function buildQuizPrompt(text, objectives, questionCount, flashcardCount) {
+  const objectiveList = objectives.length
+    ? objectives.map(objective => `- ${objective}`).join('\n')
+    : '- (none given, use the key concepts of the content)';
+  return `You are writing assessment material for the following educational content. Based *only* on this text, write ${questionCount} questions and ${flashcardCount} flashcards that check the learning objectives below. Mix the question types "multiple_choice", "true_false" and "short_answer".
+
+Learning objectives:
+${objectiveList}
+
+Provide the result in valid JSON format with the keys:
+"questions": (A list of objects with the keys "type" (one of "multiple_choice", "true_false", "short_answer"), "question" (the question text), "choices" (for multiple_choice: the correct answer and 3 plausible but wrong distractors, in any order; omit for other types), "correct_answer" (the exact text of the correct choice, "true" or "false", or a short answer of at most a few words), "explanation" (1-2 sentences on why the answer is correct) and "objective" (the learning objective it checks, copied from the list))
+"flashcards": (A list of objects with the keys "front" (a term or question), "back" (its definition or answer) and "objective")
+
+Content:
+${text}
+
+Respond *only* with the JSON object, without any leading or trailing text or markdown backticks.`;
+}
+
+// Same question despite case, punctuation and spacing differences
+export const questionKey = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const choiceId = (index) => (index < 26 ? String.fromCharCode(65 + index) : `C${index + 1}`);
+
+// Matches an objective the model returned to one of the given objectives
+function matchObjective(objective, objectives) {
+  if (!objective) return null;
+  const key = questionKey(objective);
+  return objectives.find(candidate => questionKey(candidate) === key)
+    || objectives.find(candidate => questionKey(candidate).includes(key) || key.includes(questionKey(candidate)))
+    || objective;
+}
+
+// Turns a generated question into an item, or returns { rejected } with the reason
+function toItem(question, objectives) {
+  const stem = question.question.trim();
+  const correct = question.correct_answer.trim();
+  const base = {
+    stem,
+    explanation: question.explanation.trim(),
+    objective: matchObjective(question.objective, objectives),
+    objective_id: null,
+    generated: true
+  };
+
+  if (question.type === 'multiple_choice') {
+    const choices = [];
+    (question.choices || []).forEach(choice => {
+      const text = choice.trim();
+      if (text && !choices.some(existing => questionKey(existing) === questionKey(text))) choices.push(text);
+    });
+    const correctIndex = choices.findIndex(choice => questionKey(choice) === questionKey(correct));
+    if (correctIndex === -1) return { rejected: 'correct answer is not one of the choices' };
+    if (choices.length < 3) return { rejected: 'fewer than two distractors' };
+    return {
+      ...base,
+      type: 'choice',
+      choices: choices.map((text, index) => ({ id: choiceId(index), text })),
+      correct_response: [choiceId(correctIndex)]
+    };
+  }
+
+  if (question.type === 'true_false') {
+    const value = correct.toLowerCase();
+    if (value !== 'true' && value !== 'false') return { rejected: 'true/false answer is neither true nor false' };
+    return {
+      ...base,
+      type: 'true_false',
+      choices: [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }],
+      correct_response: [value]
+    };
+  }
+
+  if (correct.split(/\s+/).length > 8) return { rejected: 'short answer is too long to be checked' };
+  return {
+    ...base,
+    type: /^-?\d+(\.\d+)?$/.test(correct) ? 'numeric' : 'fill_in',
+    choices: [],
+    correct_response: [correct]
+  };
+}
+
+// Removes questions (and flashcards) asked before, in this list or in seen
+export function dedupeByKey(entries, keyOf, seen = new Set()) {
+  let duplicates = 0;
+  const unique = entries.filter(entry => {
+    const key = keyOf(entry);
+    if (seen.has(key)) {
+      duplicates += 1;
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  return { unique, duplicates };
+}
+
+// Generates questions and flashcards for the pages of one SCO ([{ file, text }]).
+// Long content is split into chunks and the counts are spread over them.
+export async function generateQuiz(provider, pages, { objectives = [], questionCount = 5, flashcardCount = 5 } = {}) {
+  const chunks = chunkPages(pages, { maxTokens: AI_CHUNK_TOKENS }).slice(0, AI_QUIZ_MAX_CHUNKS);
+  if (!chunks.length) {
+    return { error: 'No text to generate questions from', error_type: 'empty_input' };
+  }
+
+  const questionsPerChunk = Math.ceil(questionCount / chunks.length);
+  const flashcardsPerChunk = Math.ceil(flashcardCount / chunks.length);
+  const questions = [];
+  const flashcards = [];
+  const rejected = [];
+  for (const chunk of chunks) {
+    const response = await generateStructured(provider, {
+      task: 'quiz',
+      prompt: buildQuizPrompt(chunk.text, objectives, questionsPerChunk, flashcardsPerChunk),
+      text: chunk.text,
+      input: { objectives, question_count: questionsPerChunk, flashcard_count: flashcardsPerChunk },
+      schema: QUIZ_SCHEMA
+    });
+    if (response.error) return response;
+
+    const file = chunk.segments[0] ? chunk.segments[0].file : null;
+    response.questions.forEach(question => {
+      const item = toItem(question, objectives);
+      if (item.rejected) {
+        rejected.push({ question: question.question, reason: item.rejected });
+      } else {
+        questions.push({ ...item, source: { file, line: null, pattern: 'generated', chunk_id: chunk.id } });
+      }
+    });
+    response.flashcards.forEach(card => {
+      flashcards.push({
+        front: card.front.trim(),
+        back: card.back.trim(),
+        objective: matchObjective(card.objective, objectives)
+      });
+    });
+  }
+
+  const uniqueQuestions = dedupeByKey(questions, item => questionKey(item.stem));
+  const uniqueFlashcards = dedupeByKey(flashcards, card => questionKey(card.front));
+  return {
+    items: uniqueQuestions.unique.slice(0, questionCount),
+    flashcards: uniqueFlashcards.unique.slice(0, flashcardCount),
+    rejected,
+    duplicate_count: uniqueQuestions.duplicates + uniqueFlashcards.duplicates
+  };
+}
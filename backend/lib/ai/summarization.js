@@ -0,0 +1,293 @@
+import { generateStructured } from './index.js';
+import { generateMetadata } from './metadata.js';
+import { chunkPages, describeChunk, estimateTokens } from './chunking.js';
+
+// --- Map-Reduce Summarization ---
+// Long content doesn't go into one prompt. The text is split into chunks
+// within a token budget (map: one summary per chunk), and the chunk
+// summaries are merged, in as many rounds as the budget requires (reduce).
+// Every learning objective keeps the chunks it was derived from, so it can
+// be traced back to its page. Courses are rolled up the same way from the
+// SCO summaries.
+
+// Token budget of a chunk, and of the part summaries in one merge prompt
+const AI_CHUNK_TOKENS = Number(process.env.AI_CHUNK_TOKENS) || 3000;
+// Chunks beyond this are not summarized, to bound the calls per SCO
+const AI_MAX_CHUNKS = Number(process.env.AI_MAX_CHUNKS) || 40;
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const CHUNK_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'keywords', 'learning_objectives'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    keywords: stringList,
+    learning_objectives: stringList
+  }
+};
+
+export const MERGED_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['title', 'summary', 'keywords', 'learning_objectives', 'language'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    summary: { type: 'string', minLength: 1 },
+    keywords: { ...stringList, minItems: 1 },
+    learning_objectives: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['text', 'source_ids'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          source_ids: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    language: { type: 'string', minLength: 1 }
+  }
+};
+
+// Case- and whitespace-insensitive dedupe that keeps the first spelling
+export function dedupeKeywords(keywords) {
+  const seen = new Set();
+  return keywords.filter(keyword => {
+    const key = String(keyword).toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function uniqueSources(sources) {
+  const seen = new Set();
+  return sources.filter(source => {
+    const key = JSON.stringify(source);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const chunkSources = (chunk) => chunk.segments.map(segment => ({ chunk_id: chunk.id, ...segment }));
+
+// --- Map ---
+
+function buildChunkPrompt(chunk, index, count) {
+  return `The following text is part ${index + 1} of ${count} of a piece of educational content. Based *only* on this part, provide the following in valid JSON format with the specified keys:
+"summary": (A 2-3 sentence summary of the key concepts in this part)
+"keywords": (A list of 3-8 relevant keywords and topics as strings)
+"learning_objectives": (A list of 1-3 learning objectives this part supports. Each objective should start with an action verb like "Describe", "Identify", "Explain".)
+
+Content:
+${chunk.text}
+
+Respond *only* with the JSON object, without any leading or trailing text or markdown backticks.`;
+}
+
+async function summarizeChunk(provider, chunk, index, count) {
+  const response = await generateStructured(provider, {
+    task: 'chunk_summary',
+    prompt: buildChunkPrompt(chunk, index, count),
+    text: chunk.text,
+    schema: CHUNK_SUMMARY_SCHEMA
+  });
+  if (response.error) return response;
+  const sources = chunkSources(chunk);
+  return {
+    summary: response.summary,
+    keywords: response.keywords,
+    objectives: response.learning_objectives.map(text => ({ text, sources }))
+  };
+}
+
+// --- Reduce ---
+
+// Numbers the parts (P1, P2, ...) and their objectives (o1, o2, ...) so the
+// model can say which objectives a merged objective is based on
+function labelPartials(partials) {
+  const sourcesById = new Map();
+  let objectiveCount = 0;
+  const labeled = partials.map((partial, index) => ({
+    id: `P${index + 1}`,
+    summary: partial.summary,
+    keywords: partial.keywords,
+    objectives: partial.objectives.map(objective => {
+      objectiveCount += 1;
+      const id = `o${objectiveCount}`;
+      sourcesById.set(id, objective.sources);
+      return { id, text: objective.text };
+    })
+  }));
+  const text = labeled.map(part => [
+    `Part ${part.id}:`,
+    `Summary: ${part.summary}`,
+    `Keywords: ${part.keywords.join(', ')}`,
+    'Objectives:',
+    ...part.objectives.map(objective => `- [${objective.id}] ${objective.text}`)
+  ].join('\n')).join('\n\n');
+  return { labeled, text, sourcesById };
+}
+
+function buildMergePrompt(partsText, scope) {
+  return `Below are summaries of the parts of ${scope === 'course' ? 'a course, one per learning module' : 'a learning module'}. Merge them and provide the following in valid JSON format with the specified keys:
+"title": (A concise and engaging title for the whole ${scope === 'course' ? 'course' : 'module'})
+"summary": (A comprehensive 4-5 sentence summary explaining the key concepts of all parts)
+"keywords": (A list of 7-10 relevant keywords and topics as strings, without duplicates)
+"learning_objectives": (A list of 2-6 consolidated learning objectives as objects with the keys "text" (the objective, starting with an action verb) and "source_ids" (the ids in square brackets, like "o3", of the part objectives it is based on))
+"language": (The primary language of the text e.g., "English", "Spanish")
+
+${partsText}
+
+Respond *only* with the JSON object, without any leading or trailing text or markdown backticks.`;
+}
+
+async function mergeGroup(provider, group, scope) {
+  const { labeled, text, sourcesById } = labelPartials(group);
+  const response = await generateStructured(provider, {
+    task: 'merge_summary',
+    prompt: buildMergePrompt(text, scope),
+    text,
+    input: { scope, partials: labeled },
+    schema: MERGED_SUMMARY_SCHEMA
+  });
+  if (response.error) return response;
+  return {
+    title: response.title,
+    summary: response.summary,
+    keywords: dedupeKeywords(response.keywords),
+    language: response.language,
+    objectives: response.learning_objectives.map(objective => ({
+      text: objective.text,
+      // Ids the model made up simply contribute no sources
+      sources: uniqueSources(objective.source_ids.flatMap(id => sourcesById.get(id) || []))
+    }))
+  };
+}
+
+const partialTokens = (partial) => estimateTokens(
+  [partial.summary, ...partial.keywords, ...partial.objectives.map(objective => objective.text)].join(' ')
+);
+
+// Groups partials so each merge prompt stays within the budget. Groups hold
+// at least two partials, so every round reduces their number.
+function groupPartials(partials) {
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+  partials.forEach(partial => {
+    const size = partialTokens(partial);
+    if (current.length >= 2 && tokens + size > AI_CHUNK_TOKENS) {
+      groups.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(partial);
+    tokens += size;
+  });
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+async function mergePartials(provider, partials, scope) {
+  let level = partials;
+  for (;;) {
+    const merged = [];
+    for (const group of groupPartials(level)) {
+      const result = await mergeGroup(provider, group, scope);
+      if (result.error) return result;
+      merged.push(result);
+    }
+    if (merged.length === 1) return merged[0];
+    level = merged;
+  }
+}
+
+function toMetadata(merged) {
+  return {
+    title: merged.title,
+    summary: merged.summary,
+    keywords: merged.keywords,
+    learning_objectives: merged.objectives.map(objective => objective.text),
+    language: merged.language,
+    // Which chunks (and so which pages) each learning objective comes from
+    objective_sources: merged.objectives.map(objective => ({ objective: objective.text, sources: objective.sources }))
+  };
+}
+
+// --- Entry points ---
+
+// Summarizes the pages of one SCO ([{ file, text }]) into metadata. Content
+// that fits into one chunk takes a single call.
+export async function summarizeSco(provider, pages) {
+  const allChunks = chunkPages(pages, { maxTokens: AI_CHUNK_TOKENS });
+  if (!allChunks.length) {
+    return { error: 'No text to summarize', error_type: 'empty_input' };
+  }
+  const chunks = allChunks.slice(0, AI_MAX_CHUNKS);
+  const chunking = {
+    chunk_tokens: AI_CHUNK_TOKENS,
+    chunks: chunks.map(describeChunk),
+    skipped_chunks: allChunks.length - chunks.length
+  };
+
+  if (chunks.length === 1) {
+    const metadata = await generateMetadata(provider, chunks[0].text);
+    if (metadata.error) return metadata;
+    const sources = chunkSources(chunks[0]);
+    return {
+      ...metadata,
+      keywords: dedupeKeywords(metadata.keywords),
+      objective_sources: metadata.learning_objectives.map(objective => ({ objective, sources })),
+      ...chunking
+    };
+  }
+
+  console.log(`summarizeSco: Summarizing ${chunks.length} chunk(s) with ${provider.name}`);
+  const partials = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const partial = await summarizeChunk(provider, chunk, index, chunks.length);
+    if (partial.error) return partial;
+    partials.push(partial);
+  }
+  const merged = await mergePartials(provider, partials, 'module');
+  if (merged.error) return merged;
+  return { ...toMetadata(merged), ...chunking };
+}
+
+// Rolls the SCO metadata of a course ([{ sco_id, title, metadata }]) up into
+// a course summary. Objective sources gain the sco_id they belong to.
+export async function summarizeCourse(provider, scoEntries) {
+  const partials = scoEntries
+    .filter(entry => entry.metadata && typeof entry.metadata.summary === 'string' && !entry.metadata.error)
+    .map(({ sco_id, title, metadata }) => {
+      const objectiveSources = metadata.objective_sources
+        || (metadata.learning_objectives || []).map(objective => ({ objective, sources: [] }));
+      return {
+        summary: title ? `${title}: ${metadata.summary}` : metadata.summary,
+        keywords: metadata.keywords || [],
+        objectives: objectiveSources.map(entry => ({
+          text: entry.objective,
+          sources: entry.sources.length
+            ? entry.sources.map(source => ({ sco_id, ...source }))
+            : [{ sco_id }]
+        }))
+      };
+    });
+  if (!partials.length) {
+    return { error: 'No SCO summaries to roll up', error_type: 'empty_input' };
+  }
+
+  console.log(`summarizeCourse: Rolling up ${partials.length} SCO summaries with ${provider.name}`);
+  const merged = await mergePartials(provider, partials, 'course');
+  if (merged.error) return merged;
+  const metadata = toMetadata(merged);
+  return {
+    ...metadata,
+    // The merged keywords first, then every SCO keyword not already covered
+    keywords: dedupeKeywords([...metadata.keywords, ...partials.flatMap(partial => partial.keywords)]),
+    sco_count: partials.length
+  };
+}
@@ -0,0 +1,247 @@
+import { summarizeCmi, parseDuration } from '../cmiModel.js';
+import { buildActivityTree, summarizeActivities } from '../sequencingEngine.js';
+import { analyzeItems } from './itemAnalysis.js';
+
+// --- Course Report ---
+// Aggregates the learner attempts of a course for instructors: completion
+// and pass rates, score distributions, time per SCO, where in the activity
+// tree learners stop, and item analysis of the recorded interactions.
+//
+// An attempt counts as completed (and passed or failed) by the rollup of
+// the sequencing engine for SCORM 2004 attempts that have one; otherwise it
+// is completed once every SCO is, failed when any SCO failed and passed when
+// a SCO passed and none failed. Scores are percentages: scaled scores, or
+// raw scores between min and max (0 and 100 when not given).
+
+const SCORE_BUCKET_SIZE = 10;
+
+const round = (value, digits = 4) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+const rate = (count, total) => (total ? round(count / total) : null);
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+export function scorePercent(score) {
+  if (!score) return null;
+  if (score.scaled !== null && Number.isFinite(score.scaled)) return clampPercent(score.scaled * 100);
+  if (score.raw === null || !Number.isFinite(score.raw)) return null;
+  const min = Number.isFinite(score.min) && score.min !== null ? score.min : 0;
+  const max = Number.isFinite(score.max) && score.max !== null ? score.max : 100;
+  if (max <= min) return null;
+  return clampPercent(((score.raw - min) / (max - min)) * 100);
+}
+
+// Counts per 10-point range; 100 falls into the last one
+export function scoreDistribution(percents) {
+  const buckets = [];
+  for (let start = 0; start < 100; start += SCORE_BUCKET_SIZE) {
+    buckets.push({ range: `${start}-${start + SCORE_BUCKET_SIZE}`, min: start, max: start + SCORE_BUCKET_SIZE, count: 0 });
+  }
+  percents.forEach(percent => {
+    const index = Math.min(buckets.length - 1, Math.floor(percent / SCORE_BUCKET_SIZE));
+    buckets[index].count += 1;
+  });
+  return buckets;
+}
+
+// The sequencing rollup of the root activity, when the attempt has one that
+// fits the current activity tree (a revision may have changed the tree)
+function rootRollup(tree, attempt) {
+  if (!tree || !attempt.sequencing) return null;
+  try {
+    return summarizeActivities(tree, attempt.sequencing)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+function evaluateAttempt(course, tree, attempt) {
+  const version = attempt.scorm_version;
+  const scos = {};
+  Object.entries(attempt.scos || {}).forEach(([scoId, state]) => {
+    const summary = summarizeCmi(version, state.cmi || {});
+    scos[scoId] = {
+      launched: Boolean(state.launch_count || state.commit_count),
+      completed: summary.completion_status === 'completed',
+      success_status: summary.success_status,
+      score: scorePercent(summary.score),
+      time_seconds: parseDuration(version, summary.total_time) / 100,
+      interactions: summary.interactions
+    };
+  });
+
+  const courseScoIds = (course.scos || []).map(sco => sco.identifier);
+  const launched = Object.values(scos).filter(sco => sco.launched);
+  const rollup = rootRollup(tree, attempt);
+
+  const completed = rollup && rollup.completion_status !== 'unknown'
+    ? rollup.completion_status === 'completed'
+    : courseScoIds.length > 0 && courseScoIds.every(id => scos[id] && scos[id].completed);
+
+  let successStatus = 'unknown';
+  if (rollup && rollup.success_status !== 'unknown') {
+    successStatus = rollup.success_status;
+  } else if (launched.some(sco => sco.success_status === 'failed')) {
+    successStatus = 'failed';
+  } else if (launched.some(sco => sco.success_status === 'passed')) {
+    successStatus = 'passed';
+  }
+
+  const scoScores = launched.map(sco => sco.score).filter(score => score !== null);
+  const score = rollup && rollup.normalized_measure !== null
+    ? clampPercent(rollup.normalized_measure * 100)
+    : mean(scoScores);
+
+  return {
+    attempt,
+    scos,
+    started: launched.length > 0,
+    completed,
+    success_status: successStatus,
+    score,
+    time_seconds: launched.reduce((sum, sco) => sum + sco.time_seconds, 0)
+  };
+}
+
+function buildOverview(evaluated) {
+  const scores = evaluated.map(entry => entry.score).filter(score => score !== null);
+  const times = evaluated.filter(entry => entry.started).map(entry => entry.time_seconds);
+  const passed = evaluated.filter(entry => entry.success_status === 'passed').length;
+  const failed = evaluated.filter(entry => entry.success_status === 'failed').length;
+  const completed = evaluated.filter(entry => entry.completed).length;
+  return {
+    attempt_count: evaluated.length,
+    learner_count: new Set(evaluated.map(entry => entry.attempt.learner_id)).size,
+    started_count: evaluated.filter(entry => entry.started).length,
+    completed_count: completed,
+    completion_rate: rate(completed, evaluated.length),
+    passed_count: passed,
+    failed_count: failed,
+    // Of the attempts with a pass/fail outcome
+    pass_rate: rate(passed, passed + failed),
+    scored_count: scores.length,
+    average_score: round(mean(scores), 2),
+    median_score: round(median(scores), 2),
+    average_time_seconds: round(mean(times), 2),
+    median_time_seconds: round(median(times), 2),
+    last_activity_at: evaluated.reduce((latest, entry) => (entry.attempt.updated_at > latest ? entry.attempt.updated_at : latest), '') || null
+  };
+}
+
+function buildScoReport(course, evaluated) {
+  return (course.scos || []).map(sco => {
+    const states = evaluated.map(entry => entry.scos[sco.identifier]).filter(state => state && state.launched);
+    const scores = states.map(state => state.score).filter(score => score !== null);
+    const times = states.map(state => state.time_seconds);
+    const passed = states.filter(state => state.success_status === 'passed').length;
+    const failed = states.filter(state => state.success_status === 'failed').length;
+    const completed = states.filter(state => state.completed).length;
+    return {
+      sco_id: sco.identifier,
+      title: sco.title || sco.identifier,
+      launched_count: states.length,
+      completed_count: completed,
+      completion_rate: rate(completed, states.length),
+      passed_count: passed,
+      failed_count: failed,
+      pass_rate: rate(passed, passed + failed),
+      scored_count: scores.length,
+      average_score: round(mean(scores), 2),
+      median_score: round(median(scores), 2),
+      total_time_seconds: round(times.reduce((sum, time) => sum + time, 0), 2),
+      average_time_seconds: round(mean(times), 2),
+      median_time_seconds: round(median(times), 2),
+      score_distribution: scoreDistribution(scores)
+    };
+  });
+}
+
+// Activity tree in order with, per activity, how many attempts reached it
+// (launched it or something below it), completed it, and stopped there: the
+// attempt isn't completed and this is the last SCO it launched
+function buildDropOff(course, tree, evaluated) {
+  const flatTree = tree
+    ? tree.order.slice(1).map(id => {
+      const activity = tree.activities[id];
+      let depth = 0;
+      for (let parent = activity.parent; parent && parent !== tree.root; parent = tree.activities[parent].parent) depth += 1;
+      return { identifier: id, title: activity.title, parent: activity.parent === tree.root ? null : activity.parent, depth, children: activity.children };
+    })
+    : (course.scos || []).map(sco => ({ identifier: sco.identifier, title: sco.title, parent: null, depth: 0, children: [] }));
+
+  const byId = new Map(flatTree.map(node => [node.identifier, node]));
+  const leavesOf = (node) => (node.children.length ? node.children.flatMap(child => leavesOf(byId.get(child))) : [node.identifier]);
+
+  return flatTree.map(node => {
+    const leaves = leavesOf(node);
+    const reached = evaluated.filter(entry => leaves.some(id => entry.scos[id] && entry.scos[id].launched));
+    const completed = reached.filter(entry => leaves.every(id => entry.scos[id] && entry.scos[id].completed));
+    const dropped = evaluated.filter(entry => !entry.completed && leaves.includes(entry.attempt.last_sco_id));
+    return {
+      identifier: node.identifier,
+      title: node.title || node.identifier,
+      parent: node.parent,
+      depth: node.depth,
+      is_leaf: node.children.length === 0,
+      reached_count: reached.length,
+      reached_rate: rate(reached.length, evaluated.length),
+      completed_count: completed.length,
+      dropped_count: dropped.length,
+      drop_off_rate: rate(dropped.length, reached.length)
+    };
+  });
+}
+
+function toAttemptRow(entry) {
+  const { attempt } = entry;
+  return {
+    attempt_id: attempt.id,
+    learner_id: attempt.learner_id,
+    learner_name: attempt.learner_name,
+    status: attempt.status,
+    completed: entry.completed,
+    success_status: entry.success_status,
+    score: round(entry.score, 2),
+    time_seconds: round(entry.time_seconds, 2),
+    scos_launched: Object.values(entry.scos).filter(sco => sco.launched).length,
+    last_sco_id: attempt.last_sco_id || null,
+    started_at: attempt.started_at,
+    updated_at: attempt.updated_at
+  };
+}
+
+// Completion, success, score (percent) and time of one attempt, e.g. to
+// report it to another system
+export function summarizeAttempt(course, attempt) {
+  const { completed, success_status: successStatus, score, time_seconds: timeSeconds } = evaluateAttempt(course, buildActivityTree(course.manifest), attempt);
+  return { completed, success_status: successStatus, score: round(score, 2), time_seconds: round(timeSeconds, 2) };
+}
+
+// The overview alone, for listing all courses
+export function buildCourseOverview(course, attempts) {
+  const tree = buildActivityTree(course.manifest);
+  return buildOverview(attempts.map(attempt => evaluateAttempt(course, tree, attempt)));
+}
+
+export function buildCourseReport(course, attempts) {
+  const tree = buildActivityTree(course.manifest);
+  const evaluated = attempts.map(attempt => evaluateAttempt(course, tree, attempt));
+  return {
+    course_id: course.id,
+    title: course.title,
+    generated_at: new Date().toISOString(),
+    overview: buildOverview(evaluated),
+    score_distribution: scoreDistribution(evaluated.map(entry => entry.score).filter(score => score !== null)),
+    scos: buildScoReport(course, evaluated),
+    drop_off: buildDropOff(course, tree, evaluated),
+    items: analyzeItems(course, evaluated),
+    attempts: evaluated.map(toAttemptRow)
+  };
+}
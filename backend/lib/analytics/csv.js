@@ -0,0 +1,22 @@
+// --- CSV ---
+// RFC 4180 CSV for the analytics reports. Text cells starting with = + - @
+// are prefixed with a quote so spreadsheets don't run them as formulas;
+// learner responses and titles come from course content and learners.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return formatCell(value.join('; '));
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]; rows: plain objects
+export function toCsv(columns, rows) {
+  const lines = [columns.map(column => formatCell(column.label || column.key)).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCell(row[column.key])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
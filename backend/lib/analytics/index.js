@@ -0,0 +1,149 @@
+import { getCourse, listCourses } from '../courseStore.js';
+import { listAttempts } from '../attemptStore.js';
+import { buildCourseReport, buildCourseOverview } from './courseReport.js';
+import { toCsv } from './csv.js';
+
+// --- Learner Analytics ---
+// Entry point of the reporting layer. A course report has several sections
+// (see courseReport.js); each one is also available on its own as JSON or
+// CSV. Reports are computed from the stored attempts on every request.
+
+const OVERVIEW_COLUMNS = [
+  { key: 'attempt_count', label: 'Attempts' },
+  { key: 'learner_count', label: 'Learners' },
+  { key: 'started_count', label: 'Started' },
+  { key: 'completed_count', label: 'Completed' },
+  { key: 'completion_rate', label: 'Completion rate' },
+  { key: 'passed_count', label: 'Passed' },
+  { key: 'failed_count', label: 'Failed' },
+  { key: 'pass_rate', label: 'Pass rate' },
+  { key: 'scored_count', label: 'Scored attempts' },
+  { key: 'average_score', label: 'Average score (%)' },
+  { key: 'median_score', label: 'Median score (%)' },
+  { key: 'average_time_seconds', label: 'Average time (s)' },
+  { key: 'median_time_seconds', label: 'Median time (s)' },
+  { key: 'last_activity_at', label: 'Last activity' }
+];
+
+// Sections of a course report: where their rows come from and their CSV columns
+export const REPORT_SECTIONS = {
+  overview: {
+    rows: (report) => [{ course_id: report.course_id, title: report.title, ...report.overview }],
+    columns: [{ key: 'course_id', label: 'Course ID' }, { key: 'title', label: 'Course' }, ...OVERVIEW_COLUMNS]
+  },
+  scores: {
+    // The course distribution first, then one per SCO
+    rows: (report) => [
+      ...report.score_distribution.map(bucket => ({ scope: 'course', sco_id: null, title: report.title, ...bucket })),
+      ...report.scos.flatMap(sco => sco.score_distribution.map(bucket => ({ scope: 'sco', sco_id: sco.sco_id, title: sco.title, ...bucket })))
+    ],
+    columns: [
+      { key: 'scope', label: 'Scope' },
+      { key: 'sco_id', label: 'SCO ID' },
+      { key: 'title', label: 'Title' },
+      { key: 'range', label: 'Score range (%)' },
+      { key: 'count', label: 'Count' }
+    ]
+  },
+  scos: {
+    rows: (report) => report.scos,
+    columns: [
+      { key: 'sco_id', label: 'SCO ID' },
+      { key: 'title', label: 'SCO' },
+      { key: 'launched_count', label: 'Launched' },
+      { key: 'completed_count', label: 'Completed' },
+      { key: 'completion_rate', label: 'Completion rate' },
+      { key: 'passed_count', label: 'Passed' },
+      { key: 'failed_count', label: 'Failed' },
+      { key: 'pass_rate', label: 'Pass rate' },
+      { key: 'average_score', label: 'Average score (%)' },
+      { key: 'median_score', label: 'Median score (%)' },
+      { key: 'total_time_seconds', label: 'Total time (s)' },
+      { key: 'average_time_seconds', label: 'Average time (s)' },
+      { key: 'median_time_seconds', label: 'Median time (s)' }
+    ]
+  },
+  'drop-off': {
+    rows: (report) => report.drop_off,
+    columns: [
+      { key: 'identifier', label: 'Activity ID' },
+      { key: 'title', label: 'Activity' },
+      { key: 'parent', label: 'Parent' },
+      { key: 'depth', label: 'Depth' },
+      { key: 'reached_count', label: 'Reached' },
+      { key: 'reached_rate', label: 'Reached rate' },
+      { key: 'completed_count', label: 'Completed' },
+      { key: 'dropped_count', label: 'Stopped here' },
+      { key: 'drop_off_rate', label: 'Drop-off rate' }
+    ]
+  },
+  items: {
+    rows: (report) => report.items.map(item => ({
+      ...item,
+      distractor: item.most_chosen_distractor ? item.most_chosen_distractor.response : null,
+      distractor_count: item.most_chosen_distractor ? item.most_chosen_distractor.count : null
+    })),
+    columns: [
+      { key: 'sco_id', label: 'SCO ID' },
+      { key: 'sco_title', label: 'SCO' },
+      { key: 'interaction_id', label: 'Question ID' },
+      { key: 'type', label: 'Type' },
+      { key: 'description', label: 'Description' },
+      { key: 'correct_response', label: 'Correct response' },
+      { key: 'response_count', label: 'Responses' },
+      { key: 'scored_count', label: 'Scored' },
+      { key: 'correct_count', label: 'Correct' },
+      { key: 'difficulty', label: 'Difficulty (p)' },
+      { key: 'discrimination', label: 'Discrimination (D)' },
+      { key: 'distractor', label: 'Most chosen distractor' },
+      { key: 'distractor_count', label: 'Distractor count' },
+      { key: 'flags', label: 'Flags' }
+    ]
+  },
+  attempts: {
+    rows: (report) => report.attempts,
+    columns: [
+      { key: 'attempt_id', label: 'Attempt ID' },
+      { key: 'learner_id', label: 'Learner ID' },
+      { key: 'learner_name', label: 'Learner' },
+      { key: 'status', label: 'Status' },
+      { key: 'completed', label: 'Completed' },
+      { key: 'success_status', label: 'Success' },
+      { key: 'score', label: 'Score (%)' },
+      { key: 'time_seconds', label: 'Time (s)' },
+      { key: 'scos_launched', label: 'SCOs launched' },
+      { key: 'last_sco_id', label: 'Last SCO' },
+      { key: 'started_at', label: 'Started' },
+      { key: 'updated_at', label: 'Updated' }
+    ]
+  }
+};
+
+// Returns the report, or null when the course doesn't exist
+export async function getCourseReport(courseId) {
+  const course = await getCourse(courseId);
+  if (!course) return null;
+  return buildCourseReport(course, await listAttempts({ courseId }));
+}
+
+export function reportSectionToCsv(section, report) {
+  const { rows, columns } = REPORT_SECTIONS[section];
+  return toCsv(columns, rows(report));
+}
+
+// Overview of every course (or those of one tenant), most recently active first
+export async function listCourseOverviews({ tenantId = null } = {}) {
+  const [courses, attempts] = await Promise.all([listCourses({ tenantId }), listAttempts()]);
+  const byCourse = new Map();
+  attempts.forEach(attempt => {
+    if (!byCourse.has(attempt.course_id)) byCourse.set(attempt.course_id, []);
+    byCourse.get(attempt.course_id).push(attempt);
+  });
+  return courses
+    .map(course => ({ course_id: course.id, title: course.title, ...buildCourseOverview(course, byCourse.get(course.id) || []) }))
+    .sort((a, b) => String(b.last_activity_at || '').localeCompare(String(a.last_activity_at || '')));
+}
+
+export function courseOverviewsToCsv(overviews) {
+  return toCsv(REPORT_SECTIONS.overview.columns, overviews);
+}
@@ -0,0 +1,156 @@
+// --- Item Analysis ---
+// Classical test statistics per question, built from the cmi.interactions
+// the SCOs stored in learner attempts. A question is one interaction id
+// within one SCO; when a SCO recorded the same id several times (journaling)
+// the last record of each attempt counts.
+//   difficulty       share of scored responses that were correct (the
+//                    p-value: high means easy)
+//   discrimination   upper-lower index: share correct among the top 27% of
+//                    respondents minus share correct among the bottom 27%,
+//                    ranked by their share of correct answers overall
+//   distractors      the incorrect responses, most chosen first
+
+// Below this many scored responses discrimination isn't reported
+const MIN_DISCRIMINATION_RESPONSES = 5;
+const GROUP_SHARE = 0.27;
+const MAX_LISTED_RESPONSES = 10;
+
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+function correctPatterns(record) {
+  return (record.correct_responses || [])
+    .map(entry => entry && entry.pattern)
+    .filter(pattern => pattern !== undefined && pattern !== '');
+}
+
+// 'correct', 'incorrect' or null when the response can't be scored.
+// SCORM 1.2 says "wrong" where 2004 says "incorrect". Without a usable
+// result the response is compared with the correct response pattern(s).
+function scoreResponse(record, response, patterns) {
+  const result = String(record.result || '').toLowerCase();
+  if (result === 'correct') return 'correct';
+  if (result === 'incorrect' || result === 'wrong') return 'incorrect';
+  if (response !== null && patterns.length) return patterns.includes(response) ? 'correct' : 'incorrect';
+  return null;
+}
+
+// Every answered interaction of the evaluated attempts, one per attempt and
+// question
+function collectResponses(evaluated) {
+  const responses = [];
+  evaluated.forEach(({ attempt, scos }) => {
+    Object.entries(scos).forEach(([scoId, sco]) => {
+      const latest = new Map();
+      sco.interactions.forEach(record => {
+        if (record && record.id) latest.set(record.id, record);
+      });
+      latest.forEach((record, interactionId) => {
+        const rawResponse = record.learner_response ?? record.student_response;
+        const response = rawResponse === undefined || rawResponse === '' ? null : String(rawResponse);
+        const patterns = correctPatterns(record);
+        responses.push({
+          attempt_id: attempt.id,
+          sco_id: scoId,
+          interaction_id: interactionId,
+          type: record.type || null,
+          description: record.description || null,
+          response,
+          patterns,
+          outcome: scoreResponse(record, response, patterns)
+        });
+      });
+    });
+  });
+  return responses;
+}
+
+function discriminationIndex(scored, attemptTotals) {
+  if (scored.length < MIN_DISCRIMINATION_RESPONSES) return null;
+  const ranked = [...scored].sort((a, b) => attemptTotals.get(b.attempt_id) - attemptTotals.get(a.attempt_id));
+  const groupSize = Math.max(1, Math.round(ranked.length * GROUP_SHARE));
+  const shareCorrect = (group) => group.filter(entry => entry.outcome === 'correct').length / group.length;
+  return shareCorrect(ranked.slice(0, groupSize)) - shareCorrect(ranked.slice(-groupSize));
+}
+
+function itemFlags(difficulty, discrimination) {
+  const flags = [];
+  if (difficulty !== null && difficulty > 0.9) flags.push('too_easy');
+  if (difficulty !== null && difficulty < 0.2) flags.push('too_hard');
+  if (discrimination !== null && discrimination < 0) flags.push('negative_discrimination');
+  else if (discrimination !== null && discrimination < 0.2) flags.push('low_discrimination');
+  return flags;
+}
+
+// Returns one entry per question, in SCO order and then in the order the
+// questions were first seen
+export function analyzeItems(course, evaluated) {
+  const responses = collectResponses(evaluated);
+
+  // Each attempt's share of correct answers, for ranking respondents
+  const attemptTotals = new Map();
+  const perAttempt = new Map();
+  responses.filter(entry => entry.outcome).forEach(entry => {
+    const totals = perAttempt.get(entry.attempt_id) || { correct: 0, scored: 0 };
+    totals.scored += 1;
+    if (entry.outcome === 'correct') totals.correct += 1;
+    perAttempt.set(entry.attempt_id, totals);
+  });
+  perAttempt.forEach((totals, attemptId) => attemptTotals.set(attemptId, totals.correct / totals.scored));
+
+  const items = new Map();
+  responses.forEach(entry => {
+    const key = `${entry.sco_id}\u0000${entry.interaction_id}`;
+    if (!items.has(key)) items.set(key, { sco_id: entry.sco_id, interaction_id: entry.interaction_id, entries: [] });
+    items.get(key).entries.push(entry);
+  });
+
+  const scoOrder = new Map((course.scos || []).map((sco, index) => [sco.identifier, index]));
+  const scoTitles = new Map((course.scos || []).map(sco => [sco.identifier, sco.title || sco.identifier]));
+
+  return [...items.values()]
+    .map(({ sco_id: scoId, interaction_id: interactionId, entries }) => {
+      const scored = entries.filter(entry => entry.outcome);
+      const correct = scored.filter(entry => entry.outcome === 'correct').length;
+      const difficulty = scored.length ? correct / scored.length : null;
+      const discrimination = discriminationIndex(scored, attemptTotals);
+
+      const counts = new Map();
+      entries.filter(entry => entry.response !== null).forEach(entry => {
+        const count = counts.get(entry.response) || { response: entry.response, count: 0, correct: null };
+        count.count += 1;
+        if (count.correct === null && entry.outcome) count.correct = entry.outcome === 'correct';
+        counts.set(entry.response, count);
+      });
+      const responseCounts = [...counts.values()].sort((a, b) => b.count - a.count);
+      const incorrect = scored.length - correct;
+      const distractors = responseCounts
+        .filter(count => count.correct === false)
+        .map(count => ({ response: count.response, count: count.count, share_of_incorrect: round(count.count / incorrect) }));
+
+      const described = entries.find(entry => entry.description);
+      const typed = entries.find(entry => entry.type);
+      const withPattern = entries.find(entry => entry.patterns.length);
+      return {
+        sco_id: scoId,
+        sco_title: scoTitles.get(scoId) || scoId,
+        interaction_id: interactionId,
+        type: typed ? typed.type : null,
+        description: described ? described.description : null,
+        correct_response: withPattern ? withPattern.patterns.join(' | ') : null,
+        response_count: entries.length,
+        scored_count: scored.length,
+        correct_count: correct,
+        difficulty: round(difficulty),
+        discrimination: round(discrimination),
+        most_chosen_distractor: distractors[0] || null,
+        distractors: distractors.slice(0, MAX_LISTED_RESPONSES),
+        responses: responseCounts.slice(0, MAX_LISTED_RESPONSES),
+        flags: itemFlags(difficulty, discrimination)
+      };
+    })
+    // Course order; SCOs no longer in the course come last. Questions of a
+    // SCO by interaction id.
+    .sort((a, b) => (scoOrder.get(a.sco_id) ?? scoOrder.size) - (scoOrder.get(b.sco_id) ?? scoOrder.size)
+      || a.sco_id.localeCompare(b.sco_id)
+      || a.interaction_id.localeCompare(b.interaction_id, undefined, { numeric: true }));
+}
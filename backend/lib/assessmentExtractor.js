@@ -0,0 +1,603 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { resolvePackagePath, extractScoDocument } from './structuredContent.js';
+
+// --- Assessment Extraction ---
+// Finds quiz questions in a package without running any of its code:
+//  - constructor calls such as new Question(id, text, type, answers, correct, objective)
+//    (the pattern of the ADL/Rustici golf samples' questions.js files)
+//  - object literals with a question text and choices or a correct answer,
+//    e.g. questions.push({ id, question, choices, answer })
+//  - radio/checkbox groups, selects and text fields of inline HTML forms
+// Every hit becomes a normalized item:
+//   { id, stem, type, choices: [{ id, text }], correct_response: [...],
+//     objective_id, sco_ids, source: { file, line, pattern } }
+// type is one of choice, multiple_response, true_false, numeric or fill_in.
+
+// Larger scripts are almost certainly libraries, not question definitions
+const MAX_SCRIPT_BYTES = 1024 * 1024;
+
+const STEM_KEYS = ['question', 'stem', 'prompt', 'text', 'questionText', 'question_text'];
+const CHOICE_KEYS = ['choices', 'answers', 'options', 'distractors'];
+const CORRECT_KEYS = ['correct', 'correctAnswer', 'correct_answer', 'correctResponse', 'correct_response', 'answer', 'solution'];
+const TYPE_KEYS = ['type', 'questionType', 'question_type', 'kind'];
+const OBJECTIVE_KEYS = ['objective', 'objectiveId', 'objective_id', 'objectiveID'];
+
+// --- JavaScript literal reader ---
+// Reads the literal subset question definitions are written in: strings
+// (with + concatenation), numbers, booleans, null, arrays, new Array(...),
+// object literals, identifiers and calls. Anything else throws, which just
+// means "not a question definition here".
+
+function createLiteralReader(source, start) {
+  let pos = start;
+
+  const fail = () => {
+    throw new Error(`Unsupported syntax at ${pos}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      const rest = source.slice(pos, pos + 2);
+      if (/\s/.test(source[pos] || '')) pos += 1;
+      else if (rest === '//') pos = source.indexOf('\n', pos) === -1 ? source.length : source.indexOf('\n', pos);
+      else if (rest === '/*') pos = source.indexOf('*/', pos) === -1 ? source.length : source.indexOf('*/', pos) + 2;
+      else return;
+    }
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (source[pos] !== char) fail();
+    pos += 1;
+  };
+
+  const readString = (quote) => {
+    pos += 1;
+    let value = '';
+    while (pos < source.length && source[pos] !== quote) {
+      let char = source[pos];
+      if (quote === '`' && char === '$' && source[pos + 1] === '{') fail();
+      if (char === '\\') {
+        pos += 1;
+        char = source[pos];
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+        if (char === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(pos + 1, pos + 5))) {
+          value += String.fromCharCode(parseInt(source.slice(pos + 1, pos + 5), 16));
+          pos += 5;
+          continue;
+        }
+        if (char === '\n') {
+          pos += 1;
+          continue;
+        }
+        value += escapes[char] !== undefined ? escapes[char] : char;
+        pos += 1;
+        continue;
+      }
+      if (char === '\n' && quote !== '`') fail();
+      value += char;
+      pos += 1;
+    }
+    if (source[pos] !== quote) fail();
+    pos += 1;
+    return value;
+  };
+
+  const readList = (close) => {
+    const values = [];
+    skipSpace();
+    if (source[pos] === close) {
+      pos += 1;
+      return values;
+    }
+    for (;;) {
+      values.push(readValue());
+      skipSpace();
+      if (source[pos] === ',') {
+        pos += 1;
+        skipSpace();
+        if (source[pos] === close) { // trailing comma
+          pos += 1;
+          return values;
+        }
+        continue;
+      }
+      if (source[pos] === close) {
+        pos += 1;
+        return values;
+      }
+      fail();
+    }
+  };
+
+  const readObject = () => {
+    pos += 1;
+    const object = {};
+    for (;;) {
+      skipSpace();
+      if (source[pos] === '}') {
+        pos += 1;
+        return object;
+      }
+      let key;
+      if (source[pos] === '"' || source[pos] === "'") {
+        key = readString(source[pos]);
+      } else {
+        const match = /[A-Za-z_$][\w$]*|\d+/y;
+        match.lastIndex = pos;
+        const found = match.exec(source);
+        if (!found) fail();
+        key = found[0];
+        pos += key.length;
+      }
+      expect(':');
+      object[key] = readValue();
+      skipSpace();
+      if (source[pos] === ',') pos += 1;
+      else if (source[pos] !== '}') fail();
+    }
+  };
+
+  const readPrimary = () => {
+    skipSpace();
+    const char = source[pos];
+    if (char === '"' || char === "'" || char === '`') return readString(char);
+    if (char === '[') {
+      pos += 1;
+      return readList(']');
+    }
+    if (char === '{') return readObject();
+    if (char === '(') {
+      pos += 1;
+      const value = readValue();
+      expect(')');
+      return value;
+    }
+
+    const number = /-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    number.lastIndex = pos;
+    const numberMatch = number.exec(source);
+    if (numberMatch) {
+      pos += numberMatch[0].length;
+      return Number(numberMatch[0]);
+    }
+
+    const identifier = /[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/y;
+    identifier.lastIndex = pos;
+    const identifierMatch = identifier.exec(source);
+    if (!identifierMatch) fail();
+    const name = identifierMatch[0];
+    pos += name.length;
+
+    if (name === 'true') return true;
+    if (name === 'false') return false;
+    if (name === 'null' || name === 'undefined') return null;
+    if (name === 'new') {
+      skipSpace();
+      identifier.lastIndex = pos;
+      const constructorMatch = identifier.exec(source);
+      if (!constructorMatch) fail();
+      pos += constructorMatch[0].length;
+      skipSpace();
+      const args = source[pos] === '(' ? (pos += 1, readList(')')) : [];
+      if (constructorMatch[0] === 'Array') {
+        // new Array(3) creates an empty array of length 3
+        return args.length === 1 && typeof args[0] === 'number' ? [] : args;
+      }
+      if (constructorMatch[0] === 'String' || constructorMatch[0] === 'Number' || constructorMatch[0] === 'Boolean') {
+        return args[0];
+      }
+      return { $new: constructorMatch[0], args };
+    }
+
+    skipSpace();
+    if (source[pos] === '(') {
+      pos += 1;
+      return { $call: name, args: readList(')') };
+    }
+    return { $identifier: name };
+  };
+
+  const readValue = () => {
+    let value = readPrimary();
+    skipSpace();
+    while (source[pos] === '+' && source[pos + 1] !== '+' && source[pos + 1] !== '=') {
+      pos += 1;
+      const right = readPrimary();
+      value = `${literalToString(value)}${literalToString(right)}`;
+      skipSpace();
+    }
+    return value;
+  };
+
+  return {
+    readValue,
+    readArguments() {
+      pos += 1;
+      return readList(')');
+    },
+    readObject,
+    get position() {
+      return pos;
+    }
+  };
+}
+
+function literalToString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return value.$identifier || '';
+  return String(value);
+}
+
+// --- Normalization ---
+
+const stripHtml = (value) => String(value)
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/\s+/g, ' ')
+  .replace(/ ([.,;:!?])/g, '$1')
+  .trim();
+
+const choiceId = (index) => (index < 26 ? String.fromCharCode(65 + index) : `C${index + 1}`);
+
+function pickKey(object, keys) {
+  const key = keys.find(candidate => object[candidate] !== undefined && object[candidate] !== null);
+  return key === undefined ? undefined : object[key];
+}
+
+// Maps a type value (string, or constant name resolved through the scripts'
+// constants) to one of the normalized item types
+function resolveType(typeValue, constants) {
+  let type = typeValue;
+  if (type && typeof type === 'object' && type.$identifier) {
+    type = constants.get(type.$identifier) || type.$identifier;
+  }
+  if (typeof type !== 'string') return null;
+  const normalized = type.toLowerCase().replace(/[^a-z]/g, '');
+  if (/multi|checkbox|multipleresponse|multiplechoicemulti/.test(normalized)) return 'multiple_response';
+  if (/truefalse|^tf$|typetf$|boolean|yesno/.test(normalized)) return 'true_false';
+  if (/numeric|number|integer|decimal/.test(normalized)) return 'numeric';
+  if (/fillin|fillintheblank|text|shortanswer|blank/.test(normalized)) return 'fill_in';
+  if (/choice|mc|radio|select/.test(normalized)) return 'choice';
+  return null;
+}
+
+function toChoice(value, index) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const text = pickKey(value, ['text', 'label', 'value', 'answer', 'choice', 'content']);
+    const correct = pickKey(value, ['correct', 'isCorrect', 'is_correct', 'right']);
+    return { id: choiceId(index), text: stripHtml(literalToString(text)), correct: correct === true || correct === 'true' };
+  }
+  return { id: choiceId(index), text: stripHtml(literalToString(value)), correct: false };
+}
+
+// Builds a normalized item from the raw parts of a question definition, or
+// returns null when the parts don't describe a usable question
+export function normalizeItem({ id, stem, type, choices, correct, objective }, constants = new Map()) {
+  const stemText = stripHtml(literalToString(stem));
+  if (!stemText) return null;
+
+  const choiceList = Array.isArray(choices) ? choices.map(toChoice).filter(choice => choice.text) : [];
+  const correctValues = (Array.isArray(correct) ? correct : [correct])
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  let itemType = resolveType(type, constants);
+  if (!itemType) {
+    if (typeof correct === 'boolean' || ['true', 'false'].includes(String(correct).toLowerCase()) && !choiceList.length) itemType = 'true_false';
+    else if (choiceList.length) itemType = correctValues.length > 1 ? 'multiple_response' : 'choice';
+    else if (typeof correct === 'number') itemType = 'numeric';
+    else itemType = 'fill_in';
+  }
+  if ((itemType === 'choice' || itemType === 'multiple_response') && !choiceList.length) {
+    itemType = typeof correct === 'number' ? 'numeric' : 'fill_in';
+  }
+
+  let itemChoices = [];
+  let correctResponse = [];
+  if (itemType === 'true_false') {
+    itemChoices = [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }];
+    correctResponse = correctValues.map(value => String(value).toLowerCase()).filter(value => value === 'true' || value === 'false');
+  } else if (itemType === 'choice' || itemType === 'multiple_response') {
+    itemChoices = choiceList.map(({ id: choiceIdentifier, text }) => ({ id: choiceIdentifier, text }));
+    const flagged = choiceList.filter(choice => choice.correct).map(choice => choice.id);
+    const matched = correctValues.map(value => {
+      const text = stripHtml(literalToString(value)).toLowerCase();
+      const byText = choiceList.find(choice => choice.text.toLowerCase() === text);
+      if (byText) return byText.id;
+      // A number that isn't a choice text is taken as a (zero-based) index
+      if (typeof value === 'number' && Number.isInteger(value) && choiceList[value]) return choiceList[value].id;
+      const byId = choiceList.find(choice => choice.id.toLowerCase() === text);
+      return byId ? byId.id : null;
+    }).filter(Boolean);
+    correctResponse = [...new Set([...flagged, ...matched])];
+    if (correctResponse.length > 1) itemType = 'multiple_response';
+  } else {
+    correctResponse = correctValues.map(value => literalToString(value));
+  }
+
+  return {
+    id: id !== undefined && id !== null && literalToString(id) ? literalToString(id) : null,
+    stem: stemText,
+    type: itemType,
+    choices: itemChoices,
+    correct_response: correctResponse,
+    objective_id: objective ? literalToString(objective) || null : null
+  };
+}
+
+// --- Script patterns ---
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+// String constants such as var QUESTION_TYPE_CHOICE = "choice";
+function collectConstants(source, constants) {
+  const pattern = /(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(["'])((?:\\.|(?!\2).)*)\2/g;
+  for (const match of source.matchAll(pattern)) {
+    constants.set(match[1], match[3]);
+  }
+}
+
+function extractConstructorItems(source, file, constants) {
+  const items = [];
+  const pattern = /\bnew\s+(\w*Question)\s*\(/g;
+  for (const match of source.matchAll(pattern)) {
+    try {
+      const reader = createLiteralReader(source, match.index + match[0].length - 1);
+      const args = reader.readArguments();
+      if (args.length < 2) continue;
+      const [id, stem, type, answers, correct, objective] = args;
+      const item = normalizeItem({ id, stem, type, choices: answers, correct, objective }, constants);
+      if (item) items.push({ ...item, source: { file, line: lineAt(source, match.index), pattern: 'constructor' } });
+    } catch {
+      // Not a literal argument list (e.g. the constructor's own definition)
+    }
+  }
+  return items;
+}
+
+function extractObjectItems(source, file, constants) {
+  const items = [];
+  let searchFrom = 0;
+  while (searchFrom < source.length) {
+    const start = source.indexOf('{', searchFrom);
+    if (start === -1) break;
+    searchFrom = start + 1;
+    let object;
+    let end;
+    try {
+      const reader = createLiteralReader(source, start);
+      object = reader.readObject();
+      end = reader.position;
+    } catch {
+      continue;
+    }
+    const stem = pickKey(object, STEM_KEYS);
+    const choices = pickKey(object, CHOICE_KEYS);
+    const correct = pickKey(object, CORRECT_KEYS);
+    const hasChoiceFlags = Array.isArray(choices) && choices.some(choice => choice && typeof choice === 'object'
+      && pickKey(choice, ['correct', 'isCorrect', 'is_correct', 'right']) !== undefined);
+    if (typeof stem !== 'string' || (correct === undefined && !hasChoiceFlags) || (choices !== undefined && !Array.isArray(choices))) {
+      continue;
+    }
+    const item = normalizeItem({
+      id: pickKey(object, ['id', 'identifier', 'questionId', 'question_id', 'name']),
+      stem,
+      type: pickKey(object, TYPE_KEYS),
+      choices,
+      correct,
+      objective: pickKey(object, OBJECTIVE_KEYS)
+    }, constants);
+    if (item) {
+      items.push({ ...item, source: { file, line: lineAt(source, start), pattern: 'object' } });
+      // Nested objects (e.g. the choices) belong to this question
+      searchFrom = end;
+    }
+  }
+  return items;
+}
+
+// --- HTML forms ---
+
+const cleanText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+function labelText(input, document) {
+  if (input.id) {
+    const label = document.querySelector(`label[for="${input.id.replace(/"/g, '\\"')}"]`);
+    if (label) return cleanText(label.textContent);
+  }
+  const parentLabel = input.closest('label');
+  if (parentLabel) return cleanText(parentLabel.textContent);
+  const next = input.nextSibling;
+  if (next && next.nodeType === 3 && cleanText(next.textContent)) return cleanText(next.textContent);
+  return cleanText(input.value || '');
+}
+
+// The question text of a form field: the fieldset legend, or the nearest
+// preceding element with text that isn't itself part of a question
+function findStem(element) {
+  const fieldset = element.closest('fieldset');
+  const legend = fieldset && fieldset.querySelector('legend');
+  if (legend && cleanText(legend.textContent)) return cleanText(legend.textContent);
+
+  for (let node = element; node && node.tagName && node.tagName.toUpperCase() !== 'BODY'; node = node.parentElement) {
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.querySelector('input, select, textarea') || ['INPUT', 'SELECT', 'TEXTAREA', 'LABEL', 'BR'].includes(sibling.tagName.toUpperCase())) {
+        continue;
+      }
+      const text = cleanText(sibling.textContent);
+      if (text) return text;
+    }
+  }
+  return null;
+}
+
+const isMarkedCorrect = (element) => element.hasAttribute('data-correct')
+  && element.getAttribute('data-correct') !== 'false';
+
+function extractFormItems(document, file) {
+  const items = [];
+  const source = { file, line: null, pattern: 'form' };
+
+  const groups = new Map();
+  document.querySelectorAll('input[type="radio"], input[type="checkbox"]').forEach(input => {
+    const name = input.getAttribute('name') || input.id;
+    if (!name) return;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(input);
+  });
+  groups.forEach((inputs, name) => {
+    // A lone checkbox is an option toggle rather than a question
+    if (inputs.length < 2) return;
+    const stem = findStem(inputs[0]);
+    const item = normalizeItem({
+      id: name,
+      stem,
+      type: inputs.every(input => input.type === 'radio') ? 'choice' : 'multiple_response',
+      choices: inputs.map(input => ({ text: labelText(input, document), correct: isMarkedCorrect(input) })),
+      objective: inputs[0].closest('[data-objective]') ? inputs[0].closest('[data-objective]').getAttribute('data-objective') : null
+    });
+    if (item) items.push({ ...item, source });
+  });
+
+  document.querySelectorAll('select').forEach(select => {
+    const options = [...select.options].filter(option => option.value !== '' && cleanText(option.textContent));
+    if (options.length < 2) return;
+    const label = select.id && document.querySelector(`label[for="${select.id.replace(/"/g, '\\"')}"]`);
+    const item = normalizeItem({
+      id: select.getAttribute('name') || select.id,
+      stem: label ? cleanText(label.textContent) : findStem(select),
+      type: select.multiple ? 'multiple_response' : 'choice',
+      choices: options.map(option => ({ text: cleanText(option.textContent), correct: isMarkedCorrect(option) }))
+    });
+    if (item) items.push({ ...item, source });
+  });
+
+  // Free text fields only count when they carry their answer
+  document.querySelectorAll('input[data-answer], input[data-correct], textarea[data-answer]').forEach(field => {
+    if (field.type === 'radio' || field.type === 'checkbox') return;
+    const answer = field.getAttribute('data-answer') || field.getAttribute('data-correct');
+    const label = field.id && document.querySelector(`label[for="${field.id.replace(/"/g, '\\"')}"]`);
+    const item = normalizeItem({
+      id: field.getAttribute('name') || field.id,
+      stem: label ? cleanText(label.textContent) : findStem(field),
+      type: answer !== '' && !Number.isNaN(Number(answer)) ? 'numeric' : 'fill_in',
+      correct: answer
+    });
+    if (item) items.push({ ...item, source });
+  });
+
+  return items;
+}
+
+// --- Package scanning ---
+
+async function readPackageFile(root, file) {
+  const filePath = path.resolve(root, file);
+  if (!filePath.startsWith(root + path.sep) || !existsSync(filePath)) return null;
+  const stats = await fs.stat(filePath);
+  if (!stats.isFile() || stats.size > MAX_SCRIPT_BYTES) return null;
+  return fs.readFile(filePath, 'utf-8');
+}
+
+// Script files of a SCO: .js files of its resource and its dependencies
+function collectScoScripts(manifest, sco) {
+  const resourceMap = new Map((manifest.resources || []).map(resource => [resource.identifier, resource]));
+  const scripts = [];
+  const visited = new Set();
+  const visit = (resourceId) => {
+    if (!resourceId || visited.has(resourceId)) return;
+    visited.add(resourceId);
+    const resource = resourceMap.get(resourceId);
+    if (!resource) return;
+    resource.files
+      .map(file => file.split(/[?#]/)[0])
+      .filter(file => /\.js$/i.test(file) && !scripts.includes(file))
+      .forEach(file => scripts.push(file));
+    resource.dependencies.forEach(visit);
+  };
+  visit(sco.resource_identifier);
+  return scripts;
+}
+
+// Extracts the assessment items of one SCO from its pages (forms and inline
+// scripts) and script files
+export async function extractScoAssessment(packageDir, manifest, sco) {
+  const root = path.resolve(packageDir);
+  const document = await extractScoDocument(packageDir, manifest, sco);
+  const scriptFiles = collectScoScripts(manifest, sco);
+  const sources = []; // { file, code } of every script to scan
+  const items = [];
+  const errors = [];
+
+  for (const page of document.pages) {
+    const html = await readPackageFile(root, page.file);
+    if (html === null) continue;
+    try {
+      const dom = new JSDOM(html);
+      const htmlDocument = dom.window.document;
+      items.push(...extractFormItems(htmlDocument, page.file));
+      htmlDocument.querySelectorAll('script').forEach(script => {
+        const src = script.getAttribute('src');
+        if (src) {
+          const scriptPath = resolvePackagePath(page.file, src);
+          if (scriptPath && !scriptFiles.includes(scriptPath)) scriptFiles.push(scriptPath);
+        } else if (script.textContent.trim()) {
+          sources.push({ file: page.file, code: script.textContent });
+        }
+      });
+    } catch (error) {
+      errors.push({ file: page.file, error: `Could not parse HTML: ${error.message}` });
+    }
+  }
+
+  for (const file of scriptFiles) {
+    const code = await readPackageFile(root, file);
+    if (code === null) {
+      errors.push({ file, error: 'Script not found or too large to scan' });
+      continue;
+    }
+    sources.push({ file, code });
+  }
+
+  // Constants first, they may be defined in another file than the questions
+  const constants = new Map();
+  sources.forEach(({ code }) => collectConstants(code, constants));
+  sources.forEach(({ file, code }) => {
+    items.push(...extractConstructorItems(code, file, constants));
+    items.push(...extractObjectItems(code, file, constants));
+  });
+
+  items.forEach((item, index) => {
+    if (!item.id) item.id = `${sco.identifier}_q${index + 1}`;
+  });
+  return { sco_id: sco.identifier, items, errors };
+}
+
+// Extracts the items of every SCO. An item found through several SCOs (a
+// shared questions file) is listed once with all their sco_ids.
+export async function extractCourseAssessment(packageDir, manifest, scos) {
+  const itemsById = new Map();
+  const errors = [];
+  for (const sco of scos) {
+    const result = await extractScoAssessment(packageDir, manifest, sco);
+    errors.push(...result.errors.map(error => ({ sco_id: sco.identifier, ...error })));
+    result.items.forEach(item => {
+      const existing = itemsById.get(item.id);
+      if (existing) {
+        if (!existing.sco_ids.includes(sco.identifier)) existing.sco_ids.push(sco.identifier);
+        return;
+      }
+      itemsById.set(item.id, { ...item, sco_ids: [sco.identifier] });
+    });
+  }
+  const items = [...itemsById.values()];
+  console.log(`extractCourseAssessment: Found ${items.length} assessment item(s) in ${scos.length} SCO(s)`);
+  return { items, errors, extracted_at: new Date().toISOString() };
+}
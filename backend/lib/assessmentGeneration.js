@@ -0,0 +1,130 @@
+import { getCourse, updateCourse, resolveCourseDir } from './courseStore.js';
+import { extractScoText } from './structuredContent.js';
+import { getAiProvider } from './ai/index.js';
+import { generateQuiz, dedupeByKey, questionKey } from './ai/quizGeneration.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+
+// --- Assessment Generation ---
+// Generates quiz questions and flashcards for the SCOs of a course in the
+// background, one task per SCO. A last task collects the results, removes
+// questions that several SCOs produced and stores them on the course as
+// generated_assessment.
+export const ASSESSMENT_GENERATION_JOB = 'assessment-generation';
+
+const ASSESSMENT_COLLECT_TASK = ':assessment';
+
+export const MAX_QUESTIONS_PER_SCO = 20;
+
+async function generateScoQuiz(job, task) {
+  const course = await getCourse(job.course_id);
+  if (!course) {
+    return { error: `Course ${job.course_id} no longer exists` };
+  }
+  const sco = (course.scos || []).find(candidate => candidate.identifier === task.id);
+  if (!sco) {
+    return { error: `SCO ${task.id} not found in course` };
+  }
+  const provider = getAiProvider();
+  if (!provider) {
+    return { error: 'No AI provider configured (set AI_PROVIDER or GEMINI_API_KEY)' };
+  }
+
+  console.log(`generateScoQuiz: Generating questions for SCO "${sco.title || sco.identifier}" of course ${course.id}`);
+  const extraction = await extractScoText(resolveCourseDir(course), course.manifest, sco);
+  if (!extraction.text.trim()) {
+    return { skipped: true, result: { note: 'SCO has no text to generate questions from' } };
+  }
+
+  // Questions are tied to the learning objectives of the SCO's AI metadata
+  const metadata = (course.ai_metadata && course.ai_metadata[sco.identifier]) || {};
+  const objectives = Array.isArray(metadata.learning_objectives) ? metadata.learning_objectives : [];
+  const quiz = await generateQuiz(provider, extraction.pages, {
+    objectives,
+    questionCount: job.payload.questions_per_sco,
+    flashcardCount: job.payload.flashcards_per_sco
+  });
+  const result = { provider: provider.name, model: provider.model, objective_count: objectives.length };
+  if (quiz.error_type === 'empty_input') {
+    return { skipped: true, result: { ...result, note: quiz.error } };
+  }
+  if (quiz.status_code === 429) {
+    return {
+      error: quiz.error,
+      retryable: true,
+      retry_after_ms: quiz.retry_after_seconds ? quiz.retry_after_seconds * 1000 : null,
+      result
+    };
+  }
+  if (quiz.error) {
+    return { error: quiz.error, result };
+  }
+  return {
+    result: {
+      ...result,
+      note: `${quiz.items.length} question(s), ${quiz.flashcards.length} flashcard(s)`,
+      items: quiz.items.map(item => ({ ...item, sco_ids: [sco.identifier] })),
+      flashcards: quiz.flashcards.map(card => ({ ...card, sco_id: sco.identifier })),
+      rejected: quiz.rejected,
+      duplicate_count: quiz.duplicate_count
+    }
+  };
+}
+
+async function collectAssessment(job) {
+  const scoResults = job.tasks
+    .filter(task => task.id !== ASSESSMENT_COLLECT_TASK && task.status === 'completed' && task.result)
+    .map(task => task.result);
+  if (!scoResults.length) {
+    return { error: 'No questions were generated for any SCO' };
+  }
+
+  // The same question from two SCOs (e.g. shared pages) is kept once
+  const items = dedupeByKey(scoResults.flatMap(result => result.items), item => questionKey(item.stem));
+  const flashcards = dedupeByKey(scoResults.flatMap(result => result.flashcards), card => questionKey(card.front));
+  const counters = new Map();
+  const generatedAssessment = {
+    job_id: job.id,
+    provider: scoResults[0].provider,
+    model: scoResults[0].model,
+    generated_at: new Date().toISOString(),
+    items: items.unique.map(item => {
+      const scoId = item.sco_ids[0];
+      counters.set(scoId, (counters.get(scoId) || 0) + 1);
+      return { id: `${scoId}_gen_${counters.get(scoId)}`, ...item };
+    }),
+    flashcards: flashcards.unique,
+    rejected: scoResults.flatMap(result => result.rejected),
+    duplicate_count: items.duplicates + flashcards.duplicates
+      + scoResults.reduce((sum, result) => sum + result.duplicate_count, 0)
+  };
+
+  await updateCourse(job.course_id, { generated_assessment: generatedAssessment });
+  console.log(`collectAssessment: Stored ${generatedAssessment.items.length} generated question(s) for course ${job.course_id}`);
+  return {
+    result: {
+      note: `${generatedAssessment.items.length} question(s), ${generatedAssessment.flashcards.length} flashcard(s), ${generatedAssessment.duplicate_count} duplicate(s) removed, ${generatedAssessment.rejected.length} rejected`
+    }
+  };
+}
+
+registerJobHandler(ASSESSMENT_GENERATION_JOB, {
+  runTask: (job, task) => (task.id === ASSESSMENT_COLLECT_TASK ? collectAssessment(job) : generateScoQuiz(job, task)),
+  onComplete: async (job) => {
+    await updateCourse(job.course_id, { generation_status: job.status });
+  }
+});
+
+// Queues question generation for the given SCOs (all SCOs by default)
+export async function enqueueAssessmentGeneration(course, { scoIds = null, questionsPerSco = 5, flashcardsPerSco = 5 } = {}) {
+  const scos = (course.scos || []).filter(sco => !scoIds || scoIds.includes(sco.identifier));
+  const job = await enqueueJob(ASSESSMENT_GENERATION_JOB, {
+    courseId: course.id,
+    payload: { questions_per_sco: questionsPerSco, flashcards_per_sco: flashcardsPerSco },
+    tasks: [
+      ...scos.map(sco => ({ id: sco.identifier, title: sco.title || sco.identifier })),
+      { id: ASSESSMENT_COLLECT_TASK, title: 'Collect questions', run_last: true }
+    ]
+  });
+  await updateCourse(course.id, { generation_job_id: job.id, generation_status: job.status });
+  return job;
+}
@@ -0,0 +1,226 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore, isValidRecordId } from './jsonStore.js';
+import { READ_ONLY_ELEMENTS, ELEMENT_NAMES, buildInitialCmi, parseDuration, formatDuration, summarizeCmi } from './cmiModel.js';
+import { buildActivityTree, createSequencingState, processNavigationRequest, getNavigationValidity, summarizeActivities } from './sequencingEngine.js';
+
+// --- Learner Attempts ---
+// An attempt is one learner's run through a course. It holds the CMI data
+// model of every SCO launched during that run, keyed by item identifier.
+// Status moves between 'active', 'suspended' and 'completed'.
+const attempts = createJsonStore('attempts');
+// Global objectives of organizations with objectivesGlobalToSystem="true",
+// shared by every attempt of the same learner
+const globalObjectives = createJsonStore('global_objectives');
+
+export async function createAttempt(course, { learnerId, learnerName } = {}) {
+  const attempt = {
+    id: uuidv4(),
+    course_id: course.id,
+    scorm_version: course.manifest.scorm_version || '1.2',
+    learner_id: learnerId || 'guest',
+    learner_name: learnerName || 'Guest Learner',
+    status: 'active',
+    started_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    scos: {}
+  };
+  await attempts.put(attempt.id, attempt);
+  console.log(`Started attempt ${attempt.id} on course ${course.id} for learner ${attempt.learner_id}`);
+  return attempt;
+}
+
+export async function getAttempt(attemptId) {
+  return attempts.get(attemptId);
+}
+
+export async function saveAttempt(attempt) {
+  attempt.updated_at = new Date().toISOString();
+  return attempts.put(attempt.id, attempt);
+}
+
+export function toAttemptSummary(attempt) {
+  return {
+    id: attempt.id,
+    course_id: attempt.course_id,
+    scorm_version: attempt.scorm_version,
+    learner_id: attempt.learner_id,
+    learner_name: attempt.learner_name,
+    status: attempt.status,
+    started_at: attempt.started_at,
+    updated_at: attempt.updated_at,
+    last_sco_id: attempt.last_sco_id || null,
+    sco_count: Object.keys(attempt.scos).length
+  };
+}
+
+// Attempts of a course, optionally for one learner, newest first
+export async function listAttempts({ courseId, learnerId } = {}) {
+  const all = await attempts.list();
+  return all
+    .filter(attempt => (!courseId || attempt.course_id === courseId) && (!learnerId || attempt.learner_id === learnerId))
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+// The attempt a learner should return to: the newest one that has not
+// been completed yet
+export async function findResumableAttempt(courseId, learnerId) {
+  const candidates = await listAttempts({ courseId, learnerId });
+  return candidates.find(attempt => attempt.status === 'suspended' || attempt.status === 'active') || null;
+}
+
+function newScoState(attempt, item) {
+  return {
+    cmi: buildInitialCmi(attempt.scorm_version, item, attempt),
+    commit_count: 0,
+    launch_count: 0,
+    last_exit: null,
+    first_launched_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+}
+
+const withSummary = (attempt, scoState) => ({ ...scoState, summary: summarizeCmi(attempt.scorm_version, scoState.cmi) });
+
+// Returns the stored CMI for an item, initialising it on first access
+export async function getScoCmi(attempt, item) {
+  const scoId = item.identifier;
+  if (!attempt.scos[scoId]) {
+    attempt.scos[scoId] = newScoState(attempt, item);
+    await saveAttempt(attempt);
+  }
+  return withSummary(attempt, attempt.scos[scoId]);
+}
+
+// Prepares the data model for a new session of a SCO. A SCO that was left
+// with exit=suspend gets entry=resume and finds its suspend_data and
+// location again; write-only values from the previous session are cleared.
+export async function launchSco(attempt, item) {
+  const scoId = item.identifier;
+  const names = ELEMENT_NAMES[attempt.scorm_version] || ELEMENT_NAMES['2004'];
+  const isFirstLaunch = !attempt.scos[scoId] || attempt.scos[scoId].launch_count === 0;
+  if (!attempt.scos[scoId]) {
+    attempt.scos[scoId] = newScoState(attempt, item);
+  }
+  const scoState = attempt.scos[scoId];
+  if (!isFirstLaunch) {
+    scoState.cmi[names.entry] = scoState.last_exit === 'suspend' ? 'resume' : '';
+  }
+  delete scoState.cmi[names.exit];
+  delete scoState.cmi[names.session_time];
+  delete scoState.cmi['adl.nav.request'];
+
+  scoState.launch_count = (scoState.launch_count || 0) + 1;
+  scoState.last_launched_at = new Date().toISOString();
+  attempt.last_sco_id = scoId;
+  if (attempt.status === 'suspended') attempt.status = 'active';
+  await saveAttempt(attempt);
+  console.log(`Launching SCO ${scoId} on attempt ${attempt.id} (entry: "${scoState.cmi[names.entry]}")`);
+  return withSummary(attempt, scoState);
+}
+
+// Merges values committed by the runtime into the stored CMI, keeping
+// read-only LMS elements authoritative. The final commit of a session
+// (finish) adds session_time to total_time and records how the SCO exited.
+export async function commitScoCmi(attempt, item, committedCmi, { finish = false } = {}) {
+  const scoId = item.identifier;
+  if (!attempt.scos[scoId]) {
+    attempt.scos[scoId] = newScoState(attempt, item);
+  }
+  const scoState = attempt.scos[scoId];
+  const readOnly = new Set(READ_ONLY_ELEMENTS[attempt.scorm_version] || []);
+  Object.entries(committedCmi || {}).forEach(([key, value]) => {
+    if (readOnly.has(key) || !/^(cmi|adl)\./.test(key)) return;
+    scoState.cmi[key] = value === null || value === undefined ? '' : String(value);
+  });
+  scoState.commit_count += 1;
+  scoState.updated_at = new Date().toISOString();
+
+  if (finish) {
+    const version = attempt.scorm_version;
+    const names = ELEMENT_NAMES[version] || ELEMENT_NAMES['2004'];
+    const sessionTime = parseDuration(version, scoState.cmi[names.session_time]);
+    const totalTime = parseDuration(version, scoState.cmi[names.total_time]);
+    scoState.cmi[names.total_time] = formatDuration(version, totalTime + sessionTime);
+    scoState.last_exit = scoState.cmi[names.exit] || '';
+    scoState.finished_at = new Date().toISOString();
+    if (scoState.last_exit === 'suspend') {
+      attempt.status = 'suspended';
+    }
+  }
+  await saveAttempt(attempt);
+  return withSummary(attempt, scoState);
+}
+
+// --- Sequencing ---
+// SCORM 2004 attempts keep the sequencing engine state next to the CMI data
+
+async function loadSequencingState(attempt, tree) {
+  if (attempt.sequencing) return attempt.sequencing;
+  const shared = tree.objectives_global_to_system && isValidRecordId(attempt.learner_id)
+    ? await globalObjectives.get(attempt.learner_id)
+    : null;
+  return createSequencingState(tree, shared ? shared.objectives : {});
+}
+
+// Describes the sequencing state for the player: navigation controls that
+// are currently allowed and the tracking status of every activity
+export function describeSequencing(tree, state) {
+  return {
+    current_activity: state.current_activity,
+    suspended_activity: state.suspended_activity,
+    session_ended: state.session_ended,
+    valid_requests: getNavigationValidity(tree, state),
+    activities: summarizeActivities(tree, state)
+  };
+}
+
+export async function getAttemptSequencing(attempt, course) {
+  const tree = buildActivityTree(course.manifest);
+  if (!tree) return { error: 'Course has no organization to sequence' };
+  return describeSequencing(tree, await loadSequencingState(attempt, tree));
+}
+
+// Runs a navigation request for the attempt and stores the new state. The
+// SCO being left is ended with the CMI data it last committed.
+export async function navigateAttempt(attempt, course, request, target) {
+  const tree = buildActivityTree(course.manifest);
+  if (!tree) return { error: 'Course has no organization to sequence' };
+
+  const state = await loadSequencingState(attempt, tree);
+  const result = processNavigationRequest(tree, state, request, {
+    target,
+    cmiFor: (activityId) => (attempt.scos[activityId] ? attempt.scos[activityId].cmi : null)
+  });
+
+  // A new attempt on an activity starts its SCO from a fresh data model
+  if (result.delivered && result.delivered.new_attempt && attempt.scos[result.delivered.identifier]) {
+    delete attempt.scos[result.delivered.identifier];
+  }
+  attempt.sequencing = result.state;
+  // suspendAll also ends the session, but the attempt stays resumable
+  if (request === 'suspendAll' && !result.exception) {
+    attempt.status = 'suspended';
+  } else if (result.session_ended) {
+    attempt.status = 'completed';
+  } else if (result.delivered) {
+    attempt.status = 'active';
+  }
+  await saveAttempt(attempt);
+
+  if (tree.objectives_global_to_system && isValidRecordId(attempt.learner_id)) {
+    await globalObjectives.put(attempt.learner_id, {
+      learner_id: attempt.learner_id,
+      objectives: result.state.global_objectives,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  console.log(`Navigation "${request}" on attempt ${attempt.id}: ${result.exception ? `exception ${result.exception.code}` : (result.delivered ? `deliver ${result.delivered.identifier}` : (result.session_ended ? 'session ended' : 'nothing to deliver'))}`);
+  return {
+    request,
+    delivered: result.delivered,
+    session_ended: result.session_ended,
+    exception: result.exception,
+    ...describeSequencing(tree, result.state)
+  };
+}
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { signToken, verifyToken, SESSION_TTL_SECONDS } from './tokens.js';
+import { verifyPassword } from './passwords.js';
+import { getUser, findUserByUsername, listUsers, createUser, toPublicUser, hasRole } from './userStore.js';
+import { ensureDefaultTenant, courseTenantId, DEFAULT_TENANT_ID } from './tenantStore.js';
+import { getCourse } from '../courseStore.js';
+
+// --- Authentication ---
+// Entry point of the auth layer. A login returns a signed session token,
+// which is also set as an HttpOnly cookie so the browser sends it along for
+// download links. SCO content is served from a separate origin that never
+// sees this cookie (see lib/contentOrigin.js). API clients send the token
+// as "Authorization: Bearer <token>" instead.
+//
+// The user is loaded again on every request, so role changes and deleted
+// accounts take effect immediately rather than when the token expires.
+
+export const SESSION_COOKIE = 'synapticx_session';
+
+// Failed logins per username; after this many within the window further
+// attempts are refused until it has passed
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+export function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function requestToken(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+// A session token for a user signed in without a password (see lib/lti)
+export const createSession = (user) => signToken({ sub: user.id });
+
+// Returns { token, user } or { error, status }
+export async function login(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return { error: 'username and password are required', status: 400 };
+  }
+  const key = username.trim().toLowerCase();
+  const failures = (failedLogins.get(key) || []).filter(time => time > Date.now() - FAILED_LOGIN_WINDOW_MS);
+  if (failures.length >= MAX_FAILED_LOGINS) {
+    return { error: 'Too many failed logins, please try again later', status: 429 };
+  }
+  const user = await findUserByUsername(username);
+  // Unknown users and wrong passwords get the same answer
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    failedLogins.set(key, [...failures, Date.now()]);
+    if (failedLogins.size > 10000) {
+      // Forget usernames whose failures have all expired
+      failedLogins.forEach((times, name) => {
+        if (times[times.length - 1] <= Date.now() - FAILED_LOGIN_WINDOW_MS) failedLogins.delete(name);
+      });
+    }
+    console.log(`login: Failed login for ${username}`);
+    return { error: 'Invalid username or password', status: 401 };
+  }
+  failedLogins.delete(key);
+  return { token: createSession(user), user: toPublicUser(user) };
+}
+
+// crossSite is for sign-ins inside another site's frame (an LTI launch):
+// browsers only send such cookies with SameSite=None, which needs HTTPS.
+// secure says whether the browser talks HTTPS to us, when the caller knows
+// better than req.secure (see isSecureToolRequest in lib/lti).
+export function setSessionCookie(req, res, token, { crossSite = false, secure = req.secure } = {}) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: crossSite && secure ? 'none' : 'lax',
+    secure,
+    maxAge: SESSION_TTL_SECONDS * 1000,
+    path: '/'
+  });
+}
+
+export function clearSessionCookie(req, res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Middleware factory: refuses state-changing requests that a page of
+// another origin made with the session cookie (cross-site request forgery).
+// LTI sessions are SameSite=None cookies, so browsers attach them to posts
+// from any site. Bearer tokens are never sent automatically and pass, as do
+// requests without Origin or Sec-Fetch-Site (API clients, not browsers).
+// allowedOrigins are the other browser origins that may call the API.
+export function rejectCrossSiteRequests({ allowedOrigins = [] } = {}) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || /^Bearer\s+/i.test(req.get('Authorization') || '')) return next();
+    const origin = req.get('Origin');
+    if (origin && allowedOrigins.includes(origin)) return next();
+    // Sec-Fetch-Site is set by the browser and can't be forged by a page;
+    // same-site is not enough, the package content origin may be a sibling
+    // host
+    const fetchSite = req.get('Sec-Fetch-Site');
+    const sameOrigin = fetchSite
+      ? fetchSite === 'same-origin' || fetchSite === 'none'
+      : !origin || origin === `${req.protocol}://${req.get('host')}`;
+    if (sameOrigin) return next();
+    console.warn(`rejectCrossSiteRequests: Refused ${req.method} ${req.originalUrl} from ${origin || fetchSite}`);
+    res.status(403).json({ error: 'Cross-origin requests that change data are not allowed' });
+  };
+}
+
+// Middleware: sets req.user from the session token or answers 401
+export async function authenticate(req, res, next) {
+  try {
+    const claims = verifyToken(requestToken(req));
+    const user = claims ? await getUser(claims.sub) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = toPublicUser(user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware: answers 403 unless the user has at least this role
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// The tenant a user's queries are limited to; null for admins, who see all
+export const tenantScope = (user) => (hasRole(user, 'admin') ? null : user.tenant_id || DEFAULT_TENANT_ID);
+
+export function canAccessCourse(user, course) {
+  const tenantId = tenantScope(user);
+  return tenantId === null || courseTenantId(course) === tenantId;
+}
+
+// Middleware for /courses/:id routes: another tenant's course answers 404
+// as if it didn't exist; missing courses are left to the route
+export async function authorizeCourse(req, res, next) {
+  try {
+    const course = await getCourse(req.params.id);
+    if (course && !canAccessCourse(req.user, course)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Creates the first admin account when there are no users yet, from
+// ADMIN_USERNAME / ADMIN_PASSWORD or with a generated password that is
+// logged once
+export async function ensureInitialAdmin() {
+  await ensureDefaultTenant();
+  if ((await listUsers()).length) return null;
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  const result = await createUser({ username, password, role: 'admin', tenantId: DEFAULT_TENANT_ID, displayName: 'Administrator' });
+  if (result.error) {
+    console.error(`ensureInitialAdmin: Could not create the admin account: ${result.error}`);
+    return null;
+  }
+  if (!process.env.ADMIN_PASSWORD) {
+    console.warn(`ensureInitialAdmin: Created admin account "${username}" with password ${password} - change it after logging in`);
+  }
+  return result.user;
+}
+
+export { hasRole, ROLES } from './userStore.js';
@@ -0,0 +1,42 @@
+import { createJsonStore, isValidRecordId } from '../jsonStore.js';
+
+// --- Tenants ---
+// An organization whose users share courses. Every user and course belongs
+// to one tenant; courses registered before tenants existed (no tenant_id)
+// belong to the default one.
+const tenants = createJsonStore('tenants');
+
+export const DEFAULT_TENANT_ID = 'default';
+
+export const courseTenantId = (course) => course.tenant_id || DEFAULT_TENANT_ID;
+
+export async function getTenant(tenantId) {
+  return tenants.get(tenantId);
+}
+
+export async function listTenants() {
+  const allTenants = await tenants.list();
+  return allTenants.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The id is part of URLs and records, so it's a short slug; returns
+// { tenant } or { error, status }
+export async function createTenant({ id, name }) {
+  if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+  const tenantId = id || name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!isValidRecordId(tenantId) || tenantId.length > 64) {
+    return { error: 'id may only contain letters, digits, "_", "." and "-"' };
+  }
+  if (await tenants.get(tenantId)) return { error: `Tenant ${tenantId} already exists`, status: 409 };
+  const tenant = { id: tenantId, name: name.trim(), created_at: new Date().toISOString() };
+  await tenants.put(tenant.id, tenant);
+  console.log(`createTenant: Created tenant ${tenant.id} ("${tenant.name}")`);
+  return { tenant };
+}
+
+export async function ensureDefaultTenant() {
+  const existing = await tenants.get(DEFAULT_TENANT_ID);
+  if (existing) return existing;
+  const { tenant } = await createTenant({ id: DEFAULT_TENANT_ID, name: 'Default' });
+  return tenant;
+}
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import path from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { DATA_DIR } from '../paths.js';
+import { envNumber } from '../env.js';
+
+// --- Session Tokens ---
+// Sessions are stateless HS256 JSON Web Tokens. The signing key is
+// JWT_SECRET; without it a random key is generated once and kept in
+// DATA_DIR, so sessions survive restarts of a single server.
+
+const SECRET_FILE = path.join(DATA_DIR, 'jwt_secret');
+
+export const SESSION_TTL_SECONDS = envNumber('AUTH_SESSION_HOURS', 12) * 60 * 60;
+
+let secret = null;
+
+function signingSecret() {
+  if (secret) return secret;
+  if (process.env.JWT_SECRET) {
+    secret = process.env.JWT_SECRET;
+  } else if (existsSync(SECRET_FILE)) {
+    secret = readFileSync(SECRET_FILE, 'utf-8').trim();
+  } else {
+    secret = crypto.randomBytes(48).toString('base64');
+    mkdirSync(DATA_DIR, { recursive: true });
+    writeFileSync(SECRET_FILE, secret, { encoding: 'utf-8', mode: 0o600 });
+    console.warn(`signingSecret: JWT_SECRET is not set, generated a signing key in ${SECRET_FILE}`);
+  }
+  return secret;
+}
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', signingSecret()).update(data).digest('base64url');
+
+export function signToken(claims, { ttlSeconds = SESSION_TTL_SECONDS } = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({ ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the claims of a valid, unexpired token or null
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf-8')).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
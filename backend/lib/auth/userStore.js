@@ -0,0 +1,131 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from '../jsonStore.js';
+import { hashPassword, validatePassword } from './passwords.js';
+import { getTenant, DEFAULT_TENANT_ID } from './tenantStore.js';
+
+// --- User Accounts ---
+// Local accounts with a username and a scrypt password hash. Usernames are
+// unique regardless of case. The role decides what a user may do:
+//   learner  take the courses of their tenant
+//   author   also upload, process, export and delete courses and see the
+//            analytics of their tenant
+//   admin    everything, across all tenants, plus user and tenant management
+const users = createJsonStore('users');
+
+export const ROLES = ['learner', 'author', 'admin'];
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{3,64}$/;
+
+export const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Everything but the password hash
+export function toPublicUser(user) {
+  const { password_hash: passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+export async function getUser(userId) {
+  return users.get(userId);
+}
+
+export async function findUserByUsername(username) {
+  if (typeof username !== 'string') return null;
+  const name = username.trim().toLowerCase();
+  const allUsers = await users.list();
+  return allUsers.find(user => user.username.toLowerCase() === name) || null;
+}
+
+// All users, or those of one tenant
+export async function listUsers({ tenantId = null } = {}) {
+  const allUsers = await users.list();
+  return allUsers
+    .filter(user => !tenantId || user.tenant_id === tenantId)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+async function validateChanges({ role, tenantId, password }) {
+  if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`;
+  if (tenantId !== undefined && !(await getTenant(tenantId))) return `Unknown tenant: ${tenantId}`;
+  if (password !== undefined) return validatePassword(password);
+  return null;
+}
+
+// Returns { user } or { error, status }
+export async function createUser({ username, password, role = 'learner', tenantId = DEFAULT_TENANT_ID, displayName }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return { error: 'username must be 3 to 64 letters, digits or "_", ".", "@", "-"' };
+  }
+  const error = await validateChanges({ role, tenantId, password: password ?? '' });
+  if (error) return { error };
+  if (await findUserByUsername(username)) return { error: `Username ${username.trim()} is already taken`, status: 409 };
+
+  const now = new Date().toISOString();
+  const user = {
+    id: uuidv4(),
+    username: username.trim(),
+    display_name: typeof displayName === 'string' && displayName.trim() ? displayName.trim() : username.trim(),
+    role,
+    tenant_id: tenantId,
+    password_hash: await hashPassword(password),
+    created_at: now,
+    updated_at: now
+  };
+  await users.put(user.id, user);
+  console.log(`createUser: Created ${role} ${user.username} in tenant ${tenantId}`);
+  return { user };
+}
+
+// Changes role, tenant, display name or password. Returns { user },
+// { error, status } or null when the user doesn't exist.
+export async function updateUser(userId, { role, tenantId, displayName, password }) {
+  const user = await users.get(userId);
+  if (!user) return null;
+  const error = await validateChanges({ role, tenantId, password });
+  if (error) return { error };
+
+  const updated = { ...user, updated_at: new Date().toISOString() };
+  if (role !== undefined) updated.role = role;
+  if (tenantId !== undefined) updated.tenant_id = tenantId;
+  if (typeof displayName === 'string' && displayName.trim()) updated.display_name = displayName.trim();
+  if (password !== undefined) updated.password_hash = await hashPassword(password);
+  await users.put(user.id, updated);
+  return { user: updated };
+}
+
+// Users signed in by another system (e.g. an LTI launch) have no password;
+// they are identified by provider and subject and keep the role and name
+// the provider sends. Returns the user.
+export async function upsertExternalUser({ provider, subject, tenantId, role, displayName }) {
+  const allUsers = await users.list();
+  const existing = allUsers.find(user => user.external && user.external.provider === provider && user.external.subject === subject);
+  const now = new Date().toISOString();
+  if (existing) {
+    const updated = { ...existing, role, tenant_id: tenantId, display_name: displayName || existing.display_name, updated_at: now };
+    await users.put(existing.id, updated);
+    return updated;
+  }
+  const id = uuidv4();
+  const user = {
+    id,
+    // Not usable for a password login; unique because of the id
+    username: `${provider}-${id}`,
+    display_name: displayName || subject,
+    role,
+    tenant_id: tenantId,
+    password_hash: null,
+    external: { provider, subject },
+    created_at: now,
+    updated_at: now
+  };
+  await users.put(user.id, user);
+  console.log(`upsertExternalUser: Created ${role} ${user.username} for ${provider} subject ${subject}`);
+  return user;
+}
+
+export async function deleteUser(userId) {
+  const user = await users.get(userId);
+  if (!user) return null;
+  await users.remove(userId);
+  console.log(`deleteUser: Deleted user ${user.username}`);
+  return user;
+}
@@ -0,0 +1,75 @@
+import { parseNamespacedXml, childElement, childElements, attributeValue, elementText } from './scormManifest.js';
+
+// --- cmi5 Course Structure ---
+// Parses cmi5.xml, the course structure of a cmi5 package:
+// a <course> followed by assignable units (<au>) and <block>s of them.
+
+export const CMI5_NAMESPACE = 'https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd';
+const CMI5 = [CMI5_NAMESPACE];
+
+export const CMI5_MOVE_ON = ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+export const CMI5_LAUNCH_METHODS = ['AnyWindow', 'OwnWindow'];
+
+function langText(node) {
+  const strings = childElements(node, 'langstring', CMI5);
+  return strings.length ? elementText(strings[0]) : null;
+}
+
+function parseNode(node) {
+  const common = {
+    id: attributeValue(node, 'id'),
+    title: langText(childElement(node, 'title', CMI5)),
+    description: langText(childElement(node, 'description', CMI5))
+  };
+  if (node.$ns.local === 'au') {
+    const masteryScore = attributeValue(node, 'masteryScore');
+    return {
+      type: 'au',
+      ...common,
+      move_on: attributeValue(node, 'moveOn') || 'NotApplicable',
+      mastery_score: masteryScore === null ? null : Number(masteryScore),
+      launch_method: attributeValue(node, 'launchMethod') || 'AnyWindow',
+      url: elementText(childElement(node, 'url', CMI5)) || null,
+      launch_parameters: elementText(childElement(node, 'launchParameters', CMI5)) || null
+    };
+  }
+  return { type: 'block', ...common, children: parseChildren(node) };
+}
+
+// Blocks and AUs in document order
+function parseChildren(node) {
+  return childElements(node, 'au', CMI5).concat(childElements(node, 'block', CMI5))
+    .sort((a, b) => (a.$order || 0) - (b.$order || 0))
+    .map(parseNode);
+}
+
+// Parses cmi5.xml into { course, children: [au|block], warnings }
+export async function parseCmi5Xml(xmlContent) {
+  // xml2js groups children by name, so their order is recovered from the source
+  const warnings = [];
+  const result = await parseNamespacedXml(xmlContent, warnings);
+  const root = result && result.courseStructure;
+  if (!root || !root.$ns || root.$ns.uri !== CMI5_NAMESPACE) {
+    return { error: 'Invalid cmi5.xml: <courseStructure> root element not found.' };
+  }
+  const ids = [...xmlContent.matchAll(/<(?:[\w.-]+:)?(au|block)\b[^>]*\bid="([^"]*)"/g)].map(match => match[2]);
+  const order = (node) => ids.indexOf(attributeValue(node, 'id'));
+  const annotate = (node) => {
+    ['au', 'block'].forEach(name => childElements(node, name, CMI5).forEach(child => {
+      child.$order = order(child);
+      annotate(child);
+    }));
+  };
+  annotate(root);
+
+  const courseNode = childElement(root, 'course', CMI5);
+  return {
+    course: courseNode ? {
+      id: attributeValue(courseNode, 'id'),
+      title: langText(childElement(courseNode, 'title', CMI5)),
+      description: langText(childElement(courseNode, 'description', CMI5))
+    } : null,
+    children: parseChildren(root),
+    warnings
+  };
+}
@@ -0,0 +1,189 @@
+// --- CMI Data Model ---
+// Helpers for the SCORM run-time data model as stored by the backend: a flat
+// map of element name -> string value, exactly as the runtime API sees it.
+
+// Elements owned by the LMS; values sent back by the runtime are ignored
+export const READ_ONLY_ELEMENTS = {
+  '1.2': [
+    'cmi.core.student_id', 'cmi.core.student_name', 'cmi.core.credit', 'cmi.core.entry',
+    'cmi.core.total_time', 'cmi.core.lesson_mode', 'cmi.launch_data', 'cmi.comments_from_lms',
+    'cmi.student_data.mastery_score', 'cmi.student_data.max_time_allowed', 'cmi.student_data.time_limit_action'
+  ],
+  '2004': [
+    'cmi.learner_id', 'cmi.learner_name', 'cmi.credit', 'cmi.entry', 'cmi.mode', 'cmi.total_time',
+    'cmi.launch_data', 'cmi.completion_threshold', 'cmi.scaled_passing_score', 'cmi.max_time_allowed',
+    'cmi.time_limit_action'
+  ]
+};
+
+// Element names that differ between the two versions
+export const ELEMENT_NAMES = {
+  '1.2': {
+    entry: 'cmi.core.entry',
+    exit: 'cmi.core.exit',
+    session_time: 'cmi.core.session_time',
+    total_time: 'cmi.core.total_time',
+    location: 'cmi.core.lesson_location'
+  },
+  '2004': {
+    entry: 'cmi.entry',
+    exit: 'cmi.exit',
+    session_time: 'cmi.session_time',
+    total_time: 'cmi.total_time',
+    location: 'cmi.location'
+  }
+};
+
+function setIfPresent(cmi, key, value) {
+  if (value !== null && value !== undefined && value !== '') cmi[key] = String(value);
+}
+
+// Builds the LMS-provided part of the data model for a first launch of an item
+export function buildInitialCmi(version, item, attempt) {
+  const cmi = {};
+  if (version === '1.2') {
+    cmi['cmi.core.student_id'] = attempt.learner_id;
+    cmi['cmi.core.student_name'] = attempt.learner_name;
+    cmi['cmi.core.credit'] = 'credit';
+    cmi['cmi.core.entry'] = 'ab-initio';
+    cmi['cmi.core.lesson_mode'] = 'normal';
+    cmi['cmi.core.lesson_status'] = 'not attempted';
+    cmi['cmi.core.total_time'] = '0000:00:00.00';
+    setIfPresent(cmi, 'cmi.launch_data', item && item.data_from_lms);
+    setIfPresent(cmi, 'cmi.student_data.mastery_score', item && item.mastery_score);
+    setIfPresent(cmi, 'cmi.student_data.max_time_allowed', item && item.max_time_allowed);
+    setIfPresent(cmi, 'cmi.student_data.time_limit_action', item && item.time_limit_action);
+  } else {
+    cmi['cmi.learner_id'] = attempt.learner_id;
+    cmi['cmi.learner_name'] = attempt.learner_name;
+    cmi['cmi.credit'] = 'credit';
+    cmi['cmi.entry'] = 'ab-initio';
+    cmi['cmi.mode'] = 'normal';
+    cmi['cmi.completion_status'] = 'unknown';
+    cmi['cmi.success_status'] = 'unknown';
+    cmi['cmi.total_time'] = 'PT0H0M0S';
+    setIfPresent(cmi, 'cmi.launch_data', item && item.data_from_lms);
+    setIfPresent(cmi, 'cmi.completion_threshold', item && item.completion_threshold);
+    setIfPresent(cmi, 'cmi.max_time_allowed', item && item.max_time_allowed);
+    setIfPresent(cmi, 'cmi.time_limit_action', item && item.time_limit_action);
+  }
+  return cmi;
+}
+
+// --- Time values ---
+// Durations are handled in hundredths of a second, the precision SCORM uses.
+
+// SCORM 2004 timeinterval (ISO 8601 duration, e.g. PT1H5M30.25S).
+// Years and months are approximated as 365 and 30 days.
+export function parseIsoDuration(value) {
+  const match = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+    .exec(String(value || '').trim());
+  if (!match) return 0;
+  const [years, months, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  const totalSeconds = ((years * 365 + months * 30 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+  return Math.round(totalSeconds * 100);
+}
+
+export function formatIsoDuration(centiseconds) {
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const seconds = (centiseconds % 6000) / 100;
+  return `PT${hours}H${minutes}M${Number(seconds.toFixed(2))}S`;
+}
+
+// SCORM 1.2 CMITimespan (HHHH:MM:SS.SS)
+export function parseTimespan(value) {
+  const match = /^(\d{2,4}):(\d{2}):(\d{2}(?:\.\d{1,2})?)$/.exec(String(value || '').trim());
+  if (!match) return 0;
+  return Math.round((Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])) * 100);
+}
+
+export function formatTimespan(centiseconds) {
+  const hours = Math.floor(centiseconds / 360000);
+  const minutes = Math.floor((centiseconds % 360000) / 6000);
+  const seconds = (centiseconds % 6000) / 100;
+  const pad = (number, length) => String(number).padStart(length, '0');
+  return `${pad(hours, 4)}:${pad(minutes, 2)}:${seconds.toFixed(2).padStart(5, '0')}`;
+}
+
+export function parseDuration(version, value) {
+  return version === '1.2' ? parseTimespan(value) : parseIsoDuration(value);
+}
+
+export function formatDuration(version, centiseconds) {
+  return version === '1.2' ? formatTimespan(centiseconds) : formatIsoDuration(centiseconds);
+}
+
+// --- Normalized view ---
+
+// Collects cmi.<name>.n.* entries into an array of objects, e.g.
+// cmi.interactions.0.id -> [{ id }]. Nested arrays become arrays as well.
+export function collectArray(cmi, prefix) {
+  const records = [];
+  const pattern = new RegExp(`^${prefix.replace(/\./g, '\\.')}\\.(\\d+)\\.(.+)$`);
+  Object.entries(cmi).forEach(([key, value]) => {
+    const match = pattern.exec(key);
+    if (!match) return;
+    const index = Number(match[1]);
+    records[index] = records[index] || {};
+    let target = records[index];
+    const parts = match[2].split('.');
+    parts.forEach((part, position) => {
+      if (position === parts.length - 1) {
+        target[part] = value;
+        return;
+      }
+      const nextIsIndex = /^\d+$/.test(parts[position + 1]);
+      target[part] = target[part] || (nextIsIndex ? [] : {});
+      target = target[part];
+    });
+  });
+  return records.filter(Boolean);
+}
+
+const toNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// Version independent summary of a SCO's data model. SCORM 1.2 folds
+// completion and success into cmi.core.lesson_status, which is split here.
+export function summarizeCmi(version, cmi) {
+  if (version === '1.2') {
+    const lessonStatus = cmi['cmi.core.lesson_status'] || 'not attempted';
+    return {
+      completion_status: ['passed', 'completed', 'failed'].includes(lessonStatus)
+        ? 'completed'
+        : (lessonStatus === 'not attempted' ? 'not attempted' : 'incomplete'),
+      success_status: lessonStatus === 'passed' ? 'passed' : (lessonStatus === 'failed' ? 'failed' : 'unknown'),
+      score: {
+        scaled: null,
+        raw: toNumber(cmi['cmi.core.score.raw']),
+        min: toNumber(cmi['cmi.core.score.min']),
+        max: toNumber(cmi['cmi.core.score.max'])
+      },
+      location: cmi['cmi.core.lesson_location'] || null,
+      suspend_data: cmi['cmi.suspend_data'] || null,
+      entry: cmi['cmi.core.entry'] || '',
+      exit: cmi['cmi.core.exit'] || '',
+      total_time: cmi['cmi.core.total_time'] || '0000:00:00.00',
+      interactions: collectArray(cmi, 'cmi.interactions'),
+      objectives: collectArray(cmi, 'cmi.objectives')
+    };
+  }
+  return {
+    completion_status: cmi['cmi.completion_status'] || 'unknown',
+    success_status: cmi['cmi.success_status'] || 'unknown',
+    score: {
+      scaled: toNumber(cmi['cmi.score.scaled']),
+      raw: toNumber(cmi['cmi.score.raw']),
+      min: toNumber(cmi['cmi.score.min']),
+      max: toNumber(cmi['cmi.score.max'])
+    },
+    location: cmi['cmi.location'] || null,
+    suspend_data: cmi['cmi.suspend_data'] || null,
+    entry: cmi['cmi.entry'] || '',
+    exit: cmi['cmi.exit'] || '',
+    total_time: cmi['cmi.total_time'] || 'PT0H0M0S',
+    progress_measure: toNumber(cmi['cmi.progress_measure']),
+    interactions: collectArray(cmi, 'cmi.interactions'),
+    objectives: collectArray(cmi, 'cmi.objectives')
+  };
+}
@@ -0,0 +1,56 @@
+import { existsSync } from 'fs';
+import { signToken, verifyToken, SESSION_TTL_SECONDS } from './auth/tokens.js';
+import { courseTenantId } from './auth/tenantStore.js';
+import { FRONTEND_DIST_DIR } from './paths.js';
+
+// --- Package Content Origin ---
+// SCO files are untrusted HTML and script, so they are never served from
+// the origin of the app and its API. They are served from CONTENT_ORIGIN,
+// a separate host that no session cookie is set for, under
+// /content/<token>/ where the token is a signed grant for one course.
+// The player frames the runtime host page (content-frame.html) on that
+// origin and talks to it with postMessage.
+//
+// Without CONTENT_ORIGIN the content is served under another host name
+// than the app's localhost: from this server on PORT when it serves the
+// built frontend, else from the Vite dev server. Both only work on the
+// developer's machine, so with NODE_ENV=production the server refuses to
+// start until CONTENT_ORIGIN is set.
+
+function defaultContentOrigin() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CONTENT_ORIGIN must be set in production: the URL of a host of its own (e.g. https://content.example.com) that reaches this server');
+  }
+  return existsSync(FRONTEND_DIST_DIR) ? `http://127.0.0.1:${process.env.PORT || 5000}` : 'http://127.0.0.1:5173';
+}
+
+export const CONTENT_ORIGIN = (process.env.CONTENT_ORIGIN || defaultContentOrigin()).replace(/\/+$/, '');
+const CONTENT_HOST = new URL(CONTENT_ORIGIN).host;
+
+// Scripts may run but can't navigate the player away or reach other frames
+export const CONTENT_SECURITY_POLICY = 'sandbox allow-scripts allow-same-origin allow-forms allow-popups allow-modals';
+
+const CONTENT_TOKEN_SCOPE = 'content';
+
+export function createContentToken(course) {
+  return signToken({ scope: CONTENT_TOKEN_SCOPE, course_id: course.id, tenant_id: courseTenantId(course) }, { ttlSeconds: SESSION_TTL_SECONDS });
+}
+
+// The course id a content token grants access to, or null
+export function verifyContentToken(token) {
+  const claims = verifyToken(token);
+  return claims && claims.scope === CONTENT_TOKEN_SCOPE && typeof claims.course_id === 'string' ? claims.course_id : null;
+}
+
+// Where the player finds a course's files and the runtime host page
+export function describeContentAccess(course) {
+  const token = createContentToken(course);
+  return {
+    origin: CONTENT_ORIGIN,
+    frame_url: `${CONTENT_ORIGIN}/content-frame.html`,
+    base_url: `${CONTENT_ORIGIN}/content/${token}/`,
+    expires_at: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+export const isContentHost = (req) => req.get('host') === CONTENT_HOST;
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { JSDOM } from 'jsdom'; // For robust HTML parsing
+
+// --- SCO Content Text ---
+// Turns the HTML behind a SCO into plain text for AI processing.
+
+const HTML_FILE_PATTERN = /\.x?html?$/i;
+
+export function isHtmlFile(href) {
+  return typeof href === 'string' && HTML_FILE_PATTERN.test(href.split(/[?#]/)[0]);
+}
+
+export async function extractTextFromHtml(htmlFilePath) {
+  console.log(`Attempting to extract text from HTML: ${htmlFilePath}`);
+  try {
+    if (!existsSync(htmlFilePath)) {
+      console.warn(`extractTextFromHtml: HTML file not found at path: ${htmlFilePath}`);
+      return { error: `HTML file not found at path: ${htmlFilePath}` };
+    }
+
+    const htmlContent = await fs.readFile(htmlFilePath, 'utf-8');
+    const dom = new JSDOM(htmlContent);
+    const document = dom.window.document;
+
+    // Remove script, style, and other non-visible elements
+    document.querySelectorAll('script, style, noscript, iframe, head, link, meta').forEach(el => el.remove());
+
+    let text = '';
+    if (document.body) {
+        text = document.body.textContent || "";
+    }
+
+    // Replace multiple whitespace characters (including newlines, tabs) with a single space and trim
+    const cleanedText = text.replace(/\s\s+/g, ' ').trim();
+
+    console.log(`extractTextFromHtml: Extracted ${cleanedText.length} characters from ${htmlFilePath}. Preview: "${cleanedText.substring(0,100)}..."`);
+    return cleanedText; // Return text string directly on success
+
+  } catch (error) {
+    console.error(`Error extracting text from HTML file ${htmlFilePath}:`, error);
+    return { error: `Error extracting text from HTML: ${error.message}` };
+  }
+}
+
+// Lists the HTML files that make up a SCO: its launch page first, then the
+// HTML files of its resource and of every resource it depends on
+// (transitively). Paths are relative to the package root, without queries.
+export function collectScoHtmlFiles(manifest, sco) {
+  const resourceMap = new Map((manifest.resources || []).map(resource => [resource.identifier, resource]));
+  const files = [];
+  const addFile = (href) => {
+    if (!isHtmlFile(href)) return;
+    const relativePath = decodeURIComponent(href.split(/[?#]/)[0]);
+    if (!files.includes(relativePath)) files.push(relativePath);
+  };
+
+  addFile(sco.href);
+
+  const visited = new Set();
+  const visit = (resourceId) => {
+    if (!resourceId || visited.has(resourceId)) return;
+    visited.add(resourceId);
+    const resource = resourceMap.get(resourceId);
+    if (!resource) return;
+    addFile(resource.href);
+    resource.files.forEach(addFile);
+    resource.dependencies.forEach(visit);
+  };
+  visit(sco.resource_identifier);
+
+  return files;
+}
@@ -0,0 +1,144 @@
+import { getCourse, updateCourse, setScoMetadata, resolveCourseDir } from './courseStore.js';
+import { extractScoText } from './structuredContent.js';
+import { getAiProvider } from './ai/index.js';
+import { summarizeSco, summarizeCourse } from './ai/summarization.js';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { reindexCourse } from './search/courseIndexing.js';
+
+// --- Course Processing ---
+// After an upload every SCO of the course is processed in the background:
+// the text of its HTML files is extracted and, when an AI provider is
+// configured, summarized into AI metadata that is stored on the course per SCO.
+// A last task rolls the SCO metadata up into a course summary (ai_summary).
+// When the job finishes the course is (re)indexed for search.
+export const COURSE_PROCESSING_JOB = 'course-processing';
+
+// Task id of the course rollup; colons can't occur in manifest identifiers
+export const COURSE_ROLLUP_TASK = ':course';
+
+const TEXT_PREVIEW_CHARS = 500;
+
+// Turns a rate-limited provider response into a retryable task outcome
+function retryOutcome(response, result) {
+  return {
+    error: response.error,
+    retryable: true,
+    retry_after_ms: response.retry_after_seconds ? response.retry_after_seconds * 1000 : null,
+    result
+  };
+}
+
+async function processSco(job, task) {
+  const course = await getCourse(job.course_id);
+  if (!course) {
+    return { error: `Course ${job.course_id} no longer exists` };
+  }
+  const sco = (course.scos || []).find(candidate => candidate.identifier === task.id);
+  if (!sco) {
+    return { error: `SCO ${task.id} not found in course` };
+  }
+
+  console.log(`processSco: Processing SCO "${sco.title || sco.identifier}" of course ${course.id}`);
+  const extraction = await extractScoText(resolveCourseDir(course), course.manifest, sco);
+  const text = extraction.text;
+  const result = {
+    href: sco.href,
+    files: extraction.sources,
+    file_errors: extraction.errors,
+    text_length: text.length,
+    text_preview: text.length > TEXT_PREVIEW_CHARS ? text.substring(0, TEXT_PREVIEW_CHARS) + '...' : text
+  };
+
+  if (extraction.files.length === 0) {
+    await setScoMetadata(course.id, sco.identifier, { status: 'AI processing skipped, SCO has no HTML files' });
+    return { skipped: true, result };
+  }
+  if (extraction.sources.length === 0) {
+    await setScoMetadata(course.id, sco.identifier, { status: 'AI processing skipped due to text extraction error' });
+    return { error: extraction.errors.map(fileError => fileError.error).join('; '), result };
+  }
+  if (!text.trim()) {
+    await setScoMetadata(course.id, sco.identifier, { status: 'AI processing skipped due to empty text content' });
+    return { skipped: true, result };
+  }
+
+  const provider = getAiProvider();
+  if (!provider) {
+    console.warn('processSco: No AI provider configured (set AI_PROVIDER or GEMINI_API_KEY).');
+    await setScoMetadata(course.id, sco.identifier, { error: 'No AI provider configured (set AI_PROVIDER or GEMINI_API_KEY)' });
+    return { skipped: true, result };
+  }
+
+  const metadata = await summarizeSco(provider, extraction.pages);
+  result.provider = provider.name;
+  result.model = provider.model;
+  if (metadata.status_code === 429) {
+    // Rate limited: leave the SCO alone and let the queue try again later
+    return retryOutcome(metadata, result);
+  }
+  await setScoMetadata(course.id, sco.identifier, metadata);
+  if (metadata.error) {
+    return { error: metadata.error, result };
+  }
+  return { result: { ...result, metadata } };
+}
+
+async function rollupCourse(job) {
+  const course = await getCourse(job.course_id);
+  if (!course) {
+    return { error: `Course ${job.course_id} no longer exists` };
+  }
+  const provider = getAiProvider();
+  if (!provider) {
+    return { skipped: true, result: { note: 'No AI provider configured' } };
+  }
+
+  const scoEntries = (course.scos || []).map(sco => ({
+    sco_id: sco.identifier,
+    title: sco.title,
+    metadata: course.ai_metadata && course.ai_metadata[sco.identifier]
+  }));
+  const summary = await summarizeCourse(provider, scoEntries);
+  const result = { provider: provider.name, model: provider.model };
+  if (summary.error_type === 'empty_input') {
+    return { skipped: true, result: { ...result, note: summary.error } };
+  }
+  if (summary.status_code === 429) {
+    return retryOutcome(summary, result);
+  }
+  if (summary.error) {
+    return { error: summary.error, result };
+  }
+
+  const aiSummary = { ...summary, provider: provider.name, model: provider.model, generated_at: new Date().toISOString() };
+  await updateCourse(course.id, { ai_summary: aiSummary });
+  console.log(`rollupCourse: Stored course summary for ${course.id}`);
+  return { result: { ...result, metadata: aiSummary } };
+}
+
+registerJobHandler(COURSE_PROCESSING_JOB, {
+  runTask: (job, task) => (task.id === COURSE_ROLLUP_TASK ? rollupCourse(job) : processSco(job, task)),
+  onComplete: async (job) => {
+    await updateCourse(job.course_id, { processing_status: job.status });
+    // Search indexes the text together with the AI metadata just stored;
+    // a failure leaves the course unsearchable but processed
+    try {
+      await reindexCourse(job.course_id);
+    } catch (error) {
+      console.error(`onComplete: Failed to index course ${job.course_id} for search:`, error);
+    }
+  }
+});
+
+// Queues a job with one task per SCO of the course, plus the course rollup
+export async function enqueueCourseProcessing(course) {
+  const scoTasks = (course.scos || []).map(sco => ({ id: sco.identifier, title: sco.title || sco.identifier }));
+  const job = await enqueueJob(COURSE_PROCESSING_JOB, {
+    courseId: course.id,
+    tasks: scoTasks.length
+      ? [...scoTasks, { id: COURSE_ROLLUP_TASK, title: 'Course summary', run_last: true }]
+      : []
+  });
+  await updateCourse(course.id, { processing_job_id: job.id, processing_status: job.status });
+  return job;
+}
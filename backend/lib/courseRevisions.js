@@ -0,0 +1,134 @@
+import { createJsonStore } from './jsonStore.js';
+import { fingerprintDirectory, fingerprintSco } from './packageFingerprint.js';
+
+// --- Course Revisions ---
+// Every upload of a course is kept as a revision record: the archive and
+// content hashes, the hash of every file and SCO, and the diff against the
+// revision before it. Uploading a package whose manifest identifier matches
+// an existing course makes it the next revision of that course; uploading
+// the content of a course's current revision again is a duplicate.
+// The extracted files of older revisions are not kept, only their records.
+const revisions = createJsonStore('course_revisions');
+
+const revisionId = (courseId, revision) => `${courseId}_r${revision}`;
+
+function buildRevisionRecord(course, { revision, archiveHash, fingerprint }) {
+  return {
+    id: revisionId(course.id, revision),
+    course_id: course.id,
+    revision,
+    title: course.title,
+    original_filename: course.original_filename,
+    manifest_identifier: course.manifest.identifier || null,
+    manifest_version: course.manifest.version || null,
+    archive_hash: archiveHash || null,
+    content_hash: fingerprint.content_hash,
+    file_count: fingerprint.file_count,
+    total_bytes: fingerprint.total_bytes,
+    uploaded_at: course.revised_at || course.uploaded_at,
+    scos: (course.scos || []).map(sco => ({
+      identifier: sco.identifier,
+      title: sco.title,
+      href: sco.href,
+      content_hash: fingerprintSco(course.manifest, sco, fingerprint.files)
+    })),
+    files: fingerprint.files
+  };
+}
+
+// Added, removed and changed SCOs (by identifier) and files (by path)
+export function diffRevisions(previous, current) {
+  const previousScos = new Map(previous.scos.map(sco => [sco.identifier, sco]));
+  const currentScos = new Map(current.scos.map(sco => [sco.identifier, sco]));
+  const scoEntry = (sco) => ({ identifier: sco.identifier, title: sco.title });
+
+  const changedScos = [];
+  current.scos.forEach(sco => {
+    const before = previousScos.get(sco.identifier);
+    if (!before) return;
+    const changes = ['title', 'href', 'content_hash'].filter(field => before[field] !== sco[field])
+      .map(field => (field === 'content_hash' ? 'content' : field));
+    if (changes.length) changedScos.push({ ...scoEntry(sco), changes });
+  });
+
+  const previousFiles = previous.files || {};
+  const currentFiles = current.files || {};
+  return {
+    from_revision: previous.revision,
+    to_revision: current.revision,
+    scos: {
+      added: current.scos.filter(sco => !previousScos.has(sco.identifier)).map(scoEntry),
+      removed: previous.scos.filter(sco => !currentScos.has(sco.identifier)).map(scoEntry),
+      changed: changedScos
+    },
+    files: {
+      added: Object.keys(currentFiles).filter(file => !previousFiles[file]),
+      removed: Object.keys(previousFiles).filter(file => !currentFiles[file]),
+      changed: Object.keys(currentFiles).filter(file => previousFiles[file] && previousFiles[file].sha256 !== currentFiles[file].sha256)
+    }
+  };
+}
+
+// Stores the course's current content as a revision, with the diff against
+// the previous revision record when there is one
+export async function recordRevision(course, { archiveHash, fingerprint, previous = null }) {
+  const record = buildRevisionRecord(course, { revision: course.revision || 1, archiveHash, fingerprint });
+  record.diff = previous ? diffRevisions(previous, record) : null;
+  await revisions.put(record.id, record);
+  console.log(`recordRevision: Stored revision ${record.revision} of course ${course.id}`);
+  return record;
+}
+
+export async function getRevision(courseId, revision) {
+  return revisions.get(revisionId(courseId, revision));
+}
+
+// Revisions of a course, oldest first
+export async function listRevisions(courseId) {
+  const all = await revisions.list();
+  return all.filter(record => record.course_id === courseId).sort((a, b) => a.revision - b.revision);
+}
+
+// Revision record without the per-file hashes
+export function toRevisionSummary(record) {
+  const { files, ...summary } = record;
+  return summary;
+}
+
+// The latest revision record of a course. Courses registered before
+// revisions were tracked get one built from their extracted files.
+export async function ensureLatestRevision(course, courseDir) {
+  const latest = await getRevision(course.id, course.revision || 1);
+  if (latest) return latest;
+  console.log(`ensureLatestRevision: Fingerprinting course ${course.id} to start its revision history`);
+  return recordRevision(course, { archiveHash: course.archive_hash, fingerprint: await fingerprintDirectory(courseDir) });
+}
+
+// The current revision of a course with the same archive or content hash.
+// Re-uploading an older revision isn't a duplicate: it becomes a new
+// revision that reverts the course. Returns
+// { course_id, revision, match: 'archive' | 'content' } or null. courseIds
+// limits the search to those courses (the ones of the uploader's tenant).
+export async function findDuplicate({ archiveHash, contentHash, courseIds = null }) {
+  const latest = new Map();
+  (await revisions.list()).forEach(record => {
+    if (courseIds && !courseIds.has(record.course_id)) return;
+    const current = latest.get(record.course_id);
+    if (!current || record.revision > current.revision) latest.set(record.course_id, record);
+  });
+  const candidates = [...latest.values()];
+  for (const [match, field, value] of [['archive', 'archive_hash', archiveHash], ['content', 'content_hash', contentHash]]) {
+    if (!value) continue;
+    const record = candidates.find(candidate => candidate[field] === value);
+    if (record) return { course_id: record.course_id, revision: record.revision, match };
+  }
+  return null;
+}
+
+export async function removeRevisions(courseId) {
+  const records = await listRevisions(courseId);
+  for (const record of records) {
+    await revisions.remove(record.id);
+  }
+  return records.length;
+}
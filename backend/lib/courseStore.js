@@ -0,0 +1,182 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from './jsonStore.js';
+import { TEMP_UPLOADS_DIR } from './paths.js';
+import { removeRevisions } from './courseRevisions.js';
+import { removeCourseIndex } from './search/searchIndex.js';
+import { courseTenantId, DEFAULT_TENANT_ID } from './auth/tenantStore.js';
+
+// --- Course Registry ---
+// Every successfully parsed upload becomes a course record with a stable ID.
+// The record points at its extraction folder (relative to TEMP_UPLOADS_DIR)
+// so the package content can be served or removed later. Courses belong to
+// the tenant of the user who uploaded them.
+const courses = createJsonStore('courses');
+
+export function resolveCourseDir(course) {
+  const courseDir = path.resolve(TEMP_UPLOADS_DIR, course.extract_dir);
+  // Never let a tampered record point outside the uploads directory
+  if (!courseDir.startsWith(path.resolve(TEMP_UPLOADS_DIR) + path.sep)) {
+    throw new Error(`Course ${course.id} has an extraction path outside of temp_uploads`);
+  }
+  return courseDir;
+}
+
+// Catalog fields from the AI course summary. Until the rollup exists (or
+// without an AI provider) keywords and language come from the SCO metadata.
+function catalogMetadata(course) {
+  const aiSummary = course.ai_summary;
+  if (aiSummary) {
+    return {
+      ai_title: aiSummary.title || null,
+      description: aiSummary.summary || null,
+      keywords: aiSummary.keywords || [],
+      language: aiSummary.language || null
+    };
+  }
+  const scoMetadata = Object.values(course.ai_metadata || {}).filter(metadata => metadata && !metadata.error && !metadata.status);
+  const languageCounts = new Map();
+  scoMetadata.forEach(metadata => {
+    if (metadata.language) languageCounts.set(metadata.language, (languageCounts.get(metadata.language) || 0) + 1);
+  });
+  const [language] = [...languageCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+  const keywords = [...new Set(scoMetadata.flatMap(metadata => metadata.keywords || []))].slice(0, 10);
+  return { ai_title: null, description: null, keywords, language };
+}
+
+export function toCourseSummary(course) {
+  return {
+    id: course.id,
+    title: course.title,
+    original_filename: course.original_filename,
+    tenant_id: courseTenantId(course),
+    ...catalogMetadata(course),
+    sco_count: course.scos ? course.scos.length : 0,
+    processing_status: course.processing_status || null,
+    revision: course.revision || 1,
+    uploaded_at: course.uploaded_at,
+    revised_at: course.revised_at || null
+  };
+}
+
+export async function createCourse({ originalFileName, extractDir, manifestData, scos = [], aiMetadata = {}, archiveHash = null, contentHash = null, tenantId = DEFAULT_TENANT_ID }) {
+  const course = {
+    id: uuidv4(),
+    tenant_id: tenantId,
+    title: manifestData.course_title || 'Untitled Course',
+    original_filename: originalFileName,
+    extract_dir: path.relative(TEMP_UPLOADS_DIR, extractDir),
+    uploaded_at: new Date().toISOString(),
+    // See courseRevisions.js; a course starts at revision 1
+    revision: 1,
+    archive_hash: archiveHash,
+    content_hash: contentHash,
+    manifest: manifestData,
+    // Launchable SCOs of the default organization, in activity tree order
+    scos,
+    // AI metadata keyed by SCO identifier
+    ai_metadata: aiMetadata
+  };
+  await courses.put(course.id, course);
+  console.log(`Registered course "${course.title}" with id ${course.id}`);
+  return course;
+}
+
+// Makes a newly uploaded package the next revision of an existing course.
+// The course keeps its id (and its attempts); the previous revision's
+// extracted files are removed once the record points at the new ones.
+export async function reviseCourse(courseId, { originalFileName, extractDir, manifestData, scos = [], archiveHash = null, contentHash = null }) {
+  const previous = await courses.get(courseId);
+  if (!previous) return null;
+  const scoIds = new Set(scos.map(sco => sco.identifier));
+  const course = await updateCourse(courseId, {
+    title: manifestData.course_title || 'Untitled Course',
+    original_filename: originalFileName,
+    extract_dir: path.relative(TEMP_UPLOADS_DIR, extractDir),
+    revised_at: new Date().toISOString(),
+    revision: (previous.revision || 1) + 1,
+    archive_hash: archiveHash,
+    content_hash: contentHash,
+    manifest: manifestData,
+    scos,
+    // Metadata of SCOs that still exist is kept until they are reprocessed
+    ai_metadata: Object.fromEntries(Object.entries(previous.ai_metadata || {}).filter(([scoId]) => scoIds.has(scoId)))
+  });
+
+  if (previous.extract_dir && previous.extract_dir !== course.extract_dir) {
+    const previousDir = resolveCourseDir(previous);
+    await fs.rm(previousDir, { recursive: true, force: true });
+    console.log(`Removed extracted files of revision ${previous.revision || 1} of course ${courseId}: ${previousDir}`);
+  }
+  console.log(`Course ${courseId} is now at revision ${course.revision}`);
+  return course;
+}
+
+// The most recently uploaded course of the tenant whose manifest has this identifier
+export async function findCourseByManifestIdentifier(identifier, { tenantId = null } = {}) {
+  if (!identifier) return null;
+  const allCourses = await listCourses({ tenantId });
+  return allCourses.find(course => course.manifest && course.manifest.identifier === identifier) || null;
+}
+
+export async function getCourse(courseId) {
+  return courses.get(courseId);
+}
+
+// All courses, or those of one tenant, newest first
+export async function listCourses({ tenantId = null } = {}) {
+  const allCourses = (await courses.list()).filter(course => !tenantId || courseTenantId(course) === tenantId);
+  return allCourses.sort((a, b) => (b.uploaded_at || '').localeCompare(a.uploaded_at || ''));
+}
+
+// Updates of one course are applied one after another, so background jobs
+// storing metadata of different SCOs can't overwrite each other's changes
+const courseLocks = new Map();
+
+function withCourseLock(courseId, update) {
+  const previous = courseLocks.get(courseId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(update);
+  courseLocks.set(courseId, next);
+  next.catch(() => {}).then(() => {
+    if (courseLocks.get(courseId) === next) courseLocks.delete(courseId);
+  });
+  return next;
+}
+
+export async function updateCourse(courseId, changes) {
+  return withCourseLock(courseId, async () => {
+    const course = await courses.get(courseId);
+    if (!course) return null;
+    const updatedCourse = { ...course, ...changes, id: course.id, updated_at: new Date().toISOString() };
+    return courses.put(course.id, updatedCourse);
+  });
+}
+
+// Stores the AI metadata of one SCO without touching the other SCOs' entries
+export async function setScoMetadata(courseId, scoId, metadata) {
+  return withCourseLock(courseId, async () => {
+    const course = await courses.get(courseId);
+    if (!course) return null;
+    course.ai_metadata = { ...(course.ai_metadata || {}), [scoId]: metadata };
+    course.updated_at = new Date().toISOString();
+    return courses.put(course.id, course);
+  });
+}
+
+// Removes the course record together with its extracted package files
+export async function deleteCourse(courseId) {
+  const course = await courses.get(courseId);
+  if (!course) return null;
+
+  if (course.extract_dir) {
+    const courseDir = resolveCourseDir(course);
+    await fs.rm(courseDir, { recursive: true, force: true });
+    console.log(`Removed extracted files for course ${courseId}: ${courseDir}`);
+  }
+  await courses.remove(courseId);
+  await removeRevisions(courseId);
+  await removeCourseIndex(courseId);
+  console.log(`Deleted course ${courseId}`);
+  return course;
+}
@@ -0,0 +1,9 @@
+// --- Environment Settings ---
+// Numeric settings read from environment variables. A value that is not a
+// positive number (zero allowed with allowZero) falls back to the default,
+// so a typo doesn't turn a limit off.
+
+export function envNumber(name, fallback, { allowZero = false } = {}) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && (value > 0 || (allowZero && value === 0)) ? value : fallback;
+}
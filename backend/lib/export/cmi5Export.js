@@ -0,0 +1,83 @@
+import { escapeXml } from '../xmlWriter.js';
+import { getOrganization } from '../scormManifest.js';
+import { CMI5_NAMESPACE } from '../cmi5Structure.js';
+import { courseLomData, scoLomData } from './lom.js';
+
+// --- cmi5 Course Structure Writer ---
+// Writes the default organization as cmi5.xml: clusters become blocks and
+// every item that launches a resource becomes an AU. SCOs move on when
+// completed or passed; assets have nothing to report and are marked
+// NotApplicable.
+
+function courseIri(course, ...parts) {
+  return [`urn:synapticx:course:${course.id}`, ...parts.map(encodeURIComponent)].join(':');
+}
+
+function langstringLines(name, value, language, indent) {
+  const lang = language ? ` lang="${escapeXml(language)}"` : ' lang="und"';
+  return [
+    `${indent}<${name}>`,
+    `${indent}  <langstring${lang}>${escapeXml(value)}</langstring>`,
+    `${indent}</${name}>`
+  ];
+}
+
+function nodeLines(item, context, indent) {
+  const { course, notes } = context;
+  const metadata = item.identifierref ? scoLomData(course, item) : null;
+  const title = item.title || item.identifier;
+  const description = (metadata && metadata.description) || title;
+  const language = (metadata && metadata.language) || context.language;
+
+  if (!item.identifierref) {
+    return [
+      `${indent}<block id="${escapeXml(courseIri(course, 'block', item.identifier))}">`,
+      ...langstringLines('title', title, language, `${indent}  `),
+      ...langstringLines('description', description, language, `${indent}  `),
+      ...item.children.flatMap(child => nodeLines(child, context, `${indent}  `)),
+      `${indent}</block>`
+    ];
+  }
+
+  if (item.children.length) notes.children_dropped += item.children.length;
+  if (!item.href) {
+    notes.items_without_launch += 1;
+    return [];
+  }
+  const isSco = item.scorm_type === 'sco';
+  if (isSco) notes.scorm_runtime_aus += 1;
+  const masteryScore = item.mastery_score !== null && item.mastery_score !== undefined
+    ? ` masteryScore="${Math.min(1, Math.max(0, item.mastery_score / 100))}"`
+    : '';
+  return [
+    `${indent}<au id="${escapeXml(courseIri(course, 'au', item.identifier))}" moveOn="${isSco ? 'CompletedOrPassed' : 'NotApplicable'}"${masteryScore} launchMethod="AnyWindow">`,
+    ...langstringLines('title', title, language, `${indent}  `),
+    ...langstringLines('description', description, language, `${indent}  `),
+    `${indent}  <url>${escapeXml(item.href)}</url>`,
+    `${indent}</au>`
+  ];
+}
+
+// Builds cmi5.xml from the default organization. Returns { xml, notes }.
+export function buildCmi5Xml(course) {
+  const organization = getOrganization(course.manifest);
+  const lom = courseLomData(course);
+  const notes = { scorm_runtime_aus: 0, items_without_launch: 0, children_dropped: 0 };
+  const context = { course, notes, language: lom.language };
+  const items = organization ? organization.children : [];
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<courseStructure xmlns="${CMI5_NAMESPACE}">`,
+    `  <course id="${escapeXml(lom.identifier)}">`,
+    ...langstringLines('title', lom.title, lom.language, '    '),
+    ...langstringLines('description', lom.description || lom.title, lom.language, '    '),
+    '  </course>',
+    ...items.flatMap(item => nodeLines(item, context, '  ')),
+    '</courseStructure>',
+    ''
+  ].join('\n');
+
+  console.log(`buildCmi5Xml: Wrote cmi5 course structure for course ${course.id} (${notes.scorm_runtime_aus} SCO AU(s))`);
+  return { xml, notes };
+}
@@ -0,0 +1,83 @@
+import { escapeXml, toXmlId } from '../xmlWriter.js';
+import { getOrganization } from '../scormManifest.js';
+import { buildLom, courseLomData, LOM_NAMESPACES } from './lom.js';
+
+// --- Common Cartridge Manifest Writer ---
+// Writes the default organization as an IMS Common Cartridge 1.1 manifest.
+// Cartridges have a single rooted hierarchy of learning modules and no
+// sequencing or SCORM runtime, so resources become plain web content and
+// SCOs will not report progress to the LMS.
+
+export const COMMON_CARTRIDGE_TARGET = {
+  schemaversion: '1.1.0',
+  imscp: 'http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1',
+  schemaLocation: [
+    ['http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1', 'http://www.imsglobal.org/profile/cc/ccv1p1/ccv1p1_imscp_v1p2_v1p0.xsd'],
+    [LOM_NAMESPACES.cc, 'http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lommanifest_v1p0.xsd']
+  ]
+};
+
+function itemLines(item, notes, indent) {
+  if (item.sequencing || (item.mastery_score ?? null) !== null || item.prerequisites) notes.tracking_dropped += 1;
+  if (!item.isvisible) notes.hidden_items_shown += 1;
+  return [
+    `${indent}<item identifier="${escapeXml(item.identifier)}"${item.identifierref ? ` identifierref="${escapeXml(item.identifierref)}"` : ''}>`,
+    `${indent}  <title>${escapeXml(item.title)}</title>`,
+    ...item.children.flatMap(child => itemLines(child, notes, `${indent}  `)),
+    `${indent}</item>`
+  ];
+}
+
+function resourceLines(resource, notes) {
+  if (resource.scorm_type === 'sco') notes.scorm_runtime_resources += 1;
+  return [
+    `    <resource identifier="${escapeXml(resource.identifier)}" type="webcontent"${resource.href ? ` href="${escapeXml(resource.href)}"` : ''}>`,
+    ...resource.files.map(file => `      <file href="${escapeXml(file)}"/>`),
+    ...resource.dependencies.map(dependency => `      <dependency identifierref="${escapeXml(dependency)}"/>`),
+    '    </resource>'
+  ];
+}
+
+// Builds imsmanifest.xml for a Common Cartridge. Returns { xml, notes }.
+export function buildCommonCartridgeManifest(course) {
+  const target = COMMON_CARTRIDGE_TARGET;
+  const manifest = course.manifest;
+  const organization = getOrganization(manifest);
+  const notes = {
+    tracking_dropped: 0,
+    hidden_items_shown: 0,
+    scorm_runtime_resources: 0,
+    organizations_dropped: Math.max(0, manifest.organizations.length - 1)
+  };
+  const schemaLocation = target.schemaLocation.map(([namespace, file]) => `${namespace} ${file}`).join('\n                      ');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest identifier="${escapeXml(manifest.identifier || toXmlId(`course_${course.id}`))}"`,
+    `          xmlns="${target.imscp}"`,
+    '          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    `          xsi:schemaLocation="${schemaLocation}">`,
+    '  <metadata>',
+    '    <schema>IMS Common Cartridge</schema>',
+    `    <schemaversion>${target.schemaversion}</schemaversion>`,
+    ...buildLom(courseLomData(course), { binding: 'cc', indent: '    ' }),
+    '  </metadata>',
+    organization ? '  <organizations>' : '  <organizations/>',
+    ...(organization ? [
+      `    <organization identifier="${escapeXml(organization.identifier)}" structure="rooted-hierarchy">`,
+      `      <item identifier="${escapeXml(toXmlId(`${organization.identifier}_root`))}">`,
+      ...organization.children.flatMap(item => itemLines(item, notes, '        ')),
+      '      </item>',
+      '    </organization>',
+      '  </organizations>'
+    ] : []),
+    '  <resources>',
+    ...manifest.resources.flatMap(resource => resourceLines(resource, notes)),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+
+  console.log(`buildCommonCartridgeManifest: Wrote Common Cartridge ${target.schemaversion} manifest for course ${course.id}`);
+  return { xml, notes };
+}
@@ -0,0 +1,166 @@
+import path from 'path';
+import fs from 'fs/promises';
+import AdmZip from 'adm-zip';
+import { v4 as uuidv4 } from 'uuid';
+import { TEMP_UPLOADS_DIR } from '../paths.js';
+import { resolveCourseDir } from '../courseStore.js';
+import { parseScormManifest, getOrganization, walkItems, collectScos } from '../scormManifest.js';
+import { validateScormPackage, validateCmi5Package } from '../packageValidator.js';
+import { parseCmi5Xml } from '../cmi5Structure.js';
+import { buildScormManifest, SCORM_TARGETS } from './scormExport.js';
+import { buildCmi5Xml } from './cmi5Export.js';
+import { buildCommonCartridgeManifest, COMMON_CARTRIDGE_TARGET } from './commonCartridgeExport.js';
+
+// --- Course Export ---
+// Writes a fresh package from the stored course model: the course content
+// plus a newly generated manifest (or cmi5.xml). Every package is parsed
+// and validated again before it is handed out, and the report travels with
+// the download.
+
+export const EXPORT_FORMATS = {
+  scorm12: { label: 'SCORM 1.2', scorm_version: '1.2', schemaversion: SCORM_TARGETS['1.2'].schemaversion },
+  scorm2004: { label: 'SCORM 2004 4th Edition', scorm_version: '2004', schemaversion: SCORM_TARGETS['2004'].schemaversion },
+  cmi5: { label: 'cmi5', scorm_version: null, schemaversion: null },
+  cc: { label: 'IMS Common Cartridge 1.1', scorm_version: null, schemaversion: COMMON_CARTRIDGE_TARGET.schemaversion }
+};
+
+// Files of the source package that are replaced by the export
+const PACKAGE_DESCRIPTORS = ['imsmanifest.xml', 'cmi5.xml'];
+const SCHEMA_FILE_PATTERN = /\.(xsd|dtd)$/i;
+
+async function listFiles(dir, base = dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(entryPath, base));
+    else if (entry.isFile()) files.push(path.relative(base, entryPath));
+  }
+  return files;
+}
+
+// Copies the course content. Schema files are only kept when the export
+// stays with the SCORM version of the source, since they would not describe
+// the new manifest otherwise.
+async function copyContent(sourceDir, targetDir, keepSchemas) {
+  const files = (await listFiles(sourceDir)).filter(file => {
+    if (PACKAGE_DESCRIPTORS.includes(file.toLowerCase())) return false;
+    return keepSchemas || !SCHEMA_FILE_PATTERN.test(file);
+  });
+  for (const file of files) {
+    await fs.mkdir(path.dirname(path.join(targetDir, file)), { recursive: true });
+    await fs.copyFile(path.join(sourceDir, file), path.join(targetDir, file));
+  }
+  return files.length;
+}
+
+function launchableCount(manifest) {
+  const organization = getOrganization(manifest);
+  let count = 0;
+  if (organization) walkItems(organization.children, item => { if (item.href) count += 1; });
+  return count;
+}
+
+function auCount(nodes) {
+  return nodes.reduce((count, node) => count + (node.type === 'au' ? 1 : auCount(node.children)), 0);
+}
+
+function writeDescriptor(course, format) {
+  if (format === 'scorm12') return { fileName: 'imsmanifest.xml', ...buildScormManifest(course, '1.2') };
+  if (format === 'scorm2004') return { fileName: 'imsmanifest.xml', ...buildScormManifest(course, '2004') };
+  if (format === 'cmi5') return { fileName: 'cmi5.xml', ...buildCmi5Xml(course) };
+  return { fileName: 'imsmanifest.xml', ...buildCommonCartridgeManifest(course) };
+}
+
+// Parses the written package again and checks that nothing launchable got lost
+async function revalidate(course, format, workDir) {
+  const warnings = [];
+  if (format === 'cmi5') {
+    const validation = await validateCmi5Package(workDir);
+    const structure = await parseCmi5Xml(await fs.readFile(path.join(workDir, 'cmi5.xml'), 'utf-8'));
+    const expected = launchableCount(course.manifest);
+    if (!structure.error && auCount(structure.children) !== expected) {
+      warnings.push(`cmi5.xml has ${auCount(structure.children)} AU(s) but the course has ${expected} launchable item(s)`);
+    }
+    return { validation, warnings };
+  }
+
+  const manifest = await parseScormManifest(workDir);
+  const validation = await validateScormPackage(workDir, manifest);
+  if (!manifest.error) {
+    if (format === 'cc') {
+      if (launchableCount(manifest) !== launchableCount(course.manifest)) {
+        warnings.push(`The exported manifest has ${launchableCount(manifest)} launchable item(s) but the course has ${launchableCount(course.manifest)}`);
+      }
+    } else {
+      const expected = collectScos(course.manifest).map(sco => sco.identifier);
+      const actual = collectScos(manifest).map(sco => sco.identifier);
+      if (expected.join('\n') !== actual.join('\n')) {
+        warnings.push(`The exported manifest has ${actual.length} SCO(s) but the course has ${expected.length}`);
+      }
+    }
+  }
+  return { validation, warnings };
+}
+
+function formatWarnings(course, format, notes, schemasDropped) {
+  const sourceVersion = course.manifest.scorm_version;
+  const warnings = [];
+  if (schemasDropped) {
+    warnings.push('The schema files of the source package were left out because they describe a different specification');
+  }
+  if ((format === 'scorm12' && sourceVersion === '2004') || (format === 'scorm2004' && sourceVersion === '1.2')) {
+    warnings.push(`The content was written for the SCORM ${sourceVersion} runtime API and may not report to a ${EXPORT_FORMATS[format].label} LMS without changes`);
+  }
+  if (notes.sequencing_dropped) warnings.push(`${notes.sequencing_dropped} sequencing definition(s) have no SCORM 1.2 equivalent and were dropped`);
+  if (notes.completion_thresholds_dropped) warnings.push(`${notes.completion_thresholds_dropped} completion threshold(s) have no SCORM 1.2 equivalent and were dropped`);
+  if (notes.prerequisites_dropped) warnings.push(`${notes.prerequisites_dropped} item(s) use SCORM 1.2 prerequisites or time limits, which SCORM 2004 expresses with sequencing; they were dropped`);
+  if (notes.scorm_runtime_aus) warnings.push(`${notes.scorm_runtime_aus} AU(s) are SCORM SCOs that do not send xAPI statements, so they will not satisfy moveOn until they are adapted`);
+  if (notes.items_without_launch) warnings.push(`${notes.items_without_launch} item(s) reference resources without a launch file and were left out`);
+  if (notes.children_dropped) warnings.push(`${notes.children_dropped} item(s) nested below launchable items were left out`);
+  if (notes.tracking_dropped) warnings.push(`${notes.tracking_dropped} item(s) had mastery, prerequisite or sequencing settings that Common Cartridge cannot express`);
+  if (notes.hidden_items_shown) warnings.push(`${notes.hidden_items_shown} hidden item(s) are visible in the cartridge`);
+  if (notes.scorm_runtime_resources) warnings.push(`${notes.scorm_runtime_resources} SCO resource(s) are exported as web content and will not report progress`);
+  if (notes.organizations_dropped) warnings.push(`${notes.organizations_dropped} organization(s) besides the default one were left out`);
+  return warnings;
+}
+
+// Builds the export package for format (see EXPORT_FORMATS).
+// Returns { buffer, report } or { error }.
+export async function exportCourse(course, format) {
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` };
+  }
+  if (!course.manifest) return { error: 'Course has no stored manifest' };
+
+  const sourceDir = resolveCourseDir(course);
+  const workDir = path.join(TEMP_UPLOADS_DIR, `export_${uuidv4()}`);
+  try {
+    const keepSchemas = Boolean(EXPORT_FORMATS[format].scorm_version)
+      && course.manifest.scorm_version === EXPORT_FORMATS[format].scorm_version;
+    await fs.mkdir(workDir, { recursive: true });
+    const fileCount = await copyContent(sourceDir, workDir, keepSchemas);
+    const schemasDropped = !keepSchemas && (await listFiles(sourceDir)).some(file => SCHEMA_FILE_PATTERN.test(file));
+
+    const descriptor = writeDescriptor(course, format);
+    await fs.writeFile(path.join(workDir, descriptor.fileName), descriptor.xml, 'utf-8');
+
+    const { validation, warnings } = await revalidate(course, format, workDir);
+    const zip = new AdmZip();
+    zip.addLocalFolder(workDir);
+
+    const report = {
+      format,
+      label: EXPORT_FORMATS[format].label,
+      file_count: fileCount + 1,
+      valid: validation.valid && warnings.length === 0,
+      validation,
+      warnings: [...formatWarnings(course, format, descriptor.notes, schemasDropped), ...warnings],
+      exported_at: new Date().toISOString()
+    };
+    console.log(`exportCourse: Exported course ${course.id} as ${format} (${report.file_count} files, valid: ${report.valid})`);
+    return { buffer: zip.toBuffer(), report };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,138 @@
+import { escapeXml } from '../xmlWriter.js';
+
+// --- IEEE LOM Metadata ---
+// Writes course and SCO metadata (the AI-generated title, summary, keywords
+// and learning objectives where available) as a <lom> element for manifest
+// <metadata> sections. Three bindings are supported:
+//   ieee   IEEE LOM 1484.12.3 (SCORM 2004): <string language="en">
+//   cc     the Common Cartridge manifest profile of it, which only allows
+//          the general title, language, description and keywords
+//   imsmd  IMS Metadata 1.2.1 (SCORM 1.2): <langstring xml:lang="en">
+
+export const LOM_NAMESPACES = {
+  ieee: 'http://ltsc.ieee.org/xsd/LOM',
+  imsmd: 'http://www.imsglobal.org/xsd/imsmd_rootv1p2p1',
+  cc: 'http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest'
+};
+
+// Language names the AI providers return, as ISO 639-1 codes
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  dutch: 'nl',
+  polish: 'pl',
+  swedish: 'sv',
+  japanese: 'ja',
+  chinese: 'zh'
+};
+
+export function toLanguageCode(language) {
+  if (!language) return null;
+  const normalized = String(language).trim().toLowerCase();
+  if (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(normalized)) return normalized;
+  return LANGUAGE_CODES[normalized] || null;
+}
+
+// Metadata of a course: the AI course summary, falling back to the manifest
+export function courseLomData(course) {
+  const summary = course.ai_summary || {};
+  return {
+    identifier: `urn:synapticx:course:${course.id}`,
+    title: summary.title || course.title,
+    description: summary.summary || null,
+    keywords: summary.keywords || [],
+    objectives: summary.learning_objectives || [],
+    language: toLanguageCode(summary.language)
+  };
+}
+
+// Metadata of a SCO, or null when it has no usable AI metadata
+export function scoLomData(course, sco) {
+  const metadata = course.ai_metadata && course.ai_metadata[sco.identifier];
+  if (!metadata || metadata.error || typeof metadata.summary !== 'string') return null;
+  return {
+    identifier: `urn:synapticx:course:${course.id}:sco:${sco.identifier}`,
+    title: metadata.title || sco.title,
+    description: metadata.summary,
+    keywords: metadata.keywords || [],
+    objectives: metadata.learning_objectives || [],
+    language: toLanguageCode(metadata.language)
+  };
+}
+
+function indentLines(lines, indent) {
+  return lines.map(line => `${indent}${line}`);
+}
+
+function ieeeLom(data, namespace, generalOnly) {
+  const lang = data.language ? ` language="${escapeXml(data.language)}"` : '';
+  const text = (value) => `<string${lang}>${escapeXml(value)}</string>`;
+  const vocabulary = (value) => `<source>LOMv1.0</source><value>${escapeXml(value)}</value>`;
+  const general = [
+    '  <general>',
+    ...(generalOnly ? [] : [`    <identifier><catalog>URI</catalog><entry>${escapeXml(data.identifier)}</entry></identifier>`]),
+    `    <title>${text(data.title)}</title>`,
+    ...(data.language ? [`    <language>${escapeXml(data.language)}</language>`] : []),
+    ...(data.description ? [`    <description>${text(data.description)}</description>`] : []),
+    ...data.keywords.map(keyword => `    <keyword>${text(keyword)}</keyword>`),
+    '  </general>'
+  ];
+  if (generalOnly) return [`<lom xmlns="${namespace}">`, ...general, '</lom>'];
+  return [
+    `<lom xmlns="${namespace}">`,
+    ...general,
+    '  <metaMetadata>',
+    '    <metadataSchema>LOMv1.0</metadataSchema>',
+    '  </metaMetadata>',
+    '  <technical>',
+    '    <format>text/html</format>',
+    '  </technical>',
+    ...(data.objectives.length ? [
+      '  <classification>',
+      `    <purpose>${vocabulary('educational objective')}</purpose>`,
+      ...data.objectives.map(objective => `    <keyword>${text(objective)}</keyword>`),
+      '  </classification>'
+    ] : []),
+    '</lom>'
+  ];
+}
+
+function imsmdLom(data, namespace) {
+  const lang = data.language ? ` xml:lang="${escapeXml(data.language)}"` : '';
+  const text = (value) => `<langstring${lang}>${escapeXml(value)}</langstring>`;
+  const vocabulary = (value) => `<source><langstring xml:lang="x-none">LOMv1.0</langstring></source><value><langstring xml:lang="x-none">${escapeXml(value)}</langstring></value>`;
+  return [
+    `<lom xmlns="${namespace}">`,
+    '  <general>',
+    `    <identifier>${escapeXml(data.identifier)}</identifier>`,
+    `    <title>${text(data.title)}</title>`,
+    `    <catalogentry><catalog>URI</catalog><entry>${text(data.identifier)}</entry></catalogentry>`,
+    ...(data.language ? [`    <language>${escapeXml(data.language)}</language>`] : []),
+    ...(data.description ? [`    <description>${text(data.description)}</description>`] : []),
+    ...data.keywords.map(keyword => `    <keyword>${text(keyword)}</keyword>`),
+    '  </general>',
+    '  <metametadata>',
+    '    <metadatascheme>IMS Metadata 1.2</metadatascheme>',
+    '  </metametadata>',
+    '  <technical>',
+    '    <format>text/html</format>',
+    '  </technical>',
+    ...(data.objectives.length ? [
+      '  <classification>',
+      `    <purpose>${vocabulary('Educational Objective')}</purpose>`,
+      ...data.objectives.map(objective => `    <keyword>${text(objective)}</keyword>`),
+      '  </classification>'
+    ] : []),
+    '</lom>'
+  ];
+}
+
+// Returns the <lom> element as lines indented by indent
+export function buildLom(data, { binding = 'ieee', namespace = LOM_NAMESPACES[binding], indent = '' } = {}) {
+  const lines = binding === 'imsmd' ? imsmdLom(data, namespace) : ieeeLom(data, namespace, binding === 'cc');
+  return indentLines(lines, indent);
+}
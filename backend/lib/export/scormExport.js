@@ -0,0 +1,185 @@
+import { escapeXml, toXmlId } from '../xmlWriter.js';
+import { walkItems } from '../scormManifest.js';
+import { buildLom, courseLomData, scoLomData } from './lom.js';
+import { buildSequencing } from './sequencingXml.js';
+
+// --- SCORM Manifest Writer ---
+// Writes the stored course model as a SCORM 1.2 or SCORM 2004 4th Edition
+// imsmanifest.xml, with LOM metadata for the course and every SCO that has
+// AI metadata. Features the target version doesn't have are dropped and
+// listed in the returned notes.
+
+export const SCORM_TARGETS = {
+  '1.2': {
+    schemaversion: '1.2',
+    imscp: 'http://www.imsproject.org/xsd/imscp_rootv1p1p2',
+    adlcp: 'http://www.adlnet.org/xsd/adlcp_rootv1p2',
+    schemaLocation: [
+      ['http://www.imsproject.org/xsd/imscp_rootv1p1p2', 'imscp_rootv1p1p2.xsd'],
+      ['http://www.imsglobal.org/xsd/imsmd_rootv1p2p1', 'imsmd_rootv1p2p1.xsd'],
+      ['http://www.adlnet.org/xsd/adlcp_rootv1p2', 'adlcp_rootv1p2.xsd']
+    ],
+    lomBinding: 'imsmd'
+  },
+  '2004': {
+    schemaversion: '2004 4th Edition',
+    imscp: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    adlcp: 'http://www.adlnet.org/xsd/adlcp_v1p3',
+    schemaLocation: [
+      ['http://www.imsglobal.org/xsd/imscp_v1p1', 'imscp_v1p1.xsd'],
+      ['http://www.adlnet.org/xsd/adlcp_v1p3', 'adlcp_v1p3.xsd'],
+      ['http://www.adlnet.org/xsd/adlseq_v1p3', 'adlseq_v1p3.xsd'],
+      ['http://www.adlnet.org/xsd/adlnav_v1p3', 'adlnav_v1p3.xsd'],
+      ['http://www.imsglobal.org/xsd/imsss', 'imsss_v1p0.xsd']
+    ],
+    lomBinding: 'ieee'
+  }
+};
+
+// Mastery score (0-100) of a SCORM 2004 item, from a primary objective
+// that is satisfied by measure
+function masteryFromSequencing(sequencing) {
+  const primary = sequencing && sequencing.objectives && sequencing.objectives.find(objective => objective.primary);
+  return primary && primary.satisfied_by_measure ? Math.round(primary.min_normalized_measure * 100) : null;
+}
+
+// SCORM 1.2 mastery score as a SCORM 2004 primary objective
+function sequencingFromMastery(masteryScore) {
+  return {
+    objectives: [{
+      objective_id: null,
+      primary: true,
+      satisfied_by_measure: true,
+      min_normalized_measure: Math.min(1, Math.max(0, masteryScore / 100)),
+      map_info: []
+    }]
+  };
+}
+
+function metadataLines(data, target, indent) {
+  if (!data) return [];
+  return [
+    `${indent}<metadata>`,
+    ...buildLom(data, { binding: target.lomBinding, indent: `${indent}  ` }),
+    `${indent}</metadata>`
+  ];
+}
+
+function itemLines(item, context, indent) {
+  const { version, target, course, notes } = context;
+  const lines = [
+    `${indent}<item${[
+      ` identifier="${escapeXml(item.identifier)}"`,
+      item.identifierref ? ` identifierref="${escapeXml(item.identifierref)}"` : '',
+      item.isvisible ? '' : ' isvisible="false"',
+      item.parameters ? ` parameters="${escapeXml(item.parameters)}"` : ''
+    ].join('')}>`,
+    `${indent}  <title>${escapeXml(item.title)}</title>`,
+    ...item.children.flatMap(child => itemLines(child, context, `${indent}  `)),
+    ...metadataLines(item.identifierref ? scoLomData(course, item) : null, target, `${indent}  `)
+  ];
+
+  const element = (name, value) => (value === null || value === undefined || value === ''
+    ? []
+    : [`${indent}  <adlcp:${name}>${escapeXml(value)}</adlcp:${name}>`]);
+
+  if (version === '1.2') {
+    if (item.sequencing) notes.sequencing_dropped += 1;
+    if (item.completion_threshold !== null && item.completion_threshold !== undefined) notes.completion_thresholds_dropped += 1;
+    lines.push(
+      ...(item.prerequisites ? [`${indent}  <adlcp:prerequisites type="aicc_script">${escapeXml(item.prerequisites)}</adlcp:prerequisites>`] : []),
+      ...element('maxtimeallowed', item.max_time_allowed),
+      ...element('timelimitaction', item.time_limit_action),
+      ...element('datafromlms', item.data_from_lms),
+      ...element('masteryscore', item.mastery_score ?? masteryFromSequencing(item.sequencing))
+    );
+  } else {
+    if (item.prerequisites || item.max_time_allowed) notes.prerequisites_dropped += 1;
+    const sequencing = item.sequencing
+      || (item.mastery_score !== null && item.mastery_score !== undefined ? sequencingFromMastery(item.mastery_score) : null);
+    lines.push(
+      ...element('timeLimitAction', item.time_limit_action),
+      ...element('dataFromLMS', item.data_from_lms),
+      ...(item.completion_threshold !== null && item.completion_threshold !== undefined
+        ? [`${indent}  <adlcp:completionThreshold completedByMeasure="true" minProgressMeasure="${item.completion_threshold}"/>`]
+        : []),
+      ...buildSequencing(sequencing, `${indent}  `)
+    );
+  }
+
+  lines.push(`${indent}</item>`);
+  return lines;
+}
+
+function organizationLines(organization, context) {
+  const { version, notes } = context;
+  const globalObjectives = version === '2004' && organization.objectives_global_to_system === false
+    ? ' adlseq:objectivesGlobalToSystem="false"'
+    : '';
+  if (version === '1.2' && organization.sequencing) notes.sequencing_dropped += 1;
+  return [
+    `    <organization identifier="${escapeXml(organization.identifier)}"${organization.structure !== 'hierarchical' ? ` structure="${escapeXml(organization.structure)}"` : ''}${globalObjectives}>`,
+    `      <title>${escapeXml(organization.title)}</title>`,
+    ...organization.children.flatMap(item => itemLines(item, context, '      ')),
+    ...(version === '2004' ? buildSequencing(organization.sequencing, '      ') : []),
+    '    </organization>'
+  ];
+}
+
+function resourceLines(resource, version) {
+  const scormType = resource.scorm_type || 'asset';
+  return [
+    `    <resource identifier="${escapeXml(resource.identifier)}" type="${escapeXml(resource.type || 'webcontent')}" ${version === '1.2' ? 'adlcp:scormtype' : 'adlcp:scormType'}="${scormType}"${resource.href ? ` href="${escapeXml(resource.href)}"` : ''}>`,
+    ...resource.files.map(file => `      <file href="${escapeXml(file)}"/>`),
+    ...resource.dependencies.map(dependency => `      <dependency identifierref="${escapeXml(dependency)}"/>`),
+    '    </resource>'
+  ];
+}
+
+// Builds imsmanifest.xml for version '1.2' or '2004'. Returns { xml, notes }.
+export function buildScormManifest(course, version) {
+  const target = SCORM_TARGETS[version];
+  const manifest = course.manifest;
+  const notes = { sequencing_dropped: 0, completion_thresholds_dropped: 0, prerequisites_dropped: 0 };
+  const context = { version, target, course, notes };
+
+  const namespaces = [
+    `xmlns="${target.imscp}"`,
+    `xmlns:adlcp="${target.adlcp}"`,
+    ...(version === '2004' ? [
+      'xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"',
+      'xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"',
+      'xmlns:imsss="http://www.imsglobal.org/xsd/imsss"'
+    ] : []),
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+  ];
+  const schemaLocation = target.schemaLocation.map(([namespace, file]) => `${namespace} ${file}`).join('\n                      ');
+
+  let itemCount = 0;
+  manifest.organizations.forEach(organization => walkItems(organization.children, () => { itemCount += 1; }));
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest identifier="${escapeXml(manifest.identifier || toXmlId(`course_${course.id}`))}" version="${escapeXml(manifest.version || '1')}"`,
+    ...namespaces.map(namespace => `          ${namespace}`),
+    `          xsi:schemaLocation="${schemaLocation}">`,
+    '  <metadata>',
+    '    <schema>ADL SCORM</schema>',
+    `    <schemaversion>${target.schemaversion}</schemaversion>`,
+    ...buildLom(courseLomData(course), { binding: target.lomBinding, indent: '    ' }),
+    '  </metadata>',
+    manifest.organizations.length
+      ? `  <organizations default="${escapeXml(manifest.default_organization)}">`
+      : '  <organizations>',
+    ...manifest.organizations.flatMap(organization => organizationLines(organization, context)),
+    '  </organizations>',
+    '  <resources>',
+    ...manifest.resources.flatMap(resource => resourceLines(resource, version)),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+
+  console.log(`buildScormManifest: Wrote SCORM ${target.schemaversion} manifest with ${itemCount} item(s) for course ${course.id}`);
+  return { xml, notes };
+}
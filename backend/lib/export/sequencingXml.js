@@ -0,0 +1,161 @@
+import { escapeXml } from '../xmlWriter.js';
+
+// --- Sequencing Writer ---
+// Writes a sequencing definition of the course model (see
+// parseSequencingElement in scormManifest.js) back as <imsss:sequencing>.
+// Attributes at their default value are left out, so the output stays close
+// to what authors write by hand.
+
+const MEASURE_CONDITIONS = ['objectiveMeasureGreaterThan', 'objectiveMeasureLessThan'];
+
+// [name, value, defaultValue] triples to an attribute string
+function attributes(triples) {
+  return triples
+    .filter(([, value, defaultValue]) => value !== null && value !== undefined && value !== defaultValue)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+function conditionLines(conditionSet, elementName, defaultCombination, indent) {
+  return [
+    `${indent}<imsss:${elementName}s${attributes([['conditionCombination', conditionSet.condition_combination, defaultCombination]])}>`,
+    ...conditionSet.conditions.map(condition => `${indent}  <imsss:${elementName}${attributes([
+      ['referencedObjective', condition.referenced_objective, null],
+      ['measureThreshold', MEASURE_CONDITIONS.includes(condition.condition) ? condition.measure_threshold : null, null],
+      ['operator', condition.operator, 'noOp'],
+      ['condition', condition.condition, null]
+    ])}/>`),
+    `${indent}</imsss:${elementName}s>`
+  ];
+}
+
+function rulesLines(definition, indent) {
+  const rules = [
+    ['preConditionRule', definition.pre_condition_rules],
+    ['exitConditionRule', definition.exit_condition_rules],
+    ['postConditionRule', definition.post_condition_rules]
+  ].filter(([, list]) => list && list.length);
+  if (!rules.length) return [];
+  return [
+    `${indent}<imsss:sequencingRules>`,
+    ...rules.flatMap(([name, list]) => list.flatMap(rule => [
+      `${indent}  <imsss:${name}>`,
+      ...conditionLines(rule, 'ruleCondition', 'all', `${indent}    `),
+      `${indent}    <imsss:ruleAction action="${escapeXml(rule.action)}"/>`,
+      `${indent}  </imsss:${name}>`
+    ])),
+    `${indent}</imsss:sequencingRules>`
+  ];
+}
+
+function rollupLines(rollup, indent) {
+  return [
+    `${indent}<imsss:rollupRules${attributes([
+      ['rollupObjectiveSatisfied', rollup.rollup_objective_satisfied, true],
+      ['rollupProgressCompletion', rollup.rollup_progress_completion, true],
+      ['objectiveMeasureWeight', rollup.objective_measure_weight, 1]
+    ])}>`,
+    ...rollup.rules.flatMap(rule => [
+      `${indent}  <imsss:rollupRule${attributes([
+        ['childActivitySet', rule.child_activity_set, 'all'],
+        ['minimumCount', rule.minimum_count, 0],
+        ['minimumPercent', rule.minimum_percent, 0]
+      ])}>`,
+      ...conditionLines(rule, 'rollupCondition', 'any', `${indent}    `),
+      `${indent}    <imsss:rollupAction action="${escapeXml(rule.action)}"/>`,
+      `${indent}  </imsss:rollupRule>`
+    ]),
+    `${indent}</imsss:rollupRules>`
+  ];
+}
+
+function objectiveLines(objective, indent) {
+  const name = objective.primary ? 'primaryObjective' : 'objective';
+  return [
+    `${indent}<imsss:${name}${attributes([
+      ['satisfiedByMeasure', objective.satisfied_by_measure, false],
+      ['objectiveID', objective.objective_id, null]
+    ])}>`,
+    ...(objective.min_normalized_measure !== 1
+      ? [`${indent}  <imsss:minNormalizedMeasure>${objective.min_normalized_measure}</imsss:minNormalizedMeasure>`]
+      : []),
+    ...objective.map_info.map(mapInfo => `${indent}  <imsss:mapInfo${attributes([
+      ['targetObjectiveID', mapInfo.target_objective_id, null],
+      ['readSatisfiedStatus', mapInfo.read_satisfied_status, true],
+      ['readNormalizedMeasure', mapInfo.read_normalized_measure, true],
+      ['writeSatisfiedStatus', mapInfo.write_satisfied_status, false],
+      ['writeNormalizedMeasure', mapInfo.write_normalized_measure, false]
+    ])}/>`),
+    `${indent}</imsss:${name}>`
+  ];
+}
+
+// Returns the <imsss:sequencing> element as lines, or [] for an empty definition
+export function buildSequencing(definition, indent = '') {
+  if (!definition || !Object.keys(definition).length) return [];
+  const inner = `${indent}  `;
+  const lines = [];
+
+  if (definition.control_mode) {
+    const mode = definition.control_mode;
+    lines.push(`${inner}<imsss:controlMode${attributes([
+      ['choice', mode.choice, true],
+      ['choiceExit', mode.choice_exit, true],
+      ['flow', mode.flow, false],
+      ['forwardOnly', mode.forward_only, false],
+      ['useCurrentAttemptObjectiveInfo', mode.use_current_attempt_objective_info, true],
+      ['useCurrentAttemptProgressInfo', mode.use_current_attempt_progress_info, true]
+    ])}/>`);
+  }
+  lines.push(...rulesLines(definition, inner));
+  if (definition.limit_conditions) {
+    lines.push(`${inner}<imsss:limitConditions${attributes([
+      ['attemptLimit', definition.limit_conditions.attempt_limit, null],
+      ['attemptAbsoluteDurationLimit', definition.limit_conditions.attempt_absolute_duration_limit, null]
+    ])}/>`);
+  }
+  if (definition.rollup_rules) lines.push(...rollupLines(definition.rollup_rules, inner));
+  if (definition.objectives && definition.objectives.length) {
+    lines.push(
+      `${inner}<imsss:objectives>`,
+      ...definition.objectives.flatMap(objective => objectiveLines(objective, `${inner}  `)),
+      `${inner}</imsss:objectives>`
+    );
+  }
+  if (definition.randomization_controls) {
+    const controls = definition.randomization_controls;
+    lines.push(`${inner}<imsss:randomizationControls${attributes([
+      ['randomizationTiming', controls.randomization_timing, 'never'],
+      ['selectCount', controls.select_count, null],
+      ['reorderChildren', controls.reorder_children, false],
+      ['selectionTiming', controls.selection_timing, 'never']
+    ])}/>`);
+  }
+  if (definition.delivery_controls) {
+    const controls = definition.delivery_controls;
+    lines.push(`${inner}<imsss:deliveryControls${attributes([
+      ['tracked', controls.tracked, true],
+      ['completionSetByContent', controls.completion_set_by_content, false],
+      ['objectiveSetByContent', controls.objective_set_by_content, false]
+    ])}/>`);
+  }
+  if (definition.constrained_choice_considerations) {
+    const considerations = definition.constrained_choice_considerations;
+    lines.push(`${inner}<adlseq:constrainedChoiceConsiderations${attributes([
+      ['preventActivation', considerations.prevent_activation, false],
+      ['constrainChoice', considerations.constrain_choice, false]
+    ])}/>`);
+  }
+  if (definition.rollup_considerations) {
+    const considerations = definition.rollup_considerations;
+    lines.push(`${inner}<adlseq:rollupConsiderations${attributes([
+      ['requiredForSatisfied', considerations.required_for_satisfied, 'always'],
+      ['requiredForNotSatisfied', considerations.required_for_not_satisfied, 'always'],
+      ['requiredForCompleted', considerations.required_for_completed, 'always'],
+      ['requiredForIncomplete', considerations.required_for_incomplete, 'always'],
+      ['measureSatisfactionIfActive', considerations.measure_satisfaction_if_active, true]
+    ])}/>`);
+  }
+
+  return [`${indent}<imsss:sequencing>`, ...lines, `${indent}</imsss:sequencing>`];
+}
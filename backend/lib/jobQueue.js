@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from './jsonStore.js';
+
+// --- Background Job Queue ---
+// A job is split into tasks (e.g. one per SCO) that run in the background,
+// at most JOB_CONCURRENCY at a time across all jobs. Every state change is
+// written to the 'jobs' store, so unfinished work is picked up again by
+// resumeJobs() after a server restart.
+const jobs = createJsonStore('jobs');
+
+export const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+// Attempts per task, including the first one
+export const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 5);
+// Base delay of the exponential backoff between retries
+const JOB_RETRY_BASE_MS = Math.max(0, Number(process.env.JOB_RETRY_BASE_MS) || 2000);
+
+const TERMINAL_TASK_STATUSES = ['completed', 'failed', 'skipped'];
+
+const handlers = new Map(); // job type -> { runTask, onComplete }
+const activeJobs = new Map(); // job id -> unfinished job, oldest first
+const pendingWrites = new Map(); // job id -> last queued write of that job
+let runningTasks = 0;
+let wakeTimer = null;
+
+// Registers the worker for a job type. runTask(job, task) resolves to
+// { result } on success, { skipped: true, result } when there was nothing to
+// do, or { error, retryable, retry_after_ms } on failure. Retryable errors
+// are tried again with exponential backoff until JOB_MAX_ATTEMPTS is reached.
+// onComplete(job) runs once when all tasks of a job have finished.
+export function registerJobHandler(type, { runTask, onComplete = null }) {
+  handlers.set(type, { runTask, onComplete });
+}
+
+function computeProgress(tasks) {
+  const count = (status) => tasks.filter(task => task.status === status).length;
+  const finished = tasks.filter(task => TERMINAL_TASK_STATUSES.includes(task.status)).length;
+  return {
+    total: tasks.length,
+    pending: count('pending'),
+    running: count('running'),
+    completed: count('completed'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    percent: tasks.length ? Math.round((finished / tasks.length) * 100) : 100
+  };
+}
+
+// Writes of one job are chained so an older snapshot never overwrites a newer one
+function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  job.progress = computeProgress(job.tasks);
+  const snapshot = JSON.parse(JSON.stringify(job));
+  const previous = pendingWrites.get(job.id) || Promise.resolve();
+  const write = previous
+    .then(() => jobs.put(job.id, snapshot))
+    .catch(error => console.error(`jobQueue: Failed to store job ${job.id}:`, error));
+  pendingWrites.set(job.id, write);
+  write.then(() => {
+    if (pendingWrites.get(job.id) === write) pendingWrites.delete(job.id);
+  });
+  return write;
+}
+
+export async function enqueueJob(type, { courseId = null, payload = {}, tasks = [] }) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: tasks.length ? 'queued' : 'completed',
+    course_id: courseId,
+    payload,
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: tasks.length ? null : now,
+    tasks: tasks.map(task => ({
+      id: task.id,
+      title: task.title || task.id,
+      // run_last tasks wait until every other task of the job has finished
+      run_last: Boolean(task.run_last),
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      next_attempt_at: null,
+      started_at: null,
+      finished_at: null,
+      result: null
+    }))
+  };
+  await saveJob(job);
+  console.log(`enqueueJob: Queued ${type} job ${job.id} with ${job.tasks.length} task(s)`);
+  if (tasks.length) {
+    activeJobs.set(job.id, job);
+    schedule();
+  }
+  return job;
+}
+
+export async function getJob(jobId) {
+  return activeJobs.get(jobId) || jobs.get(jobId);
+}
+
+export async function listJobs({ courseId } = {}) {
+  const allJobs = await jobs.list();
+  return allJobs
+    .map(job => activeJobs.get(job.id) || job)
+    .filter(job => !courseId || job.course_id === courseId)
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+// Starts due tasks until the concurrency limit is reached, and sets a timer
+// for the earliest retry that isn't due yet
+function schedule() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  const now = Date.now();
+  let nextWakeAt = null;
+
+  for (const job of activeJobs.values()) {
+    const othersFinished = job.tasks
+      .filter(task => !task.run_last)
+      .every(task => TERMINAL_TASK_STATUSES.includes(task.status));
+    for (const task of job.tasks) {
+      if (runningTasks >= JOB_CONCURRENCY) return;
+      if (task.status !== 'pending' || (task.run_last && !othersFinished)) continue;
+      const dueAt = task.next_attempt_at ? Date.parse(task.next_attempt_at) : 0;
+      if (dueAt > now) {
+        nextWakeAt = nextWakeAt === null ? dueAt : Math.min(nextWakeAt, dueAt);
+        continue;
+      }
+      runTask(job, task);
+    }
+  }
+
+  if (nextWakeAt !== null) {
+    wakeTimer = setTimeout(schedule, nextWakeAt - now);
+    // Waiting retries alone shouldn't keep the process alive
+    wakeTimer.unref();
+  }
+}
+
+async function runTask(job, task) {
+  runningTasks += 1;
+  const startedAt = new Date().toISOString();
+  task.status = 'running';
+  task.attempts += 1;
+  task.started_at = startedAt;
+  task.next_attempt_at = null;
+  if (job.status === 'queued') {
+    job.status = 'running';
+    job.started_at = job.started_at || startedAt;
+  }
+  saveJob(job);
+
+  let outcome;
+  try {
+    const handler = handlers.get(job.type);
+    outcome = handler
+      ? (await handler.runTask(job, task)) || {}
+      : { error: `No handler registered for job type "${job.type}"` };
+  } catch (error) {
+    console.error(`runTask: Task ${task.id} of job ${job.id} threw:`, error);
+    outcome = { error: error.message || 'Task failed' };
+  }
+  runningTasks -= 1;
+
+  if (outcome.error && outcome.retryable && task.attempts < JOB_MAX_ATTEMPTS) {
+    const delay = outcome.retry_after_ms || JOB_RETRY_BASE_MS * 2 ** (task.attempts - 1);
+    console.warn(`runTask: Task ${task.id} of job ${job.id} will be retried in ${delay}ms (attempt ${task.attempts}/${JOB_MAX_ATTEMPTS}): ${outcome.error}`);
+    task.status = 'pending';
+    task.error = outcome.error;
+    task.next_attempt_at = new Date(Date.now() + delay).toISOString();
+  } else {
+    task.status = outcome.error ? 'failed' : (outcome.skipped ? 'skipped' : 'completed');
+    task.error = outcome.error || null;
+    task.result = outcome.result || null;
+    task.finished_at = new Date().toISOString();
+    console.log(`runTask: Task ${task.id} of job ${job.id} ${task.status}`);
+  }
+
+  if (job.tasks.every(jobTask => TERMINAL_TASK_STATUSES.includes(jobTask.status))) {
+    await finishJob(job);
+  } else {
+    saveJob(job);
+  }
+  schedule();
+}
+
+async function finishJob(job) {
+  activeJobs.delete(job.id);
+  const progress = computeProgress(job.tasks);
+  job.status = progress.failed === progress.total ? 'failed' : 'completed';
+  job.finished_at = new Date().toISOString();
+  await saveJob(job);
+  console.log(`finishJob: Job ${job.id} ${job.status} (${progress.completed} completed, ${progress.skipped} skipped, ${progress.failed} failed)`);
+
+  const handler = handlers.get(job.type);
+  if (handler && handler.onComplete) {
+    try {
+      await handler.onComplete(job);
+    } catch (error) {
+      console.error(`finishJob: onComplete of job ${job.id} failed:`, error);
+    }
+  }
+}
+
+// Puts unfinished jobs from the store back on the queue. Tasks that were
+// running when the server stopped start over without losing an attempt.
+export async function resumeJobs() {
+  const storedJobs = await jobs.list();
+  const unfinished = storedJobs
+    .filter(job => (job.status === 'queued' || job.status === 'running') && !activeJobs.has(job.id))
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+
+  for (const job of unfinished) {
+    job.tasks.forEach(task => {
+      if (task.status === 'running') {
+        task.status = 'pending';
+        task.attempts = Math.max(0, task.attempts - 1);
+      }
+    });
+    job.resumed_at = new Date().toISOString();
+    if (job.tasks.every(task => TERMINAL_TASK_STATUSES.includes(task.status))) {
+      // Stopped between the last task and the job being marked finished
+      await finishJob(job);
+      continue;
+    }
+    activeJobs.set(job.id, job);
+    await saveJob(job);
+  }
+
+  if (unfinished.length) {
+    console.log(`resumeJobs: Resumed ${unfinished.length} unfinished job(s)`);
+  }
+  schedule();
+  return unfinished.length;
+}
@@ -0,0 +1,77 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import { DATA_DIR } from './paths.js';
+
+// Record IDs end up in file names, so only allow a safe character set
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+export function isValidRecordId(id) {
+  return typeof id === 'string' && SAFE_ID_PATTERN.test(id) && id !== '.' && id !== '..';
+}
+
+// Creates a minimal document store that keeps one JSON file per record
+// under DATA_DIR/<collectionName>. Good enough for a single-process server
+// and keeps everything inspectable on disk.
+export function createJsonStore(collectionName) {
+  const collectionDir = path.join(DATA_DIR, collectionName);
+
+  if (!existsSync(collectionDir)) {
+    mkdirSync(collectionDir, { recursive: true });
+    console.log(`Created data directory for "${collectionName}": ${collectionDir}`);
+  }
+
+  const recordPath = (id) => path.join(collectionDir, `${id}.json`);
+
+  return {
+    dir: collectionDir,
+
+    async get(id) {
+      if (!isValidRecordId(id)) return null;
+      try {
+        const content = await fs.readFile(recordPath(id), 'utf-8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async list() {
+      const entries = await fs.readdir(collectionDir);
+      const records = [];
+      for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        try {
+          const content = await fs.readFile(path.join(collectionDir, entry), 'utf-8');
+          records.push(JSON.parse(content));
+        } catch (error) {
+          console.error(`jsonStore(${collectionName}): Skipping unreadable record ${entry}:`, error.message);
+        }
+      }
+      return records;
+    },
+
+    async put(id, record) {
+      if (!isValidRecordId(id)) {
+        throw new Error(`Invalid record id for ${collectionName}: ${id}`);
+      }
+      // Write to a temp file first so a crash never leaves a half-written record
+      const tmpPath = `${recordPath(id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), 'utf-8');
+      await fs.rename(tmpPath, recordPath(id));
+      return record;
+    },
+
+    async remove(id) {
+      if (!isValidRecordId(id)) return false;
+      try {
+        await fs.unlink(recordPath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { createJsonStore } from '../jsonStore.js';
+import { CLAIMS } from './launch.js';
+import { signJwt } from './jwt.js';
+import { getToolKey } from './toolKeys.js';
+
+// --- LTI Deep Linking ---
+// A deep linking launch lets an instructor pick courses from our library
+// for their LMS course. The request is kept as a session the picker page
+// reads; the picked courses go back to the platform as ltiResourceLink
+// items in a signed LtiDeepLinkingResponse, each with the course id as a
+// custom parameter so its later launches open that course.
+const sessions = createJsonStore('lti_deep_links');
+
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+export async function createDeepLinkSession({ platform, claims, user }) {
+  const settings = claims[CLAIMS.deep_linking_settings];
+  const context = claims[CLAIMS.context] || {};
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    platform_id: platform.id,
+    platform_name: platform.name,
+    client_id: platform.client_id,
+    issuer: platform.issuer,
+    deployment_id: claims[CLAIMS.deployment_id],
+    user_id: user.id,
+    context_title: context.title || context.label || null,
+    return_url: settings.deep_link_return_url,
+    accept_types: settings.accept_types || [],
+    accept_multiple: settings.accept_multiple !== false,
+    data: settings.data,
+    expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  };
+  await sessions.put(session.id, session);
+  return session;
+}
+
+// The session if it belongs to the user and hasn't expired
+export async function getDeepLinkSession(sessionId, user) {
+  const session = await sessions.get(sessionId);
+  if (!session || session.user_id !== user.id || new Date(session.expires_at).getTime() < Date.now()) return null;
+  return session;
+}
+
+export function toDeepLinkSummary(session) {
+  return {
+    id: session.id,
+    platform_name: session.platform_name,
+    context_title: session.context_title,
+    accept_multiple: session.accept_multiple,
+    accepts_links: session.accept_types.includes('ltiResourceLink')
+  };
+}
+
+// Builds the signed response for the picked courses and ends the session.
+// launchUrl is our /lti/launch. Returns { return_url, jwt } or { error }.
+export async function completeDeepLink(session, courses, { launchUrl }) {
+  if (!session.accept_types.includes('ltiResourceLink')) {
+    return { error: 'The platform does not accept LTI resource links here' };
+  }
+  if (!session.accept_multiple && courses.length > 1) {
+    return { error: 'The platform accepts only one course here' };
+  }
+  const { privateKey, kid } = getToolKey();
+  const claims = {
+    iss: session.client_id,
+    aud: session.issuer,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    [CLAIMS.message_type]: 'LtiDeepLinkingResponse',
+    [CLAIMS.version]: '1.3.0',
+    [CLAIMS.deployment_id]: session.deployment_id,
+    'https://purl.imsglobal.org/spec/lti-dl/claim/content_items': courses.map(course => ({
+      type: 'ltiResourceLink',
+      title: course.title,
+      url: launchUrl,
+      custom: { course_id: course.id },
+      // Lets the platform create a gradebook column for the course score
+      lineItem: { scoreMaximum: 100, label: course.title, resourceId: course.id }
+    }))
+  };
+  if (session.data !== undefined) claims['https://purl.imsglobal.org/spec/lti-dl/claim/data'] = session.data;
+  const jwt = signJwt(claims, { privateKey, kid });
+  await sessions.remove(session.id);
+  console.log(`completeDeepLink: Linked ${courses.length} course(s) into ${session.platform_name}`);
+  return { return_url: session.return_url, jwt };
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { createJsonStore } from '../jsonStore.js';
+import { registerJobHandler, enqueueJob } from '../jobQueue.js';
+import { getCourse } from '../courseStore.js';
+import { getAttempt } from '../attemptStore.js';
+import { summarizeAttempt } from '../analytics/courseReport.js';
+import { getPlatform } from './platformStore.js';
+import { CLAIMS } from './launch.js';
+import { signJwt } from './jwt.js';
+import { getToolKey } from './toolKeys.js';
+
+// --- LTI Assignment and Grade Services ---
+// A resource link launch with the AGS claim is remembered as a grade link
+// (platform, LTI user, course, line item). When the learner finishes a SCO
+// of that course, the attempt's score is posted to the line item in the
+// background; failures are retried by the job queue.
+
+export const LTI_SCORE_JOB = 'lti-score';
+
+export const SCOPES = {
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+  lineitem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem'
+};
+const REQUEST_TIMEOUT_MS = 15000;
+
+const gradeLinks = createJsonStore('lti_grade_links');
+const accessTokens = new Map(); // platform id + scopes -> { token, expires_at }
+
+// Keeps the AGS endpoint of a resource link launch. Returns the grade link
+// or null when the platform doesn't want scores for this link.
+export async function recordGradeLink({ platform, claims, user, courseId }) {
+  const endpoint = claims[CLAIMS.ags_endpoint];
+  if (!endpoint || !(endpoint.scope || []).includes(SCOPES.score) || (!endpoint.lineitem && !endpoint.lineitems)) return null;
+  const resourceLinkId = claims[CLAIMS.resource_link].id;
+  const id = crypto.createHash('sha256')
+    .update([platform.id, claims[CLAIMS.deployment_id], resourceLinkId, claims.sub].join('\n'))
+    .digest('hex')
+    .slice(0, 32);
+  const existing = await gradeLinks.get(id);
+  const link = {
+    id,
+    platform_id: platform.id,
+    user_id: user.id,
+    lti_user_id: String(claims.sub),
+    course_id: courseId,
+    resource_link_id: resourceLinkId,
+    lineitem: endpoint.lineitem || (existing && existing.lineitem) || null,
+    lineitems: endpoint.lineitems || null,
+    scope: endpoint.scope,
+    created_at: existing ? existing.created_at : new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  await gradeLinks.put(id, link);
+  return link;
+}
+
+// Queues the score of the attempt for every grade link of its learner and course
+export async function syncAttemptGrade(attempt) {
+  const links = (await gradeLinks.list()).filter(link => link.user_id === attempt.learner_id && link.course_id === attempt.course_id);
+  const jobs = [];
+  for (const link of links) {
+    jobs.push(await enqueueJob(LTI_SCORE_JOB, {
+      courseId: attempt.course_id,
+      payload: { grade_link_id: link.id, attempt_id: attempt.id },
+      tasks: [{ id: 'score', title: 'Post the score to the LMS' }]
+    }));
+  }
+  return jobs;
+}
+
+// OAuth 2 client credentials grant with a signed client assertion
+async function getAccessToken(platform, scopes) {
+  const cacheKey = `${platform.id} ${scopes.join(' ')}`;
+  const cached = accessTokens.get(cacheKey);
+  if (cached && cached.expires_at > Date.now() + 30000) return cached.token;
+
+  const { privateKey, kid } = getToolKey();
+  const assertion = signJwt({
+    iss: platform.client_id,
+    sub: platform.client_id,
+    aud: platform.auth_token_url,
+    jti: crypto.randomUUID()
+  }, { privateKey, kid });
+  const response = await axios.post(platform.auth_token_url, new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+    client_assertion: assertion,
+    scope: scopes.join(' ')
+  }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: REQUEST_TIMEOUT_MS });
+  const token = response.data.access_token;
+  accessTokens.set(cacheKey, { token, expires_at: Date.now() + (Number(response.data.expires_in) || 3600) * 1000 });
+  return token;
+}
+
+// The line item of a link; without one from the launch it is looked up by
+// resource link in the line items container, or created there
+async function resolveLineItem(platform, link, course) {
+  if (link.lineitem) return link.lineitem;
+  if (!link.scope.includes(SCOPES.lineitem)) throw Object.assign(new Error('No line item and no permission to create one'), { retryable: false });
+  const token = await getAccessToken(platform, [SCOPES.lineitem]);
+  const headers = { Authorization: `Bearer ${token}` };
+  const listUrl = new URL(link.lineitems);
+  listUrl.searchParams.set('resource_link_id', link.resource_link_id);
+  const existing = await axios.get(listUrl.toString(), {
+    headers: { ...headers, Accept: 'application/vnd.ims.lis.v2.lineitemcontainer+json' },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  let lineItem = Array.isArray(existing.data) ? existing.data[0] : null;
+  if (!lineItem) {
+    const created = await axios.post(link.lineitems, {
+      scoreMaximum: 100,
+      label: course.title,
+      resourceId: course.id,
+      resourceLinkId: link.resource_link_id
+    }, { headers: { ...headers, 'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json' }, timeout: REQUEST_TIMEOUT_MS });
+    lineItem = created.data;
+  }
+  await gradeLinks.put(link.id, { ...link, lineitem: lineItem.id, updated_at: new Date().toISOString() });
+  return lineItem.id;
+}
+
+async function postScore(job) {
+  const link = await gradeLinks.get(job.payload.grade_link_id);
+  const attempt = await getAttempt(job.payload.attempt_id);
+  const course = attempt ? await getCourse(attempt.course_id) : null;
+  const platform = link ? await getPlatform(link.platform_id) : null;
+  if (!link || !attempt || !course || !platform) {
+    return { skipped: true, result: { note: 'The grade link, attempt, course or platform no longer exists' } };
+  }
+
+  const summary = summarizeAttempt(course, attempt);
+  const graded = summary.completed || summary.success_status !== 'unknown';
+  const score = {
+    userId: link.lti_user_id,
+    activityProgress: summary.completed ? 'Completed' : 'InProgress',
+    gradingProgress: graded && summary.score !== null ? 'FullyGraded' : 'Pending',
+    timestamp: new Date().toISOString(),
+    comment: `Attempt ${attempt.id}: ${summary.success_status === 'unknown' ? 'no result yet' : summary.success_status}`
+  };
+  if (summary.score !== null) Object.assign(score, { scoreGiven: summary.score, scoreMaximum: 100 });
+
+  try {
+    const lineItem = await resolveLineItem(platform, link, course);
+    const token = await getAccessToken(platform, [SCOPES.score]);
+    // Line item URLs may carry a query string; /scores goes before it
+    const scoresUrl = new URL(lineItem);
+    scoresUrl.pathname = `${scoresUrl.pathname.replace(/\/+$/, '')}/scores`;
+    await axios.post(scoresUrl.toString(), score, {
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v1.score+json' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    console.log(`postScore: Posted ${summary.score ?? 'no'} score for attempt ${attempt.id} to ${platform.name}`);
+    return { result: { note: `Score ${summary.score ?? '-'} (${score.activityProgress}, ${score.gradingProgress}) posted to ${platform.name}` } };
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    console.error(`postScore: Posting the score of attempt ${attempt.id} to ${platform.name} failed${status ? ` with status ${status}` : ''}:`, error.message);
+    if (status === 401) accessTokens.clear();
+    return {
+      error: `Score request failed${status ? ` (${status})` : ''}: ${error.message}`,
+      // Expired tokens, rate limits, server and network errors may go away
+      retryable: error.retryable !== false && (status === null || status === 401 || status === 429 || status >= 500)
+    };
+  }
+}
+
+registerJobHandler(LTI_SCORE_JOB, {
+  runTask: (job) => postScore(job)
+});
@@ -0,0 +1,50 @@
+import { getToolJwks } from './toolKeys.js';
+import { SCOPES } from './gradeService.js';
+
+// --- LTI 1.3 Tool ---
+// Entry point of the LTI layer: LMSs registered as platforms launch our
+// courses (launch.js), pick them through deep linking (deepLinking.js) and
+// receive scores back through Assignment and Grade Services
+// (gradeService.js). LTI_TOOL_URL is our public base URL as the platforms
+// see it; without it the URL of the incoming request is used.
+
+const LTI_TOOL_URL = (process.env.LTI_TOOL_URL || '').replace(/\/+$/, '');
+
+export function toolBaseUrl(req) {
+  return LTI_TOOL_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Whether browsers reach the tool over HTTPS: LTI_TOOL_URL says so, or the
+// request came in over TLS (behind a proxy that needs TRUST_PROXY, see
+// server.js). Cookies a platform's cross-site posts and frames must carry
+// are SameSite=None, which browsers only accept together with Secure.
+export const isSecureToolRequest = (req) => toolBaseUrl(req).startsWith('https://');
+
+export function toolUrls(baseUrl) {
+  return {
+    login_url: `${baseUrl}/lti/login`,
+    launch_url: `${baseUrl}/lti/launch`,
+    jwks_url: `${baseUrl}/lti/jwks`
+  };
+}
+
+// What an LMS administrator enters when registering the tool
+export function toolConfiguration(baseUrl) {
+  const urls = toolUrls(baseUrl);
+  return {
+    title: 'SynapticX',
+    description: 'Launch SCORM courses from the SynapticX library',
+    target_link_uri: urls.launch_url,
+    oidc_initiation_url: urls.login_url,
+    redirect_uris: [urls.launch_url],
+    public_jwk_url: urls.jwks_url,
+    public_jwk: getToolJwks().keys[0],
+    messages: [
+      { type: 'LtiResourceLinkRequest', target_link_uri: urls.launch_url },
+      { type: 'LtiDeepLinkingRequest', target_link_uri: urls.launch_url }
+    ],
+    scopes: Object.values(SCOPES)
+  };
+}
+
+export { getToolJwks };
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+
+// --- RS256 JSON Web Tokens ---
+// LTI messages are JWTs signed with the sender's RSA key: id_tokens from the
+// platform, deep linking responses and client assertions from us.
+
+// Tolerated clock difference between us and the platform
+const CLOCK_SKEW_SECONDS = 60;
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export function signJwt(claims, { privateKey, kid, ttlSeconds = 300 }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64UrlJson({ alg: 'RS256', typ: 'JWT', kid });
+  const payload = base64UrlJson({ iat: issuedAt, exp: issuedAt + ttlSeconds, ...claims });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns { header, payload } without checking anything, or null when the
+// token isn't a JWT
+export function decodeJwt(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'))
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Checks the signature with publicKey (a KeyObject) and the time claims.
+// Returns { payload } or { error }.
+export function verifyJwt(token, publicKey) {
+  const decoded = decodeJwt(token);
+  if (!decoded) return { error: 'Not a JWT' };
+  if (decoded.header.alg !== 'RS256') return { error: `Unsupported JWT algorithm ${decoded.header.alg}` };
+  const [header, payload, signature] = token.split('.');
+  const valid = crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'));
+  if (!valid) return { error: 'Invalid JWT signature' };
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = decoded.payload;
+  if (!Number.isFinite(claims.exp) || claims.exp + CLOCK_SKEW_SECONDS < now) return { error: 'The JWT has expired' };
+  if (Number.isFinite(claims.iat) && claims.iat - CLOCK_SKEW_SECONDS > now) return { error: 'The JWT was issued in the future' };
+  return { payload: claims };
+}
+
+// Public JWK of an RSA key, for a JWKS document
+export function toPublicJwk(key, kid) {
+  const publicKey = crypto.createPublicKey(key);
+  return { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { createJsonStore } from '../jsonStore.js';
+import { upsertExternalUser } from '../auth/userStore.js';
+import { findPlatform, getPlatform, getPlatformKey } from './platformStore.js';
+import { decodeJwt, verifyJwt } from './jwt.js';
+
+// --- LTI 1.3 Launch ---
+// The OIDC third-party login flow:
+//   1. the platform calls /lti/login (login initiation) with its issuer and
+//      a login hint; we remember a state and nonce, bind the state to the
+//      browser with a cookie and redirect it to the platform's auth endpoint
+//   2. the platform posts a signed id_token and the state to /lti/launch;
+//      we check the state against the cookie (so nobody can post their own
+//      launch into someone else's browser), the signature against the
+//      platform's JWKS and the claims, then sign the user in
+// States are single use and expire after STATE_TTL_MS.
+
+export const CLAIMS = {
+  message_type: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+  version: 'https://purl.imsglobal.org/spec/lti/claim/version',
+  deployment_id: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+  target_link_uri: 'https://purl.imsglobal.org/spec/lti/claim/target_link_uri',
+  resource_link: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+  roles: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+  custom: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+  context: 'https://purl.imsglobal.org/spec/lti/claim/context',
+  deep_linking_settings: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+  ags_endpoint: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+};
+
+export const MESSAGE_TYPES = {
+  resource_link: 'LtiResourceLinkRequest',
+  deep_linking: 'LtiDeepLinkingRequest'
+};
+
+export const STATE_TTL_MS = 10 * 60 * 1000;
+const states = createJsonStore('lti_states');
+
+// Platform roles that make a user an author here; everyone else is a learner
+const AUTHOR_ROLES = ['Instructor', 'Administrator', 'ContentDeveloper', 'TeachingAssistant', 'Mentor'];
+
+function mapRole(roles) {
+  const names = (Array.isArray(roles) ? roles : []).map(role => String(role).split('#').pop().split('/').pop());
+  return names.some(name => AUTHOR_ROLES.includes(name)) ? 'author' : 'learner';
+}
+
+async function removeExpiredStates() {
+  const now = Date.now();
+  for (const state of await states.list()) {
+    if (new Date(state.expires_at).getTime() < now) await states.remove(state.id);
+  }
+}
+
+// Step 1. params are the login initiation parameters (query or form).
+// Returns { redirect_url, state } or { error, status }; state goes into the
+// browser's state cookie.
+export async function startLogin(params, { redirectUri }) {
+  const { iss, login_hint: loginHint, target_link_uri: targetLinkUri, lti_message_hint: messageHint, client_id: clientId } = params;
+  if (!iss || !loginHint || !targetLinkUri) {
+    return { error: 'iss, login_hint and target_link_uri are required', status: 400 };
+  }
+  const platform = await findPlatform(String(iss), clientId ? String(clientId) : null);
+  if (!platform) {
+    return { error: `No LTI platform is registered for issuer ${iss}${clientId ? ` and client id ${clientId}` : ''}`, status: 400 };
+  }
+
+  await removeExpiredStates();
+  const state = {
+    id: crypto.randomBytes(24).toString('hex'),
+    nonce: crypto.randomBytes(24).toString('hex'),
+    platform_id: platform.id,
+    target_link_uri: String(targetLinkUri),
+    expires_at: new Date(Date.now() + STATE_TTL_MS).toISOString()
+  };
+  await states.put(state.id, state);
+
+  const url = new URL(platform.auth_login_url);
+  const query = {
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.client_id,
+    redirect_uri: redirectUri,
+    login_hint: String(loginHint),
+    state: state.id,
+    nonce: state.nonce
+  };
+  if (messageHint) query.lti_message_hint = String(messageHint);
+  Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+  return { redirect_url: url.toString(), state: state.id };
+}
+
+// Checks the claims every LTI message must have. Returns an error message or null.
+function validateClaims(claims, platform, state) {
+  if (claims.iss !== platform.issuer) return 'The id_token issuer does not match the platform';
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(platform.client_id)) return 'The id_token is not meant for our client id';
+  if (audiences.length > 1 && claims.azp !== platform.client_id) return 'The id_token azp does not match our client id';
+  if (claims.nonce !== state.nonce) return 'The id_token nonce does not match the login request';
+  if (!claims.sub) return 'The id_token has no subject';
+  if (claims[CLAIMS.version] !== '1.3.0') return `Unsupported LTI version ${claims[CLAIMS.version]}`;
+  if (!Object.values(MESSAGE_TYPES).includes(claims[CLAIMS.message_type])) return `Unsupported LTI message type ${claims[CLAIMS.message_type]}`;
+  const deploymentId = claims[CLAIMS.deployment_id];
+  if (!deploymentId) return 'The id_token has no deployment id';
+  if (platform.deployment_ids.length && !platform.deployment_ids.includes(deploymentId)) return `Deployment ${deploymentId} is not registered`;
+  if (claims[CLAIMS.message_type] === MESSAGE_TYPES.resource_link && !(claims[CLAIMS.resource_link] || {}).id) return 'The launch has no resource link';
+  if (claims[CLAIMS.message_type] === MESSAGE_TYPES.deep_linking && !(claims[CLAIMS.deep_linking_settings] || {}).deep_link_return_url) {
+    return 'The deep linking request has no return URL';
+  }
+  return null;
+}
+
+// Step 2. cookieState is the state cookie set in step 1. Returns
+// { platform, claims, user } for a valid launch, or { error, status }. The
+// user is created on the first launch and gets the role of their platform
+// roles.
+export async function validateLaunch({ idToken, state: stateId, cookieState }) {
+  if (!idToken || !stateId) return { error: 'id_token and state are required', status: 400 };
+  if (!cookieState || cookieState !== String(stateId)) {
+    return { error: 'The launch was not started from this browser', status: 401 };
+  }
+  const state = await states.get(String(stateId));
+  if (!state) return { error: 'Unknown or already used state', status: 400 };
+  // Single use, even when the launch turns out invalid
+  await states.remove(state.id);
+  if (new Date(state.expires_at).getTime() < Date.now()) return { error: 'The login request has expired', status: 400 };
+
+  const platform = await getPlatform(state.platform_id);
+  if (!platform) return { error: 'The platform is no longer registered', status: 400 };
+  const decoded = decodeJwt(String(idToken));
+  if (!decoded) return { error: 'The id_token is not a JWT', status: 400 };
+  let key;
+  try {
+    key = await getPlatformKey(platform, decoded.header.kid);
+  } catch (error) {
+    console.error(`validateLaunch: Fetching the JWKS of ${platform.name} failed:`, error.message);
+    return { error: 'The platform keys could not be fetched', status: 502 };
+  }
+  if (!key) return { error: `The platform has no key ${decoded.header.kid || ''}`.trim(), status: 401 };
+
+  const verified = verifyJwt(String(idToken), key);
+  if (verified.error) return { error: verified.error, status: 401 };
+  const claims = verified.payload;
+  const claimError = validateClaims(claims, platform, state);
+  if (claimError) return { error: claimError, status: 401 };
+
+  const user = await upsertExternalUser({
+    provider: `lti-${platform.id}`,
+    subject: String(claims.sub),
+    tenantId: platform.tenant_id,
+    role: mapRole(claims[CLAIMS.roles]),
+    displayName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  });
+  console.log(`validateLaunch: ${claims[CLAIMS.message_type]} from ${platform.name} for ${user.username} (${user.role})`);
+  return { platform, claims, user };
+}
+
+// The course a resource link launches: the course_id custom parameter
+// (set by deep linking) or a course_id in the target link URI
+export function launchedCourseId(claims) {
+  const custom = claims[CLAIMS.custom] || {};
+  if (custom.course_id) return String(custom.course_id);
+  try {
+    return new URL(claims[CLAIMS.target_link_uri]).searchParams.get('course_id');
+  } catch {
+    return null;
+  }
+}
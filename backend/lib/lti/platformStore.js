@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from '../jsonStore.js';
+import { getTenant, DEFAULT_TENANT_ID } from '../auth/tenantStore.js';
+
+// --- LTI Platforms ---
+// An LMS (Canvas, Moodle, ...) registered with us as an LTI 1.3 platform:
+// its issuer, the client id it gave us, the deployments we accept and its
+// OIDC, token and JWKS endpoints. Users launched from a platform belong to
+// the platform's tenant and only see that tenant's courses.
+const platforms = createJsonStore('lti_platforms');
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_TIMEOUT_MS = 10000;
+const jwksCache = new Map(); // jwks url -> { keys, fetched_at }
+
+const URL_FIELDS = ['auth_login_url', 'auth_token_url', 'jwks_url'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+function validatePlatform(platform) {
+  if (typeof platform.issuer !== 'string' || !platform.issuer.trim()) return 'issuer is required';
+  if (typeof platform.client_id !== 'string' || !platform.client_id.trim()) return 'client_id is required';
+  for (const field of URL_FIELDS) {
+    if (!isHttpUrl(platform[field])) return `${field} must be an http(s) URL`;
+  }
+  if (!Array.isArray(platform.deployment_ids) || platform.deployment_ids.some(id => typeof id !== 'string' || !id)) {
+    return 'deployment_ids must be a list of deployment ids';
+  }
+  return null;
+}
+
+export async function getPlatform(platformId) {
+  return platforms.get(platformId);
+}
+
+export async function listPlatforms() {
+  const allPlatforms = await platforms.list();
+  return allPlatforms.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+}
+
+// The platform with this issuer and client id; the client id may be left
+// out when only one registration has the issuer
+export async function findPlatform(issuer, clientId = null) {
+  const candidates = (await platforms.list()).filter(platform => platform.issuer === issuer);
+  if (clientId) return candidates.find(platform => platform.client_id === clientId) || null;
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+// Registers or updates a platform. Returns { platform } or { error, status }.
+export async function savePlatform(fields, { id = null } = {}) {
+  const existing = id ? await platforms.get(id) : null;
+  if (id && !existing) return null;
+  const platform = {
+    ...existing,
+    ...Object.fromEntries(['name', 'issuer', 'client_id', 'deployment_ids', 'tenant_id', ...URL_FIELDS]
+      .filter(field => fields[field] !== undefined)
+      .map(field => [field, fields[field]]))
+  };
+  platform.id = existing ? existing.id : fields.id || uuidv4();
+  platform.tenant_id = platform.tenant_id || DEFAULT_TENANT_ID;
+  platform.deployment_ids = platform.deployment_ids || [];
+  platform.name = platform.name || platform.issuer;
+
+  const error = validatePlatform(platform);
+  if (error) return { error };
+  if (!(await getTenant(platform.tenant_id))) return { error: `Unknown tenant: ${platform.tenant_id}` };
+  const duplicate = await findPlatform(platform.issuer, platform.client_id);
+  if (duplicate && duplicate.id !== platform.id) {
+    return { error: `Platform ${platform.issuer} with client id ${platform.client_id} is already registered`, status: 409 };
+  }
+
+  const now = new Date().toISOString();
+  platform.created_at = platform.created_at || now;
+  platform.updated_at = now;
+  await platforms.put(platform.id, platform);
+  jwksCache.delete(platform.jwks_url);
+  console.log(`savePlatform: Saved LTI platform ${platform.name} (${platform.id})`);
+  return { platform };
+}
+
+export async function deletePlatform(platformId) {
+  const platform = await platforms.get(platformId);
+  if (!platform) return null;
+  await platforms.remove(platformId);
+  return platform;
+}
+
+async function fetchJwks(url) {
+  const response = await axios.get(url, { timeout: JWKS_TIMEOUT_MS, headers: { Accept: 'application/json' } });
+  const keys = response.data && Array.isArray(response.data.keys) ? response.data.keys : [];
+  jwksCache.set(url, { keys, fetched_at: Date.now() });
+  return keys;
+}
+
+// The platform's signing key with this kid as a KeyObject, or null. The
+// JWKS is cached and fetched again when the kid is unknown (key rotation).
+export async function getPlatformKey(platform, kid) {
+  const cached = jwksCache.get(platform.jwks_url);
+  const fresh = !cached || Date.now() - cached.fetched_at >= JWKS_CACHE_MS;
+  let keys = fresh ? await fetchJwks(platform.jwks_url) : cached.keys;
+  let jwk = keys.find(key => key.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+  if (!jwk && !fresh) {
+    keys = await fetchJwks(platform.jwks_url);
+    jwk = keys.find(key => key.kid === kid) || null;
+  }
+  if (!jwk || jwk.kty !== 'RSA') return null;
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import path from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { DATA_DIR } from '../paths.js';
+import { toPublicJwk } from './jwt.js';
+
+// --- Tool Key ---
+// The RSA key we sign deep linking responses and AGS client assertions
+// with; platforms fetch its public half from /lti/jwks. LTI_PRIVATE_KEY
+// (PEM) sets it, otherwise one is generated once and kept in DATA_DIR.
+
+const KEY_FILE = path.join(DATA_DIR, 'lti_tool_key.pem');
+
+let toolKey = null;
+
+export function getToolKey() {
+  if (toolKey) return toolKey;
+  let pem = process.env.LTI_PRIVATE_KEY ? process.env.LTI_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+  if (!pem && existsSync(KEY_FILE)) pem = readFileSync(KEY_FILE, 'utf-8');
+  if (!pem) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    mkdirSync(DATA_DIR, { recursive: true });
+    writeFileSync(KEY_FILE, pem, { encoding: 'utf-8', mode: 0o600 });
+    console.log(`getToolKey: Generated the LTI tool key in ${KEY_FILE}`);
+  }
+  const privateKey = crypto.createPrivateKey(pem);
+  // The key id changes with the key, so platforms notice a rotation
+  const kid = crypto.createHash('sha256').update(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' })).digest('base64url').slice(0, 16);
+  toolKey = { privateKey, kid };
+  return toolKey;
+}
+
+export function getToolJwks() {
+  const { privateKey, kid } = getToolKey();
+  return { keys: [toPublicJwk(privateKey, kid)] };
+}
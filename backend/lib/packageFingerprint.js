@@ -0,0 +1,76 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+
+// --- Package Fingerprints ---
+// SHA-256 hashes used to recognize packages: of the uploaded archive, of
+// every extracted file and of the extracted content as a whole. The content
+// hash doesn't depend on how the zip was built (order, compression,
+// timestamps), so a re-zipped copy of the same package is still recognized.
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+const hashEntries = (entries) => crypto.createHash('sha256')
+  .update(entries.map(([filePath, sha256]) => `${filePath}\0${sha256}`).join('\n'))
+  .digest('hex');
+
+// Every file below dir as a path relative to it, with forward slashes
+export async function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// Returns { content_hash, file_count, total_bytes, files } where files maps
+// every relative path (forward slashes) to { size, sha256 }
+export async function fingerprintDirectory(dir) {
+  const files = {};
+  let totalBytes = 0;
+  for (const relativePath of (await listFiles(dir)).sort()) {
+    const filePath = path.join(dir, relativePath);
+    const { size } = await fs.stat(filePath);
+    files[relativePath] = { size, sha256: await hashFile(filePath) };
+    totalBytes += size;
+  }
+  return {
+    content_hash: hashEntries(Object.entries(files).map(([filePath, file]) => [filePath, file.sha256])),
+    file_count: Object.keys(files).length,
+    total_bytes: totalBytes,
+    files
+  };
+}
+
+// Hash of everything one SCO launches with: its resource's files, the files
+// of the resources it depends on and the launch file itself
+export function fingerprintSco(manifest, sco, files) {
+  const resources = new Map((manifest.resources || []).map(resource => [resource.identifier, resource]));
+  const scoFiles = new Set(sco.href ? [sco.href.split(/[?#]/)[0]] : []);
+  const visited = new Set();
+  const collect = (resourceId) => {
+    const resource = resources.get(resourceId);
+    if (!resource || visited.has(resourceId)) return;
+    visited.add(resourceId);
+    resource.files.forEach(file => scoFiles.add(file));
+    resource.dependencies.forEach(collect);
+  };
+  collect(sco.resource_identifier);
+
+  return hashEntries([...scoFiles].sort().map(file => [file, files[file] ? files[file].sha256 : 'missing']));
+}
@@ -0,0 +1,150 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { TEMP_UPLOADS_DIR } from './paths.js';
+import { createCourse, updateCourse, reviseCourse, findCourseByManifestIdentifier, resolveCourseDir, listCourses } from './courseStore.js';
+import { parseScormManifest, collectScos } from './scormManifest.js';
+import { enqueueCourseProcessing } from './courseProcessing.js';
+import { validateScormPackage } from './packageValidator.js';
+import { auditPackageAccessibility } from './accessibility/index.js';
+import { extractCourseAssessment } from './assessmentExtractor.js';
+import { extractZipSafely } from './safeExtract.js';
+import { hashFile, fingerprintDirectory } from './packageFingerprint.js';
+import { findDuplicate, ensureLatestRevision, recordRevision, toRevisionSummary } from './courseRevisions.js';
+import { runStorageSweep } from './storageManager.js';
+import { DEFAULT_TENANT_ID } from './auth/tenantStore.js';
+
+// --- Package Ingest ---
+// Turns an uploaded zip into a registered course: duplicate detection, safe
+// extraction, manifest parsing, validation, accessibility audit, assessment
+// extraction and background processing. A package whose manifest identifier matches an
+// existing course becomes its next revision (see courseRevisions.js).
+// Shared by the multipart upload and the resumable (chunked) upload.
+
+function duplicateResponse(duplicate, extraction = null) {
+  console.log(`ingestScormPackage: Package is a duplicate (${duplicate.match}) of course ${duplicate.course_id} revision ${duplicate.revision}`);
+  return {
+    message: 'This package was already uploaded; the existing course is used.',
+    duplicate: true,
+    duplicate_of: duplicate,
+    course_id: duplicate.course_id,
+    extraction,
+    processing_status: 'skipped'
+  };
+}
+
+// Returns { response } with the upload API response, or { error, extraction }
+// when the archive was rejected before anything was registered. The zip
+// itself is left for the caller to remove. With newCourse the package is
+// registered as a new course even if its manifest identifier is known.
+// The course belongs to tenantId; duplicates and earlier revisions are only
+// looked for among that tenant's courses.
+export async function ingestScormPackage(zipPath, originalFileName, { newCourse = false, tenantId = DEFAULT_TENANT_ID } = {}) {
+  const courseIds = new Set((await listCourses({ tenantId })).map(course => course.id));
+  // The same zip uploaded again is recognized before extracting anything
+  const archiveHash = await hashFile(zipPath);
+  const archiveDuplicate = await findDuplicate({ archiveHash, courseIds });
+  if (archiveDuplicate) return { response: duplicateResponse(archiveDuplicate) };
+
+  const baseName = path.parse(originalFileName).name;
+  // Ensure extractDir is within TEMP_UPLOADS_DIR
+  const extractDir = path.join(TEMP_UPLOADS_DIR, `${baseName}_${uuidv4()}`);
+
+  // Every entry is checked for path traversal, size limits and unsafe
+  // file types before anything is written
+  console.log(`ingestScormPackage: Extracting ZIP file from ${zipPath} to ${extractDir}`);
+  const extraction = await extractZipSafely(zipPath, extractDir);
+  if (extraction.error) {
+    return { error: extraction.error, extraction: extraction.report };
+  }
+  console.log('ingestScormPackage: ZIP file extracted successfully.');
+
+  // A re-zipped copy of the same content is a duplicate as well
+  const fingerprint = await fingerprintDirectory(extractDir);
+  const contentDuplicate = await findDuplicate({ contentHash: fingerprint.content_hash, courseIds });
+  if (contentDuplicate) {
+    await fs.rm(extractDir, { recursive: true, force: true });
+    return { response: duplicateResponse(contentDuplicate, extraction.report) };
+  }
+
+  console.log('ingestScormPackage: Parsing SCORM manifest...');
+  const manifestData = await parseScormManifest(extractDir);
+  const scos = manifestData.error ? [] : collectScos(manifestData);
+
+  const apiResponse = {
+    message: "File uploaded and processed.",
+    extracted_content_path: extractDir, // For debugging, can be removed in production
+    extraction: extraction.report,
+    manifest_parsing_status: manifestData.error ? "error" : "success",
+  };
+
+  console.log('ingestScormPackage: Validating SCORM package...');
+  apiResponse.validation = await validateScormPackage(extractDir, manifestData);
+
+  // WCAG audit of the package pages; the upload still succeeds without it
+  try {
+    apiResponse.accessibility = await auditPackageAccessibility(extractDir, manifestData);
+  } catch (auditError) {
+    console.error('ingestScormPackage: Accessibility audit failed:', auditError);
+    apiResponse.accessibility_error = auditError.message;
+  }
+
+  if (manifestData.error) {
+    console.error('ingestScormPackage: Manifest parsing error:', manifestData.error);
+    apiResponse.manifest_error_details = manifestData.error;
+    apiResponse.processing_status = 'skipped';
+    return { response: apiResponse };
+  }
+
+  // Full manifest model: organizations with their item trees, resources and schema info
+  apiResponse.manifest_data = manifestData;
+  console.log('ingestScormPackage: Manifest parsed successfully.');
+  if (scos.length === 0) {
+    console.log('ingestScormPackage: No SCOs found in manifest to process.');
+    apiResponse.processed_sco_note = "No processable SCOs found in manifest.";
+  }
+
+  // A known manifest identifier makes this the next revision of that course;
+  // otherwise register a new course so it can be listed, fetched and deleted later
+  const existing = newCourse ? null : await findCourseByManifestIdentifier(manifestData.identifier, { tenantId });
+  const registration = { originalFileName, extractDir, manifestData, scos, archiveHash, contentHash: fingerprint.content_hash, tenantId };
+  let course;
+  if (existing) {
+    const previous = await ensureLatestRevision(existing, resolveCourseDir(existing));
+    if (previous.content_hash === fingerprint.content_hash) {
+      await fs.rm(extractDir, { recursive: true, force: true });
+      return { response: duplicateResponse({ course_id: existing.id, revision: previous.revision, match: 'content' }, extraction.report) };
+    }
+    course = await reviseCourse(existing.id, registration);
+    const revision = await recordRevision(course, { archiveHash, fingerprint, previous });
+    apiResponse.message = `File uploaded as revision ${revision.revision} of an existing course.`;
+    apiResponse.revision = toRevisionSummary(revision);
+  } else {
+    course = await createCourse(registration);
+    apiResponse.revision = toRevisionSummary(await recordRevision(course, { archiveHash, fingerprint }));
+  }
+  apiResponse.course_id = course.id;
+
+  // Quiz questions found in the package scripts and forms. The upload
+  // still succeeds when they can't be extracted.
+  try {
+    const assessment = await extractCourseAssessment(extractDir, manifestData, scos);
+    await updateCourse(course.id, { assessment });
+    apiResponse.assessment_items = assessment.items;
+    apiResponse.assessment_item_count = assessment.items.length;
+  } catch (assessmentError) {
+    console.error('ingestScormPackage: Assessment extraction failed:', assessmentError);
+    apiResponse.assessment_error = assessmentError.message;
+  }
+
+  // Text extraction and AI metadata for every SCO run in the background;
+  // progress is available from GET /api/jobs/:id
+  const job = await enqueueCourseProcessing(course);
+  apiResponse.processing_job_id = job.id;
+  apiResponse.processing_status = job.status;
+
+  // The new files may push storage over the quota; the new course itself is
+  // safe from eviction while its processing job runs
+  runStorageSweep();
+  return { response: apiResponse };
+}
@@ -0,0 +1,110 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { TEMP_UPLOADS_DIR } from './paths.js';
+import { parseScormManifest, collectScos } from './scormManifest.js';
+import { validateScormPackage } from './packageValidator.js';
+import { auditPackageAccessibility } from './accessibility/index.js';
+import { extractZipSafely } from './safeExtract.js';
+import { hashFile, fingerprintDirectory } from './packageFingerprint.js';
+
+// --- Package Inspection ---
+// Looks into a package zip without registering it as a course: the same
+// safe extraction, manifest parsing and validation as the ingest, on a
+// throwaway copy that is removed again afterwards. Used by
+// POST /api/validate-scorm, POST /api/audit-accessibility and the
+// command-line interface (cli.js).
+
+// Extracts zipPath, runs inspect(extractDir, extraction) and removes the
+// files again. Returns what inspect returns, or { error, extraction } when
+// the archive was rejected.
+async function withExtractedPackage(zipPath, inspect) {
+  const extractDir = path.join(TEMP_UPLOADS_DIR, `inspect_${uuidv4()}`);
+  try {
+    const extraction = await extractZipSafely(zipPath, extractDir);
+    if (extraction.error) {
+      return { error: extraction.error, extraction: extraction.report };
+    }
+    return await inspect(extractDir, extraction.report);
+  } finally {
+    await fs.rm(extractDir, { recursive: true, force: true });
+  }
+}
+
+// The conformance report of a package, as { file_name, scorm_version,
+// schemaversion, validation }, or { file_name, error, extraction } when the
+// archive was rejected
+export async function validatePackageFile(zipPath, fileName = path.basename(zipPath)) {
+  const result = await withExtractedPackage(zipPath, async (extractDir) => {
+    const manifestData = await parseScormManifest(extractDir);
+    const validation = await validateScormPackage(extractDir, manifestData);
+    return {
+      scorm_version: manifestData.error ? null : manifestData.scorm_version,
+      schemaversion: manifestData.error ? null : manifestData.schemaversion,
+      validation
+    };
+  });
+  return { file_name: fileName, ...result };
+}
+
+// The accessibility audit of a package (see accessibility/index.js), as
+// { file_name, title, scorm_version, accessibility }, or { file_name,
+// error, extraction } when the archive was rejected
+export async function auditPackageFile(zipPath, fileName = path.basename(zipPath)) {
+  const result = await withExtractedPackage(zipPath, async (extractDir) => {
+    const manifestData = await parseScormManifest(extractDir);
+    return {
+      title: manifestData.error ? null : manifestData.course_title,
+      scorm_version: manifestData.error ? null : manifestData.scorm_version,
+      accessibility: await auditPackageAccessibility(extractDir, manifestData)
+    };
+  });
+  return { file_name: fileName, ...result };
+}
+
+function toItemTree(item) {
+  return {
+    identifier: item.identifier,
+    title: item.title,
+    scorm_type: item.scorm_type || null,
+    href: item.href || null,
+    children: item.children.map(toItemTree)
+  };
+}
+
+// What a package contains: hashes (as used for duplicate detection),
+// manifest identity, organizations with their item trees, SCOs and the
+// validation summary. Rejected archives are returned like validatePackageFile.
+export async function inspectPackageFile(zipPath, fileName = path.basename(zipPath)) {
+  const { size } = await fs.stat(zipPath);
+  const archiveHash = await hashFile(zipPath);
+  const result = await withExtractedPackage(zipPath, async (extractDir, extraction) => {
+    const fingerprint = await fingerprintDirectory(extractDir);
+    const manifestData = await parseScormManifest(extractDir);
+    const validation = await validateScormPackage(extractDir, manifestData);
+    const inspection = {
+      content_hash: fingerprint.content_hash,
+      extraction,
+      validation: { valid: validation.valid, error_count: validation.error_count, warning_count: validation.warning_count }
+    };
+    if (manifestData.error) {
+      return { ...inspection, manifest_error: manifestData.error };
+    }
+    return {
+      ...inspection,
+      identifier: manifestData.identifier,
+      title: manifestData.course_title,
+      scorm_version: manifestData.scorm_version,
+      schemaversion: manifestData.schemaversion,
+      default_organization: manifestData.default_organization,
+      organizations: manifestData.organizations.map(organization => ({
+        identifier: organization.identifier,
+        title: organization.title,
+        items: organization.children.map(toItemTree)
+      })),
+      scos: collectScos(manifestData).map(({ identifier, title, href }) => ({ identifier, title, href })),
+      resource_count: manifestData.resources.length
+    };
+  });
+  return { file_name: fileName, size_bytes: size, archive_hash: archiveHash, ...result };
+}
@@ -0,0 +1,240 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { walkItems } from './scormManifest.js';
+import { parseCmi5Xml, CMI5_MOVE_ON, CMI5_LAUNCH_METHODS } from './cmi5Structure.js';
+import { validateAgainstPackageSchemas } from './xsdValidator.js';
+
+// --- Package Conformance Validation ---
+// Checks a parsed manifest (see parseScormManifest) against the extracted
+// package on disk and reports structured errors and warnings. Each issue is
+// { severity, code, message, location? } so clients can group or filter them.
+
+export const SUPPORTED_SCHEMA_VERSIONS = ['1.2', 'CAM 1.3', '2004 3rd Edition', '2004 4th Edition'];
+export const COMMON_CARTRIDGE_SCHEMA = 'IMS Common Cartridge';
+export const SUPPORTED_CC_VERSIONS = ['1.0.0', '1.1.0', '1.2.0', '1.3.0'];
+
+function createReport() {
+  const issues = [];
+  return {
+    issues,
+    error: (code, message, location) => issues.push({ severity: 'error', code, message, ...(location ? { location } : {}) }),
+    warning: (code, message, location) => issues.push({ severity: 'warning', code, message, ...(location ? { location } : {}) })
+  };
+}
+
+// Strips query strings and fragments and decodes %xx escapes.
+// Returns null for references that are not files inside the package.
+function toPackagePath(href) {
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//')) return null;
+  const withoutQuery = href.split('#')[0].split('?')[0];
+  try {
+    return decodeURIComponent(withoutQuery);
+  } catch {
+    return withoutQuery;
+  }
+}
+
+function checkFileReference(extractDir, href, report, { code, severity, location, label }) {
+  const relativePath = toPackagePath(href);
+  if (relativePath === null) return;
+  const resolvedPath = path.resolve(extractDir, relativePath);
+  if (!resolvedPath.startsWith(path.resolve(extractDir) + path.sep)) {
+    report.error('file_outside_package', `${label} "${href}" points outside the package`, location);
+    return;
+  }
+  if (!existsSync(resolvedPath)) {
+    report[severity](code, `${label} "${href}" was not found in the package`, location);
+  }
+}
+
+function checkSchemaVersion(manifest, report) {
+  if (!manifest.schemaversion) {
+    report.warning('missing_schemaversion',
+      `The manifest does not declare <schemaversion>; assuming SCORM ${manifest.scorm_version || 'version unknown'} from its namespaces.`,
+      'manifest/metadata');
+    return;
+  }
+  const supported = manifest.schema && manifest.schema.trim() === COMMON_CARTRIDGE_SCHEMA
+    ? SUPPORTED_CC_VERSIONS
+    : SUPPORTED_SCHEMA_VERSIONS;
+  if (!supported.includes(manifest.schemaversion.trim())) {
+    report.error('unsupported_schemaversion',
+      `Schema version "${manifest.schemaversion}" is not supported. Supported versions: ${supported.join(', ')}.`,
+      'manifest/metadata/schemaversion');
+  }
+}
+
+function checkIdentifiers(manifest, report) {
+  const seen = new Map();
+  const track = (identifier, location) => {
+    if (!identifier) return;
+    if (seen.has(identifier)) {
+      report.error('duplicate_identifier', `Identifier "${identifier}" is used more than once (also at ${seen.get(identifier)})`, location);
+    } else {
+      seen.set(identifier, location);
+    }
+  };
+
+  track(manifest.identifier, 'manifest');
+  manifest.organizations.forEach(org => {
+    track(org.identifier, `organization[${org.identifier}]`);
+    walkItems(org.children, item => {
+      if (!item.identifier) {
+        report.error('missing_identifier', `An item titled "${item.title}" has no identifier`, `organization[${org.identifier}]`);
+      }
+      track(item.identifier, `organization[${org.identifier}]/item[${item.identifier}]`);
+    });
+  });
+  manifest.resources.forEach(resource => {
+    if (!resource.identifier) {
+      report.error('missing_identifier', 'A resource has no identifier', 'resources');
+    }
+    track(resource.identifier, `resource[${resource.identifier}]`);
+  });
+}
+
+function checkReferences(manifest, extractDir, report) {
+  const resourceIds = new Set(manifest.resources.map(resource => resource.identifier).filter(Boolean));
+
+  manifest.organizations.forEach(org => {
+    walkItems(org.children, item => {
+      const location = `organization[${org.identifier}]/item[${item.identifier}]`;
+      if (item.identifierref && !resourceIds.has(item.identifierref)) {
+        report.error('dangling_identifierref', `Item "${item.identifier}" references missing resource "${item.identifierref}"`, location);
+      }
+      if (item.children.length > 0 && item.identifierref) {
+        report.warning('cluster_with_resource', `Item "${item.identifier}" has children and also references a resource; the resource will not be launched`, location);
+      }
+      if (item.children.length === 0 && !item.identifierref) {
+        report.warning('leaf_without_resource', `Leaf item "${item.identifier}" does not reference a resource`, location);
+      }
+    });
+  });
+
+  manifest.resources.forEach(resource => {
+    const location = `resource[${resource.identifier}]`;
+    resource.dependencies.forEach(dependency => {
+      if (!resourceIds.has(dependency)) {
+        report.error('dangling_identifierref', `Resource "${resource.identifier}" depends on missing resource "${dependency}"`, location);
+      }
+    });
+    if (resource.scorm_type === 'sco' && !resource.href) {
+      report.error('sco_without_href', `SCO resource "${resource.identifier}" has no href to launch`, location);
+    }
+    if (resource.href) {
+      checkFileReference(extractDir, resource.href, report, { code: 'missing_file', severity: 'error', location, label: 'Resource href' });
+    }
+    resource.files.forEach(fileHref => {
+      checkFileReference(extractDir, fileHref, report, { code: 'missing_file', severity: 'warning', location, label: 'File' });
+    });
+  });
+}
+
+async function checkSchemas(extractDir, report) {
+  try {
+    const result = await validateAgainstPackageSchemas(extractDir, path.join(extractDir, 'imsmanifest.xml'));
+    result.problems.forEach(problem => report.warning(problem.code, problem.message));
+    result.violations.forEach(violation => report.error('xsd_violation', violation.message, violation.location));
+    return { checked: result.checked, schemas: result.schemas };
+  } catch (error) {
+    console.error('checkSchemas: XSD validation failed:', error);
+    report.warning('xsd_check_failed', `XSD validation could not be completed: ${error.message}`);
+    return { checked: false, schemas: [] };
+  }
+}
+
+function finishReport(report, xsd) {
+  const errors = report.issues.filter(issue => issue.severity === 'error');
+  const warnings = report.issues.filter(issue => issue.severity === 'warning');
+  console.log(`Validation finished: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  return {
+    valid: errors.length === 0,
+    error_count: errors.length,
+    warning_count: warnings.length,
+    errors,
+    warnings,
+    xsd
+  };
+}
+
+export async function validateScormPackage(extractDir, manifest) {
+  console.log(`Validating SCORM package at: ${extractDir}`);
+  const report = createReport();
+  let xsd = { checked: false, schemas: [] };
+
+  if (!manifest || manifest.error) {
+    report.error('manifest_error', manifest ? manifest.error : 'Manifest could not be parsed.', 'imsmanifest.xml');
+  } else {
+    (manifest.warnings || []).forEach(message => report.warning('manifest_warning', message, 'imsmanifest.xml'));
+    checkSchemaVersion(manifest, report);
+    if (manifest.organizations.length === 0) {
+      report.warning('no_organizations', 'The manifest has no organizations, so there is nothing to launch.', 'manifest/organizations');
+    }
+    checkIdentifiers(manifest, report);
+    checkReferences(manifest, extractDir, report);
+    xsd = await checkSchemas(extractDir, report);
+  }
+
+  return finishReport(report, xsd);
+}
+
+function checkCmi5Node(node, extractDir, report, context, parentLocation) {
+  const location = `${parentLocation}/${node.type}[${node.id || ''}]`;
+  if (!node.id) report.error('missing_identifier', `A ${node.type} has no id`, parentLocation);
+  else if (context.seen.has(node.id)) report.error('duplicate_identifier', `Id "${node.id}" is used more than once`, location);
+  else context.seen.add(node.id);
+  if (!node.title) report.error('missing_title', `The ${node.type} "${node.id}" has no title`, location);
+
+  if (node.type === 'block') {
+    if (!node.children.length) report.warning('empty_block', `Block "${node.id}" contains no AUs`, location);
+    node.children.forEach(child => checkCmi5Node(child, extractDir, report, context, location));
+    return;
+  }
+  context.auCount += 1;
+  if (!CMI5_MOVE_ON.includes(node.move_on)) {
+    report.error('invalid_move_on', `AU "${node.id}" has an invalid moveOn "${node.move_on}"`, location);
+  }
+  if (!CMI5_LAUNCH_METHODS.includes(node.launch_method)) {
+    report.error('invalid_launch_method', `AU "${node.id}" has an invalid launchMethod "${node.launch_method}"`, location);
+  }
+  if (node.mastery_score !== null && !(node.mastery_score >= 0 && node.mastery_score <= 1)) {
+    report.error('invalid_mastery_score', `AU "${node.id}" has a masteryScore outside 0..1`, location);
+  }
+  if (!node.url) {
+    report.error('missing_url', `AU "${node.id}" has no url`, location);
+  } else {
+    checkFileReference(extractDir, node.url, report, { code: 'missing_file', severity: 'error', location, label: 'AU url' });
+  }
+}
+
+// Checks the cmi5.xml course structure of an extracted cmi5 package. The
+// report has the same shape as validateScormPackage's.
+export async function validateCmi5Package(extractDir) {
+  console.log(`Validating cmi5 package at: ${extractDir}`);
+  const report = createReport();
+  const structurePath = path.join(extractDir, 'cmi5.xml');
+
+  let structure;
+  try {
+    structure = existsSync(structurePath)
+      ? await parseCmi5Xml(await fs.readFile(structurePath, 'utf-8'))
+      : { error: 'Course structure file (cmi5.xml) not found in the package.' };
+  } catch (error) {
+    structure = { error: `Error processing cmi5.xml: ${error.message}` };
+  }
+
+  if (structure.error) {
+    report.error('course_structure_error', structure.error, 'cmi5.xml');
+  } else {
+    structure.warnings.forEach(message => report.warning('course_structure_warning', message, 'cmi5.xml'));
+    if (!structure.course || !structure.course.id) {
+      report.error('missing_course', 'The course structure has no <course> with an id', 'courseStructure');
+    }
+    const context = { seen: new Set([structure.course && structure.course.id].filter(Boolean)), auCount: 0 };
+    structure.children.forEach(node => checkCmi5Node(node, extractDir, report, context, 'courseStructure'));
+    if (!context.auCount) report.error('no_assignable_units', 'The course structure has no AUs', 'courseStructure');
+  }
+
+  return finishReport(report, { checked: false, schemas: [] });
+}
@@ -0,0 +1,19 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Shared filesystem locations for the backend, resolved relative to backend/
+const __filename = fileURLToPath(import.meta.url);
+
+export const BACKEND_DIR = path.resolve(path.dirname(__filename), '..');
+
+// Uploaded zips and their extracted packages
+export const TEMP_UPLOADS_DIR = process.env.SYNAPTICX_UPLOADS_DIR || path.join(BACKEND_DIR, 'temp_uploads');
+
+// Local persistent store (course registry and other JSON collections)
+export const DATA_DIR = process.env.SYNAPTICX_DATA_DIR || path.join(BACKEND_DIR, 'data');
+
+// The built frontend (npm run build), served by the backend when present
+export const FRONTEND_DIST_DIR = path.join(BACKEND_DIR, '..', 'dist');
+
+// Static files copied into the packages we generate (e.g. the quiz SCO)
+export const TEMPLATES_DIR = path.join(BACKEND_DIR, 'templates');
@@ -0,0 +1,133 @@
+import AdmZip from 'adm-zip';
+import { escapeXml, toXmlId } from './xmlWriter.js';
+
+// --- IMS QTI 2.1 Export ---
+// Writes normalized assessment items (see assessmentExtractor.js) as QTI 2.1
+// assessmentItems, an assessmentTest with one section per SCO, and a content
+// package (imsmanifest.xml) that LMSs and item banks can import.
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+export const itemFileName = (item) => `items/${toXmlId(item.id, 'item')}.xml`;
+
+function responseDeclaration(item) {
+  const choiceBased = ['choice', 'multiple_response', 'true_false'].includes(item.type);
+  const cardinality = item.type === 'multiple_response' ? 'multiple' : 'single';
+  const baseType = choiceBased ? 'identifier' : (item.type === 'numeric' ? 'float' : 'string');
+  const values = item.correct_response
+    .map(value => (choiceBased ? toXmlId(value, 'choice') : value))
+    .map(value => `      <value>${escapeXml(value)}</value>`);
+  const correct = values.length
+    ? ['    <correctResponse>', ...values, '    </correctResponse>']
+    : [];
+  return [
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">`,
+    ...correct,
+    '  </responseDeclaration>'
+  ];
+}
+
+function interaction(item) {
+  if (item.type === 'numeric' || item.type === 'fill_in') {
+    return [
+      `    <p>${escapeXml(item.stem)}</p>`,
+      `    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${item.type === 'numeric' ? 10 : 30}"/></p>`
+    ];
+  }
+  const maxChoices = item.type === 'multiple_response' ? 0 : 1;
+  return [
+    `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${maxChoices}">`,
+    `      <prompt>${escapeXml(item.stem)}</prompt>`,
+    ...item.choices.map(choice => `      <simpleChoice identifier="${escapeXml(toXmlId(choice.id, 'choice'))}">${escapeXml(choice.text)}</simpleChoice>`),
+    '    </choiceInteraction>'
+  ];
+}
+
+// One item as a QTI 2.1 assessmentItem document
+export function itemToQti(item) {
+  const title = item.stem.length > 80 ? `${item.stem.slice(0, 77)}...` : item.stem;
+  return [
+    XML_DECLARATION,
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"`,
+    `  identifier="${escapeXml(toXmlId(item.id, 'item'))}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`,
+    ...responseDeclaration(item),
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '    <defaultValue><value>0</value></defaultValue>',
+    '  </outcomeDeclaration>',
+    '  <itemBody>',
+    ...interaction(item),
+    '  </itemBody>',
+    // Items without a known correct answer can't be scored automatically
+    ...(item.correct_response.length ? [`  <responseProcessing template="${MATCH_CORRECT}"/>`] : []),
+    '</assessmentItem>',
+    ''
+  ].join('\n');
+}
+
+// An assessmentTest referencing the item files, one section per SCO
+export function buildAssessmentTest(course, items) {
+  const sections = new Map();
+  items.forEach(item => {
+    const scoId = (item.sco_ids && item.sco_ids[0]) || 'items';
+    if (!sections.has(scoId)) sections.set(scoId, []);
+    sections.get(scoId).push(item);
+  });
+  const scoTitles = new Map((course.scos || []).map(sco => [sco.identifier, sco.title]));
+
+  return [
+    XML_DECLARATION,
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"`,
+    `  identifier="${escapeXml(toXmlId(`test_${course.id}`))}" title="${escapeXml(course.title || 'Assessment')}">`,
+    '  <testPart identifier="part_1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    ...[...sections.entries()].flatMap(([scoId, sectionItems]) => [
+      `    <assessmentSection identifier="${escapeXml(toXmlId(`section_${scoId}`))}" title="${escapeXml(scoTitles.get(scoId) || scoId)}" visible="true">`,
+      ...sectionItems.map(item => `      <assessmentItemRef identifier="${escapeXml(toXmlId(item.id, 'item'))}" href="${escapeXml(itemFileName(item))}"/>`),
+      '    </assessmentSection>'
+    ]),
+    '  </testPart>',
+    '</assessmentTest>',
+    ''
+  ].join('\n');
+}
+
+function buildPackageManifest(course, items) {
+  const itemResources = items.map(item => {
+    const href = itemFileName(item);
+    return [
+      `    <resource identifier="${escapeXml(toXmlId(`res_${item.id}`))}" type="imsqti_item_xmlv2p1" href="${escapeXml(href)}">`,
+      `      <file href="${escapeXml(href)}"/>`,
+      '    </resource>'
+    ].join('\n');
+  });
+  return [
+    XML_DECLARATION,
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="${escapeXml(toXmlId(`qti_${course.id}`))}">`,
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="res_test" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">',
+    '      <file href="assessmentTest.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${escapeXml(toXmlId(`res_${item.id}`))}"/>`),
+    '    </resource>',
+    ...itemResources,
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+}
+
+// The items of a course as a zipped QTI 2.1 content package (Buffer)
+export function buildQtiPackage(course, items) {
+  const zip = new AdmZip();
+  zip.addFile('imsmanifest.xml', Buffer.from(buildPackageManifest(course, items), 'utf-8'));
+  zip.addFile('assessmentTest.xml', Buffer.from(buildAssessmentTest(course, items), 'utf-8'));
+  items.forEach(item => {
+    zip.addFile(itemFileName(item), Buffer.from(itemToQti(item), 'utf-8'));
+  });
+  return zip.toBuffer();
+}
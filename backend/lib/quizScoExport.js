@@ -0,0 +1,91 @@
+import path from 'path';
+import { readFileSync } from 'fs';
+import AdmZip from 'adm-zip';
+import { TEMPLATES_DIR } from './paths.js';
+import { escapeXml, toXmlId } from './xmlWriter.js';
+
+// --- Quiz SCO Export ---
+// Wraps assessment items (and flashcards) into a standalone SCORM 1.2
+// package with a single SCO. The quiz runtime (templates/quiz-sco) scores
+// the answers and reports score, status and interactions to the LMS.
+
+const QUIZ_TEMPLATE_DIR = path.join(TEMPLATES_DIR, 'quiz-sco');
+const QUIZ_TEMPLATE_FILES = ['quiz.js', 'quiz.css'];
+
+export const DEFAULT_MASTERY_SCORE = 80;
+
+function buildQuizHtml(title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" href="quiz.css">
+  <script src="quiz-data.js"></script>
+  <script src="quiz.js"></script>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <main id="quiz"></main>
+  <p id="result" role="status"></p>
+</body>
+</html>
+`;
+}
+
+// The quiz as a script; '<' is escaped so no text can close the script tag
+function buildQuizData(quiz) {
+  return `window.QUIZ_DATA = ${JSON.stringify(quiz, null, 2).replace(/</g, '\\u003c')};\n`;
+}
+
+function buildManifest(identifier, title, masteryScore, files) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${escapeXml(identifier)}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org_quiz">
+    <organization identifier="org_quiz">
+      <title>${escapeXml(title)}</title>
+      <item identifier="item_quiz" identifierref="res_quiz">
+        <title>${escapeXml(title)}</title>
+        <adlcp:masteryscore>${masteryScore}</adlcp:masteryscore>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res_quiz" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${files.map(file => `      <file href="${escapeXml(file)}"/>`).join('\n')}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+// Builds the zipped quiz SCO (Buffer) from { items, flashcards }
+export function buildQuizScoPackage(course, { items, flashcards = [] }, { masteryScore = DEFAULT_MASTERY_SCORE } = {}) {
+  const title = `${course.title || 'Course'} - Quiz`;
+  const quiz = {
+    title,
+    mastery_score: masteryScore,
+    items: items.map(({ id, stem, type, choices, correct_response, objective_id, explanation }) => ({
+      id, stem, type, choices, correct_response, objective_id, explanation: explanation || null
+    })),
+    flashcards: flashcards.map(({ front, back }) => ({ front, back }))
+  };
+
+  const zip = new AdmZip();
+  const files = ['index.html', 'quiz-data.js', ...QUIZ_TEMPLATE_FILES];
+  zip.addFile('imsmanifest.xml', Buffer.from(buildManifest(toXmlId(`quiz_${course.id}`), title, masteryScore, files), 'utf-8'));
+  zip.addFile('index.html', Buffer.from(buildQuizHtml(title), 'utf-8'));
+  zip.addFile('quiz-data.js', Buffer.from(buildQuizData(quiz), 'utf-8'));
+  QUIZ_TEMPLATE_FILES.forEach(file => {
+    zip.addFile(file, readFileSync(path.join(QUIZ_TEMPLATE_DIR, file)));
+  });
+  return zip.toBuffer();
+}
@@ -0,0 +1,227 @@
+import path from 'path';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import { envNumber } from './env.js';
+
+// --- Safe ZIP Extraction ---
+// Uploaded packages are inspected entry by entry before anything is written:
+// paths that escape the extraction folder, symlinks, encrypted entries,
+// executable or server-side files and archives that exceed the size, entry
+// count or compression ratio limits are rejected as a whole. Sizes declared
+// in the archive can lie, so inflation itself is capped as well.
+// Problems are reported like validation issues: { severity, code, message, location }.
+
+export const ZIP_LIMITS = {
+  // Total size of all files once extracted
+  max_uncompressed_bytes: envNumber('ZIP_MAX_UNCOMPRESSED_BYTES', 1024 * 1024 * 1024),
+  max_entries: envNumber('ZIP_MAX_ENTRIES', 10000),
+  // Uncompressed / compressed size, per entry and for the whole archive
+  max_compression_ratio: envNumber('ZIP_MAX_COMPRESSION_RATIO', 100),
+  // Entries smaller than this are not ratio-checked (tiny text files
+  // compress extremely well without being a threat)
+  ratio_check_min_bytes: envNumber('ZIP_RATIO_CHECK_MIN_BYTES', 1024 * 1024)
+};
+
+// Files a web server could execute or a learner's OS could run
+export const BLOCKED_EXTENSIONS = [
+  // Server-side scripts
+  '.php', '.php3', '.php4', '.php5', '.php7', '.phtml', '.phar', '.asp', '.aspx', '.ascx', '.ashx', '.asmx',
+  '.cshtml', '.jsp', '.jspx', '.cfm', '.cgi', '.pl', '.py', '.rb', '.shtml', '.htaccess', '.htpasswd',
+  // Executables and shell scripts
+  '.exe', '.dll', '.com', '.scr', '.msi', '.bat', '.cmd', '.ps1', '.vbs', '.vbe', '.wsf', '.wsh', '.hta',
+  '.cpl', '.jar', '.war', '.sh', '.bash', '.so', '.dylib', '.elf', '.app', '.deb', '.rpm', '.lnk'
+];
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// --- Entry checks ---
+
+function unsafePathReason(entryName) {
+  if (entryName.includes('\0')) return 'contains a NUL byte';
+  if (/^([/\\]|[A-Za-z]:)/.test(entryName)) return 'is an absolute path';
+  if (entryName.split(/[/\\]/).includes('..')) return 'contains a ".." segment';
+  return null;
+}
+
+const isSymlink = (entry) => ((entry.header.attr >>> 16) & S_IFMT) === S_IFLNK;
+
+function blockedExtension(entryName) {
+  const baseName = path.posix.basename(entryName.replace(/\\/g, '/')).toLowerCase();
+  // .htaccess has no name before the dot; 'shell.php.jpg' style names are
+  // left alone since only the last extension decides how a server treats them
+  const extension = BLOCKED_EXTENSIONS.includes(baseName) ? baseName : path.posix.extname(baseName);
+  return BLOCKED_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+// Native executables renamed to something harmless
+function executableFormat(data) {
+  if (data.length >= 4 && data[0] === 0x7f && data[1] === 0x45 && data[2] === 0x4c && data[3] === 0x46) return 'ELF';
+  if (data.length >= 4 && [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(data.readUInt32BE(0))) return 'Mach-O';
+  if (data.length >= 0x40 && data[0] === 0x4d && data[1] === 0x5a) {
+    const peOffset = data.readUInt32LE(0x3c);
+    if (peOffset + 4 <= data.length && data.readUInt32BE(peOffset) === 0x50450000) return 'Windows PE';
+  }
+  return null;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Inflates an entry without ever producing more than its declared size
+function readEntry(entry) {
+  const declaredSize = entry.header.size;
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === METHOD_STORED) {
+    data = compressed;
+  } else if (entry.header.method === METHOD_DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, declaredSize) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') return { code: 'size_mismatch', message: 'inflates to more than its declared size' };
+      return { code: 'corrupt_entry', message: `could not be inflated: ${error.message}` };
+    }
+  } else {
+    return { code: 'unsupported_compression', message: `uses unsupported compression method ${entry.header.method}` };
+  }
+  if (data.length !== declaredSize) return { code: 'size_mismatch', message: `is ${data.length} bytes but declares ${declaredSize}` };
+  if (crc32(data) !== entry.header.crc) return { code: 'corrupt_entry', message: 'fails its CRC check' };
+  return { data };
+}
+
+function createReport(limits) {
+  const issues = [];
+  return {
+    issues,
+    limits,
+    entry_count: 0,
+    file_count: 0,
+    total_uncompressed_bytes: 0,
+    total_compressed_bytes: 0,
+    reject: (code, message, location) => issues.push({ severity: 'error', code, message, ...(location ? { location } : {}) })
+  };
+}
+
+function finishReport(report) {
+  const { issues, reject, ...summary } = report;
+  return { safe: issues.length === 0, ...summary, error_count: issues.length, errors: issues };
+}
+
+// Checks everything that can be known from the central directory
+function inspectEntries(entries, extractDir, report) {
+  const { limits } = report;
+  const root = path.resolve(extractDir);
+  const seen = new Map();
+  report.entry_count = entries.length;
+  if (entries.length > limits.max_entries) {
+    report.reject('too_many_entries', `The archive has ${entries.length} entries; at most ${limits.max_entries} are allowed`);
+  }
+
+  entries.forEach(entry => {
+    const name = entry.entryName;
+    const pathProblem = unsafePathReason(name);
+    if (pathProblem) {
+      report.reject('unsafe_path', `Entry path ${pathProblem}`, name);
+      return;
+    }
+    const target = path.resolve(root, name);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      report.reject('unsafe_path', 'Entry would be written outside the extraction folder', name);
+      return;
+    }
+    const key = target.toLowerCase();
+    if (seen.has(key)) {
+      report.reject('duplicate_entry', `Entry collides with "${seen.get(key)}"`, name);
+      return;
+    }
+    seen.set(key, name);
+    if (entry.isDirectory) return;
+
+    report.file_count += 1;
+    report.total_uncompressed_bytes += entry.header.size;
+    report.total_compressed_bytes += entry.header.compressedSize;
+    if (isSymlink(entry)) report.reject('symlink', 'Symbolic links are not allowed', name);
+    if (entry.header.encrypted) report.reject('encrypted_entry', 'Encrypted entries cannot be inspected', name);
+    const extension = blockedExtension(name);
+    if (extension) report.reject('blocked_file_type', `Files of type ${extension} are not allowed in a package`, name);
+    if (entry.header.size >= limits.ratio_check_min_bytes
+      && entry.header.size > limits.max_compression_ratio * Math.max(1, entry.header.compressedSize)) {
+      report.reject('compression_ratio', `Entry compresses ${Math.round(entry.header.size / Math.max(1, entry.header.compressedSize))}:1; the limit is ${limits.max_compression_ratio}:1`, name);
+    }
+  });
+
+  if (report.total_uncompressed_bytes > limits.max_uncompressed_bytes) {
+    report.reject('too_large', `The archive extracts to ${report.total_uncompressed_bytes} bytes; the limit is ${limits.max_uncompressed_bytes}`);
+  }
+  if (report.total_uncompressed_bytes >= limits.ratio_check_min_bytes
+    && report.total_uncompressed_bytes > limits.max_compression_ratio * Math.max(1, report.total_compressed_bytes)) {
+    report.reject('compression_ratio', `The archive compresses ${Math.round(report.total_uncompressed_bytes / Math.max(1, report.total_compressed_bytes))}:1 overall; the limit is ${limits.max_compression_ratio}:1`);
+  }
+}
+
+// Extracts zipPath into extractDir (created when needed) after checking
+// every entry. Returns { report } on success or { error, report } when the
+// archive was rejected; extractDir does not exist afterwards in that case.
+export async function extractZipSafely(zipPath, extractDir, limits = ZIP_LIMITS) {
+  const report = createReport(limits);
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (error) {
+    report.reject('invalid_archive', `The file is not a readable ZIP archive: ${error.message}`);
+    return { error: 'The uploaded file is not a valid ZIP archive.', report: finishReport(report) };
+  }
+
+  inspectEntries(entries, extractDir, report);
+  if (report.issues.length) {
+    console.warn(`extractZipSafely: Rejected ${path.basename(zipPath)} with ${report.issues.length} problem(s)`);
+    return { error: 'The package was rejected because it contains unsafe entries.', report: finishReport(report) };
+  }
+
+  const root = path.resolve(extractDir);
+  try {
+    await fs.mkdir(root, { recursive: true });
+    for (const entry of entries) {
+      const target = path.resolve(root, entry.entryName);
+      if (entry.isDirectory) {
+        await fs.mkdir(target, { recursive: true });
+        continue;
+      }
+      const { data, code, message } = readEntry(entry);
+      if (!data) {
+        report.reject(code, `Entry ${message}`, entry.entryName);
+        break;
+      }
+      const format = executableFormat(data);
+      if (format) {
+        report.reject('blocked_file_type', `Entry is an executable (${format})`, entry.entryName);
+        break;
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+    }
+  } catch (error) {
+    report.reject('extraction_failed', `Extraction failed: ${error.message}`);
+  }
+
+  if (report.issues.length) {
+    await fs.rm(root, { recursive: true, force: true });
+    console.warn(`extractZipSafely: Rejected ${path.basename(zipPath)} during extraction: ${report.issues[0].code}`);
+    return { error: 'The package was rejected because it contains unsafe entries.', report: finishReport(report) };
+  }
+  console.log(`extractZipSafely: Extracted ${report.file_count} file(s), ${report.total_uncompressed_bytes} bytes, to ${extractDir}`);
+  return { report: finishReport(report) };
+}
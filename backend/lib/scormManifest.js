@@ -0,0 +1,507 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import xml2js from 'xml2js';
+
+// --- Namespaces ---
+// SCORM 1.2 and SCORM 2004 use different namespace URIs for the same
+// concepts, so elements and attributes are matched by namespace URI and
+// local name rather than by whatever prefix the package author picked.
+export const NAMESPACES = {
+  IMSCP: [
+    'http://www.imsproject.org/xsd/imscp_rootv1p1p2', // SCORM 1.2
+    'http://www.imsglobal.org/xsd/imscp_v1p1', // SCORM 2004
+    'http://www.imsglobal.org/xsd/imscc/imscp_v1p1', // Common Cartridge 1.0
+    'http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1', // Common Cartridge 1.1
+    'http://www.imsglobal.org/xsd/imsccv1p2/imscp_v1p1', // Common Cartridge 1.2
+    'http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1', // Common Cartridge 1.3
+    '' // Manifests that never declare a default namespace
+  ],
+  ADLCP: [
+    'http://www.adlnet.org/xsd/adlcp_rootv1p2', // SCORM 1.2
+    'http://www.adlnet.org/xsd/adlcp_v1p3' // SCORM 2004
+  ],
+  IMSSS: ['http://www.imsglobal.org/xsd/imsss'],
+  ADLSEQ: ['http://www.adlnet.org/xsd/adlseq_v1p3'],
+  ADLNAV: ['http://www.adlnet.org/xsd/adlnav_v1p3'],
+  XML: ['http://www.w3.org/XML/1998/namespace']
+};
+
+// Bindings used when a package uses a prefix without declaring it
+const FALLBACK_PREFIX_URIS = {
+  adlcp: 'http://www.adlnet.org/xsd/adlcp_rootv1p2',
+  imsss: 'http://www.imsglobal.org/xsd/imsss',
+  adlseq: 'http://www.adlnet.org/xsd/adlseq_v1p3',
+  adlnav: 'http://www.adlnet.org/xsd/adlnav_v1p3',
+  xsi: 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+const MAX_UNDECLARED_PREFIX_FIXES = 10;
+
+// --- Namespace-aware element helpers (xml2js with xmlns: true) ---
+
+export function childElements(node, localName, namespaces = NAMESPACES.IMSCP) {
+  if (!node || typeof node !== 'object') return [];
+  const matches = [];
+  Object.keys(node).forEach(key => {
+    if (key === '$' || key === '$ns' || key === '_') return;
+    const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+    children.forEach(child => {
+      if (child && child.$ns && child.$ns.local === localName && namespaces.includes(child.$ns.uri)) {
+        matches.push(child);
+      }
+    });
+  });
+  return matches;
+}
+
+export function childElement(node, localName, namespaces = NAMESPACES.IMSCP) {
+  return childElements(node, localName, namespaces)[0] || null;
+}
+
+// Unqualified attributes (uri '') are matched when no namespaces are given.
+// SCORM 1.2 spells some attributes in lowercase (adlcp:scormtype) where
+// SCORM 2004 uses camelCase (adlcp:scormType), so matching is case-insensitive.
+export function attributeValue(node, localName, namespaces = ['']) {
+  if (!node || !node.$) return null;
+  const wanted = localName.toLowerCase();
+  const attr = Object.values(node.$).find(a =>
+    a && typeof a.local === 'string' && a.local.toLowerCase() === wanted && namespaces.includes(a.uri)
+  );
+  return attr ? attr.value : null;
+}
+
+export function elementText(node) {
+  if (node === null || node === undefined) return null;
+  if (typeof node === 'string') return node.trim();
+  return typeof node._ === 'string' ? node._.trim() : '';
+}
+
+function parseBoolean(value, defaultValue) {
+  if (value === null || value === undefined || value === '') return defaultValue;
+  return String(value).trim().toLowerCase() === 'true';
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Joins xml:base values and an href the way the content packaging spec describes
+function applyBase(href, ...bases) {
+  if (!href) return href;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('/')) return href;
+  const prefix = bases.filter(Boolean).join('');
+  return prefix ? path.posix.join(prefix, href) : href;
+}
+
+// Builds the launch URL for an item: the resource href plus item parameters.
+// A leading '?' in the parameters becomes '&' when the href already has a query.
+export function buildLaunchHref(href, parameters) {
+  if (!href) return null;
+  if (!parameters) return href;
+  let params = parameters.trim();
+  if (params.startsWith('#')) {
+    return href.includes('#') ? href : href + params;
+  }
+  if (params.startsWith('?')) params = params.substring(1);
+  if (!params) return href;
+  const [base, fragment] = href.split('#');
+  const joined = base.includes('?') ? `${base}&${params}` : `${base}?${params}`;
+  return fragment !== undefined ? `${joined}#${fragment}` : joined;
+}
+
+// --- Version detection ---
+
+export function detectScormVersion(schemaVersion, rootNode) {
+  if (schemaVersion) {
+    const normalized = schemaVersion.trim().toLowerCase();
+    if (normalized === '1.2') return '1.2';
+    if (normalized === 'cam 1.3' || normalized.startsWith('2004')) return '2004';
+  }
+  // Fall back to the namespaces declared on <manifest>
+  const declared = rootNode && rootNode.$ ? Object.values(rootNode.$).map(a => a.value) : [];
+  if (declared.includes('http://www.adlnet.org/xsd/adlcp_v1p3')) return '2004';
+  if (declared.includes('http://www.adlnet.org/xsd/adlcp_rootv1p2')) return '1.2';
+  return null;
+}
+
+// --- Sequencing definitions (SCORM 2004 imsss/adlseq) ---
+// Only the elements present in the manifest are returned, so a local
+// <imsss:sequencing> can be layered over the collection entry it references
+// (IDRef). Defaults are applied by the sequencing engine.
+
+function parseRuleConditions(conditionsNode, defaultCombination) {
+  return {
+    condition_combination: attributeValue(conditionsNode, 'conditionCombination') || defaultCombination,
+    conditions: childElements(conditionsNode, 'ruleCondition', NAMESPACES.IMSSS)
+      .concat(childElements(conditionsNode, 'rollupCondition', NAMESPACES.IMSSS))
+      .map(conditionNode => ({
+        condition: attributeValue(conditionNode, 'condition'),
+        operator: attributeValue(conditionNode, 'operator') || 'noOp',
+        referenced_objective: attributeValue(conditionNode, 'referencedObjective'),
+        measure_threshold: parseNumber(attributeValue(conditionNode, 'measureThreshold')) ?? 0
+      }))
+  };
+}
+
+function parseSequencingRules(rulesNode, ruleName) {
+  return childElements(rulesNode, ruleName, NAMESPACES.IMSSS).map(ruleNode => ({
+    ...parseRuleConditions(childElement(ruleNode, 'ruleConditions', NAMESPACES.IMSSS), 'all'),
+    action: attributeValue(childElement(ruleNode, 'ruleAction', NAMESPACES.IMSSS), 'action')
+  }));
+}
+
+function parseObjective(objectiveNode, primary) {
+  return {
+    objective_id: attributeValue(objectiveNode, 'objectiveID'),
+    primary,
+    satisfied_by_measure: parseBoolean(attributeValue(objectiveNode, 'satisfiedByMeasure'), false),
+    min_normalized_measure: parseNumber(elementText(childElement(objectiveNode, 'minNormalizedMeasure', NAMESPACES.IMSSS))) ?? 1,
+    map_info: childElements(objectiveNode, 'mapInfo', NAMESPACES.IMSSS).map(mapNode => ({
+      target_objective_id: attributeValue(mapNode, 'targetObjectiveID'),
+      read_satisfied_status: parseBoolean(attributeValue(mapNode, 'readSatisfiedStatus'), true),
+      read_normalized_measure: parseBoolean(attributeValue(mapNode, 'readNormalizedMeasure'), true),
+      write_satisfied_status: parseBoolean(attributeValue(mapNode, 'writeSatisfiedStatus'), false),
+      write_normalized_measure: parseBoolean(attributeValue(mapNode, 'writeNormalizedMeasure'), false)
+    }))
+  };
+}
+
+function parseSequencingElement(sequencingNode) {
+  const definition = {};
+  const element = (name, namespaces = NAMESPACES.IMSSS) => childElement(sequencingNode, name, namespaces);
+  const bool = (node, name, defaultValue) => parseBoolean(attributeValue(node, name), defaultValue);
+
+  const controlModeNode = element('controlMode');
+  if (controlModeNode) {
+    definition.control_mode = {
+      choice: bool(controlModeNode, 'choice', true),
+      choice_exit: bool(controlModeNode, 'choiceExit', true),
+      flow: bool(controlModeNode, 'flow', false),
+      forward_only: bool(controlModeNode, 'forwardOnly', false),
+      use_current_attempt_objective_info: bool(controlModeNode, 'useCurrentAttemptObjectiveInfo', true),
+      use_current_attempt_progress_info: bool(controlModeNode, 'useCurrentAttemptProgressInfo', true)
+    };
+  }
+
+  // Each rule type is kept separately so a local post-condition rule does
+  // not drop the pre-condition rules inherited from the collection
+  const rulesNode = element('sequencingRules');
+  [['pre_condition_rules', 'preConditionRule'], ['exit_condition_rules', 'exitConditionRule'], ['post_condition_rules', 'postConditionRule']]
+    .forEach(([key, ruleName]) => {
+      const rules = parseSequencingRules(rulesNode, ruleName);
+      if (rules.length > 0) definition[key] = rules;
+    });
+
+  const limitNode = element('limitConditions');
+  if (limitNode) {
+    definition.limit_conditions = {
+      attempt_limit: parseNumber(attributeValue(limitNode, 'attemptLimit')),
+      attempt_absolute_duration_limit: attributeValue(limitNode, 'attemptAbsoluteDurationLimit')
+    };
+  }
+
+  const rollupNode = element('rollupRules');
+  if (rollupNode) {
+    definition.rollup_rules = {
+      rollup_objective_satisfied: bool(rollupNode, 'rollupObjectiveSatisfied', true),
+      rollup_progress_completion: bool(rollupNode, 'rollupProgressCompletion', true),
+      objective_measure_weight: parseNumber(attributeValue(rollupNode, 'objectiveMeasureWeight')) ?? 1,
+      rules: childElements(rollupNode, 'rollupRule', NAMESPACES.IMSSS).map(ruleNode => ({
+        child_activity_set: attributeValue(ruleNode, 'childActivitySet') || 'all',
+        minimum_count: parseNumber(attributeValue(ruleNode, 'minimumCount')) ?? 0,
+        minimum_percent: parseNumber(attributeValue(ruleNode, 'minimumPercent')) ?? 0,
+        ...parseRuleConditions(childElement(ruleNode, 'rollupConditions', NAMESPACES.IMSSS), 'any'),
+        action: attributeValue(childElement(ruleNode, 'rollupAction', NAMESPACES.IMSSS), 'action')
+      }))
+    };
+  }
+
+  const objectivesNode = element('objectives');
+  if (objectivesNode) {
+    const primaryNode = childElement(objectivesNode, 'primaryObjective', NAMESPACES.IMSSS);
+    definition.objectives = [
+      ...(primaryNode ? [parseObjective(primaryNode, true)] : []),
+      ...childElements(objectivesNode, 'objective', NAMESPACES.IMSSS).map(objectiveNode => parseObjective(objectiveNode, false))
+    ];
+  }
+
+  const randomizationNode = element('randomizationControls');
+  if (randomizationNode) {
+    definition.randomization_controls = {
+      randomization_timing: attributeValue(randomizationNode, 'randomizationTiming') || 'never',
+      select_count: parseNumber(attributeValue(randomizationNode, 'selectCount')),
+      reorder_children: bool(randomizationNode, 'reorderChildren', false),
+      selection_timing: attributeValue(randomizationNode, 'selectionTiming') || 'never'
+    };
+  }
+
+  const deliveryNode = element('deliveryControls');
+  if (deliveryNode) {
+    definition.delivery_controls = {
+      tracked: bool(deliveryNode, 'tracked', true),
+      completion_set_by_content: bool(deliveryNode, 'completionSetByContent', false),
+      objective_set_by_content: bool(deliveryNode, 'objectiveSetByContent', false)
+    };
+  }
+
+  const considerationsNode = element('rollupConsiderations', NAMESPACES.ADLSEQ);
+  if (considerationsNode) {
+    definition.rollup_considerations = {
+      required_for_satisfied: attributeValue(considerationsNode, 'requiredForSatisfied') || 'always',
+      required_for_not_satisfied: attributeValue(considerationsNode, 'requiredForNotSatisfied') || 'always',
+      required_for_completed: attributeValue(considerationsNode, 'requiredForCompleted') || 'always',
+      required_for_incomplete: attributeValue(considerationsNode, 'requiredForIncomplete') || 'always',
+      measure_satisfaction_if_active: bool(considerationsNode, 'measureSatisfactionIfActive', true)
+    };
+  }
+
+  const choiceNode = element('constrainedChoiceConsiderations', NAMESPACES.ADLSEQ);
+  if (choiceNode) {
+    definition.constrained_choice_considerations = {
+      prevent_activation: bool(choiceNode, 'preventActivation', false),
+      constrain_choice: bool(choiceNode, 'constrainChoice', false)
+    };
+  }
+
+  return definition;
+}
+
+function parseSequencingCollection(manifestNode) {
+  const collection = new Map();
+  const collectionNode = childElement(manifestNode, 'sequencingCollection', NAMESPACES.IMSSS);
+  childElements(collectionNode, 'sequencing', NAMESPACES.IMSSS).forEach(sequencingNode => {
+    const id = attributeValue(sequencingNode, 'ID');
+    if (id) collection.set(id, parseSequencingElement(sequencingNode));
+  });
+  return collection;
+}
+
+// Returns the sequencing definition of an item/organization or null if it has none
+function parseSequencing(parentNode, context) {
+  const sequencingNode = childElement(parentNode, 'sequencing', NAMESPACES.IMSSS);
+  if (!sequencingNode) return null;
+  const local = parseSequencingElement(sequencingNode);
+  const idRef = attributeValue(sequencingNode, 'IDRef');
+  if (!idRef) return local;
+  if (!context.sequencingCollection.has(idRef)) {
+    context.warnings.push(`Sequencing IDRef "${idRef}" does not match any entry in <sequencingCollection>`);
+    return local;
+  }
+  return { ...context.sequencingCollection.get(idRef), ...local };
+}
+
+// --- Model builders ---
+
+function parseResources(manifestNode) {
+  const resourcesNode = childElement(manifestNode, 'resources');
+  if (!resourcesNode) return [];
+  const resourcesBase = attributeValue(resourcesNode, 'base', NAMESPACES.XML);
+
+  return childElements(resourcesNode, 'resource').map(resourceNode => {
+    const resourceBase = attributeValue(resourceNode, 'base', NAMESPACES.XML);
+    const href = attributeValue(resourceNode, 'href');
+    return {
+      identifier: attributeValue(resourceNode, 'identifier'),
+      type: attributeValue(resourceNode, 'type'),
+      scorm_type: (attributeValue(resourceNode, 'scormType', NAMESPACES.ADLCP) || '').toLowerCase() || null,
+      href: href ? applyBase(href, resourcesBase, resourceBase) : null,
+      base: [resourcesBase, resourceBase].filter(Boolean).join('') || null,
+      files: childElements(resourceNode, 'file')
+        .map(fileNode => attributeValue(fileNode, 'href'))
+        .filter(Boolean)
+        .map(fileHref => applyBase(fileHref, resourcesBase, resourceBase)),
+      dependencies: childElements(resourceNode, 'dependency')
+        .map(dependencyNode => attributeValue(dependencyNode, 'identifierref'))
+        .filter(Boolean)
+    };
+  });
+}
+
+function parseCompletionThreshold(thresholdNode) {
+  if (!thresholdNode) return null;
+  return parseNumber(elementText(thresholdNode)) ?? parseNumber(attributeValue(thresholdNode, 'minProgressMeasure'));
+}
+
+function parseItem(itemNode, context) {
+  const identifierref = attributeValue(itemNode, 'identifierref');
+  const parameters = attributeValue(itemNode, 'parameters');
+  const resource = identifierref ? context.resourceMap.get(identifierref) : null;
+  const titleNode = childElement(itemNode, 'title');
+
+  return {
+    identifier: attributeValue(itemNode, 'identifier'),
+    identifierref: identifierref || null,
+    title: elementText(titleNode) || attributeValue(itemNode, 'identifier') || 'Untitled Item',
+    isvisible: parseBoolean(attributeValue(itemNode, 'isvisible'), true),
+    parameters: parameters || null,
+    scorm_type: resource ? resource.scorm_type : null,
+    href: resource ? buildLaunchHref(resource.href, parameters) : null,
+    // SCORM 1.2 item extensions
+    mastery_score: parseNumber(elementText(childElement(itemNode, 'masteryscore', NAMESPACES.ADLCP))),
+    max_time_allowed: elementText(childElement(itemNode, 'maxtimeallowed', NAMESPACES.ADLCP)) || null,
+    prerequisites: elementText(childElement(itemNode, 'prerequisites', NAMESPACES.ADLCP)) || null,
+    // Shared by 1.2 (lowercase) and 2004 (camelCase)
+    time_limit_action: elementText(
+      childElement(itemNode, 'timeLimitAction', NAMESPACES.ADLCP) || childElement(itemNode, 'timelimitaction', NAMESPACES.ADLCP)
+    ) || null,
+    data_from_lms: elementText(
+      childElement(itemNode, 'dataFromLMS', NAMESPACES.ADLCP) || childElement(itemNode, 'datafromlms', NAMESPACES.ADLCP)
+    ) || null,
+    // SCORM 2004 item extension: element text in the 3rd Edition, the
+    // minProgressMeasure attribute in the 4th
+    completion_threshold: parseCompletionThreshold(childElement(itemNode, 'completionThreshold', NAMESPACES.ADLCP)),
+    sequencing: parseSequencing(itemNode, context),
+    children: childElements(itemNode, 'item').map(childNode => parseItem(childNode, context))
+  };
+}
+
+function parseOrganizations(manifestNode, context) {
+  const organizationsNode = childElement(manifestNode, 'organizations');
+  if (!organizationsNode) return { defaultOrganization: null, organizations: [] };
+
+  const organizations = childElements(organizationsNode, 'organization').map(orgNode => ({
+    identifier: attributeValue(orgNode, 'identifier'),
+    title: elementText(childElement(orgNode, 'title')) || 'Untitled Organization',
+    structure: attributeValue(orgNode, 'structure') || 'hierarchical',
+    objectives_global_to_system: parseBoolean(attributeValue(orgNode, 'objectivesGlobalToSystem', NAMESPACES.ADLSEQ), true),
+    sequencing: parseSequencing(orgNode, context),
+    children: childElements(orgNode, 'item').map(itemNode => parseItem(itemNode, context))
+  }));
+
+  const declaredDefault = attributeValue(organizationsNode, 'default');
+  const defaultOrganization = organizations.find(org => org.identifier === declaredDefault)
+    ? declaredDefault
+    : (organizations[0] ? organizations[0].identifier : null);
+  if (declaredDefault && defaultOrganization !== declaredDefault) {
+    context.warnings.push(`Default organization "${declaredDefault}" does not exist; using "${defaultOrganization}" instead`);
+  }
+
+  return { defaultOrganization, organizations };
+}
+
+export async function parseNamespacedXml(xmlContent, warnings) {
+  let source = xmlContent;
+  for (let attempt = 0; attempt <= MAX_UNDECLARED_PREFIX_FIXES; attempt++) {
+    const parser = new xml2js.Parser({ xmlns: true, explicitArray: true, explicitRoot: true });
+    try {
+      return await parser.parseStringPromise(source);
+    } catch (error) {
+      // Some authoring tools use adlcp:/imsss: prefixes without declaring them.
+      // Bind the prefix on the root element and try again instead of failing.
+      const match = /Unbound namespace prefix: "([^"]+)"/.exec(error.message);
+      if (!match) throw error;
+      const prefix = match[1].split(':')[0];
+      const uri = FALLBACK_PREFIX_URIS[prefix] || `urn:undeclared:${prefix}`;
+      warnings.push(`Namespace prefix "${prefix}" is used but not declared; assumed ${uri}`);
+      source = source.replace(/<([A-Za-z_][\w.-]*:)?manifest\b/, m => `${m} xmlns:${prefix}="${uri}"`);
+    }
+  }
+  throw new Error('Too many undeclared namespace prefixes in manifest');
+}
+
+// Parses manifest XML into the full package model
+export async function parseManifestXml(xmlContent) {
+  const warnings = [];
+  const result = await parseNamespacedXml(xmlContent, warnings);
+  const manifestNode = result && result.manifest;
+
+  if (!manifestNode || !manifestNode.$ns || !NAMESPACES.IMSCP.includes(manifestNode.$ns.uri)) {
+    return { error: 'Invalid manifest structure: <manifest> root element not found.' };
+  }
+
+  const metadataNode = childElement(manifestNode, 'metadata');
+  const schema = elementText(childElement(metadataNode, 'schema')) || null;
+  const schemaVersion = elementText(childElement(metadataNode, 'schemaversion')) || null;
+
+  const resources = parseResources(manifestNode);
+  const resourceMap = new Map(resources.filter(r => r.identifier).map(r => [r.identifier, r]));
+  const sequencingCollection = parseSequencingCollection(manifestNode);
+  const { defaultOrganization, organizations } = parseOrganizations(manifestNode, { resourceMap, sequencingCollection, warnings });
+  const defaultOrg = organizations.find(org => org.identifier === defaultOrganization);
+
+  return {
+    identifier: attributeValue(manifestNode, 'identifier'),
+    version: attributeValue(manifestNode, 'version'),
+    scorm_version: detectScormVersion(schemaVersion, manifestNode),
+    schema,
+    schemaversion: schemaVersion,
+    course_title: defaultOrg ? defaultOrg.title : 'Untitled Course',
+    default_organization: defaultOrganization,
+    organizations,
+    resources,
+    warnings
+  };
+}
+
+export async function parseScormManifest(extractDirPath) {
+  const manifestPath = path.join(extractDirPath, 'imsmanifest.xml');
+  console.log(`Attempting to parse manifest at: ${manifestPath}`);
+  try {
+    if (!existsSync(manifestPath)) {
+      console.error(`Manifest file not found at: ${manifestPath}`);
+      return { error: 'Manifest file (imsmanifest.xml) not found in the package.' };
+    }
+
+    const xmlContent = await fs.readFile(manifestPath, 'utf-8');
+    const manifest = await parseManifestXml(xmlContent);
+    if (manifest.error) {
+      console.error(manifest.error);
+      return manifest;
+    }
+
+    console.log(`Manifest parsed. Course Title: "${manifest.course_title}", SCORM version: ${manifest.scorm_version || 'unknown'}, organizations: ${manifest.organizations.length}, resources: ${manifest.resources.length}`);
+    return manifest;
+  } catch (error) {
+    console.error('Error parsing SCORM manifest:', error);
+    return { error: `Error processing manifest: ${error.message}` };
+  }
+}
+
+// --- Tree helpers ---
+
+export function getOrganization(manifest, organizationId = manifest.default_organization) {
+  return manifest.organizations.find(org => org.identifier === organizationId) || null;
+}
+
+// Depth-first walk over every item of an organization
+export function walkItems(items, visit, parent = null) {
+  items.forEach(item => {
+    visit(item, parent);
+    walkItems(item.children, visit, item);
+  });
+}
+
+// Flattens the launchable SCOs of an organization (default organization
+// unless specified) in activity tree order
+export function collectScos(manifest, organizationId = manifest.default_organization) {
+  const organization = getOrganization(manifest, organizationId);
+  if (!organization) return [];
+  const scos = [];
+  walkItems(organization.children, item => {
+    if (item.scorm_type === 'sco' && item.href) {
+      scos.push({
+        identifier: item.identifier,
+        title: item.title,
+        href: item.href,
+        resource_identifier: item.identifierref,
+        parameters: item.parameters
+      });
+    }
+  });
+  return scos;
+}
+
+// Finds an item anywhere in the manifest's organizations by identifier
+export function findItem(manifest, identifier) {
+  let found = null;
+  manifest.organizations.forEach(org => {
+    if (found) return;
+    walkItems(org.children, item => {
+      if (!found && item.identifier === identifier) found = item;
+    });
+  });
+  return found;
+}
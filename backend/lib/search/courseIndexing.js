@@ -0,0 +1,45 @@
+import { getCourse, listCourses, resolveCourseDir } from '../courseStore.js';
+import { indexCourse, listIndexedCourses, removeCourseIndex } from './searchIndex.js';
+
+// --- Course Indexing ---
+// Keeps the search index in step with the course registry. Courses are
+// indexed when their processing job finishes (so the AI metadata is in), and
+// at startup any processed course that is missing from the index or indexed
+// at an older revision is caught up.
+
+export async function reindexCourse(courseId) {
+  const course = await getCourse(courseId);
+  if (!course) {
+    await removeCourseIndex(courseId);
+    return { error: `Course ${courseId} not found`, status: 404 };
+  }
+  return indexCourse(course, resolveCourseDir(course));
+}
+
+// Reindexes every course, or with onlyStale just the processed courses the
+// index doesn't have at their current revision. One failing course doesn't
+// stop the others.
+export async function reindexCourses({ onlyStale = false } = {}) {
+  const [courses, indexed] = await Promise.all([listCourses(), listIndexedCourses()]);
+  const results = [];
+  for (const course of courses) {
+    // Still processing: indexed when its job finishes
+    if (onlyStale && (course.processing_status === 'queued' || course.processing_status === 'running')) continue;
+    if (onlyStale && indexed[course.id] === (course.revision || 1)) continue;
+    try {
+      results.push(await indexCourse(course, resolveCourseDir(course)));
+    } catch (error) {
+      console.error(`reindexCourses: Failed to index course ${course.id}:`, error.message);
+      results.push({ course_id: course.id, error: error.message });
+    }
+  }
+
+  // Index records of courses that no longer exist
+  const courseIds = new Set(courses.map(course => course.id));
+  const removed = [];
+  for (const courseId of Object.keys(indexed).filter(id => !courseIds.has(id))) {
+    await removeCourseIndex(courseId);
+    removed.push(courseId);
+  }
+  return { indexed: results, removed };
+}
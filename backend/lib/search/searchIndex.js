@@ -0,0 +1,258 @@
+import { createJsonStore } from '../jsonStore.js';
+import { extractScoText } from '../structuredContent.js';
+import { getEmbeddingProvider, cosineSimilarity } from '../ai/embeddings.js';
+import { analyze, analyzeWithOffsets } from './textAnalysis.js';
+
+// --- Search Index ---
+// One record per course holding, for every SCO, its extracted text and the
+// keywords, learning objectives and summary from its AI metadata, plus an
+// embedding when an embedding provider is configured. Queries are ranked
+// with BM25 over all SCOs; the term statistics are built in memory from the
+// records and rebuilt whenever a course is indexed or removed.
+const searchIndex = createJsonStore('search_index');
+
+// Field weights: a term in the SCO title counts three times, and so on
+const FIELD_WEIGHTS = { title: 3, keywords: 2, learning_objectives: 2, summary: 1.5, text: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Stored text per SCO and what goes into its embedding
+const MAX_TEXT_CHARS = 100000;
+const EMBEDDING_TEXT_CHARS = 8000;
+// Semantic hits below this similarity are dropped
+const MIN_SIMILARITY = 0.15;
+const SNIPPET_CHARS = 240;
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+let corpus = null;
+
+const fieldTexts = (doc) => ({
+  title: doc.sco_title,
+  keywords: doc.keywords.join(' '),
+  learning_objectives: doc.learning_objectives.join(' '),
+  summary: doc.summary,
+  text: doc.text
+});
+
+function buildCorpus(records) {
+  const docs = [];
+  const documentFrequency = new Map();
+  records.forEach(record => {
+    record.documents.forEach(doc => {
+      const termFrequency = new Map();
+      let length = 0;
+      Object.entries(fieldTexts(doc)).forEach(([field, text]) => {
+        analyze(text).forEach(term => {
+          termFrequency.set(term, (termFrequency.get(term) || 0) + FIELD_WEIGHTS[field]);
+          length += FIELD_WEIGHTS[field];
+        });
+      });
+      termFrequency.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+      docs.push({ record, doc, termFrequency, length });
+    });
+  });
+  const averageLength = docs.length ? docs.reduce((sum, entry) => sum + entry.length, 0) / docs.length : 0;
+  return { docs, documentFrequency, averageLength };
+}
+
+async function loadCorpus() {
+  if (!corpus) corpus = buildCorpus(await searchIndex.list());
+  return corpus;
+}
+
+function bm25(entry, queryTerms, { docs, documentFrequency, averageLength }) {
+  let score = 0;
+  queryTerms.forEach(term => {
+    const frequency = entry.termFrequency.get(term);
+    if (!frequency) return;
+    const df = documentFrequency.get(term) || 0;
+    const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / (averageLength || 1)));
+  });
+  return score;
+}
+
+// The SNIPPET_CHARS window of the text with the most query term matches.
+// Returns { snippet, highlights: [{ start, end }] } with offsets into snippet.
+export function buildSnippet(text, queryTerms) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return { snippet: '', highlights: [] };
+  const wanted = new Set(queryTerms);
+  const matches = analyzeWithOffsets(source).filter(entry => wanted.has(entry.term));
+
+  let windowStart = 0;
+  let bestCount = 0;
+  matches.forEach(match => {
+    const start = Math.max(0, match.start - 40);
+    const inWindow = new Set(matches.filter(other => other.start >= start && other.end <= start + SNIPPET_CHARS).map(other => other.term));
+    if (inWindow.size > bestCount) {
+      bestCount = inWindow.size;
+      windowStart = start;
+    }
+  });
+
+  // Snap to word boundaries
+  if (windowStart > 0) {
+    const space = source.indexOf(' ', windowStart);
+    windowStart = space === -1 || space > windowStart + 20 ? windowStart : space + 1;
+  }
+  let windowEnd = Math.min(source.length, windowStart + SNIPPET_CHARS);
+  if (windowEnd < source.length) {
+    const space = source.lastIndexOf(' ', windowEnd);
+    if (space > windowStart) windowEnd = space;
+  }
+
+  const prefix = windowStart > 0 ? '… ' : '';
+  const snippet = `${prefix}${source.slice(windowStart, windowEnd)}${windowEnd < source.length ? ' …' : ''}`;
+  const highlights = matches
+    .filter(match => match.start >= windowStart && match.end <= windowEnd)
+    .map(match => ({ start: match.start - windowStart + prefix.length, end: match.end - windowStart + prefix.length }));
+  return { snippet, highlights };
+}
+
+function embeddingText(doc) {
+  return [doc.sco_title, doc.summary, doc.keywords.join(', '), doc.text].filter(Boolean).join('\n').slice(0, EMBEDDING_TEXT_CHARS);
+}
+
+// (Re)indexes every SCO of a course from its extracted package
+export async function indexCourse(course, courseDir) {
+  const documents = [];
+  for (const sco of course.scos || []) {
+    const extraction = await extractScoText(courseDir, course.manifest, sco);
+    const metadata = (course.ai_metadata && course.ai_metadata[sco.identifier]) || {};
+    documents.push({
+      sco_id: sco.identifier,
+      sco_title: sco.title || sco.identifier,
+      href: sco.href,
+      text: extraction.text.slice(0, MAX_TEXT_CHARS),
+      summary: typeof metadata.summary === 'string' ? metadata.summary : '',
+      keywords: Array.isArray(metadata.keywords) ? metadata.keywords : [],
+      learning_objectives: Array.isArray(metadata.learning_objectives) ? metadata.learning_objectives : []
+    });
+  }
+
+  const record = {
+    id: course.id,
+    course_id: course.id,
+    course_title: course.title,
+    revision: course.revision || 1,
+    indexed_at: new Date().toISOString(),
+    embedding: null,
+    documents
+  };
+
+  const provider = getEmbeddingProvider();
+  if (provider && documents.length) {
+    const response = await provider.embed(documents.map(embeddingText));
+    if (response.error) {
+      // Keyword search still works; semantic search skips this course
+      console.error(`indexCourse: Embedding course ${course.id} with ${provider.name} failed:`, response.error);
+      record.embedding_error = response.error;
+    } else {
+      documents.forEach((doc, index) => { doc.vector = response.vectors[index]; });
+      record.embedding = { provider: provider.name, model: provider.model };
+    }
+  }
+
+  await searchIndex.put(record.id, record);
+  corpus = null;
+  console.log(`indexCourse: Indexed ${documents.length} SCO(s) of course ${course.id}${record.embedding ? ` with ${record.embedding.provider} embeddings` : ''}`);
+  return { course_id: course.id, sco_count: documents.length, embedding: record.embedding, embedding_error: record.embedding_error || null };
+}
+
+export async function removeCourseIndex(courseId) {
+  const removed = await searchIndex.remove(courseId);
+  if (removed) corpus = null;
+  return removed;
+}
+
+// { course_id: revision } of every indexed course
+export async function listIndexedCourses() {
+  const records = await searchIndex.list();
+  return Object.fromEntries(records.map(record => [record.course_id, record.revision]));
+}
+
+// Ranks the SCOs of all (or one) indexed course(s) against the query;
+// courseIds (a Set) limits the search to those courses. mode: 'keyword' (BM25), 'semantic' (embedding similarity) or 'hybrid'
+// (both, normalized and averaged); defaults to hybrid when an embedding
+// provider is configured.
+export async function searchCourses(query, { mode, limit = 20, offset = 0, courseId = null, courseIds = null } = {}) {
+  const provider = getEmbeddingProvider();
+  const searchMode = mode || (provider ? 'hybrid' : 'keyword');
+  if (!SEARCH_MODES.includes(searchMode)) {
+    return { error: `Unknown search mode "${searchMode}", expected one of ${SEARCH_MODES.join(', ')}` };
+  }
+  if (searchMode !== 'keyword' && !provider) {
+    return { error: 'Semantic search needs an embedding provider (set EMBEDDING_PROVIDER)' };
+  }
+
+  const index = await loadCorpus();
+  const queryTerms = [...new Set(analyze(query))];
+  const candidates = index.docs.filter(entry => (!courseId || entry.record.course_id === courseId)
+    && (!courseIds || courseIds.has(entry.record.course_id)));
+
+  let queryVector = null;
+  if (searchMode !== 'keyword') {
+    const response = await provider.embed([query]);
+    if (response.error) return { error: `Embedding the query failed: ${response.error}`, status: 502 };
+    queryVector = response.vectors[0];
+  }
+
+  const scored = candidates.map(entry => {
+    const keywordScore = searchMode === 'semantic' ? 0 : bm25(entry, queryTerms, index);
+    const sameModel = queryVector && entry.doc.vector && entry.record.embedding
+      && entry.record.embedding.provider === provider.name && entry.record.embedding.model === provider.model;
+    const similarity = sameModel ? cosineSimilarity(queryVector, entry.doc.vector) : null;
+    return { entry, keywordScore, similarity };
+  }).filter(({ keywordScore, similarity }) => keywordScore > 0 || (similarity !== null && similarity >= MIN_SIMILARITY));
+
+  const maxKeywordScore = Math.max(0, ...scored.map(hit => hit.keywordScore));
+  scored.forEach(hit => {
+    if (searchMode === 'keyword') hit.score = hit.keywordScore;
+    else if (searchMode === 'semantic') hit.score = hit.similarity || 0;
+    else hit.score = 0.5 * (maxKeywordScore ? hit.keywordScore / maxKeywordScore : 0) + 0.5 * Math.max(0, hit.similarity || 0);
+  });
+  const ranked = scored.filter(hit => hit.score > 0).sort((a, b) => b.score - a.score);
+
+  const hits = ranked.slice(offset, offset + limit).map(({ entry, score, keywordScore, similarity }) => {
+    const { record, doc } = entry;
+    const { snippet, highlights } = buildSnippet(doc.text || doc.summary, queryTerms);
+    const wanted = new Set(queryTerms);
+    return {
+      course_id: record.course_id,
+      course_title: record.course_title,
+      sco_id: doc.sco_id,
+      sco_title: doc.sco_title,
+      score: Number(score.toFixed(4)),
+      keyword_score: Number(keywordScore.toFixed(4)),
+      similarity: similarity === null ? null : Number(similarity.toFixed(4)),
+      matched_terms: queryTerms.filter(term => entry.termFrequency.has(term)),
+      matched_fields: Object.entries(fieldTexts(doc))
+        .filter(([, text]) => analyze(text).some(term => wanted.has(term)))
+        .map(([field]) => field),
+      snippet,
+      highlights,
+      keywords: doc.keywords,
+      learning_objectives: doc.learning_objectives,
+      links: {
+        course: `/courses/${record.course_id}/play`,
+        sco: `/courses/${record.course_id}/play?sco=${encodeURIComponent(doc.sco_id)}`,
+        course_api: `/api/courses/${record.course_id}`,
+        sco_document: `/api/courses/${record.course_id}/scos/${encodeURIComponent(doc.sco_id)}/document`
+      }
+    };
+  });
+
+  return {
+    query,
+    mode: searchMode,
+    embedding: provider && searchMode !== 'keyword' ? { provider: provider.name, model: provider.model } : null,
+    terms: queryTerms,
+    total: ranked.length,
+    offset,
+    limit,
+    indexed_scos: index.docs.length,
+    hits
+  };
+}
@@ -0,0 +1,49 @@
+// --- Text Analysis ---
+// Turns text into search terms: lowercased words without stopwords, with
+// common English endings removed so "handicaps", "handicapped" and
+// "handicapping" all become "handicap". Queries and documents go through
+// the same steps, so the stems only need to be consistent, not pretty.
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'being',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more', 'most', 'no', 'not', 'of', 'on', 'or',
+  'our', 'she', 'should', 'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+
+export function stem(word) {
+  let term = word.replace(/'s$/, '');
+  if (term.length <= 3) return term;
+  if (term.endsWith('ies') && term.length > 4) return `${term.slice(0, -3)}y`;
+  if (term.endsWith('sses')) return term.slice(0, -2);
+  for (const suffix of ['ing', 'ed']) {
+    if (term.endsWith(suffix) && term.length - suffix.length >= 3) {
+      term = term.slice(0, -suffix.length);
+      // "stopped" -> "stopp" -> "stop"
+      if (/([^aeiouls])\1$/.test(term)) term = term.slice(0, -1);
+      return term;
+    }
+  }
+  if (term.endsWith('ly') && term.length > 5) return term.slice(0, -2);
+  if (term.endsWith('s') && !/(ss|us|is)$/.test(term)) return term.slice(0, -1);
+  return term;
+}
+
+// Terms with their position in the text: [{ term, start, end }]
+export function analyzeWithOffsets(text) {
+  const terms = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (STOPWORDS.has(word) || (word.length < 2 && !/\d/.test(word))) continue;
+    terms.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return terms;
+}
+
+export function analyze(text) {
+  return analyzeWithOffsets(text).map(entry => entry.term);
+}
@@ -0,0 +1,941 @@
+import { getOrganization } from './scormManifest.js';
+
+// --- SCORM 2004 Sequencing and Navigation ---
+// Builds the activity tree of an organization and answers navigation
+// requests (start, resumeAll, continue, previous, choice, exit, exitAll,
+// suspendAll, abandon, abandonAll) following the SN pseudo code: navigation
+// request -> termination request -> sequencing request -> delivery request.
+//
+// The engine is pure: it works on a JSON serializable state object (stored
+// on the learner attempt) and never touches storage itself. Not supported:
+// randomization/selection, time based limit conditions and constrainChoice.
+
+const PRIMARY_OBJECTIVE_KEY = '_primary_';
+
+const DEFAULT_CONTROL_MODE = {
+  choice: true,
+  choice_exit: true,
+  flow: false,
+  forward_only: false,
+  use_current_attempt_objective_info: true,
+  use_current_attempt_progress_info: true
+};
+
+const DEFAULT_ROLLUP = {
+  rollup_objective_satisfied: true,
+  rollup_progress_completion: true,
+  objective_measure_weight: 1,
+  rules: []
+};
+
+const DEFAULT_DELIVERY_CONTROLS = {
+  tracked: true,
+  completion_set_by_content: false,
+  objective_set_by_content: false
+};
+
+const DEFAULT_ROLLUP_CONSIDERATIONS = {
+  required_for_satisfied: 'always',
+  required_for_not_satisfied: 'always',
+  required_for_completed: 'always',
+  required_for_incomplete: 'always',
+  measure_satisfaction_if_active: true
+};
+
+// Sequencing exception codes from the SN book, with readable messages
+const EXCEPTIONS = {
+  'NB.2.1-1': 'The sequencing session has already begun',
+  'NB.2.1-2': 'The sequencing session has not begun',
+  'NB.2.1-3': 'There is no suspended activity to resume',
+  'NB.2.1-4': 'Flow navigation is not allowed by the parent activity',
+  'NB.2.1-6': 'Cannot move backward from the root of the activity tree',
+  'NB.2.1-7': 'The navigation request is not understood',
+  'NB.2.1-11': 'The target activity does not exist',
+  'NB.2.1-12': 'The current activity has already been terminated',
+  'SB.2.1-2': 'Reached the beginning of the course',
+  'SB.2.2-1': 'Flow navigation is not allowed by the parent activity',
+  'SB.2.2-2': 'The activity is disabled or its attempt limit has been reached',
+  'SB.2.7-2': 'Flow navigation is not allowed by the parent activity',
+  'SB.2.8-2': 'Backward navigation is not allowed (forward only)',
+  'SB.2.9-3': 'The target activity is hidden from choice',
+  'SB.2.9-4': 'Choice is not allowed by the parent activity',
+  'SB.2.9-7': 'No activity to deliver inside the chosen cluster',
+  'SB.2.9-8': 'Choice exit is not allowed for an active activity',
+  'SB.2.12-1': 'The sequencing request is not understood',
+  'DB.1.1-1': 'The activity cannot be delivered because it is a cluster',
+  'DB.1.1-3': 'The activity is disabled or its attempt limit has been reached'
+};
+
+class SequencingException extends Error {
+  constructor(code) {
+    super(EXCEPTIONS[code] || code);
+    this.code = code;
+  }
+}
+
+// --- Activity tree ---
+
+function normalizeSequencing(definition) {
+  const source = definition || {};
+  const objectives = (source.objectives || []).map(objective => ({
+    ...objective,
+    key: objective.primary ? PRIMARY_OBJECTIVE_KEY : objective.objective_id
+  }));
+  if (!objectives.some(objective => objective.primary)) {
+    objectives.unshift({
+      objective_id: null,
+      primary: true,
+      satisfied_by_measure: false,
+      min_normalized_measure: 1,
+      map_info: [],
+      key: PRIMARY_OBJECTIVE_KEY
+    });
+  }
+  return {
+    control_mode: { ...DEFAULT_CONTROL_MODE, ...(source.control_mode || {}) },
+    pre_condition_rules: source.pre_condition_rules || [],
+    exit_condition_rules: source.exit_condition_rules || [],
+    post_condition_rules: source.post_condition_rules || [],
+    attempt_limit: source.limit_conditions && source.limit_conditions.attempt_limit > 0 ? source.limit_conditions.attempt_limit : null,
+    rollup: { ...DEFAULT_ROLLUP, ...(source.rollup_rules || {}) },
+    objectives,
+    delivery_controls: { ...DEFAULT_DELIVERY_CONTROLS, ...(source.delivery_controls || {}) },
+    rollup_considerations: { ...DEFAULT_ROLLUP_CONSIDERATIONS, ...(source.rollup_considerations || {}) }
+  };
+}
+
+// Builds the activity tree for an organization. Activities are keyed by
+// identifier and listed in pre-order, which is the forward flow order.
+export function buildActivityTree(manifest, organizationId = manifest.default_organization) {
+  const organization = getOrganization(manifest, organizationId);
+  if (!organization) return null;
+
+  const activities = {};
+  const order = [];
+  const addActivity = (node, parentId) => {
+    const activity = {
+      identifier: node.identifier,
+      title: node.title,
+      parent: parentId,
+      children: [],
+      href: node.href || null,
+      scorm_type: node.scorm_type || null,
+      isvisible: node.isvisible !== false,
+      sequencing: normalizeSequencing(node.sequencing)
+    };
+    activities[activity.identifier] = activity;
+    order.push(activity.identifier);
+    (node.children || []).forEach(child => {
+      activity.children.push(child.identifier);
+      addActivity(child, activity.identifier);
+    });
+    return activity;
+  };
+  addActivity(organization, null);
+
+  return {
+    root: organization.identifier,
+    objectives_global_to_system: organization.objectives_global_to_system !== false,
+    activities,
+    order
+  };
+}
+
+// Fresh sequencing state for a new attempt on the activity tree.
+// globalObjectives can carry objectives shared across attempts.
+export function createSequencingState(tree, globalObjectives = {}) {
+  const activities = {};
+  tree.order.forEach(id => {
+    activities[id] = {
+      attempt_count: 0,
+      active: false,
+      suspended: false,
+      progress_status: false,
+      completion_status: false,
+      objectives: {}
+    };
+  });
+  return {
+    current_activity: null,
+    suspended_activity: null,
+    session_ended: false,
+    activities,
+    global_objectives: { ...globalObjectives }
+  };
+}
+
+// --- Tree navigation helpers ---
+
+const isLeaf = (tree, id) => tree.activities[id].children.length === 0;
+const parentOf = (tree, id) => tree.activities[id].parent;
+const definitionOf = (tree, id) => tree.activities[id].sequencing;
+
+// Activities from the root down to (and including) the given activity
+function pathToRoot(tree, id) {
+  const path = [];
+  for (let current = id; current; current = parentOf(tree, current)) {
+    path.unshift(current);
+  }
+  return path;
+}
+
+function commonAncestor(tree, firstId, secondId) {
+  const firstPath = pathToRoot(tree, firstId);
+  const secondPath = new Set(pathToRoot(tree, secondId));
+  return firstPath.filter(id => secondPath.has(id)).pop() || tree.root;
+}
+
+const blankObjective = () => ({ progress_status: false, satisfied_status: false, measure_status: false, normalized_measure: 0 });
+
+// --- Tracking model ---
+
+function localObjective(state, activityId, key) {
+  const activityState = state.activities[activityId];
+  if (!activityState.objectives[key]) {
+    activityState.objectives[key] = blankObjective();
+  }
+  return activityState.objectives[key];
+}
+
+// Objective status as seen by rules: the local status overlaid with any
+// global objective it reads from
+function readObjective(state, objective, activityId) {
+  const status = { ...localObjective(state, activityId, objective.key) };
+  objective.map_info.forEach(map => {
+    const global = state.global_objectives[map.target_objective_id];
+    if (!global) return;
+    if (map.read_satisfied_status && global.progress_status) {
+      status.progress_status = true;
+      status.satisfied_status = global.satisfied_status;
+    }
+    if (map.read_normalized_measure && global.measure_status) {
+      status.measure_status = true;
+      status.normalized_measure = global.normalized_measure;
+    }
+  });
+  return status;
+}
+
+function writeObjective(state, objective, activityId, changes) {
+  Object.assign(localObjective(state, activityId, objective.key), changes);
+  objective.map_info.forEach(map => {
+    const targetId = map.target_objective_id;
+    if (!targetId) return;
+    const global = state.global_objectives[targetId] || blankObjective();
+    if (map.write_satisfied_status && 'progress_status' in changes) {
+      global.progress_status = changes.progress_status;
+      global.satisfied_status = changes.satisfied_status;
+    }
+    if (map.write_normalized_measure && 'measure_status' in changes) {
+      global.measure_status = changes.measure_status;
+      global.normalized_measure = changes.normalized_measure;
+    }
+    state.global_objectives[targetId] = global;
+  });
+}
+
+const primaryObjectiveOf = (tree, id) => definitionOf(tree, id).objectives.find(objective => objective.primary);
+
+function findObjective(tree, id, referencedObjective) {
+  const { objectives } = definitionOf(tree, id);
+  if (!referencedObjective) return objectives.find(objective => objective.primary);
+  return objectives.find(objective => objective.objective_id === referencedObjective) || null;
+}
+
+// --- Rule evaluation ---
+
+function evaluateCondition(tree, state, id, condition) {
+  const activityState = state.activities[id];
+  const objective = findObjective(tree, id, condition.referenced_objective);
+  const status = objective ? readObjective(state, objective, id) : blankObjective();
+  const limit = definitionOf(tree, id).attempt_limit;
+
+  switch (condition.condition) {
+    case 'satisfied':
+      return status.progress_status && status.satisfied_status;
+    case 'objectiveStatusKnown':
+      return status.progress_status;
+    case 'objectiveMeasureKnown':
+      return status.measure_status;
+    case 'objectiveMeasureGreaterThan':
+      return status.measure_status && status.normalized_measure > condition.measure_threshold;
+    case 'objectiveMeasureLessThan':
+      return status.measure_status && status.normalized_measure < condition.measure_threshold;
+    case 'completed':
+      return activityState.progress_status && activityState.completion_status;
+    case 'activityProgressKnown':
+      return activityState.progress_status;
+    case 'attempted':
+      return activityState.attempt_count > 0;
+    case 'attemptLimitExceeded':
+      return limit !== null && activityState.attempt_count >= limit;
+    case 'always':
+      return true;
+    default:
+      // timeLimitExceeded and outsideAvailableTimeRange are not tracked
+      return false;
+  }
+}
+
+function evaluateConditions(tree, state, id, rule) {
+  const results = rule.conditions.map(condition => {
+    const result = evaluateCondition(tree, state, id, condition);
+    return condition.operator === 'not' ? !result : result;
+  });
+  if (results.length === 0) return false;
+  return rule.condition_combination === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+// Returns the action of the first rule whose conditions hold, limited to
+// the given actions, or null
+function checkSequencingRules(tree, state, id, ruleType, actions) {
+  const rule = definitionOf(tree, id)[ruleType]
+    .find(candidate => actions.includes(candidate.action) && evaluateConditions(tree, state, id, candidate));
+  return rule ? rule.action : null;
+}
+
+function isDisabledOrLimited(tree, state, id) {
+  if (checkSequencingRules(tree, state, id, 'pre_condition_rules', ['disabled'])) return true;
+  const limit = definitionOf(tree, id).attempt_limit;
+  const activityState = state.activities[id];
+  return limit !== null && !activityState.active && !activityState.suspended && activityState.attempt_count >= limit;
+}
+
+// --- Rollup ---
+
+function isRequired(tree, state, id, consideration) {
+  const activityState = state.activities[id];
+  switch (consideration) {
+    case 'ifAttempted':
+      return activityState.attempt_count > 0;
+    case 'ifNotSkipped':
+      return !checkSequencingRules(tree, state, id, 'pre_condition_rules', ['skip']);
+    case 'ifNotSuspended':
+      return !(activityState.attempt_count > 0 && activityState.suspended);
+    default:
+      return true;
+  }
+}
+
+function contributingChildren(tree, state, id, action) {
+  const rollupFlag = ['satisfied', 'notSatisfied'].includes(action) ? 'rollup_objective_satisfied' : 'rollup_progress_completion';
+  const considerationKey = {
+    satisfied: 'required_for_satisfied',
+    notSatisfied: 'required_for_not_satisfied',
+    completed: 'required_for_completed',
+    incomplete: 'required_for_incomplete'
+  }[action];
+  return tree.activities[id].children.filter(childId => {
+    const definition = definitionOf(tree, childId);
+    return definition.delivery_controls.tracked &&
+      definition.rollup[rollupFlag] &&
+      isRequired(tree, state, childId, definition.rollup_considerations[considerationKey]);
+  });
+}
+
+function rollupRuleApplies(tree, state, id, rule) {
+  const children = contributingChildren(tree, state, id, rule.action);
+  if (children.length === 0) return false;
+  const matches = children.filter(childId => evaluateConditions(tree, state, childId, rule)).length;
+  switch (rule.child_activity_set) {
+    case 'any':
+      return matches > 0;
+    case 'none':
+      return matches === 0;
+    case 'atLeastCount':
+      return matches >= rule.minimum_count;
+    case 'atLeastPercent':
+      return matches / children.length >= rule.minimum_percent;
+    default:
+      return matches === children.length;
+  }
+}
+
+// Applies the author's rollup rules for one pair of actions, falling back
+// to the default rules of the SN book when none are defined
+function evaluateRollupPair(tree, state, id, negativeAction, positiveAction, defaultNegative, defaultPositive) {
+  const rules = definitionOf(tree, id).rollup.rules;
+  const negativeRules = rules.filter(rule => rule.action === negativeAction);
+  const positiveRules = rules.filter(rule => rule.action === positiveAction);
+  const effectiveNegative = negativeRules.length > 0 ? negativeRules : [defaultNegative];
+  const effectivePositive = positiveRules.length > 0 ? positiveRules : [defaultPositive];
+
+  let result = null;
+  if (effectiveNegative.some(rule => rollupRuleApplies(tree, state, id, rule))) result = false;
+  if (effectivePositive.some(rule => rollupRuleApplies(tree, state, id, rule))) result = true;
+  return result;
+}
+
+const defaultRule = (action, condition) => ({
+  child_activity_set: 'all',
+  condition_combination: 'any',
+  conditions: [{ condition, operator: 'noOp' }],
+  action
+});
+
+function rollupActivity(tree, state, id) {
+  const definition = definitionOf(tree, id);
+  const primary = primaryObjectiveOf(tree, id);
+  const activityState = state.activities[id];
+
+  // Measure rollup: weighted average of the children's primary objectives
+  let totalWeight = 0;
+  let weightedMeasure = 0;
+  let validData = false;
+  tree.activities[id].children.forEach(childId => {
+    const childDefinition = definitionOf(tree, childId);
+    if (!childDefinition.delivery_controls.tracked) return;
+    const weight = childDefinition.rollup.objective_measure_weight;
+    totalWeight += weight;
+    const childStatus = readObjective(state, primaryObjectiveOf(tree, childId), childId);
+    if (childStatus.measure_status) {
+      validData = true;
+      weightedMeasure += childStatus.normalized_measure * weight;
+    }
+  });
+  if (validData && totalWeight > 0) {
+    writeObjective(state, primary, id, { measure_status: true, normalized_measure: weightedMeasure / totalWeight });
+  } else if (totalWeight > 0) {
+    writeObjective(state, primary, id, { measure_status: false, normalized_measure: 0 });
+  }
+
+  // Objective rollup: by measure when configured, otherwise by rules
+  const status = readObjective(state, primary, id);
+  if (primary.satisfied_by_measure && (!activityState.active || definition.rollup_considerations.measure_satisfaction_if_active)) {
+    if (status.measure_status) {
+      writeObjective(state, primary, id, { progress_status: true, satisfied_status: status.normalized_measure >= primary.min_normalized_measure });
+    } else {
+      writeObjective(state, primary, id, { progress_status: false, satisfied_status: false });
+    }
+  } else {
+    const satisfied = evaluateRollupPair(tree, state, id, 'notSatisfied', 'satisfied',
+      defaultRule('notSatisfied', 'objectiveStatusKnown'), defaultRule('satisfied', 'satisfied'));
+    if (satisfied === true) {
+      writeObjective(state, primary, id, { progress_status: true, satisfied_status: true });
+    } else if (satisfied === false) {
+      writeObjective(state, primary, id, { progress_status: true, satisfied_status: false });
+    }
+  }
+
+  // Progress rollup
+  const completed = evaluateRollupPair(tree, state, id, 'incomplete', 'completed',
+    defaultRule('incomplete', 'activityProgressKnown'), defaultRule('completed', 'completed'));
+  if (completed !== null) {
+    activityState.progress_status = true;
+    activityState.completion_status = completed;
+  }
+}
+
+// Overall rollup process: from the parent of the activity up to the root
+function overallRollup(tree, state, id) {
+  for (let current = parentOf(tree, id); current; current = parentOf(tree, current)) {
+    rollupActivity(tree, state, current);
+  }
+}
+
+// --- Attempt lifecycle ---
+
+// Copies the run-time data of a SCO into its activity's tracking status
+function applyRuntimeData(tree, state, id, cmi) {
+  const definition = definitionOf(tree, id);
+  const activityState = state.activities[id];
+  const primary = primaryObjectiveOf(tree, id);
+  const threshold = cmi['cmi.completion_threshold'];
+  const progressMeasure = cmi['cmi.progress_measure'];
+
+  let completionStatus = cmi['cmi.completion_status'];
+  if (threshold !== undefined && threshold !== '' && progressMeasure !== undefined && progressMeasure !== '') {
+    completionStatus = Number(progressMeasure) >= Number(threshold) ? 'completed' : 'incomplete';
+  }
+  if (completionStatus === 'completed' || completionStatus === 'incomplete') {
+    activityState.progress_status = true;
+    activityState.completion_status = completionStatus === 'completed';
+  } else if (completionStatus === 'not attempted') {
+    activityState.progress_status = true;
+    activityState.completion_status = false;
+  }
+
+  const scaled = cmi['cmi.score.scaled'];
+  if (scaled !== undefined && scaled !== '') {
+    writeObjective(state, primary, id, { measure_status: true, normalized_measure: Number(scaled) });
+  }
+  let successStatus = cmi['cmi.success_status'];
+  const passingScore = cmi['cmi.scaled_passing_score'];
+  if (passingScore !== undefined && passingScore !== '' && scaled !== undefined && scaled !== '') {
+    successStatus = Number(scaled) >= Number(passingScore) ? 'passed' : 'failed';
+  }
+  if (successStatus === 'passed' || successStatus === 'failed') {
+    writeObjective(state, primary, id, { progress_status: true, satisfied_status: successStatus === 'passed' });
+  }
+
+  // cmi.objectives.n.* update the activity's other objectives by id
+  Object.keys(cmi)
+    .map(key => /^cmi\.objectives\.(\d+)\.id$/.exec(key))
+    .filter(Boolean)
+    .forEach(match => {
+      const prefix = `cmi.objectives.${match[1]}`;
+      const objective = definition.objectives.find(candidate => !candidate.primary && candidate.objective_id === cmi[`${prefix}.id`]);
+      if (!objective) return;
+      const objectiveScaled = cmi[`${prefix}.score.scaled`];
+      if (objectiveScaled !== undefined && objectiveScaled !== '') {
+        writeObjective(state, objective, id, { measure_status: true, normalized_measure: Number(objectiveScaled) });
+      }
+      const objectiveSuccess = cmi[`${prefix}.success_status`];
+      if (objectiveSuccess === 'passed' || objectiveSuccess === 'failed') {
+        writeObjective(state, objective, id, { progress_status: true, satisfied_status: objectiveSuccess === 'passed' });
+      }
+    });
+
+  activityState.suspended = cmi['cmi.exit'] === 'suspend';
+}
+
+// End Attempt process (UP.4)
+function endAttempt(tree, state, id, cmi) {
+  const activityState = state.activities[id];
+  const definition = definitionOf(tree, id);
+  if (isLeaf(tree, id)) {
+    if (definition.delivery_controls.tracked) {
+      if (cmi) applyRuntimeData(tree, state, id, cmi);
+      const primary = primaryObjectiveOf(tree, id);
+      const status = localObjective(state, id, primary.key);
+      if (primary.satisfied_by_measure && status.measure_status) {
+        writeObjective(state, primary, id, { progress_status: true, satisfied_status: status.normalized_measure >= primary.min_normalized_measure });
+      }
+      if (!activityState.suspended) {
+        if (!definition.delivery_controls.completion_set_by_content && !activityState.progress_status) {
+          activityState.progress_status = true;
+          activityState.completion_status = true;
+        }
+        if (!definition.delivery_controls.objective_set_by_content && !status.progress_status) {
+          writeObjective(state, primary, id, { progress_status: true, satisfied_status: true });
+        }
+      }
+    }
+  } else {
+    activityState.suspended = activityState.suspended ||
+      tree.activities[id].children.some(childId => state.activities[childId].suspended);
+  }
+  activityState.active = false;
+  overallRollup(tree, state, id);
+}
+
+// Starts a new attempt, resetting the tracking data of the previous one
+function beginAttempt(tree, state, id) {
+  const activityState = state.activities[id];
+  activityState.attempt_count += 1;
+  activityState.progress_status = false;
+  activityState.completion_status = false;
+  activityState.objectives = {};
+}
+
+// Ends every active attempt below the given ancestor on the current path
+function terminateDescendentAttempts(tree, state, ancestorId, cmiFor) {
+  if (!state.current_activity) return;
+  const path = pathToRoot(tree, state.current_activity);
+  const start = path.indexOf(ancestorId);
+  path.slice(start + 1).reverse().forEach(id => {
+    if (state.activities[id].active) endAttempt(tree, state, id, cmiFor(id));
+  });
+}
+
+// --- Flow subprocesses ---
+
+// Next activity in pre-order, optionally entering the children of the activity
+function flowTreeTraversal(tree, id, direction, considerChildren) {
+  const activity = tree.activities[id];
+  if (direction === 'forward') {
+    if (considerChildren && activity.children.length > 0) return activity.children[0];
+    for (let current = id; current !== tree.root; current = parentOf(tree, current)) {
+      const siblings = tree.activities[parentOf(tree, current)].children;
+      const index = siblings.indexOf(current);
+      if (index < siblings.length - 1) return siblings[index + 1];
+    }
+    return null;
+  }
+  if (considerChildren && activity.children.length > 0) {
+    return definitionOf(tree, id).control_mode.forward_only ? activity.children[0] : activity.children[activity.children.length - 1];
+  }
+  if (id === tree.root) return null;
+  const siblings = tree.activities[parentOf(tree, id)].children;
+  const index = siblings.indexOf(id);
+  if (index > 0) return siblings[index - 1];
+  // Moving backward out of a cluster continues before the cluster itself
+  return flowTreeTraversal(tree, parentOf(tree, id), 'backward', false);
+}
+
+// Flow Activity Traversal (SB.2.2): skips activities with skip rules and
+// descends into clusters until a leaf can be delivered
+function flowActivityTraversal(tree, state, id, direction) {
+  let currentId = id;
+  let currentDirection = direction;
+  for (let guard = 0; guard < tree.order.length * 4; guard++) {
+    const parentId = parentOf(tree, currentId);
+    if (parentId && !definitionOf(tree, parentId).control_mode.flow) {
+      throw new SequencingException('SB.2.2-1');
+    }
+    if (checkSequencingRules(tree, state, currentId, 'pre_condition_rules', ['skip'])) {
+      const next = flowTreeTraversal(tree, currentId, currentDirection, false);
+      if (!next) return null;
+      currentId = next;
+      continue;
+    }
+    if (isDisabledOrLimited(tree, state, currentId)) {
+      throw new SequencingException('SB.2.2-2');
+    }
+    if (isLeaf(tree, currentId)) return currentId;
+    const child = flowTreeTraversal(tree, currentId, currentDirection, true);
+    if (!child) return null;
+    // Entering a forward-only cluster backward starts from its first child
+    if (currentDirection === 'backward' && definitionOf(tree, currentId).control_mode.forward_only) {
+      currentDirection = 'forward';
+    }
+    currentId = child;
+  }
+  return null;
+}
+
+// Flow subprocess (SB.2.3)
+function flow(tree, state, id, direction, considerChildren) {
+  const candidate = flowTreeTraversal(tree, id, direction, considerChildren);
+  if (!candidate) return null;
+  return flowActivityTraversal(tree, state, candidate, direction);
+}
+
+// --- Sequencing request process (SB.2.12) ---
+
+function sequencingRequest(tree, state, request, targetId) {
+  const current = state.current_activity;
+  switch (request) {
+    case 'start': {
+      if (current) throw new SequencingException('NB.2.1-1');
+      if (isLeaf(tree, tree.root)) return { deliver: tree.root };
+      const target = flow(tree, state, tree.root, 'forward', true);
+      return target ? { deliver: target } : { end: true };
+    }
+    case 'resumeAll': {
+      if (!state.suspended_activity) throw new SequencingException('NB.2.1-3');
+      return { deliver: state.suspended_activity };
+    }
+    case 'continue': {
+      if (!current) throw new SequencingException('NB.2.1-2');
+      if (current !== tree.root && !definitionOf(tree, parentOf(tree, current)).control_mode.flow) {
+        throw new SequencingException('SB.2.7-2');
+      }
+      const target = flow(tree, state, current, 'forward', false);
+      // Continuing past the last activity ends the sequencing session
+      return target ? { deliver: target } : { end: true };
+    }
+    case 'previous': {
+      if (!current) throw new SequencingException('NB.2.1-2');
+      if (current === tree.root) throw new SequencingException('NB.2.1-6');
+      const parentMode = definitionOf(tree, parentOf(tree, current)).control_mode;
+      if (!parentMode.flow) throw new SequencingException('SB.2.7-2');
+      if (parentMode.forward_only) throw new SequencingException('SB.2.8-2');
+      const target = flow(tree, state, current, 'backward', false);
+      if (!target) throw new SequencingException('SB.2.1-2');
+      return { deliver: target };
+    }
+    case 'choice':
+      return choiceSequencingRequest(tree, state, targetId);
+    case 'retry': {
+      if (!current || state.activities[current].active || state.activities[current].suspended) {
+        throw new SequencingException('NB.2.1-12');
+      }
+      if (isLeaf(tree, current)) return { deliver: current, retry: current };
+      const target = flow(tree, state, current, 'forward', true);
+      return target ? { deliver: target, retry: current } : { end: true };
+    }
+    case 'exit': {
+      if (!current) throw new SequencingException('NB.2.1-2');
+      // Exiting the root ends the session; otherwise the learner picks next
+      return current === tree.root ? { end: true } : {};
+    }
+    default:
+      throw new SequencingException('SB.2.12-1');
+  }
+}
+
+// Choice Sequencing Request (SB.2.9)
+function choiceSequencingRequest(tree, state, targetId) {
+  if (!targetId || !tree.activities[targetId]) throw new SequencingException('NB.2.1-11');
+  const targetPath = pathToRoot(tree, targetId);
+  targetPath.forEach(id => {
+    if (checkSequencingRules(tree, state, id, 'pre_condition_rules', ['hiddenFromChoice'])) {
+      throw new SequencingException('SB.2.9-3');
+    }
+  });
+  if (targetId !== tree.root && !definitionOf(tree, parentOf(tree, targetId)).control_mode.choice) {
+    throw new SequencingException('SB.2.9-4');
+  }
+
+  const current = state.current_activity;
+  if (current) {
+    const ancestor = commonAncestor(tree, current, targetId);
+    // Active activities being left behind must allow choice exit
+    pathToRoot(tree, current)
+      .slice(pathToRoot(tree, ancestor).length)
+      .forEach(id => {
+        if (state.activities[id].active && !definitionOf(tree, id).control_mode.choice_exit) {
+          throw new SequencingException('SB.2.9-8');
+        }
+      });
+  }
+
+  if (isLeaf(tree, targetId)) return { deliver: targetId };
+  const target = flowActivityTraversal(tree, state, targetId, 'forward');
+  if (!target) throw new SequencingException('SB.2.9-7');
+  return { deliver: target };
+}
+
+// --- Termination request process (TB.2.3) ---
+
+// Exit action rules (TB.2.1): the first ancestor whose exit rule fires
+// is exited together with everything below it
+function exitActionRules(tree, state, cmiFor) {
+  const path = pathToRoot(tree, state.current_activity).slice(0, -1);
+  const exitTarget = path.find(id => checkSequencingRules(tree, state, id, 'exit_condition_rules', ['exit']));
+  if (exitTarget) {
+    terminateDescendentAttempts(tree, state, exitTarget, cmiFor);
+    endAttempt(tree, state, exitTarget, null);
+    state.current_activity = exitTarget;
+  }
+}
+
+function exitAll(tree, state, cmiFor) {
+  if (state.current_activity) {
+    terminateDescendentAttempts(tree, state, tree.root, cmiFor);
+  }
+  if (state.activities[tree.root].active) endAttempt(tree, state, tree.root, null);
+  state.current_activity = tree.root;
+}
+
+function terminationRequest(tree, state, request, cmiFor) {
+  const current = state.current_activity;
+  if (!current) throw new SequencingException('NB.2.1-2');
+
+  switch (request) {
+    case 'exit': {
+      if (!state.activities[current].active) throw new SequencingException('NB.2.1-12');
+      endAttempt(tree, state, current, cmiFor(current));
+      exitActionRules(tree, state, cmiFor);
+      // Post condition rules (TB.2.2) may exit further up or replace the request
+      for (;;) {
+        const activityId = state.current_activity;
+        if (state.activities[activityId].suspended) return null;
+        const action = checkSequencingRules(tree, state, activityId, 'post_condition_rules',
+          ['exitParent', 'exitAll', 'retry', 'retryAll', 'continue', 'previous']);
+        if (action === 'exitParent' && activityId !== tree.root) {
+          state.current_activity = parentOf(tree, activityId);
+          endAttempt(tree, state, state.current_activity, null);
+          continue;
+        }
+        if (action === 'exitAll') {
+          exitAll(tree, state, cmiFor);
+          return 'exit';
+        }
+        if (action === 'retryAll') {
+          exitAll(tree, state, cmiFor);
+          return 'retry';
+        }
+        if (action === 'retry' || action === 'continue' || action === 'previous') {
+          return action;
+        }
+        return activityId === tree.root ? 'exit' : null;
+      }
+    }
+    case 'exitAll':
+    case 'abandonAll':
+      exitAll(tree, state, cmiFor);
+      return 'exit';
+    case 'suspendAll': {
+      state.suspended_activity = current;
+      pathToRoot(tree, current).forEach(id => {
+        state.activities[id].suspended = true;
+        state.activities[id].active = false;
+      });
+      const cmi = cmiFor(current);
+      if (cmi) applyRuntimeData(tree, state, current, cmi);
+      state.activities[current].suspended = true;
+      overallRollup(tree, state, current);
+      state.current_activity = tree.root;
+      return 'exit';
+    }
+    case 'abandon':
+      state.activities[current].active = false;
+      return null;
+    default:
+      throw new SequencingException('SB.2.12-1');
+  }
+}
+
+// --- Delivery request process (DB.1.1 / DB.2) ---
+
+function deliver(tree, state, targetId, retryId, cmiFor) {
+  if (!isLeaf(tree, targetId)) throw new SequencingException('DB.1.1-1');
+  const path = pathToRoot(tree, targetId);
+  path.forEach(id => {
+    if (isDisabledOrLimited(tree, state, id)) throw new SequencingException('DB.1.1-3');
+  });
+
+  // Leave the branches of the tree that are not on the new path
+  if (state.current_activity) {
+    const ancestor = commonAncestor(tree, state.current_activity, targetId);
+    terminateDescendentAttempts(tree, state, ancestor, cmiFor);
+  }
+
+  const retryPath = retryId ? new Set(pathToRoot(tree, retryId)) : new Set();
+  const newAttempts = [];
+  path.forEach(id => {
+    const activityState = state.activities[id];
+    const isRetried = retryPath.has(id) && id === retryId;
+    if (!activityState.active || isRetried) {
+      if (activityState.suspended) {
+        activityState.suspended = false;
+      } else {
+        beginAttempt(tree, state, id);
+        newAttempts.push(id);
+      }
+      activityState.active = true;
+    }
+  });
+  // A retried cluster restarts every activity below it as well
+  if (retryId && !isLeaf(tree, retryId)) {
+    tree.order
+      .filter(id => id !== retryId && pathToRoot(tree, id).includes(retryId) && !path.includes(id))
+      .forEach(id => {
+        state.activities[id].active = false;
+        state.activities[id].suspended = false;
+      });
+  }
+
+  state.current_activity = targetId;
+  state.suspended_activity = null;
+  return { new_attempt: newAttempts.includes(targetId) };
+}
+
+// --- Navigation request process (NB.2.1) ---
+
+const NAVIGATION_REQUESTS = ['start', 'resumeAll', 'continue', 'previous', 'choice', 'exit', 'exitAll', 'suspendAll', 'abandon', 'abandonAll'];
+
+// Processes a navigation request and returns the resulting state and the
+// activity to deliver. cmiFor(activityId) returns the run-time data of a
+// SCO when its attempt is ended.
+export function processNavigationRequest(tree, currentState, request, { target = null, cmiFor = () => null } = {}) {
+  const state = structuredClone(currentState);
+  // Once the current attempt has been ended the result must be kept, even
+  // if no activity can be delivered afterwards
+  let terminated = false;
+  try {
+    if (!NAVIGATION_REQUESTS.includes(request)) throw new SequencingException('NB.2.1-7');
+    if (state.session_ended && !['start', 'resumeAll'].includes(request)) throw new SequencingException('NB.2.1-2');
+    if (['start', 'resumeAll'].includes(request)) {
+      if (state.current_activity && !state.session_ended) throw new SequencingException('NB.2.1-1');
+      if (request === 'resumeAll' && !state.suspended_activity) throw new SequencingException('NB.2.1-3');
+      state.session_ended = false;
+      state.current_activity = null;
+    }
+
+    let sequencing = request;
+    const current = state.current_activity;
+    const currentActive = current && state.activities[current].active;
+
+    if (['exitAll', 'abandonAll', 'suspendAll', 'abandon'].includes(request)) {
+      sequencing = terminationRequest(tree, state, request, cmiFor) || (request === 'abandon' ? 'exit' : null);
+      terminated = true;
+    } else if (['continue', 'previous', 'choice', 'exit'].includes(request) && currentActive) {
+      if (request === 'continue' && current !== tree.root && !definitionOf(tree, parentOf(tree, current)).control_mode.flow) {
+        throw new SequencingException('NB.2.1-4');
+      }
+      // Validate choice and previous before the current activity is ended,
+      // so an impossible request does not take the learner out of the SCO
+      if (request === 'choice') {
+        choiceSequencingRequest(tree, structuredClone(state), target);
+      }
+      if (request === 'previous') {
+        sequencingRequest(tree, structuredClone(state), 'previous', null);
+      }
+      const replacement = terminationRequest(tree, state, 'exit', cmiFor);
+      terminated = true;
+      // A sequencing request from the post condition rules replaces the
+      // learner's request, except that an explicit choice always wins
+      if (replacement && request !== 'choice') {
+        sequencing = replacement;
+      } else if (request === 'exit') {
+        sequencing = replacement || 'exit';
+      }
+    }
+
+    if (!sequencing) {
+      return { state, delivered: null, session_ended: false, exception: null };
+    }
+
+    const result = sequencingRequest(tree, state, sequencing, target);
+    if (result.end) {
+      if (state.current_activity && state.activities[state.current_activity].active) {
+        exitAll(tree, state, cmiFor);
+      }
+      state.session_ended = true;
+      state.current_activity = null;
+      return { state, delivered: null, session_ended: true, exception: null };
+    }
+    if (!result.deliver) {
+      return { state, delivered: null, session_ended: false, exception: null };
+    }
+
+    const { new_attempt } = deliver(tree, state, result.deliver, result.retry, cmiFor);
+    const activity = tree.activities[result.deliver];
+    return {
+      state,
+      delivered: { identifier: activity.identifier, title: activity.title, href: activity.href, new_attempt },
+      session_ended: false,
+      exception: null
+    };
+  } catch (error) {
+    if (!(error instanceof SequencingException)) throw error;
+    return {
+      state: terminated ? state : currentState,
+      delivered: null,
+      session_ended: false,
+      exception: { code: error.code, message: error.message }
+    };
+  }
+}
+
+// Which flow requests and choices are currently allowed, used by the
+// player to enable its navigation controls (adl.nav.request_valid.*)
+export function getNavigationValidity(tree, state) {
+  const current = state.current_activity;
+  const parentMode = current && current !== tree.root ? definitionOf(tree, parentOf(tree, current)).control_mode : null;
+  const choice = {};
+  tree.order.forEach(id => {
+    if (id === tree.root) return;
+    const parentAllowsChoice = definitionOf(tree, parentOf(tree, id)).control_mode.choice;
+    const hidden = pathToRoot(tree, id).some(pathId => checkSequencingRules(tree, state, pathId, 'pre_condition_rules', ['hiddenFromChoice']));
+    choice[id] = parentAllowsChoice && !hidden;
+  });
+  return {
+    start: !current || state.session_ended,
+    resume_all: Boolean(state.suspended_activity) && (!current || state.session_ended),
+    continue: Boolean(parentMode && parentMode.flow),
+    previous: Boolean(parentMode && parentMode.flow && !parentMode.forward_only),
+    choice
+  };
+}
+
+// Summary of the tracking status of every activity, for reporting
+export function summarizeActivities(tree, state) {
+  return tree.order.map(id => {
+    const activityState = state.activities[id];
+    const primary = readObjective(state, primaryObjectiveOf(tree, id), id);
+    return {
+      identifier: id,
+      title: tree.activities[id].title,
+      attempt_count: activityState.attempt_count,
+      active: activityState.active,
+      suspended: activityState.suspended,
+      completion_status: activityState.progress_status ? (activityState.completion_status ? 'completed' : 'incomplete') : 'unknown',
+      success_status: primary.progress_status ? (primary.satisfied_status ? 'passed' : 'failed') : 'unknown',
+      normalized_measure: primary.measure_status ? primary.normalized_measure : null
+    };
+  });
+}
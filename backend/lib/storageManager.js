@@ -0,0 +1,256 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { TEMP_UPLOADS_DIR } from './paths.js';
+import { envNumber } from './env.js';
+import { listCourses, getCourse, updateCourse, deleteCourse, resolveCourseDir } from './courseStore.js';
+import { listAttempts } from './attemptStore.js';
+import { listJobs } from './jobQueue.js';
+import { cleanupExpiredUploads, CHUNKS_DIR_NAME } from './uploadSessions.js';
+
+// --- Storage Manager ---
+// Keeps TEMP_UPLOADS_DIR from growing forever. A sweep reconciles what is on
+// disk with the course registry:
+//   - folders and files no course points at (failed or interrupted uploads,
+//     leftover zips) are orphans and removed once older than the TTL; only
+//     names the engine itself creates are ever removed, anything else put
+//     in the folder is reported as unmanaged and left alone
+//   - courses whose folder is gone are reported as missing
+//   - above the quota, the least recently used courses that nobody is
+//     taking (no recent open attempt, no running job) are deleted until
+//     usage fits
+// Sweeps run at startup, every STORAGE_SWEEP_INTERVAL_MINUTES and after
+// every upload. Every setting may be 0 (no quota, no periodic sweep).
+
+export const STORAGE_LIMITS = {
+  // Age after which an unreferenced folder or file is removed
+  orphan_ttl_ms: envNumber('STORAGE_ORPHAN_TTL_HOURS', 24, { allowZero: true }) * 60 * 60 * 1000,
+  // Total size of TEMP_UPLOADS_DIR; 0 means no quota
+  quota_bytes: envNumber('STORAGE_QUOTA_BYTES', 0, { allowZero: true }),
+  sweep_interval_ms: envNumber('STORAGE_SWEEP_INTERVAL_MINUTES', 60, { allowZero: true }) * 60 * 1000,
+  // Unfinished attempts nobody has touched for this long no longer keep a
+  // course from being evicted
+  attempt_idle_ms: envNumber('STORAGE_ATTEMPT_IDLE_DAYS', 30, { allowZero: true }) * 24 * 60 * 60 * 1000
+};
+
+// last_accessed_at is written at most this often per course
+const ACCESS_WRITE_INTERVAL_MS = 10 * 60 * 1000;
+const accessWrites = new Map();
+
+// Remembers that a course was used (content served, attempt started) for
+// the LRU order. Never fails the request it is called from.
+export function touchCourse(courseId) {
+  const now = Date.now();
+  if (now - (accessWrites.get(courseId) || 0) < ACCESS_WRITE_INTERVAL_MS) return;
+  accessWrites.set(courseId, now);
+  updateCourse(courseId, { last_accessed_at: new Date(now).toISOString() })
+    .catch(error => console.error(`touchCourse: Failed to record access to course ${courseId}:`, error.message));
+}
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+// What the engine writes to TEMP_UPLOADS_DIR: package extractions
+// (<name>_<uuid>, which includes export_<uuid> and inspect_<uuid> work
+// folders) and multer's received files (<uuid>-<original name>). Resumable
+// uploads in CHUNKS_DIR_NAME are cleaned up by their own expiry.
+const ENGINE_NAME_PATTERNS = [new RegExp(`^.+_${UUID}$`, 'i'), new RegExp(`^${UUID}-.+$`, 'i')];
+
+const isEngineName = (name) => ENGINE_NAME_PATTERNS.some(pattern => pattern.test(name));
+
+const lastUsed = (course) => course.last_accessed_at || course.revised_at || course.uploaded_at || '';
+
+async function measure(entryPath) {
+  const stats = await fs.lstat(entryPath);
+  if (!stats.isDirectory()) return { bytes: stats.size, file_count: 1 };
+  let bytes = 0;
+  let fileCount = 0;
+  for (const name of await fs.readdir(entryPath)) {
+    const child = await measure(path.join(entryPath, name));
+    bytes += child.bytes;
+    fileCount += child.file_count;
+  }
+  return { bytes, file_count: fileCount };
+}
+
+// Courses with a recent attempt that isn't completed or a job that hasn't
+// finished are in use and never evicted. Returns a map of course id to
+// { open_attempts, active_jobs }, for one course or all of them.
+async function courseReferences(courseId) {
+  const [attempts, jobs] = await Promise.all([listAttempts({ courseId }), listJobs({ courseId })]);
+  const references = new Map();
+  const entry = (id) => {
+    if (!references.has(id)) references.set(id, { open_attempts: 0, active_jobs: 0 });
+    return references.get(id);
+  };
+  const idleSince = Date.now() - STORAGE_LIMITS.attempt_idle_ms;
+  attempts
+    .filter(attempt => attempt.status !== 'completed' && new Date(attempt.updated_at).getTime() > idleSince)
+    .forEach(attempt => { entry(attempt.course_id).open_attempts += 1; });
+  jobs.filter(job => job.course_id && (job.status === 'queued' || job.status === 'running')).forEach(job => { entry(job.course_id).active_jobs += 1; });
+  return references;
+}
+
+const NO_REFERENCES = { open_attempts: 0, active_jobs: 0 };
+
+// Disk usage of TEMP_UPLOADS_DIR split into courses, resumable uploads,
+// orphans and unmanaged entries, plus the courses whose folder is missing
+export async function getStorageReport() {
+  const now = Date.now();
+  const [courses, references] = await Promise.all([listCourses(), courseReferences()]);
+  const courseByDir = new Map();
+  const missing = [];
+  courses.forEach(course => {
+    if (!course.extract_dir) return;
+    try {
+      const courseDir = resolveCourseDir(course);
+      courseByDir.set(path.relative(TEMP_UPLOADS_DIR, courseDir).split(path.sep)[0], course);
+    } catch (error) {
+      missing.push({ id: course.id, title: course.title, extract_dir: course.extract_dir, reason: error.message });
+    }
+  });
+
+  const report = {
+    generated_at: new Date(now).toISOString(),
+    quota_bytes: STORAGE_LIMITS.quota_bytes || null,
+    orphan_ttl_hours: STORAGE_LIMITS.orphan_ttl_ms / (60 * 60 * 1000),
+    used_bytes: 0,
+    course_bytes: 0,
+    orphan_bytes: 0,
+    unmanaged_bytes: 0,
+    uploads: { bytes: 0, file_count: 0 },
+    courses: [],
+    orphans: [],
+    unmanaged: [],
+    missing
+  };
+
+  const names = await fs.readdir(TEMP_UPLOADS_DIR);
+  for (const name of names) {
+    const entryPath = path.join(TEMP_UPLOADS_DIR, name);
+    let stats;
+    let usage;
+    try {
+      stats = await fs.lstat(entryPath);
+      usage = await measure(entryPath);
+    } catch (error) {
+      // Removed while we were looking (e.g. a validation run finishing)
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    report.used_bytes += usage.bytes;
+
+    if (name === CHUNKS_DIR_NAME) {
+      report.uploads = usage;
+      continue;
+    }
+    const course = courseByDir.get(name);
+    if (course) {
+      courseByDir.delete(name);
+      report.course_bytes += usage.bytes;
+      report.courses.push({
+        id: course.id,
+        title: course.title,
+        extract_dir: course.extract_dir,
+        revision: course.revision || 1,
+        ...usage,
+        uploaded_at: course.uploaded_at,
+        last_accessed_at: course.last_accessed_at || null,
+        last_used_at: lastUsed(course),
+        ...(references.get(course.id) || NO_REFERENCES)
+      });
+      continue;
+    }
+    const entry = {
+      name,
+      type: stats.isDirectory() ? 'directory' : 'file',
+      ...usage,
+      modified_at: stats.mtime.toISOString()
+    };
+    if (!isEngineName(name)) {
+      report.unmanaged_bytes += usage.bytes;
+      report.unmanaged.push(entry);
+      continue;
+    }
+    report.orphan_bytes += usage.bytes;
+    report.orphans.push({ ...entry, expired: now - stats.mtimeMs > STORAGE_LIMITS.orphan_ttl_ms });
+  }
+
+  // Registered courses whose folder wasn't found on disk
+  courseByDir.forEach(course => missing.push({ id: course.id, title: course.title, extract_dir: course.extract_dir, reason: 'Extraction folder not found' }));
+  report.courses.sort((a, b) => b.bytes - a.bytes);
+  return report;
+}
+
+// Removes expired orphans and expired resumable uploads, then evicts least
+// recently used courses while usage is above the quota. With dryRun nothing
+// is deleted and the result lists what would have been.
+export async function sweepStorage({ dryRun = false } = {}) {
+  const report = await getStorageReport();
+  const result = {
+    dry_run: dryRun,
+    removed_orphans: [],
+    evicted_courses: [],
+    expired_uploads: 0,
+    freed_bytes: 0,
+    missing: report.missing,
+    used_bytes_before: report.used_bytes
+  };
+
+  for (const orphan of report.orphans.filter(candidate => candidate.expired)) {
+    if (!dryRun) await fs.rm(path.join(TEMP_UPLOADS_DIR, orphan.name), { recursive: true, force: true });
+    result.removed_orphans.push({ name: orphan.name, bytes: orphan.bytes });
+    result.freed_bytes += orphan.bytes;
+  }
+  if (!dryRun) result.expired_uploads = await cleanupExpiredUploads();
+
+  const quota = STORAGE_LIMITS.quota_bytes;
+  if (quota && report.used_bytes - result.freed_bytes > quota) {
+    const candidates = [...report.courses].sort((a, b) => a.last_used_at.localeCompare(b.last_used_at));
+    for (const candidate of candidates) {
+      if (report.used_bytes - result.freed_bytes <= quota) break;
+      // Checked again: attempts may have started since the report was built
+      const references = (await courseReferences(candidate.id)).get(candidate.id) || NO_REFERENCES;
+      if (references.open_attempts || references.active_jobs) continue;
+      // The course may also have been used or revised in the meantime
+      const course = await getCourse(candidate.id);
+      if (!course || lastUsed(course) !== candidate.last_used_at) continue;
+      if (!dryRun) await deleteCourse(candidate.id);
+      result.evicted_courses.push({ id: candidate.id, title: candidate.title, bytes: candidate.bytes, last_used_at: candidate.last_used_at });
+      result.freed_bytes += candidate.bytes;
+    }
+    if (report.used_bytes - result.freed_bytes > quota) {
+      console.warn(`sweepStorage: Usage stays above the quota of ${quota} bytes; the remaining courses are in use`);
+    }
+  }
+
+  result.used_bytes_after = report.used_bytes - result.freed_bytes;
+  if (result.removed_orphans.length || result.evicted_courses.length || result.missing.length) {
+    console.log(`sweepStorage: ${dryRun ? 'Would remove' : 'Removed'} ${result.removed_orphans.length} orphan(s) and ${result.evicted_courses.length} course(s), ${result.freed_bytes} bytes; ${result.missing.length} course(s) missing their files`);
+  }
+  return result;
+}
+
+let sweepTimer = null;
+let sweepRunning = null;
+
+// Background sweep; one at a time, overlapping calls share the running one
+export function runStorageSweep() {
+  if (!sweepRunning) {
+    sweepRunning = sweepStorage()
+      .catch(error => {
+        console.error('runStorageSweep: Storage sweep failed:', error);
+        return { error: error.message };
+      })
+      .finally(() => { sweepRunning = null; });
+  }
+  return sweepRunning;
+}
+
+// Startup sweep plus the periodic one
+export function startStorageSweeps() {
+  runStorageSweep();
+  if (STORAGE_LIMITS.sweep_interval_ms && !sweepTimer) {
+    sweepTimer = setInterval(runStorageSweep, STORAGE_LIMITS.sweep_interval_ms);
+    // Don't keep the process alive just for the sweeps
+    sweepTimer.unref();
+  }
+}
@@ -0,0 +1,410 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { isHtmlFile, collectScoHtmlFiles } from './contentText.js';
+
+// --- Structured Content ---
+// Extracts the document structure of a SCO's pages instead of one flat
+// string: headings, paragraphs, lists, tables, images with alt text and
+// links. Pages linked from the SCO (anchors, iframes, frames) inside the
+// package are followed, so the whole page set of a SCO is captured.
+//
+// A page is { file, title, blocks, links, images, frames }. Blocks are one of
+//   { type: 'heading', level, text }
+//   { type: 'paragraph', text, markdown? }   markdown when it has inline links/emphasis
+//   { type: 'list', ordered, items: [{ text, markdown?, children? }] }
+//   { type: 'table', caption, header, rows }
+//   { type: 'image', src, path, alt, title }
+//   { type: 'code', text } and { type: 'quote', text }
+
+// Pages followed per SCO, to keep heavily cross-linked packages bounded
+const CONTENT_MAX_PAGES = Number(process.env.CONTENT_MAX_PAGES) || 50;
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const SKIPPED_TAGS = new Set([
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'HEAD', 'LINK', 'META', 'TEMPLATE', 'SVG', 'OBJECT', 'EMBED',
+  'INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'CANVAS', 'AUDIO', 'VIDEO'
+]);
+
+const BLOCK_TAGS = new Set([
+  'BODY', 'DIV', 'P', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'CENTER',
+  'FIGURE', 'FIGCAPTION', 'DL', 'DT', 'DD', 'ADDRESS', 'FORM', 'FIELDSET', 'LEGEND', 'HR', 'DETAILS', 'SUMMARY'
+]);
+
+// Resolves an href found in a page to a path relative to the package root.
+// External URLs, fragments and paths escaping the package give null.
+export function resolvePackagePath(fromFile, href) {
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//') || href.startsWith('#')) return null;
+  const target = href.split(/[?#]/)[0];
+  if (!target) return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch {
+    decoded = target;
+  }
+  const resolved = path.posix.normalize(
+    decoded.startsWith('/') ? decoded.slice(1) : path.posix.join(path.posix.dirname(fromFile), decoded)
+  );
+  if (resolved.startsWith('..') || path.posix.isAbsolute(resolved)) return null;
+  return resolved;
+}
+
+const cleanText = (value) => value
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').replace(/ ([.,;:!?])/g, '$1').trim())
+  .filter(Boolean)
+  .join('\n');
+
+// Collects inline content as plain text and as Markdown side by side
+function createInline() {
+  let plain = '';
+  let markdown = '';
+  return {
+    append(text, markdownText = text) {
+      plain += text;
+      markdown += markdownText;
+    },
+    result() {
+      const text = cleanText(plain);
+      const markdownText = cleanText(markdown);
+      return markdownText !== text ? { text, markdown: markdownText } : { text };
+    }
+  };
+}
+
+function collectInline(node, inline, page) {
+  node.childNodes.forEach(child => {
+    if (child.nodeType === TEXT_NODE) {
+      inline.append(child.textContent);
+      return;
+    }
+    if (child.nodeType !== ELEMENT_NODE) return;
+    const tag = child.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag) || tag === 'UL' || tag === 'OL' || tag === 'TABLE') return;
+
+    if (tag === 'BR') {
+      inline.append('\n');
+    } else if (tag === 'A') {
+      const text = cleanText(child.textContent);
+      const href = child.getAttribute('href');
+      if (href && text) {
+        const packagePath = resolvePackagePath(page.file, href);
+        page.links.push({ text, href, path: packagePath, external: packagePath === null && !href.startsWith('#') });
+        // Markdown points at package paths, like the image blocks do
+        const fragment = href.includes('#') ? href.slice(href.indexOf('#')) : '';
+        inline.append(` ${text} `, ` [${text}](${packagePath ? packagePath + fragment : href}) `);
+      } else {
+        collectInline(child, inline, page);
+      }
+    } else if (tag === 'STRONG' || tag === 'B') {
+      const text = cleanText(child.textContent);
+      if (text) inline.append(` ${text} `, ` **${text}** `);
+    } else if (tag === 'EM' || tag === 'I') {
+      const text = cleanText(child.textContent);
+      if (text) inline.append(` ${text} `, ` *${text}* `);
+    } else {
+      // Block elements nested in inline content still separate words
+      const separator = BLOCK_TAGS.has(tag) || tag === 'LI' ? ' ' : '';
+      inline.append(separator);
+      collectInline(child, inline, page);
+      inline.append(separator);
+    }
+  });
+  return inline.result();
+}
+
+function imageBlock(node, page) {
+  const src = node.getAttribute('src') || '';
+  const image = {
+    type: 'image',
+    src,
+    path: resolvePackagePath(page.file, src),
+    alt: node.getAttribute('alt'),
+    title: node.getAttribute('title') || null
+  };
+  page.images.push({ src: image.src, path: image.path, alt: image.alt });
+  return image;
+}
+
+function listBlock(node, page) {
+  const items = [];
+  node.childNodes.forEach(child => {
+    if (child.nodeType !== ELEMENT_NODE || child.tagName.toUpperCase() !== 'LI') return;
+    const item = collectInline(child, createInline(), page);
+    const children = [...child.children]
+      .filter(grandchild => ['UL', 'OL'].includes(grandchild.tagName.toUpperCase()))
+      .map(list => listBlock(list, page));
+    if (children.length) item.children = children;
+    if (item.text || children.length) items.push(item);
+  });
+  return { type: 'list', ordered: node.tagName.toUpperCase() === 'OL', items };
+}
+
+function tableBlock(node, page) {
+  const rows = [...node.querySelectorAll('tr')]
+    .filter(row => row.closest('table') === node)
+    .map(row => ({
+      isHeader: row.parentNode.tagName.toUpperCase() === 'THEAD'
+        || [...row.children].every(cell => cell.tagName.toUpperCase() === 'TH'),
+      cells: [...row.children]
+        .filter(cell => ['TD', 'TH'].includes(cell.tagName.toUpperCase()))
+        .map(cell => collectInline(cell, createInline(), page).text)
+    }))
+    .filter(row => row.cells.length);
+  const caption = node.querySelector('caption');
+  const hasHeader = rows.length > 0 && rows[0].isHeader;
+  return {
+    type: 'table',
+    caption: caption ? cleanText(caption.textContent) : null,
+    header: hasHeader ? rows[0].cells : null,
+    rows: (hasHeader ? rows.slice(1) : rows).map(row => row.cells)
+  };
+}
+
+function parseBlocks(root, page) {
+  const blocks = [];
+  let inline = createInline();
+
+  const flush = () => {
+    const paragraph = inline.result();
+    if (paragraph.text) blocks.push({ type: 'paragraph', ...paragraph });
+    inline = createInline();
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === TEXT_NODE) {
+      inline.append(node.textContent);
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return;
+    const tag = node.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag)) return;
+
+    if (/^H[1-6]$/.test(tag)) {
+      flush();
+      const heading = collectInline(node, createInline(), page);
+      if (heading.text) blocks.push({ type: 'heading', level: Number(tag[1]), text: heading.text.replace(/\n/g, ' ') });
+      return;
+    }
+
+    switch (tag) {
+      case 'IFRAME':
+      case 'FRAME': {
+        const framePath = resolvePackagePath(page.file, node.getAttribute('src'));
+        if (framePath) page.frames.push(framePath);
+        return;
+      }
+      case 'IMG':
+        flush();
+        blocks.push(imageBlock(node, page));
+        return;
+      case 'UL':
+      case 'OL': {
+        flush();
+        const list = listBlock(node, page);
+        if (list.items.length) blocks.push(list);
+        return;
+      }
+      case 'TABLE': {
+        flush();
+        const table = tableBlock(node, page);
+        if (table.rows.length || table.header) blocks.push(table);
+        return;
+      }
+      case 'PRE':
+        flush();
+        if (node.textContent.trim()) blocks.push({ type: 'code', text: node.textContent.replace(/^\n+|\s+$/g, '') });
+        return;
+      case 'BLOCKQUOTE': {
+        flush();
+        const quote = collectInline(node, createInline(), page);
+        if (quote.text) blocks.push({ type: 'quote', text: quote.text });
+        return;
+      }
+      case 'BR':
+        inline.append('\n');
+        return;
+      case 'A':
+      case 'STRONG':
+      case 'B':
+      case 'EM':
+      case 'I': {
+        // Reuse the inline rules for a single element
+        const wrapper = node.ownerDocument.createElement('span');
+        wrapper.appendChild(node.cloneNode(true));
+        const part = collectInline(wrapper, createInline(), page);
+        inline.append(` ${part.text} `, ` ${part.markdown || part.text} `);
+        return;
+      }
+      default:
+        break;
+    }
+
+    if (BLOCK_TAGS.has(tag) || tag === 'LI') {
+      flush();
+      node.childNodes.forEach(walk);
+      flush();
+    } else {
+      node.childNodes.forEach(walk);
+    }
+  };
+
+  walk(root);
+  flush();
+  return blocks;
+}
+
+// Parses one HTML page; file is its path relative to the package root
+export function parseHtmlPage(html, file) {
+  const dom = new JSDOM(html);
+  const document = dom.window.document;
+  const page = { file, title: null, blocks: [], links: [], images: [], frames: [] };
+  page.blocks = document.body ? parseBlocks(document.body, page) : [];
+  const titleText = document.title && document.title.trim();
+  const firstHeading = page.blocks.find(block => block.type === 'heading');
+  page.title = titleText || (firstHeading ? firstHeading.text : null);
+  return page;
+}
+
+export async function extractHtmlPage(packageDir, file) {
+  const root = path.resolve(packageDir);
+  const filePath = path.resolve(root, file);
+  if (!filePath.startsWith(root + path.sep)) {
+    return { error: 'File path points outside of the package' };
+  }
+  if (!existsSync(filePath)) {
+    return { error: `HTML file not found at path: ${file}` };
+  }
+  try {
+    const html = await fs.readFile(filePath, 'utf-8');
+    return parseHtmlPage(html, file);
+  } catch (error) {
+    console.error(`extractHtmlPage: Error parsing ${filePath}:`, error);
+    return { error: `Error extracting structure from HTML: ${error.message}` };
+  }
+}
+
+// Collects the pages of a SCO: its own HTML files (see collectScoHtmlFiles)
+// and every HTML page inside the package reachable from them through links,
+// iframes and frames, breadth first.
+export async function extractScoDocument(packageDir, manifest, sco) {
+  const queue = collectScoHtmlFiles(manifest, sco);
+  const seen = new Set(queue);
+  const pages = [];
+  const errors = [];
+
+  while (queue.length && pages.length < CONTENT_MAX_PAGES) {
+    const file = queue.shift();
+    const page = await extractHtmlPage(packageDir, file);
+    if (page.error) {
+      errors.push({ file, error: page.error });
+      continue;
+    }
+    pages.push(page);
+
+    const targets = [...page.frames, ...page.links.map(link => link.path)];
+    targets.filter(target => target && isHtmlFile(target) && !seen.has(target)).forEach(target => {
+      seen.add(target);
+      queue.push(target);
+    });
+  }
+
+  if (queue.length) {
+    console.warn(`extractScoDocument: Stopped after ${CONTENT_MAX_PAGES} pages for SCO ${sco.identifier}, ${queue.length} not visited`);
+  }
+  return {
+    sco_id: sco.identifier,
+    title: sco.title || sco.identifier,
+    href: sco.href,
+    pages,
+    errors,
+    unvisited: queue
+  };
+}
+
+// --- Markdown export ---
+
+const escapeCell = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function listToMarkdown(list, depth = 0) {
+  return list.items.flatMap((item, index) => {
+    const bullet = list.ordered ? `${index + 1}.` : '-';
+    const indent = '  '.repeat(depth);
+    const text = (item.markdown || item.text).replace(/\n/g, ' ');
+    return [
+      `${indent}${bullet} ${text}`,
+      ...(item.children || []).map(child => listToMarkdown(child, depth + 1))
+    ];
+  }).join('\n');
+}
+
+function tableToMarkdown(table) {
+  const width = Math.max(table.header ? table.header.length : 0, ...table.rows.map(row => row.length));
+  const pad = (cells) => Array.from({ length: width }, (_, index) => escapeCell(cells[index]));
+  const header = table.header || Array.from({ length: width }, () => '');
+  const lines = [
+    `| ${pad(header).join(' | ')} |`,
+    `| ${Array.from({ length: width }, () => '---').join(' | ')} |`,
+    ...table.rows.map(row => `| ${pad(row).join(' | ')} |`)
+  ];
+  return table.caption ? [`*${table.caption}*`, '', ...lines].join('\n') : lines.join('\n');
+}
+
+function blockToMarkdown(block, headingOffset) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(Math.min(6, block.level + headingOffset))} ${block.text}`;
+    case 'paragraph':
+      return (block.markdown || block.text).replace(/\n/g, '  \n');
+    case 'list':
+      return listToMarkdown(block);
+    case 'table':
+      return tableToMarkdown(block);
+    case 'image':
+      return `![${block.alt || ''}](${block.path || block.src})`;
+    case 'code':
+      return `\`\`\`\n${block.text}\n\`\`\``;
+    case 'quote':
+      return block.text.split('\n').map(line => `> ${line}`).join('\n');
+    default:
+      return '';
+  }
+}
+
+// headingOffset demotes the page's headings when it is nested in a larger document
+export function pageToMarkdown(page, { headingOffset = 0 } = {}) {
+  return page.blocks.map(block => blockToMarkdown(block, headingOffset)).filter(Boolean).join('\n\n');
+}
+
+// Renders SCO documents as one Markdown file; every page starts with a
+// comment naming its source file
+export function documentsToMarkdown(title, documents) {
+  const sections = [`# ${title}`];
+  documents.forEach(document => {
+    sections.push(`## ${document.title}`);
+    document.pages.forEach(page => {
+      const markdown = pageToMarkdown(page, { headingOffset: 2 });
+      if (markdown) sections.push(`<!-- source: ${page.file} -->`, markdown);
+    });
+  });
+  return sections.join('\n\n') + '\n';
+}
+
+// Page texts of a SCO for AI processing. Markdown keeps the headings and
+// lists that plain text would lose.
+export async function extractScoText(packageDir, manifest, sco) {
+  const document = await extractScoDocument(packageDir, manifest, sco);
+  const renderedPages = document.pages.map(page => ({ file: page.file, text: pageToMarkdown(page) }));
+  const pages = renderedPages.filter(page => page.text);
+  return {
+    text: pages.map(page => page.text).join('\n\n'),
+    pages,
+    files: document.pages.map(page => page.file).concat(document.errors.map(fileError => fileError.file)),
+    sources: renderedPages.map(page => ({ file: page.file, characters: page.text.length })),
+    errors: document.errors
+  };
+}
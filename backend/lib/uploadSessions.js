@@ -0,0 +1,210 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from './jsonStore.js';
+import { envNumber } from './env.js';
+import { TEMP_UPLOADS_DIR } from './paths.js';
+import { ZIP_LIMITS } from './safeExtract.js';
+import { hashFile } from './packageFingerprint.js';
+
+// --- Resumable Uploads ---
+// Large packages are sent in chunks: a session is created with the file
+// name and size, chunks are appended at the current offset, and the upload
+// is finalized once every byte has arrived. The partial file on disk is the
+// source of truth for the offset, so an upload interrupted by a network
+// failure or a server restart resumes from whatever was written.
+// A session is removed once it has been finalized.
+const sessions = createJsonStore('uploads');
+
+// Partial files live in TEMP_UPLOADS_DIR/chunked
+export const CHUNKS_DIR_NAME = 'chunked';
+const CHUNKS_DIR = path.join(TEMP_UPLOADS_DIR, CHUNKS_DIR_NAME);
+if (!existsSync(CHUNKS_DIR)) {
+  mkdirSync(CHUNKS_DIR, { recursive: true });
+}
+
+export const UPLOAD_LIMITS = {
+  // A package can't be larger than what the safe extraction would accept
+  max_upload_bytes: envNumber('UPLOAD_MAX_BYTES', ZIP_LIMITS.max_uncompressed_bytes),
+  // Chunk size suggested to clients, and the most one request may carry
+  chunk_bytes: envNumber('UPLOAD_CHUNK_BYTES', 5 * 1024 * 1024),
+  max_chunk_bytes: envNumber('UPLOAD_MAX_CHUNK_BYTES', 16 * 1024 * 1024),
+  // Sessions without a new chunk for this long are discarded
+  session_ttl_ms: envNumber('UPLOAD_SESSION_TTL_HOURS', 24) * 60 * 60 * 1000
+};
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Chunks of one session are written one at a time
+const busySessions = new Set();
+
+const partPath = (sessionId) => path.join(CHUNKS_DIR, `${sessionId}.part`);
+
+async function currentOffset(sessionId) {
+  try {
+    return (await fs.stat(partPath(sessionId))).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+const expiresAt = () => new Date(Date.now() + UPLOAD_LIMITS.session_ttl_ms).toISOString();
+
+function toSessionSummary(session, offset) {
+  return {
+    id: session.id,
+    user_id: session.user_id || null,
+    file_name: session.file_name,
+    size: session.size,
+    offset,
+    sha256: session.sha256,
+    chunk_size: UPLOAD_LIMITS.chunk_bytes,
+    max_chunk_size: UPLOAD_LIMITS.max_chunk_bytes,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    expires_at: session.expires_at
+  };
+}
+
+// Starts an upload for userId, the only one who may continue it. sha256
+// (hex) of the whole file is optional here and can also be given when
+// finalizing.
+export async function createUploadSession({ fileName, size, sha256, userId = null } = {}) {
+  if (typeof fileName !== 'string' || !fileName.trim()) return { error: 'file_name is required' };
+  if (!fileName.toLowerCase().endsWith('.zip')) return { error: 'Invalid file type, please upload a .zip file for SCORM packages.' };
+  if (!Number.isInteger(size) || size <= 0) return { error: 'size must be a positive number of bytes' };
+  if (size > UPLOAD_LIMITS.max_upload_bytes) {
+    return { error: `File too large. Maximum file size is ${UPLOAD_LIMITS.max_upload_bytes} bytes.`, status: 413 };
+  }
+  if (sha256 !== undefined && sha256 !== null && !SHA256_PATTERN.test(String(sha256).toLowerCase())) {
+    return { error: 'sha256 must be a hex encoded SHA-256 digest' };
+  }
+
+  await cleanupExpiredUploads();
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    user_id: userId,
+    // Only the base name is kept; it ends up in the extraction folder name
+    file_name: path.basename(fileName.replace(/\\/g, '/')),
+    size,
+    sha256: sha256 ? String(sha256).toLowerCase() : null,
+    created_at: now,
+    updated_at: now,
+    expires_at: expiresAt()
+  };
+  await fs.writeFile(partPath(session.id), Buffer.alloc(0));
+  await sessions.put(session.id, session);
+  console.log(`createUploadSession: Started upload ${session.id} for ${session.file_name} (${size} bytes)`);
+  return { session: toSessionSummary(session, 0) };
+}
+
+export async function getUploadSession(sessionId) {
+  const session = await sessions.get(sessionId);
+  if (!session) return null;
+  return toSessionSummary(session, await currentOffset(sessionId));
+}
+
+// Appends one chunk. offset must match the number of bytes received so far;
+// a mismatch returns { error, status: 409, offset } so the client can
+// continue from the right place. checksum, when given, is the SHA-256 of the
+// chunk as base64 (like the tus checksum extension).
+export async function appendChunk(sessionId, { offset, data, checksum }) {
+  const session = await sessions.get(sessionId);
+  if (!session) return { error: 'Upload not found', status: 404 };
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'Upload-Offset header must be a non-negative integer', status: 400 };
+  if (!Buffer.isBuffer(data) || data.length === 0) return { error: 'The chunk is empty', status: 400 };
+  if (busySessions.has(sessionId)) {
+    return { error: 'Another chunk of this upload is still being written', status: 409, offset: await currentOffset(sessionId) };
+  }
+
+  busySessions.add(sessionId);
+  try {
+    const received = await currentOffset(sessionId);
+    if (offset !== received) {
+      return { error: `Chunk offset ${offset} does not match the ${received} bytes received so far`, status: 409, offset: received };
+    }
+    if (received + data.length > session.size) {
+      return { error: `The chunk would grow the upload past its declared size of ${session.size} bytes`, status: 400, offset: received };
+    }
+    if (checksum) {
+      const digest = crypto.createHash('sha256').update(data).digest('base64');
+      if (digest !== checksum) return { error: 'The chunk does not match its checksum', status: 400, offset: received };
+    }
+
+    await fs.appendFile(partPath(sessionId), data);
+    session.updated_at = new Date().toISOString();
+    session.expires_at = expiresAt();
+    await sessions.put(sessionId, session);
+    return { session: toSessionSummary(session, received + data.length) };
+  } finally {
+    busySessions.delete(sessionId);
+  }
+}
+
+// Checks that the upload is complete and intact, then hands the file to
+// processFile(zipPath, fileName). The session is removed once processFile
+// returns; if it throws, the session is kept so finalizing can be retried.
+// Returns { result, sha256 } with what processFile returned.
+export async function finalizeUpload(sessionId, { sha256, processFile }) {
+  const session = await sessions.get(sessionId);
+  if (!session) return { error: 'Upload not found', status: 404 };
+  if (busySessions.has(sessionId)) return { error: 'The upload is still being written or finalized', status: 409 };
+
+  busySessions.add(sessionId);
+  try {
+    const received = await currentOffset(sessionId);
+    if (received !== session.size) {
+      return { error: `The upload is incomplete: ${received} of ${session.size} bytes received`, status: 409, offset: received };
+    }
+    const expected = sha256 ? String(sha256).toLowerCase() : session.sha256;
+    const actual = await hashFile(partPath(sessionId));
+    if (expected && expected !== actual) {
+      console.warn(`finalizeUpload: Checksum mismatch for upload ${sessionId}`);
+      return { error: 'The uploaded file does not match its SHA-256 checksum', status: 400 };
+    }
+
+    const result = await processFile(partPath(sessionId), session.file_name);
+    await removeUploadSession(sessionId);
+    return { result, sha256: actual };
+  } finally {
+    busySessions.delete(sessionId);
+  }
+}
+
+export async function removeUploadSession(sessionId) {
+  const removed = await sessions.remove(sessionId);
+  await fs.rm(partPath(sessionId), { force: true });
+  if (removed) console.log(`removeUploadSession: Removed upload ${sessionId}`);
+  return removed;
+}
+
+// Drops sessions nobody has touched within the TTL, and partial files
+// whose session record is gone
+export async function cleanupExpiredUploads() {
+  const now = Date.now();
+  const all = await sessions.list();
+  let removed = 0;
+  for (const session of all) {
+    if (new Date(session.expires_at).getTime() < now && !busySessions.has(session.id)) {
+      await removeUploadSession(session.id);
+      removed += 1;
+    }
+  }
+
+  const known = new Set(all.map(session => `${session.id}.part`));
+  for (const name of await fs.readdir(CHUNKS_DIR)) {
+    if (known.has(name)) continue;
+    const filePath = path.join(CHUNKS_DIR, name);
+    const stats = await fs.stat(filePath).catch(() => null);
+    // A session being created writes its file just before its record
+    if (stats && now - stats.mtimeMs > UPLOAD_LIMITS.session_ttl_ms) {
+      await fs.rm(filePath, { force: true });
+      removed += 1;
+    }
+  }
+  return removed;
+}
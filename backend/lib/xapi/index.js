@@ -0,0 +1,79 @@
+import axios from 'axios';
+import { registerJobHandler, enqueueJob } from '../jobQueue.js';
+import { buildScormStatements } from './statements.js';
+import { storeStatements, getStatementsByIds, XAPI_VERSION } from './lrs.js';
+import { courseTenantId } from '../auth/tenantStore.js';
+
+// --- xAPI ---
+// Entry point of the runtime layer: SCORM events become statements in the
+// built-in LRS and, when XAPI_FORWARD_URL is set, are forwarded to an
+// external LRS in the background (retried by the job queue on failures).
+
+export const XAPI_FORWARD_JOB = 'xapi-forward';
+
+// Base URL of the external LRS, e.g. https://lrs.example.com/xapi
+const XAPI_FORWARD_URL = (process.env.XAPI_FORWARD_URL || '').replace(/\/+$/, '');
+// Basic auth credentials for it as "key:secret"
+const XAPI_FORWARD_AUTH = process.env.XAPI_FORWARD_AUTH || '';
+const XAPI_FORWARD_TIMEOUT_MS = Number(process.env.XAPI_FORWARD_TIMEOUT_MS) || 15000;
+
+export function describeXapiForwarding() {
+  return XAPI_FORWARD_URL ? { enabled: true, url: XAPI_FORWARD_URL } : { enabled: false, url: null };
+}
+
+async function forwardStatements(job) {
+  const batch = await getStatementsByIds(job.payload.statement_ids || []);
+  if (!batch.length) return { skipped: true, result: { note: 'Statements no longer exist' } };
+
+  const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': XAPI_VERSION };
+  if (XAPI_FORWARD_AUTH) headers.Authorization = `Basic ${Buffer.from(XAPI_FORWARD_AUTH).toString('base64')}`;
+  try {
+    await axios.post(`${XAPI_FORWARD_URL}/statements`, batch, { headers, timeout: XAPI_FORWARD_TIMEOUT_MS });
+    console.log(`forwardStatements: Forwarded ${batch.length} statement(s) to ${XAPI_FORWARD_URL}`);
+    return { result: { note: `${batch.length} statement(s) forwarded` } };
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    console.error(`forwardStatements: Forwarding to ${XAPI_FORWARD_URL} failed${status ? ` with status ${status}` : ''}:`, error.message);
+    const retryAfter = Number(error.response && error.response.headers && error.response.headers['retry-after']);
+    return {
+      error: `External LRS request failed${status ? ` (${status})` : ''}: ${error.message}`,
+      // Network errors, rate limits and server errors may go away; a
+      // rejected statement (4xx) will be rejected again
+      retryable: status === null || status === 429 || status >= 500,
+      retry_after_ms: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined
+    };
+  }
+}
+
+registerJobHandler(XAPI_FORWARD_JOB, {
+  runTask: (job) => forwardStatements(job)
+});
+
+// Queues newly stored statements for the external LRS, if there is one
+export async function queueForwarding(statements, { courseId = null } = {}) {
+  if (!XAPI_FORWARD_URL || !statements.length) return null;
+  return enqueueJob(XAPI_FORWARD_JOB, {
+    courseId,
+    payload: { statement_ids: statements.map(statement => statement.id) },
+    tasks: [{ id: 'forward', title: `Forward ${statements.length} statement(s)` }]
+  });
+}
+
+// Records the statements for one runtime event (see buildScormStatements).
+// Tracking must never break the SCO session, so failures are only logged.
+export async function recordScormEvent(event) {
+  try {
+    const statements = buildScormStatements(event);
+    if (!statements.length) return [];
+    const result = await storeStatements(statements, { tenantId: courseTenantId(event.course) });
+    if (result.error) {
+      console.error(`recordScormEvent: Statements for ${event.item.identifier} were rejected: ${result.error}`);
+      return [];
+    }
+    await queueForwarding(result.stored, { courseId: event.course.id });
+    return result.ids;
+  } catch (error) {
+    console.error(`recordScormEvent: Failed to record xAPI statements for ${event.item.identifier}:`, error);
+    return [];
+  }
+}
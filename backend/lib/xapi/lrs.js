@@ -0,0 +1,294 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonStore } from '../jsonStore.js';
+import { VERBS } from './statements.js';
+import { DEFAULT_TENANT_ID } from '../auth/tenantStore.js';
+
+// --- Learning Record Store ---
+// A minimal xAPI 1.0.3 statement store: statements are validated, stamped
+// with id/stored/authority/version, kept one per file and queried with the
+// filters of GET /statements. Voiding statements hide their target from
+// queries; the target stays retrievable through voidedStatementId.
+// Statements belong to the tenant they were stored for; reads given a
+// tenantId only see that tenant's statements (null sees all of them).
+// Given an actor, writes only accept statements made by that agent and
+// reads only see statements whose actor is (or includes) it.
+
+export const XAPI_VERSION = '1.0.3';
+export const MAX_QUERY_LIMIT = 500;
+
+const statements = createJsonStore('xapi_statements');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const IFI_KEYS = ['mbox', 'mbox_sha1sum', 'openid', 'account'];
+const OBJECT_TYPES = ['Activity', 'Agent', 'Group', 'StatementRef', 'SubStatement'];
+
+// Statements written by the server itself carry this authority
+export const LRS_AUTHORITY = {
+  objectType: 'Agent',
+  name: 'SynapticX LRS',
+  account: { homePage: process.env.XAPI_ACCOUNT_HOMEPAGE || 'http://localhost', name: 'lrs' }
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const inTenant = (record, tenantId) => !tenantId || (record.tenant_id || DEFAULT_TENANT_ID) === tenantId;
+const byActor = (record, actor) => !actor || agentMatches(record.statement.actor, actor);
+
+// --- Validation ---
+// Covers the structural rules of the spec that matter for storing and
+// querying; returns an error message or null.
+
+export function validateAgent(agent, label = 'agent') {
+  if (!isObject(agent)) return `${label} must be an object`;
+  const ifis = IFI_KEYS.filter(key => agent[key] !== undefined);
+  if (agent.objectType === 'Group') {
+    if (ifis.length > 1) return `${label} must not have more than one inverse functional identifier`;
+    if (!ifis.length && !Array.isArray(agent.member)) return `${label} is an anonymous Group without members`;
+    for (const member of agent.member || []) {
+      const error = validateAgent(member, `${label} member`);
+      if (error) return error;
+    }
+  } else {
+    if (agent.objectType !== undefined && agent.objectType !== 'Agent') return `${label} has an invalid objectType`;
+    if (ifis.length !== 1) return `${label} must have exactly one inverse functional identifier`;
+  }
+  if (agent.mbox !== undefined && !/^mailto:[^@\s]+@[^@\s]+$/.test(agent.mbox)) return `${label} mbox must be a mailto: IRI`;
+  if (agent.account !== undefined && (!isObject(agent.account) || !agent.account.homePage || !agent.account.name)) {
+    return `${label} account needs a homePage and a name`;
+  }
+  return null;
+}
+
+function validateObject(object, { nested = false } = {}) {
+  if (!isObject(object)) return 'object is required';
+  const objectType = object.objectType || 'Activity';
+  if (!OBJECT_TYPES.includes(objectType)) return `object has an invalid objectType "${objectType}"`;
+  if (objectType === 'Activity') {
+    if (!IRI_PATTERN.test(object.id || '')) return 'object.id must be an IRI';
+    if (object.definition !== undefined && !isObject(object.definition)) return 'object.definition must be an object';
+  } else if (objectType === 'StatementRef') {
+    if (!UUID_PATTERN.test(object.id || '')) return 'StatementRef id must be a UUID';
+  } else if (objectType === 'SubStatement') {
+    if (nested) return 'A SubStatement must not contain another SubStatement';
+    if (object.id !== undefined || object.stored !== undefined || object.version !== undefined || object.authority !== undefined) {
+      return 'A SubStatement must not have id, stored, version or authority';
+    }
+    return validateCore(object, { nested: true });
+  } else {
+    return validateAgent(object, 'object');
+  }
+  return null;
+}
+
+function validateCore(statement, { nested = false } = {}) {
+  const actorError = validateAgent(statement.actor, 'actor');
+  if (actorError) return actorError;
+  if (!isObject(statement.verb) || !IRI_PATTERN.test(statement.verb.id || '')) return 'verb.id must be an IRI';
+  const objectError = validateObject(statement.object, { nested });
+  if (objectError) return objectError;
+  if (statement.result !== undefined) {
+    if (!isObject(statement.result)) return 'result must be an object';
+    const score = statement.result.score;
+    if (score !== undefined) {
+      if (!isObject(score)) return 'result.score must be an object';
+      if (score.scaled !== undefined && !(typeof score.scaled === 'number' && score.scaled >= -1 && score.scaled <= 1)) {
+        return 'result.score.scaled must be between -1 and 1';
+      }
+      if (score.raw !== undefined && ((score.min !== undefined && score.raw < score.min) || (score.max !== undefined && score.raw > score.max))) {
+        return 'result.score.raw must lie between min and max';
+      }
+    }
+  }
+  if (statement.context !== undefined) {
+    if (!isObject(statement.context)) return 'context must be an object';
+    if (statement.context.registration !== undefined && !UUID_PATTERN.test(statement.context.registration)) {
+      return 'context.registration must be a UUID';
+    }
+  }
+  if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) return 'timestamp must be an ISO 8601 date';
+  return null;
+}
+
+export function validateStatement(statement) {
+  if (!isObject(statement)) return 'A statement must be a JSON object';
+  if (statement.id !== undefined && !UUID_PATTERN.test(statement.id)) return 'id must be a UUID';
+  if (statement.version !== undefined && !/^1\.0(\.\d+)?$/.test(statement.version)) return `version "${statement.version}" is not supported`;
+  return validateCore(statement);
+}
+
+// --- Storage ---
+
+const isVoiding = (statement) => statement.verb.id === VERBS.voided.id
+  && statement.object.objectType === 'StatementRef';
+
+// Statements count as the same when they only differ in what the LRS sets
+function sameStatement(a, b) {
+  const strip = ({ stored, authority, version, ...rest }) => rest;
+  const canonical = (value) => (Array.isArray(value)
+    ? value.map(canonical)
+    : (isObject(value) ? Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: canonical(value[key]) }), {}) : value));
+  return JSON.stringify(canonical(strip(a))) === JSON.stringify(canonical(strip(b)));
+}
+
+// Stores one statement or an array of them. Returns { ids, stored } where
+// stored lists the statements that were new, or { error, status } when the
+// batch was rejected as a whole. With an actor, every statement must be
+// made by that agent and can only void that agent's statements.
+export async function storeStatements(input, { authority = LRS_AUTHORITY, tenantId = DEFAULT_TENANT_ID, actor = null } = {}) {
+  const batch = Array.isArray(input) ? input : [input];
+  if (!batch.length) return { error: 'No statements given', status: 400 };
+
+  const ids = new Set();
+  for (const [index, statement] of batch.entries()) {
+    const error = validateStatement(statement);
+    if (error) return { error: `Statement ${index}: ${error}`, status: 400 };
+    if (actor && !sameAgent(statement.actor, actor)) {
+      return { error: `Statement ${index}: the actor must be the signed-in user`, status: 403 };
+    }
+    if (statement.id) {
+      if (ids.has(statement.id.toLowerCase())) return { error: `Statement id ${statement.id} appears twice in the batch`, status: 400 };
+      ids.add(statement.id.toLowerCase());
+    }
+  }
+
+  const stored = new Date().toISOString();
+  const accepted = [];
+  const result = [];
+  for (const statement of batch) {
+    const id = (statement.id || uuidv4()).toLowerCase();
+    const existing = await statements.get(id);
+    if (existing) {
+      if (!inTenant(existing, tenantId) || !sameStatement(existing.statement, { ...statement, id, timestamp: statement.timestamp || existing.statement.timestamp })) {
+        return { error: `A different statement with id ${id} already exists`, status: 409 };
+      }
+      result.push(id);
+      continue;
+    }
+    accepted.push({
+      ...statement,
+      id,
+      timestamp: statement.timestamp || stored,
+      stored,
+      authority: statement.authority || authority,
+      version: statement.version || '1.0.0'
+    });
+    result.push(id);
+  }
+
+  // batch_index keeps statements that share a stored time in posting order
+  for (const [index, statement] of accepted.entries()) {
+    await statements.put(statement.id, { id: statement.id, tenant_id: tenantId, statement, voided: false, batch_index: index });
+  }
+  for (const statement of accepted.filter(isVoiding)) {
+    const target = await statements.get(statement.object.id.toLowerCase());
+    // A voiding statement itself cannot be voided
+    if (target && inTenant(target, tenantId) && byActor(target, actor) && !isVoiding(target.statement)) {
+      await statements.put(target.id, { ...target, voided: true });
+      console.log(`storeStatements: Statement ${target.id} voided by ${statement.id}`);
+    }
+  }
+  console.log(`storeStatements: Stored ${accepted.length} of ${batch.length} statement(s)`);
+  return { ids: result, stored: accepted };
+}
+
+export async function getStatement(statementId, { voided = false, tenantId = null, actor = null } = {}) {
+  const record = await statements.get(String(statementId).toLowerCase());
+  if (!record || record.voided !== voided || !inTenant(record, tenantId) || !byActor(record, actor)) return null;
+  return record.statement;
+}
+
+export async function getStatementsByIds(statementIds) {
+  const records = await Promise.all(statementIds.map(id => statements.get(id)));
+  return records.filter(Boolean).map(record => record.statement);
+}
+
+// --- Queries ---
+
+function sameAgent(a, b) {
+  if (!isObject(a) || !isObject(b)) return false;
+  if (a.mbox || b.mbox) return a.mbox === b.mbox;
+  if (a.mbox_sha1sum || b.mbox_sha1sum) return a.mbox_sha1sum === b.mbox_sha1sum;
+  if (a.openid || b.openid) return a.openid === b.openid;
+  return isObject(a.account) && isObject(b.account)
+    && a.account.homePage === b.account.homePage && a.account.name === b.account.name;
+}
+
+// The agent, or any identified member when it is a Group
+function agentMatches(candidate, agent) {
+  if (!isObject(candidate)) return false;
+  return sameAgent(candidate, agent) || (Array.isArray(candidate.member) && candidate.member.some(member => sameAgent(member, agent)));
+}
+
+function relatedAgents(statement) {
+  const context = statement.context || {};
+  const agents = [statement.actor, statement.authority, context.instructor, context.team];
+  if (['Agent', 'Group'].includes(statement.object.objectType)) agents.push(statement.object);
+  if (statement.object.objectType === 'SubStatement') agents.push(...relatedAgents(statement.object));
+  return agents.filter(Boolean);
+}
+
+function relatedActivities(statement) {
+  const activities = statement.context && statement.context.contextActivities
+    ? Object.values(statement.context.contextActivities).flatMap(list => (Array.isArray(list) ? list : [list]))
+    : [];
+  if ((statement.object.objectType || 'Activity') === 'Activity') activities.push(statement.object);
+  if (statement.object.objectType === 'SubStatement') activities.push(...relatedActivities(statement.object));
+  return activities.filter(Boolean).map(activity => activity.id);
+}
+
+function activityMatches(statement, activityId, related) {
+  if (related) return relatedActivities(statement).includes(activityId);
+  return (statement.object.objectType || 'Activity') === 'Activity' && statement.object.id === activityId;
+}
+
+function agentFilterMatches(statement, agent, related) {
+  if (related) return relatedAgents(statement).some(candidate => agentMatches(candidate, agent));
+  return agentMatches(statement.actor, agent)
+    || (['Agent', 'Group'].includes(statement.object.objectType) && agentMatches(statement.object, agent));
+}
+
+// format=ids leaves only what identifies agents and activities
+function toIdsFormat(statement) {
+  const identify = (agent) => (agent ? {
+    objectType: agent.objectType || 'Agent',
+    ...Object.fromEntries(IFI_KEYS.filter(key => agent[key] !== undefined).map(key => [key, agent[key]])),
+    ...(agent.objectType === 'Group' && !IFI_KEYS.some(key => agent[key] !== undefined) ? { member: (agent.member || []).map(identify) } : {})
+  } : agent);
+  const object = (statement.object.objectType || 'Activity') === 'Activity'
+    ? { objectType: 'Activity', id: statement.object.id }
+    : (['Agent', 'Group'].includes(statement.object.objectType) ? identify(statement.object) : statement.object);
+  return { ...statement, actor: identify(statement.actor), verb: { id: statement.verb.id }, object, authority: identify(statement.authority) };
+}
+
+// Runs a GET /statements query. filters use the parameter names of the
+// spec, already parsed (agent as an object, limit as a number). Returns
+// { statements, more_offset } where more_offset is the offset of the next
+// page or null.
+export async function queryStatements(filters = {}, { offset = 0, tenantId = null, actor = null } = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const until = filters.until ? Date.parse(filters.until) : null;
+  const limit = filters.limit > 0 ? Math.min(filters.limit, MAX_QUERY_LIMIT) : MAX_QUERY_LIMIT;
+
+  const records = await statements.list();
+  const matching = records
+    .filter(record => !record.voided && inTenant(record, tenantId) && byActor(record, actor))
+    .sort((a, b) => {
+      const order = a.statement.stored.localeCompare(b.statement.stored) || (a.batch_index || 0) - (b.batch_index || 0);
+      return filters.ascending ? order : -order;
+    })
+    .map(record => record.statement)
+    .filter(statement => (
+      (!filters.verb || statement.verb.id === filters.verb)
+      && (!filters.activity || activityMatches(statement, filters.activity, filters.related_activities))
+      && (!filters.agent || agentFilterMatches(statement, filters.agent, filters.related_agents))
+      && (!filters.registration || (statement.context && statement.context.registration === filters.registration))
+      && (since === null || Date.parse(statement.stored) > since)
+      && (until === null || Date.parse(statement.stored) <= until)
+    ));
+
+  const page = matching.slice(offset, offset + limit);
+  return {
+    statements: filters.format === 'ids' ? page.map(toIdsFormat) : page,
+    more_offset: offset + limit < matching.length ? offset + limit : null
+  };
+}
@@ -0,0 +1,198 @@
+import { v4 as uuidv4 } from 'uuid';
+import { summarizeCmi, parseDuration, formatIsoDuration, ELEMENT_NAMES } from '../cmiModel.js';
+
+// --- SCORM to xAPI ---
+// Translates runtime events of an attempt into xAPI 1.0.3 statements:
+// initialized/resumed on launch; completed, passed, failed, scored and
+// answered (one per new interaction) on every commit; terminated or
+// suspended when the session ends. The attempt id is the registration, so
+// all statements of one run through a course can be queried together.
+
+const ADL_VERB = (name) => ({ id: `http://adlnet.gov/expapi/verbs/${name}`, display: { 'en-US': name } });
+
+export const VERBS = {
+  initialized: ADL_VERB('initialized'),
+  resumed: ADL_VERB('resumed'),
+  completed: ADL_VERB('completed'),
+  passed: ADL_VERB('passed'),
+  failed: ADL_VERB('failed'),
+  scored: ADL_VERB('scored'),
+  answered: ADL_VERB('answered'),
+  terminated: ADL_VERB('terminated'),
+  suspended: ADL_VERB('suspended'),
+  voided: ADL_VERB('voided')
+};
+
+const ACTIVITY_TYPES = {
+  course: 'http://adlnet.gov/expapi/activities/course',
+  sco: 'http://adlnet.gov/expapi/activities/lesson',
+  interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+
+// Category of statements following the ADL SCORM profile
+const SCORM_PROFILE = { id: 'https://w3id.org/xapi/scorm', definition: { type: 'http://adlnet.gov/expapi/activities/profile' } };
+
+// Learners are identified by an account on this server
+export const XAPI_ACCOUNT_HOMEPAGE = process.env.XAPI_ACCOUNT_HOMEPAGE || 'http://localhost';
+
+// SCORM interaction types that xAPI defines under the same name
+const INTERACTION_TYPES = ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'];
+
+export function courseActivityId(course) {
+  return `urn:synapticx:course:${course.id}`;
+}
+
+export function scoActivityId(course, scoId) {
+  return `${courseActivityId(course)}:sco:${encodeURIComponent(scoId)}`;
+}
+
+export function learnerAgent(attempt) {
+  return {
+    objectType: 'Agent',
+    name: attempt.learner_name,
+    account: { homePage: XAPI_ACCOUNT_HOMEPAGE, name: attempt.learner_id }
+  };
+}
+
+// The agent of a signed-in user, the same as in the statements of their attempts
+export function userAgent(user) {
+  return learnerAgent({ learner_id: user.id, learner_name: user.display_name });
+}
+
+function scoActivity(course, item) {
+  return {
+    objectType: 'Activity',
+    id: scoActivityId(course, item.identifier),
+    definition: { name: { 'en-US': item.title }, type: ACTIVITY_TYPES.sco }
+  };
+}
+
+function statementContext(course, attempt) {
+  return {
+    registration: attempt.id,
+    platform: 'SynapticX',
+    contextActivities: {
+      parent: [{ objectType: 'Activity', id: courseActivityId(course), definition: { name: { 'en-US': course.title }, type: ACTIVITY_TYPES.course } }],
+      category: [SCORM_PROFILE]
+    }
+  };
+}
+
+// Score as an xAPI result.score. SCORM 1.2 has no scaled score, so it is
+// derived from raw/min/max when those allow it.
+function toScore(score) {
+  if (score.raw === null && score.scaled === null) return null;
+  const result = {};
+  let scaled = score.scaled;
+  if (scaled === null && score.raw !== null) {
+    const min = score.min ?? 0;
+    const max = score.max ?? 100;
+    if (max > min) scaled = Math.round(((score.raw - min) / (max - min)) * 10000) / 10000;
+  }
+  if (scaled !== null && scaled >= -1 && scaled <= 1) result.scaled = scaled;
+  if (score.raw !== null) result.raw = score.raw;
+  if (score.min !== null) result.min = score.min;
+  if (score.max !== null) result.max = score.max;
+  // raw must lie between min and max, otherwise only keep the scaled score
+  if ((result.min !== undefined && result.raw < result.min) || (result.max !== undefined && result.raw > result.max)) {
+    delete result.raw;
+    delete result.min;
+    delete result.max;
+  }
+  return Object.keys(result).length ? result : null;
+}
+
+function sameScore(a, b) {
+  return a.raw === b.raw && a.scaled === b.scaled && a.min === b.min && a.max === b.max;
+}
+
+function interactionKey(interaction) {
+  return JSON.stringify([
+    interaction.id,
+    interaction.learner_response ?? interaction.student_response,
+    interaction.result,
+    interaction.timestamp ?? interaction.time
+  ]);
+}
+
+function interactionStatement(course, item, interaction, base) {
+  const definition = { type: ACTIVITY_TYPES.interaction };
+  if (interaction.description) definition.description = { 'en-US': interaction.description };
+  if (INTERACTION_TYPES.includes(interaction.type)) definition.interactionType = interaction.type;
+  const patterns = (interaction.correct_responses || []).map(response => response && response.pattern).filter(pattern => pattern !== undefined);
+  if (definition.interactionType && patterns.length) definition.correctResponsesPattern = patterns;
+
+  const result = {};
+  const response = interaction.learner_response ?? interaction.student_response;
+  if (response !== undefined) result.response = String(response);
+  if (interaction.result === 'correct') result.success = true;
+  if (interaction.result === 'incorrect' || interaction.result === 'wrong') result.success = false;
+  if (interaction.latency) {
+    const latency = parseDuration(/^P/.test(interaction.latency) ? '2004' : '1.2', interaction.latency);
+    if (latency) result.duration = formatIsoDuration(latency);
+  }
+
+  const statement = {
+    ...base(VERBS.answered),
+    object: {
+      objectType: 'Activity',
+      id: `${scoActivityId(course, item.identifier)}:interaction:${encodeURIComponent(interaction.id || 'unnamed')}`,
+      definition
+    }
+  };
+  statement.context.contextActivities.parent = [{ objectType: 'Activity', id: scoActivityId(course, item.identifier) }];
+  statement.context.contextActivities.grouping = [{ objectType: 'Activity', id: courseActivityId(course) }];
+  if (Object.keys(result).length) statement.result = result;
+  return statement;
+}
+
+// Builds the statements for one runtime event. event is 'launch', 'commit'
+// or 'finish'; before and after are the CMI maps around the event.
+export function buildScormStatements({ course, attempt, item, event, before = {}, after }) {
+  const version = attempt.scorm_version;
+  const previous = summarizeCmi(version, before);
+  const current = summarizeCmi(version, after);
+  const timestamp = new Date().toISOString();
+  const base = (verb) => ({
+    id: uuidv4(),
+    actor: learnerAgent(attempt),
+    verb,
+    object: scoActivity(course, item),
+    context: statementContext(course, attempt),
+    timestamp
+  });
+  const statements = [];
+
+  if (event === 'launch') {
+    statements.push(base(current.entry === 'resume' ? VERBS.resumed : VERBS.initialized));
+    return statements;
+  }
+
+  const score = toScore(current.score);
+  if (current.completion_status === 'completed' && previous.completion_status !== 'completed') {
+    statements.push({ ...base(VERBS.completed), result: { completion: true } });
+  }
+  if (['passed', 'failed'].includes(current.success_status) && current.success_status !== previous.success_status) {
+    statements.push({
+      ...base(VERBS[current.success_status]),
+      result: { success: current.success_status === 'passed', ...(score ? { score } : {}) }
+    });
+  } else if (score && !sameScore(current.score, previous.score)) {
+    statements.push({ ...base(VERBS.scored), result: { score } });
+  }
+
+  const seen = new Set(previous.interactions.map(interactionKey));
+  current.interactions
+    .filter(interaction => !seen.has(interactionKey(interaction)))
+    .forEach(interaction => statements.push(interactionStatement(course, item, interaction, base)));
+
+  if (event === 'finish') {
+    const names = ELEMENT_NAMES[version] || ELEMENT_NAMES['2004'];
+    const result = { completion: current.completion_status === 'completed' };
+    if (['passed', 'failed'].includes(current.success_status)) result.success = current.success_status === 'passed';
+    const sessionTime = parseDuration(version, after[names.session_time]);
+    if (sessionTime) result.duration = formatIsoDuration(sessionTime);
+    statements.push({ ...base(current.exit === 'suspend' ? VERBS.suspended : VERBS.terminated), result });
+  }
+  return statements;
+}
@@ -0,0 +1,17 @@
+// --- XML Writing ---
+// Small helpers for the XML documents we generate (QTI items, manifests).
+
+export function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Turns any string into a valid XML identifier (xs:ID / NCName)
+export function toXmlId(value, prefix = 'ID') {
+  const cleaned = String(value || '').replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `${prefix}_${cleaned}`;
+}
@@ -0,0 +1,496 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { parseNamespacedXml, attributeValue } from './scormManifest.js';
+
+// --- Lightweight XSD checker ---
+// Validates an instance document against the XSD files a package ships,
+// located through xsi:schemaLocation. It understands the subset of XML
+// Schema used by the IMS CP, ADL and IMS Simple Sequencing schemas:
+// element/attribute declarations, named and anonymous complex types,
+// sequence/choice/all/group particles, complexContent extension,
+// attribute groups, any/anyAttribute wildcards and simple type
+// restrictions (enumerations, numeric bounds, booleans). Element order,
+// identity constraints, patterns and unions are not checked.
+
+const XS_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const MAX_REPORTED_VIOLATIONS = 200;
+const NUMERIC_TYPES = new Set(['decimal', 'integer', 'int', 'long', 'short', 'double', 'float',
+  'nonNegativeInteger', 'positiveInteger', 'nonPositiveInteger', 'negativeInteger', 'unsignedInt', 'unsignedLong']);
+
+function xsChildren(node, localName) {
+  if (!node || typeof node !== 'object') return [];
+  const matches = [];
+  Object.keys(node).forEach(key => {
+    if (key === '$' || key === '$ns' || key === '_') return;
+    (Array.isArray(node[key]) ? node[key] : [node[key]]).forEach(child => {
+      if (child && child.$ns && child.$ns.uri === XS_NS && (!localName || child.$ns.local === localName)) {
+        matches.push(child);
+      }
+    });
+  });
+  return matches;
+}
+
+function xsChild(node, localName) {
+  return xsChildren(node, localName)[0] || null;
+}
+
+function parseOccurs(value, defaultValue) {
+  if (value === null || value === undefined) return defaultValue;
+  return value === 'unbounded' ? Infinity : parseInt(value, 10);
+}
+
+// --- Schema loading ---
+
+function createRegistry() {
+  return { namespaces: new Map(), loadedFiles: new Set() };
+}
+
+function namespaceDefinitions(registry, uri) {
+  if (!registry.namespaces.has(uri)) {
+    registry.namespaces.set(uri, {
+      elements: new Map(), attributes: new Map(), complexTypes: new Map(),
+      simpleTypes: new Map(), groups: new Map(), attributeGroups: new Map()
+    });
+  }
+  return registry.namespaces.get(uri);
+}
+
+async function loadSchemaFile(registry, packageRoot, schemaPath, problems, expectedNamespace = null) {
+  const resolvedPath = path.resolve(schemaPath);
+  if (registry.loadedFiles.has(resolvedPath)) return;
+  registry.loadedFiles.add(resolvedPath);
+
+  const relativePath = path.relative(packageRoot, resolvedPath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    problems.push({ code: 'schema_outside_package', message: `Schema reference points outside the package: ${schemaPath}` });
+    return;
+  }
+  if (!existsSync(resolvedPath)) {
+    problems.push({ code: 'missing_schema_file', message: `Schema file referenced but not found in package: ${relativePath}` });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = await parseNamespacedXml(await fs.readFile(resolvedPath, 'utf-8'), []);
+  } catch (error) {
+    problems.push({ code: 'unreadable_schema_file', message: `Could not parse schema ${relativePath}: ${error.message}` });
+    return;
+  }
+  const root = Object.values(parsed)[0];
+  if (!root || !root.$ns || root.$ns.uri !== XS_NS || root.$ns.local !== 'schema') {
+    problems.push({ code: 'unreadable_schema_file', message: `${relativePath} is not an XML Schema document` });
+    return;
+  }
+
+  // Included files without a targetNamespace take on the including namespace
+  const targetNamespace = attributeValue(root, 'targetNamespace') || expectedNamespace || '';
+  const prefixes = new Map();
+  Object.values(root.$ || {}).forEach(attr => {
+    if (attr.uri === XMLNS_NS) prefixes.set(attr.local || '', attr.value);
+  });
+  const doc = {
+    file: relativePath,
+    targetNamespace,
+    elementFormDefault: attributeValue(root, 'elementFormDefault') || 'unqualified',
+    attributeFormDefault: attributeValue(root, 'attributeFormDefault') || 'unqualified',
+    prefixes
+  };
+
+  const definitions = namespaceDefinitions(registry, targetNamespace);
+  const register = (kind, localName) => {
+    xsChildren(root, localName).forEach(node => {
+      const name = attributeValue(node, 'name');
+      if (name) definitions[kind].set(name, { node, doc });
+    });
+  };
+  register('elements', 'element');
+  register('attributes', 'attribute');
+  register('complexTypes', 'complexType');
+  register('simpleTypes', 'simpleType');
+  register('groups', 'group');
+  register('attributeGroups', 'attributeGroup');
+
+  const schemaDir = path.dirname(resolvedPath);
+  for (const includeNode of xsChildren(root, 'include')) {
+    const location = attributeValue(includeNode, 'schemaLocation');
+    if (location && !/^[a-z]+:\/\//i.test(location)) {
+      await loadSchemaFile(registry, packageRoot, path.join(schemaDir, location), problems, targetNamespace);
+    }
+  }
+  for (const importNode of xsChildren(root, 'import')) {
+    const location = attributeValue(importNode, 'schemaLocation');
+    if (location && !/^[a-z]+:\/\//i.test(location)) {
+      await loadSchemaFile(registry, packageRoot, path.join(schemaDir, location), problems, attributeValue(importNode, 'namespace'));
+    }
+  }
+}
+
+function resolveQName(qname, doc) {
+  const [prefix, local] = qname.includes(':') ? qname.split(':') : ['', qname];
+  if (prefix === 'xml') return { uri: XML_NS, local };
+  const uri = doc.prefixes.has(prefix) ? doc.prefixes.get(prefix) : '';
+  return { uri, local };
+}
+
+function lookup(registry, kind, qname, doc) {
+  const { uri, local } = resolveQName(qname, doc);
+  const definitions = registry.namespaces.get(uri);
+  return definitions ? definitions[kind].get(local) || null : null;
+}
+
+// --- Simple types ---
+
+function compileSimpleType(registry, typeNode, doc, depth = 0) {
+  const facets = { base: 'string', enumerations: null, min: null, max: null };
+  if (!typeNode || depth > 20) return facets;
+  const restriction = xsChild(typeNode, 'restriction');
+  if (!restriction) return facets; // unions and lists are accepted as-is
+
+  const baseName = attributeValue(restriction, 'base');
+  if (baseName) {
+    const { uri, local } = resolveQName(baseName, doc);
+    if (uri === XS_NS) {
+      facets.base = local;
+    } else {
+      const baseDef = lookup(registry, 'simpleTypes', baseName, doc);
+      if (baseDef) Object.assign(facets, compileSimpleType(registry, baseDef.node, baseDef.doc, depth + 1));
+    }
+  }
+  const enumerations = xsChildren(restriction, 'enumeration').map(node => attributeValue(node, 'value'));
+  if (enumerations.length > 0) facets.enumerations = enumerations;
+  const minNode = xsChild(restriction, 'minInclusive');
+  const maxNode = xsChild(restriction, 'maxInclusive');
+  if (minNode) facets.min = Number(attributeValue(minNode, 'value'));
+  if (maxNode) facets.max = Number(attributeValue(maxNode, 'value'));
+  return facets;
+}
+
+function resolveSimpleType(registry, typeName, inlineNode, doc) {
+  if (inlineNode) return compileSimpleType(registry, inlineNode, doc);
+  if (!typeName) return { base: 'string', enumerations: null, min: null, max: null };
+  const { uri, local } = resolveQName(typeName, doc);
+  if (uri === XS_NS) return { base: local, enumerations: null, min: null, max: null };
+  const definition = lookup(registry, 'simpleTypes', typeName, doc);
+  return definition
+    ? compileSimpleType(registry, definition.node, definition.doc)
+    : { base: 'string', enumerations: null, min: null, max: null };
+}
+
+function checkSimpleValue(value, facets) {
+  const trimmed = String(value).trim().replace(/\s+/g, ' ');
+  if (facets.base === 'boolean' && !['true', 'false', '1', '0'].includes(trimmed)) {
+    return `"${value}" is not a valid boolean`;
+  }
+  if (NUMERIC_TYPES.has(facets.base)) {
+    const number = Number(trimmed);
+    if (trimmed === '' || !Number.isFinite(number)) return `"${value}" is not a valid ${facets.base}`;
+    if (facets.min !== null && number < facets.min) return `${number} is below the minimum of ${facets.min}`;
+    if (facets.max !== null && number > facets.max) return `${number} is above the maximum of ${facets.max}`;
+  }
+  if (facets.enumerations && !facets.enumerations.includes(trimmed)) {
+    return `"${value}" is not one of: ${facets.enumerations.join(', ')}`;
+  }
+  return null;
+}
+
+// --- Complex types ---
+
+function createContentModel() {
+  return { elements: new Map(), wildcards: [], attributes: new Map(), anyAttribute: false, textType: null };
+}
+
+function addParticles(registry, node, doc, model, context) {
+  xsChildren(node).forEach(child => {
+    const kind = child.$ns.local;
+    const minOccurs = parseOccurs(attributeValue(child, 'minOccurs'), 1);
+    const maxOccurs = parseOccurs(attributeValue(child, 'maxOccurs'), 1);
+
+    if (kind === 'sequence' || kind === 'all' || kind === 'choice') {
+      addParticles(registry, child, doc, model, {
+        optional: context.optional || minOccurs === 0 || (context.inChoice && kind !== 'choice'),
+        inChoice: kind === 'choice',
+        repeated: context.repeated || maxOccurs > 1
+      });
+    } else if (kind === 'group') {
+      const ref = attributeValue(child, 'ref');
+      const groupDef = ref ? lookup(registry, 'groups', ref, doc) : null;
+      if (groupDef) {
+        addParticles(registry, groupDef.node, groupDef.doc, model, {
+          optional: context.optional || minOccurs === 0,
+          inChoice: context.inChoice,
+          repeated: context.repeated || maxOccurs > 1
+        });
+      }
+    } else if (kind === 'element') {
+      const ref = attributeValue(child, 'ref');
+      let key;
+      let declaration;
+      if (ref) {
+        const { uri, local } = resolveQName(ref, doc);
+        key = `${uri}|${local}`;
+        declaration = lookup(registry, 'elements', ref, doc);
+      } else {
+        const name = attributeValue(child, 'name');
+        const uri = (attributeValue(child, 'form') || doc.elementFormDefault) === 'qualified' ? doc.targetNamespace : '';
+        key = `${uri}|${name}`;
+        declaration = { node: child, doc };
+      }
+      model.elements.set(key, {
+        declaration,
+        required: minOccurs > 0 && !context.optional && !context.inChoice,
+        maxOccurs: context.repeated ? Infinity : maxOccurs
+      });
+    } else if (kind === 'any') {
+      model.wildcards.push({
+        namespace: attributeValue(child, 'namespace') || '##any',
+        processContents: attributeValue(child, 'processContents') || 'strict',
+        targetNamespace: doc.targetNamespace
+      });
+    }
+  });
+}
+
+function addAttributes(registry, node, doc, model, depth = 0) {
+  if (depth > 20) return;
+  xsChildren(node, 'attribute').forEach(attrNode => {
+    const ref = attributeValue(attrNode, 'ref');
+    if (ref) {
+      const { uri, local } = resolveQName(ref, doc);
+      const declaration = lookup(registry, 'attributes', ref, doc);
+      model.attributes.set(`${uri}|${local}`, {
+        required: attributeValue(attrNode, 'use') === 'required',
+        declaration
+      });
+    } else {
+      const name = attributeValue(attrNode, 'name');
+      const uri = (attributeValue(attrNode, 'form') || doc.attributeFormDefault) === 'qualified' ? doc.targetNamespace : '';
+      model.attributes.set(`${uri}|${name}`, {
+        required: attributeValue(attrNode, 'use') === 'required',
+        declaration: { node: attrNode, doc }
+      });
+    }
+  });
+  xsChildren(node, 'attributeGroup').forEach(groupRef => {
+    const ref = attributeValue(groupRef, 'ref');
+    const groupDef = ref ? lookup(registry, 'attributeGroups', ref, doc) : null;
+    if (groupDef) addAttributes(registry, groupDef.node, groupDef.doc, model, depth + 1);
+  });
+  if (xsChild(node, 'anyAttribute')) model.anyAttribute = true;
+}
+
+function compileComplexType(registry, typeNode, doc, cache, depth = 0) {
+  if (cache.has(typeNode)) return cache.get(typeNode);
+  const model = createContentModel();
+  cache.set(typeNode, model);
+  if (depth > 20) return model;
+
+  const complexContent = xsChild(typeNode, 'complexContent');
+  const simpleContent = xsChild(typeNode, 'simpleContent');
+  if (complexContent || simpleContent) {
+    const derivation = xsChild(complexContent || simpleContent, 'extension') || xsChild(complexContent || simpleContent, 'restriction');
+    if (!derivation) return model;
+    const baseName = attributeValue(derivation, 'base');
+    const isExtension = derivation.$ns.local === 'extension';
+
+    if (complexContent && isExtension && baseName) {
+      const baseDef = lookup(registry, 'complexTypes', baseName, doc);
+      if (baseDef) {
+        const baseModel = compileComplexType(registry, baseDef.node, baseDef.doc, cache, depth + 1);
+        baseModel.elements.forEach((value, key) => model.elements.set(key, value));
+        baseModel.attributes.forEach((value, key) => model.attributes.set(key, value));
+        model.wildcards.push(...baseModel.wildcards);
+        model.anyAttribute = model.anyAttribute || baseModel.anyAttribute;
+      }
+    }
+    if (simpleContent && baseName) {
+      const { uri } = resolveQName(baseName, doc);
+      const baseComplex = uri !== XS_NS ? lookup(registry, 'complexTypes', baseName, doc) : null;
+      if (baseComplex) {
+        const baseModel = compileComplexType(registry, baseComplex.node, baseComplex.doc, cache, depth + 1);
+        model.textType = baseModel.textType;
+        baseModel.attributes.forEach((value, key) => model.attributes.set(key, value));
+        model.anyAttribute = model.anyAttribute || baseModel.anyAttribute;
+      } else {
+        model.textType = resolveSimpleType(registry, baseName, null, doc);
+      }
+    }
+    addParticles(registry, derivation, doc, model, { optional: false, inChoice: false, repeated: false });
+    addAttributes(registry, derivation, doc, model);
+    return model;
+  }
+
+  addParticles(registry, typeNode, doc, model, { optional: false, inChoice: false, repeated: false });
+  addAttributes(registry, typeNode, doc, model);
+  return model;
+}
+
+// Returns { complex } or { simple } for an element declaration
+function resolveElementType(registry, declaration, cache) {
+  const { node, doc } = declaration;
+  const inlineComplex = xsChild(node, 'complexType');
+  if (inlineComplex) return { complex: compileComplexType(registry, inlineComplex, doc, cache) };
+  const inlineSimple = xsChild(node, 'simpleType');
+  if (inlineSimple) return { simple: compileSimpleType(registry, inlineSimple, doc) };
+
+  const typeName = attributeValue(node, 'type');
+  if (!typeName) return { complex: null }; // anyType
+  const { uri, local } = resolveQName(typeName, doc);
+  if (uri === XS_NS) return local === 'anyType' ? { complex: null } : { simple: { base: local, enumerations: null, min: null, max: null } };
+  const complexDef = lookup(registry, 'complexTypes', typeName, doc);
+  if (complexDef) return { complex: compileComplexType(registry, complexDef.node, complexDef.doc, cache) };
+  return { simple: resolveSimpleType(registry, typeName, null, doc) };
+}
+
+// --- Instance validation ---
+
+function wildcardAllows(wildcard, uri) {
+  const namespace = wildcard.namespace;
+  if (namespace === '##any') return true;
+  if (namespace === '##other') return uri !== wildcard.targetNamespace && uri !== '';
+  if (namespace === '##local') return uri === '';
+  return namespace.split(/\s+/).some(ns => (ns === '##targetNamespace' ? wildcard.targetNamespace : ns) === uri);
+}
+
+function describe(node) {
+  const identifier = attributeValue(node, 'identifier') || attributeValue(node, 'ID');
+  return identifier ? `${node.$ns.local}[${identifier}]` : node.$ns.local;
+}
+
+function validateAttributes(registry, node, model, location, report) {
+  const attributes = Object.values(node.$ || {});
+  attributes.forEach(attr => {
+    if (attr.uri === XMLNS_NS || attr.uri === XSI_NS || attr.uri === XML_NS) return;
+    const key = `${attr.uri}|${attr.local}`;
+    let declaration = model.attributes.has(key) ? model.attributes.get(key).declaration : null;
+
+    if (!model.attributes.has(key)) {
+      if (attr.uri && model.anyAttribute) {
+        const definitions = registry.namespaces.get(attr.uri);
+        declaration = definitions ? definitions.attributes.get(attr.local) || null : null;
+        if (!declaration) return;
+      } else {
+        report(location, `Attribute "${attr.name}" is not allowed on <${node.$ns.local}>`);
+        return;
+      }
+    }
+    if (declaration) {
+      const facets = resolveSimpleType(registry, attributeValue(declaration.node, 'type'), xsChild(declaration.node, 'simpleType'), declaration.doc);
+      const problem = checkSimpleValue(attr.value, facets);
+      if (problem) report(location, `Invalid value for attribute "${attr.name}": ${problem}`);
+    }
+  });
+
+  model.attributes.forEach((entry, key) => {
+    if (!entry.required) return;
+    const [uri, local] = key.split('|');
+    const present = attributes.some(attr => attr.uri === uri && attr.local === local);
+    if (!present) report(location, `Missing required attribute "${local}" on <${node.$ns.local}>`);
+  });
+}
+
+function validateElement(registry, node, declaration, location, report, cache) {
+  const type = resolveElementType(registry, declaration, cache);
+  const text = typeof node._ === 'string' ? node._ : '';
+
+  if (type.simple) {
+    const problem = checkSimpleValue(text, type.simple);
+    if (problem) report(location, `Invalid content for <${node.$ns.local}>: ${problem}`);
+    return;
+  }
+  const model = type.complex;
+  if (!model) return;
+
+  validateAttributes(registry, node, model, location, report);
+  if (model.textType && text.trim()) {
+    const problem = checkSimpleValue(text, model.textType);
+    if (problem) report(location, `Invalid content for <${node.$ns.local}>: ${problem}`);
+  }
+
+  const counts = new Map();
+  Object.keys(node).forEach(key => {
+    if (key === '$' || key === '$ns' || key === '_') return;
+    (Array.isArray(node[key]) ? node[key] : [node[key]]).forEach(child => {
+      if (!child || !child.$ns) return;
+      const childKey = `${child.$ns.uri}|${child.$ns.local}`;
+      const childLocation = `${location}/${describe(child)}`;
+
+      if (model.elements.has(childKey)) {
+        counts.set(childKey, (counts.get(childKey) || 0) + 1);
+        const { declaration: childDeclaration } = model.elements.get(childKey);
+        if (childDeclaration) validateElement(registry, child, childDeclaration, childLocation, report, cache);
+        return;
+      }
+
+      const wildcard = model.wildcards.find(w => wildcardAllows(w, child.$ns.uri));
+      if (!wildcard) {
+        report(childLocation, `Element <${child.$ns.local}> (${child.$ns.uri || 'no namespace'}) is not allowed in <${node.$ns.local}>`);
+        return;
+      }
+      const definitions = registry.namespaces.get(child.$ns.uri);
+      const globalDeclaration = definitions ? definitions.elements.get(child.$ns.local) : null;
+      if (globalDeclaration) {
+        validateElement(registry, child, globalDeclaration, childLocation, report, cache);
+      } else if (definitions && wildcard.processContents === 'strict') {
+        report(childLocation, `Element <${child.$ns.local}> is not declared in the schema for ${child.$ns.uri}`);
+      }
+    });
+  });
+
+  model.elements.forEach((entry, key) => {
+    const count = counts.get(key) || 0;
+    const local = key.split('|')[1];
+    if (entry.required && count === 0) {
+      report(location, `Missing required element <${local}> in <${node.$ns.local}>`);
+    } else if (count > entry.maxOccurs) {
+      report(location, `Element <${local}> appears ${count} times in <${node.$ns.local}> but at most ${entry.maxOccurs} allowed`);
+    }
+  });
+}
+
+// Validates the XML document at documentPath (usually imsmanifest.xml)
+// against the schemas referenced from its xsi:schemaLocation.
+// Returns { checked, schemas, violations, problems }.
+export async function validateAgainstPackageSchemas(packageRoot, documentPath) {
+  const problems = [];
+  const violations = [];
+  const parsed = await parseNamespacedXml(await fs.readFile(documentPath, 'utf-8'), []);
+  const root = Object.values(parsed)[0];
+
+  const schemaLocation = attributeValue(root, 'schemaLocation', [XSI_NS]);
+  if (!schemaLocation) {
+    return { checked: false, schemas: [], violations, problems: [{ code: 'no_schema_location', message: 'Document does not declare xsi:schemaLocation; XSD validation skipped.' }] };
+  }
+
+  const registry = createRegistry();
+  const tokens = schemaLocation.trim().split(/\s+/);
+  const schemas = [];
+  for (let i = 0; i + 1 < tokens.length; i += 2) {
+    const [namespace, location] = [tokens[i], tokens[i + 1]];
+    schemas.push({ namespace, location });
+    if (/^[a-z]+:\/\//i.test(location)) {
+      problems.push({ code: 'remote_schema', message: `Schema for ${namespace} is remote (${location}) and was not checked.` });
+      continue;
+    }
+    await loadSchemaFile(registry, packageRoot, path.join(path.dirname(documentPath), location), problems, namespace);
+  }
+
+  const rootDefinitions = registry.namespaces.get(root.$ns.uri);
+  const rootDeclaration = rootDefinitions ? rootDefinitions.elements.get(root.$ns.local) : null;
+  if (!rootDeclaration) {
+    problems.push({ code: 'no_root_declaration', message: `No schema declares the root element <${root.$ns.local}>; XSD validation skipped.` });
+    return { checked: false, schemas, violations, problems };
+  }
+
+  const report = (location, message) => {
+    if (violations.length < MAX_REPORTED_VIOLATIONS) violations.push({ location, message });
+  };
+  validateElement(registry, root, rootDeclaration, describe(root), report, new WeakMap());
+  return { checked: true, schemas, violations, problems };
+}
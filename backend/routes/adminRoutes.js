@@ -0,0 +1,32 @@
+import express from 'express';
+import { getStorageReport, sweepStorage, STORAGE_LIMITS } from '../lib/storageManager.js';
+import { requireRole } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+router.use('/admin', requireRole('admin'));
+
+// GET disk usage of the uploads folder per course, orphaned folders and
+// resumable uploads, and the courses whose files are missing
+router.get('/admin/storage', async (req, res, next) => {
+  try {
+    const report = await getStorageReport();
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST run a storage sweep now; { "dry_run": true } only reports what
+// would be removed
+router.post('/admin/storage/sweep', async (req, res, next) => {
+  try {
+    const dryRun = Boolean(req.body && req.body.dry_run);
+    const result = await sweepStorage({ dryRun });
+    res.json({ ...result, quota_bytes: STORAGE_LIMITS.quota_bytes || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
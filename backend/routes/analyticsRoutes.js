@@ -0,0 +1,89 @@
+import express from 'express';
+import {
+  getCourseReport,
+  reportSectionToCsv,
+  listCourseOverviews,
+  courseOverviewsToCsv,
+  REPORT_SECTIONS
+} from '../lib/analytics/index.js';
+import { requireRole, tenantScope } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+const REPORT_FORMATS = ['json', 'csv'];
+
+const safeFileName = (name) => String(name || 'course').replace(/[^A-Za-z0-9_.-]+/g, '_');
+
+function sendCsv(res, fileName, csv) {
+  res.attachment(fileName);
+  res.type('text/csv');
+  res.send(csv);
+}
+
+// Answers 400 and returns null for an unknown ?format=
+function readFormat(req, res) {
+  const format = req.query.format || 'json';
+  if (!REPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `Unsupported format, use one of: ${REPORT_FORMATS.join(', ')}` });
+    return null;
+  }
+  return format;
+}
+
+// Reports show every learner's results, so they are for authors
+router.use(['/analytics', '/courses/:id/analytics'], requireRole('author'));
+
+// GET completion, pass rate, score and time overview of every course of the
+// user's tenant; ?format=csv downloads it
+router.get('/analytics/courses', async (req, res, next) => {
+  try {
+    const format = readFormat(req, res);
+    if (!format) return;
+    const overviews = await listCourseOverviews({ tenantId: tenantScope(req.user) });
+    if (format === 'csv') {
+      return sendCsv(res, 'course-analytics.csv', courseOverviewsToCsv(overviews));
+    }
+    res.json(overviews);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the full analytics report of a course: overview, score distribution,
+// per-SCO statistics, drop-off per activity, item analysis and attempts
+router.get('/courses/:id/analytics', async (req, res, next) => {
+  try {
+    const report = await getCourseReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET one section of the report (overview, scores, scos, drop-off, items,
+// attempts) as JSON rows or, with ?format=csv, as a CSV download
+router.get('/courses/:id/analytics/:section', async (req, res, next) => {
+  try {
+    const { section } = req.params;
+    if (!REPORT_SECTIONS[section]) {
+      return res.status(404).json({ error: `Unknown report, use one of: ${Object.keys(REPORT_SECTIONS).join(', ')}` });
+    }
+    const format = readFormat(req, res);
+    if (!format) return;
+    const report = await getCourseReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (format === 'csv') {
+      return sendCsv(res, `${safeFileName(report.title)}-${section}.csv`, reportSectionToCsv(section, report));
+    }
+    res.json({ course_id: report.course_id, title: report.title, section, rows: REPORT_SECTIONS[section].rows(report) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
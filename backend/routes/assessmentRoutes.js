@@ -0,0 +1,156 @@
+import express from 'express';
+import { getCourse, updateCourse, resolveCourseDir } from '../lib/courseStore.js';
+import { extractCourseAssessment } from '../lib/assessmentExtractor.js';
+import { itemToQti, buildQtiPackage } from '../lib/qtiExport.js';
+import { buildQuizScoPackage } from '../lib/quizScoExport.js';
+import { enqueueAssessmentGeneration, MAX_QUESTIONS_PER_SCO } from '../lib/assessmentGeneration.js';
+import { getAiProvider } from '../lib/ai/index.js';
+import { requireRole } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+// Items come with their correct responses, so they are for authors only
+router.use(['/courses/:id/assessment', '/courses/:id/generate-assessment', '/courses/:id/generated-assessment'], requireRole('author'));
+
+const ASSESSMENT_FORMATS = ['json', 'qti'];
+
+// Items are extracted on upload; courses registered before that are
+// extracted on first request and the result is stored with the course
+async function loadAssessment(course) {
+  if (course.assessment) return course.assessment;
+  const assessment = await extractCourseAssessment(resolveCourseDir(course), course.manifest, course.scos || []);
+  await updateCourse(course.id, { assessment });
+  return assessment;
+}
+
+const safeFileName = (name) => String(name || 'course').replace(/[^A-Za-z0-9_.-]+/g, '_');
+
+// GET the assessment items found in a course package, as JSON or as a
+// zipped QTI 2.1 package (?format=qti); ?download=1 saves the JSON as a file
+router.get('/courses/:id/assessment', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!ASSESSMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format, use one of: ${ASSESSMENT_FORMATS.join(', ')}` });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const assessment = await loadAssessment(course);
+
+    if (format === 'qti') {
+      if (!assessment.items.length) {
+        return res.status(404).json({ error: 'No assessment items found in course' });
+      }
+      res.attachment(`${safeFileName(course.title)}-qti21.zip`);
+      res.type('application/zip');
+      return res.send(buildQtiPackage(course, assessment.items));
+    }
+
+    if (req.query.download) {
+      res.attachment(`${safeFileName(course.title)}-assessment.json`);
+    }
+    res.json({ course_id: course.id, title: course.title, item_count: assessment.items.length, ...assessment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single item as a QTI 2.1 assessmentItem document
+router.get('/courses/:id/assessment/items/:itemId/qti', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const assessment = await loadAssessment(course);
+    const item = assessment.items.find(candidate => candidate.id === req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Assessment item not found' });
+    }
+    if (req.query.download) {
+      res.attachment(`${safeFileName(item.id)}.xml`);
+    }
+    res.type('application/xml; charset=utf-8');
+    res.send(itemToQti(item));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const GENERATED_FORMATS = ['json', 'scorm'];
+
+const isCount = (value, minimum) => Number.isInteger(value) && value >= minimum && value <= MAX_QUESTIONS_PER_SCO;
+
+// POST to generate quiz questions and flashcards for a course with the
+// configured AI provider. Runs as a background job (GET /api/jobs/:id);
+// body: { sco_ids?: [...], questions_per_sco?: 5, flashcards_per_sco?: 5 }
+router.post('/courses/:id/generate-assessment', async (req, res, next) => {
+  try {
+    const { sco_ids: scoIds = null, questions_per_sco: questionsPerSco = 5, flashcards_per_sco: flashcardsPerSco = 5 } = req.body || {};
+    if (!isCount(questionsPerSco, 1) || !isCount(flashcardsPerSco, 0)) {
+      return res.status(400).json({ error: `questions_per_sco and flashcards_per_sco must be whole numbers up to ${MAX_QUESTIONS_PER_SCO}` });
+    }
+    if (scoIds !== null && (!Array.isArray(scoIds) || !scoIds.length)) {
+      return res.status(400).json({ error: 'sco_ids must be a non-empty list of SCO identifiers' });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const knownScoIds = (course.scos || []).map(sco => sco.identifier);
+    const unknownScoIds = (scoIds || []).filter(scoId => !knownScoIds.includes(scoId));
+    if (unknownScoIds.length) {
+      return res.status(400).json({ error: `Unknown SCO identifier(s): ${unknownScoIds.join(', ')}` });
+    }
+    if (!knownScoIds.length) {
+      return res.status(400).json({ error: 'Course has no SCOs to generate questions for' });
+    }
+    if (!getAiProvider()) {
+      return res.status(503).json({ error: 'No AI provider configured (set AI_PROVIDER or GEMINI_API_KEY)' });
+    }
+
+    const job = await enqueueAssessmentGeneration(course, { scoIds, questionsPerSco, flashcardsPerSco });
+    res.status(202).json({ course_id: course.id, job_id: job.id, status: job.status });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the generated questions and flashcards as JSON, or as a standalone
+// SCORM 1.2 quiz SCO (?format=scorm)
+router.get('/courses/:id/generated-assessment', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!GENERATED_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format, use one of: ${GENERATED_FORMATS.join(', ')}` });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const generated = course.generated_assessment;
+    if (!generated) {
+      return res.status(404).json({ error: 'No generated assessment yet, POST to /generate-assessment first' });
+    }
+
+    if (format === 'scorm') {
+      if (!generated.items.length) {
+        return res.status(404).json({ error: 'The generated assessment has no questions' });
+      }
+      res.attachment(`${safeFileName(course.title)}-quiz-scorm12.zip`);
+      res.type('application/zip');
+      return res.send(buildQuizScoPackage(course, generated));
+    }
+
+    if (req.query.download) {
+      res.attachment(`${safeFileName(course.title)}-generated-assessment.json`);
+    }
+    res.json({ course_id: course.id, title: course.title, item_count: generated.items.length, ...generated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,211 @@
+import express from 'express';
+import { getCourse } from '../lib/courseStore.js';
+import { findItem } from '../lib/scormManifest.js';
+import {
+  createAttempt,
+  getAttempt,
+  listAttempts,
+  findResumableAttempt,
+  toAttemptSummary,
+  getScoCmi,
+  launchSco,
+  commitScoCmi,
+  getAttemptSequencing,
+  navigateAttempt
+} from '../lib/attemptStore.js';
+import { recordScormEvent } from '../lib/xapi/index.js';
+import { syncAttemptGrade } from '../lib/lti/gradeService.js';
+import { touchCourse } from '../lib/storageManager.js';
+import { canAccessCourse, hasRole } from '../lib/auth/index.js';
+import { describeContentAccess } from '../lib/contentOrigin.js';
+
+const router = express.Router();
+
+// Learners only get to their own attempts; authors and admins to every
+// attempt on the courses they can access
+function canAccessAttempt(user, attempt, course) {
+  if (attempt.learner_id !== user.id && !hasRole(user, 'author')) return false;
+  return course ? canAccessCourse(user, course) : hasRole(user, 'admin');
+}
+
+// Loads the attempt and its course, or answers with 404
+async function loadAttemptCourse(req, res) {
+  const attempt = await getAttempt(req.params.attemptId);
+  const course = attempt ? await getCourse(attempt.course_id) : null;
+  if (!attempt || !canAccessAttempt(req.user, attempt, course)) {
+    res.status(404).json({ error: 'Attempt not found' });
+    return null;
+  }
+  if (!course) {
+    res.status(404).json({ error: 'Course for this attempt no longer exists' });
+    return null;
+  }
+  return { attempt, course };
+}
+
+// Loads the attempt, its course and the requested item, or answers with 404
+async function loadAttemptItem(req, res) {
+  const loaded = await loadAttemptCourse(req, res);
+  if (!loaded) return null;
+  const item = findItem(loaded.course.manifest, req.params.scoId);
+  if (!item) {
+    res.status(404).json({ error: 'SCO not found in course' });
+    return null;
+  }
+  return { ...loaded, item };
+}
+
+// POST start a new attempt on a course for the signed-in user. With
+// { resume: true } their latest unfinished attempt is returned instead when
+// there is one.
+router.post('/courses/:id/attempts', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    touchCourse(course.id);
+    const body = req.body || {};
+    if (body.resume) {
+      const existing = await findResumableAttempt(course.id, req.user.id);
+      if (existing) {
+        console.log(`Resuming attempt ${existing.id} (${existing.status}) for learner ${existing.learner_id}`);
+        return res.json(existing);
+      }
+    }
+    const attempt = await createAttempt(course, {
+      learnerId: req.user.id,
+      learnerName: req.user.display_name
+    });
+    res.status(201).json(attempt);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the attempts on a course, optionally filtered by ?learner_id=.
+// Learners only get their own.
+router.get('/courses/:id/attempts', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const learnerId = hasRole(req.user, 'author') ? req.query.learner_id : req.user.id;
+    const attempts = await listAttempts({ courseId: course.id, learnerId });
+    res.json(attempts.map(toAttemptSummary));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET an attempt with the CMI data of every launched SCO
+router.get('/attempts/:attemptId', async (req, res, next) => {
+  try {
+    const attempt = await getAttempt(req.params.attemptId);
+    const course = attempt ? await getCourse(attempt.course_id) : null;
+    if (!attempt || !canAccessAttempt(req.user, attempt, course)) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+    res.json(attempt);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the CMI data model for one SCO with a normalized summary
+router.get('/attempts/:attemptId/scos/:scoId/cmi', async (req, res, next) => {
+  try {
+    const loaded = await loadAttemptItem(req, res);
+    if (!loaded) return;
+    const scoState = await getScoCmi(loaded.attempt, loaded.item);
+    res.json({ sco_id: loaded.item.identifier, scorm_version: loaded.attempt.scorm_version, ...scoState });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST start a runtime session for one SCO, used by the player before
+// Initialize. Sets cmi.entry (ab-initio, resume or empty). content says
+// where the package files and the runtime host page are served.
+router.post('/attempts/:attemptId/scos/:scoId/launch', async (req, res, next) => {
+  try {
+    const loaded = await loadAttemptItem(req, res);
+    if (!loaded) return;
+    const scoState = await launchSco(loaded.attempt, loaded.item);
+    await recordScormEvent({ ...loaded, event: 'launch', after: scoState.cmi });
+    res.json({
+      sco_id: loaded.item.identifier,
+      scorm_version: loaded.attempt.scorm_version,
+      ...scoState,
+      content: describeContentAccess(loaded.course)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT the CMI data model for one SCO, sent by the runtime on Commit and
+// with { finish: true } on Terminate/LMSFinish
+router.put('/attempts/:attemptId/scos/:scoId/cmi', async (req, res, next) => {
+  try {
+    if (!req.body || typeof req.body.cmi !== 'object' || req.body.cmi === null || Array.isArray(req.body.cmi)) {
+      return res.status(400).json({ error: 'A cmi object is required' });
+    }
+    const loaded = await loadAttemptItem(req, res);
+    if (!loaded) return;
+    const sco = loaded.attempt.scos[loaded.item.identifier];
+    const before = sco ? { ...sco.cmi } : {};
+    const finish = req.body.finish === true;
+    const scoState = await commitScoCmi(loaded.attempt, loaded.item, req.body.cmi, { finish });
+    await recordScormEvent({ ...loaded, event: finish ? 'finish' : 'commit', before, after: scoState.cmi });
+    if (finish) {
+      // Learners launched from an LMS get their score posted back to it
+      syncAttemptGrade(loaded.attempt).catch(error => console.error(`Failed to queue the LTI score of attempt ${loaded.attempt.id}:`, error));
+    }
+    res.json({ sco_id: loaded.item.identifier, scorm_version: loaded.attempt.scorm_version, ...scoState });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the sequencing state: current activity, allowed navigation and rollup status
+router.get('/attempts/:attemptId/sequencing', async (req, res, next) => {
+  try {
+    const loaded = await loadAttemptCourse(req, res);
+    if (!loaded) return;
+    const sequencing = await getAttemptSequencing(loaded.attempt, loaded.course);
+    if (sequencing.error) {
+      return res.status(400).json(sequencing);
+    }
+    res.json(sequencing);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST a navigation request (start, continue, previous, choice, exit, ...)
+// and get back the activity to deliver next
+router.post('/attempts/:attemptId/navigation', async (req, res, next) => {
+  try {
+    const { request, target } = req.body || {};
+    if (!request || typeof request !== 'string') {
+      return res.status(400).json({ error: 'A navigation request is required' });
+    }
+    const loaded = await loadAttemptCourse(req, res);
+    if (!loaded) return;
+    const result = await navigateAttempt(loaded.attempt, loaded.course, request, target || null);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    if (result.exception) {
+      // The request was refused by the sequencing rules; the state is still returned
+      return res.status(409).json({ error: result.exception.message, ...result });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
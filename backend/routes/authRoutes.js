@@ -0,0 +1,150 @@
+import express from 'express';
+import {
+  login,
+  authenticate,
+  requireRole,
+  setSessionCookie,
+  clearSessionCookie,
+  ROLES
+} from '../lib/auth/index.js';
+import { getUser, listUsers, createUser, updateUser, deleteUser, toPublicUser } from '../lib/auth/userStore.js';
+import { verifyPassword } from '../lib/auth/passwords.js';
+import { listTenants, createTenant } from '../lib/auth/tenantStore.js';
+import { SESSION_TTL_SECONDS } from '../lib/auth/tokens.js';
+
+const router = express.Router();
+
+// POST log in with { username, password }. The session token is set as a
+// cookie and returned for clients that send it as a Bearer token.
+router.post('/auth/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await login(username, password);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    setSessionCookie(req, res, result.token);
+    res.json({ token: result.token, expires_in: SESSION_TTL_SECONDS, user: result.user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST log out: clears the session cookie
+router.post('/auth/logout', (req, res) => {
+  clearSessionCookie(req, res);
+  res.status(204).end();
+});
+
+router.use(['/auth/me', '/users', '/tenants'], authenticate);
+router.use(['/users', '/tenants'], requireRole('admin'));
+
+// GET the signed-in user
+router.get('/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// PUT change the own password: { current_password, new_password }
+router.put('/auth/me/password', async (req, res, next) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+    const user = await getUser(req.user.id);
+    if (!(await verifyPassword(currentPassword, user.password_hash))) {
+      return res.status(400).json({ error: 'The current password is wrong' });
+    }
+    const result = await updateUser(user.id, { password: newPassword });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- User and tenant management (admins) ---
+
+// GET all users, optionally only those of ?tenant_id=
+router.get('/users', async (req, res, next) => {
+  try {
+    const users = await listUsers({ tenantId: req.query.tenant_id || null });
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST create a user: { username, password, role?, tenant_id?, display_name? }
+router.post('/users', async (req, res, next) => {
+  try {
+    const { username, password, role, tenant_id: tenantId, display_name: displayName } = req.body || {};
+    const result = await createUser({ username, password, role, tenantId, displayName });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, roles: ROLES });
+    }
+    res.status(201).json(toPublicUser(result.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH change a user's role, tenant, display name or password
+router.patch('/users/:id', async (req, res, next) => {
+  try {
+    const { role, tenant_id: tenantId, display_name: displayName, password } = req.body || {};
+    if (req.params.id === req.user.id && role !== undefined && role !== req.user.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    const result = await updateUser(req.params.id, { role, tenantId, displayName, password });
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(toPublicUser(result.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE a user; their attempts are kept
+router.delete('/users/:id', async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const user = await deleteUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ result: true, id: user.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET all tenants
+router.get('/tenants', async (req, res, next) => {
+  try {
+    res.json(await listTenants());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST create a tenant: { name, id? } (the id defaults to a slug of the name)
+router.post('/tenants', async (req, res, next) => {
+  try {
+    const { id, name } = req.body || {};
+    const result = await createTenant({ id, name });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.status(201).json(result.tenant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
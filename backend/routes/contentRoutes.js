@@ -0,0 +1,42 @@
+import express from 'express';
+import { getCourse, resolveCourseDir } from '../lib/courseStore.js';
+import { touchCourse } from '../lib/storageManager.js';
+import { isContentHost, verifyContentToken, CONTENT_SECURITY_POLICY } from '../lib/contentOrigin.js';
+
+const router = express.Router();
+
+// GET a file from the extracted package of the course a content token was
+// issued for (see lib/contentOrigin.js). Only answered on the content
+// origin, and never with the session: the token in the path is the grant.
+router.get('/:token/*', async (req, res, next) => {
+  try {
+    if (!isContentHost(req)) {
+      return res.status(404).json({ error: 'Package content is only served from the content origin' });
+    }
+    const courseId = verifyContentToken(req.params.token);
+    if (!courseId) {
+      return res.status(403).json({ error: 'Invalid or expired content token' });
+    }
+    const course = await getCourse(courseId);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    touchCourse(course.id);
+    res.set({
+      'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+      // The token must not leak to sites the content links to
+      'Referrer-Policy': 'same-origin',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    // sendFile with a root rejects any path that escapes the course directory
+    res.sendFile(req.params[0], { root: resolveCourseDir(course), dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 404).json({ error: 'File not found in course package' });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+import express from 'express';
+import { listCourses, getCourse, deleteCourse, toCourseSummary, resolveCourseDir } from '../lib/courseStore.js';
+import { extractScoDocument, documentsToMarkdown } from '../lib/structuredContent.js';
+import { listRevisions, getRevision, diffRevisions, toRevisionSummary } from '../lib/courseRevisions.js';
+import { auditPackageAccessibility } from '../lib/accessibility/index.js';
+import { requireRole, tenantScope } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+// GET the courses of the user's tenant (summaries only, the full manifest
+// can be large)
+router.get('/courses', async (req, res, next) => {
+  try {
+    const courses = await listCourses({ tenantId: tenantScope(req.user) });
+    res.json(courses.map(toCourseSummary));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a single course with its manifest data, SCO list and AI metadata,
+// plus the catalog fields of the summary
+router.get('/courses/:id', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    res.json({ ...course, ...toCourseSummary(course) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const DOCUMENT_FORMATS = ['json', 'markdown'];
+
+// Answers with structured documents as JSON or Markdown; ?download=1 makes
+// the browser save them as a file
+function sendDocuments(req, res, { title, fileName, documents, single }) {
+  const format = req.query.format || 'json';
+  if (req.query.download) {
+    const extension = format === 'markdown' ? 'md' : 'json';
+    res.attachment(`${fileName.replace(/[^A-Za-z0-9_.-]+/g, '_')}.${extension}`);
+  }
+  if (format === 'markdown') {
+    res.type('text/markdown; charset=utf-8');
+    return res.send(documentsToMarkdown(title, documents));
+  }
+  return res.json(single ? documents[0] : { title, documents });
+}
+
+// GET the structured content (headings, paragraphs, lists, tables, images,
+// links) of one SCO and the pages it links to, as JSON or ?format=markdown
+router.get('/courses/:id/scos/:scoId/document', async (req, res, next) => {
+  try {
+    if (req.query.format && !DOCUMENT_FORMATS.includes(req.query.format)) {
+      return res.status(400).json({ error: `Unsupported format, use one of: ${DOCUMENT_FORMATS.join(', ')}` });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const sco = (course.scos || []).find(candidate => candidate.identifier === req.params.scoId);
+    if (!sco) {
+      return res.status(404).json({ error: 'SCO not found in course' });
+    }
+    const document = await extractScoDocument(resolveCourseDir(course), course.manifest, sco);
+    sendDocuments(req, res, { title: course.title, fileName: `${course.title}-${sco.identifier}`, documents: [document], single: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the structured content of every SCO of a course
+router.get('/courses/:id/document', async (req, res, next) => {
+  try {
+    if (req.query.format && !DOCUMENT_FORMATS.includes(req.query.format)) {
+      return res.status(400).json({ error: `Unsupported format, use one of: ${DOCUMENT_FORMATS.join(', ')}` });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const courseDir = resolveCourseDir(course);
+    const documents = [];
+    for (const sco of course.scos || []) {
+      documents.push(await extractScoDocument(courseDir, course.manifest, sco));
+    }
+    sendDocuments(req, res, { title: course.title, fileName: course.title, documents });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the WCAG 2.1 AA audit of the course's HTML pages, per file, per SCO
+// and for the course, as of its current revision
+router.get('/courses/:id/accessibility', requireRole('author'), async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const accessibility = await auditPackageAccessibility(resolveCourseDir(course), course.manifest);
+    res.json({ course_id: course.id, title: course.title, ...accessibility });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the revision history of a course, oldest first, with the diff of
+// every revision against the one before it
+router.get('/courses/:id/revisions', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const revisions = await listRevisions(course.id);
+    res.json({ course_id: course.id, current_revision: course.revision || 1, revisions: revisions.map(toRevisionSummary) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the diff between two revisions: ?from=<revision>&to=<revision>
+// (to defaults to the current revision, from to the one before it)
+router.get('/courses/:id/revisions/diff', async (req, res, next) => {
+  try {
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const to = req.query.to ? Number(req.query.to) : course.revision || 1;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+    const [fromRevision, toRevision] = await Promise.all([getRevision(course.id, from), getRevision(course.id, to)]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+    }
+    res.json(diffRevisions(fromRevision, toRevision));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET one revision including the hash of every file
+router.get('/courses/:id/revisions/:revision', async (req, res, next) => {
+  try {
+    const revision = await getRevision(req.params.id, Number(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE a course and its extracted package files
+router.delete('/courses/:id', requireRole('author'), async (req, res, next) => {
+  try {
+    const course = await deleteCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    res.json({ result: true, id: course.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import { getCourse } from '../lib/courseStore.js';
+import { exportCourse, EXPORT_FORMATS } from '../lib/export/index.js';
+import { requireRole } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+const safeFileName = (name) => String(name || 'course').replace(/[^A-Za-z0-9_.-]+/g, '_');
+
+// GET the formats a course can be exported to
+router.get('/export-formats', (req, res) => {
+  res.json(Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, label: format.label })));
+});
+
+// GET a course as a freshly written package (?format=scorm12|scorm2004|cmi5|cc).
+// The zip is sent with the re-validation summary in X-Export-* headers;
+// ?report=1 returns the full validation report as JSON instead.
+router.get('/courses/:id/export', requireRole('author'), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'scorm2004';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const course = await getCourse(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const result = await exportCourse(course, format);
+    if (result.error) {
+      return res.status(422).json({ error: result.error });
+    }
+    if (req.query.report) {
+      return res.json({ course_id: course.id, ...result.report });
+    }
+
+    res.set({
+      'X-Export-Valid': String(result.report.valid),
+      'X-Export-Errors': String(result.report.validation.error_count),
+      'X-Export-Warnings': String(result.report.validation.warning_count + result.report.warnings.length),
+      'Access-Control-Expose-Headers': 'X-Export-Valid, X-Export-Errors, X-Export-Warnings'
+    });
+    res.attachment(`${safeFileName(course.title)}-${format}.zip`);
+    res.type('application/zip');
+    res.send(result.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { getJob, listJobs } from '../lib/jobQueue.js';
+import { listCourses } from '../lib/courseStore.js';
+import { tenantScope } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+// Whether the user may see a job: admins see all of them, everyone else
+// only the jobs of their tenant's courses. Returns a predicate.
+async function jobVisibility(user) {
+  const tenantId = tenantScope(user);
+  if (!tenantId) return () => true;
+  const courseIds = new Set((await listCourses({ tenantId })).map(course => course.id));
+  return (job) => Boolean(job.course_id) && courseIds.has(job.course_id);
+}
+
+// GET background jobs, newest first, optionally only those of one course
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const [jobs, isVisible] = await Promise.all([listJobs({ courseId: req.query.course_id }), jobVisibility(req.user)]);
+    res.json(jobs.filter(isVisible));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a job with its overall progress and the status of every task (SCO)
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job || !(await jobVisibility(req.user))(job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+import { signJwt, verifyJwt, decodeJwt, toPublicJwk } from '../lib/lti/jwt.js';
+import { CLAIMS, MESSAGE_TYPES } from '../lib/lti/launch.js';
+import { SCOPES } from '../lib/lti/gradeService.js';
+import { findPlatform, savePlatform } from '../lib/lti/platformStore.js';
+import { toolBaseUrl, toolUrls } from '../lib/lti/index.js';
+
+// --- Mock LTI Platform ---
+// A minimal LMS for trying the LTI tool locally, mounted at /lti-mock when
+// LTI_MOCK_PLATFORM=1. Open /lti-mock/launch?course_id=... in a browser to
+// launch a course as a learner (&role=instructor for an instructor,
+// &type=deep for a deep linking request). The scores the tool posts back
+// are listed at /lti-mock/scores, deep linking responses at
+// /lti-mock/deep-links. Everything is kept in memory.
+
+export const MOCK_ISSUER = 'https://mock-platform.synapticx.local';
+export const MOCK_CLIENT_ID = 'synapticx-mock-client';
+export const MOCK_DEPLOYMENT_ID = 'mock-deployment';
+
+const MOCK_KID = 'mock-platform-key';
+const TOKEN_TTL_SECONDS = 3600;
+
+let mockKey = null;
+const accessTokens = new Map(); // token -> { scopes, expires_at }
+const lineItems = new Map(); // id -> line item
+const scores = [];
+const deepLinks = [];
+
+const router = express.Router();
+router.use(express.urlencoded({ extended: false }));
+
+// Generated on first use, so the module costs nothing when the mock is off
+function getMockKey() {
+  if (!mockKey) mockKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  return mockKey;
+}
+
+const mockUrl = (req, pathName = '') => `${toolBaseUrl(req)}/lti-mock${pathName}`;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// A page that posts the fields to the URL as soon as it loads, like an LMS does
+function autoPostForm(res, url, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  res.type('html').send(`<!DOCTYPE html><html><body><form id="lti" method="post" action="${escapeHtml(url)}">${inputs}<noscript><button type="submit">Continue</button></noscript></form><script>document.getElementById('lti').submit();</script></body></html>`);
+}
+
+// Registers the mock as a platform of the default tenant, once; the tenant
+// must exist
+export async function registerMockPlatform(baseUrl) {
+  if (await findPlatform(MOCK_ISSUER, MOCK_CLIENT_ID)) return null;
+  const result = await savePlatform({
+    name: 'Mock LMS',
+    issuer: MOCK_ISSUER,
+    client_id: MOCK_CLIENT_ID,
+    deployment_ids: [MOCK_DEPLOYMENT_ID],
+    auth_login_url: `${baseUrl}/lti-mock/auth`,
+    auth_token_url: `${baseUrl}/lti-mock/token`,
+    jwks_url: `${baseUrl}/lti-mock/jwks`
+  });
+  if (result.error) throw new Error(result.error);
+  return result.platform;
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const grant = accessTokens.get(token);
+    if (!grant || grant.expires_at < Date.now()) {
+      return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+    if (!grant.scopes.includes(scope)) {
+      return res.status(403).json({ error: `The token lacks the scope ${scope}` });
+    }
+    next();
+  };
+}
+
+router.get('/jwks', (req, res) => {
+  res.json({ keys: [toPublicJwk(getMockKey(), MOCK_KID)] });
+});
+
+// GET start a launch: ?course_id=&user=&role=learner|instructor&type=resource|deep
+router.get('/launch', (req, res) => {
+  const { course_id: courseId = '', user = 'mock-learner', role = 'learner', type = 'resource' } = req.query;
+  if (type === 'resource' && !courseId) {
+    return res.status(400).json({ error: 'course_id is required for a resource link launch' });
+  }
+  const { login_url: loginUrl, launch_url: launchUrl } = toolUrls(toolBaseUrl(req));
+  const targetLinkUri = courseId ? `${launchUrl}?course_id=${encodeURIComponent(courseId)}` : launchUrl;
+  const url = new URL(loginUrl);
+  url.searchParams.set('iss', MOCK_ISSUER);
+  url.searchParams.set('client_id', MOCK_CLIENT_ID);
+  url.searchParams.set('login_hint', String(user));
+  url.searchParams.set('target_link_uri', targetLinkUri);
+  url.searchParams.set('lti_message_hint', Buffer.from(JSON.stringify({ course_id: courseId, role, type })).toString('base64url'));
+  res.redirect(302, url.toString());
+});
+
+// GET the OIDC auth request from the tool; answers with the id_token form post
+router.get('/auth', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, login_hint: loginHint, lti_message_hint: messageHint, state, nonce } = req.query;
+  if (clientId !== MOCK_CLIENT_ID || !redirectUri || !loginHint || !state || !nonce) {
+    return res.status(400).json({ error: 'client_id, redirect_uri, login_hint, state and nonce are required' });
+  }
+  let hint;
+  try {
+    hint = JSON.parse(Buffer.from(String(messageHint || ''), 'base64url').toString('utf-8'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid lti_message_hint' });
+  }
+  const isInstructor = hint.role === 'instructor';
+  const claims = {
+    iss: MOCK_ISSUER,
+    aud: MOCK_CLIENT_ID,
+    sub: String(loginHint),
+    nonce: String(nonce),
+    name: `${isInstructor ? 'Instructor' : 'Learner'} ${loginHint}`,
+    [CLAIMS.version]: '1.3.0',
+    [CLAIMS.deployment_id]: MOCK_DEPLOYMENT_ID,
+    [CLAIMS.roles]: [`http://purl.imsglobal.org/vocab/lis/v2/membership#${isInstructor ? 'Instructor' : 'Learner'}`],
+    [CLAIMS.context]: { id: 'mock-course', label: 'MOCK101', title: 'Mock LMS course' }
+  };
+  if (hint.type === 'deep') {
+    Object.assign(claims, {
+      [CLAIMS.message_type]: MESSAGE_TYPES.deep_linking,
+      [CLAIMS.deep_linking_settings]: {
+        deep_link_return_url: mockUrl(req, '/deep-link-return'),
+        accept_types: ['ltiResourceLink'],
+        accept_presentation_document_targets: ['iframe', 'window'],
+        accept_multiple: true,
+        data: 'mock-deep-link-data'
+      }
+    });
+  } else {
+    const { launch_url: launchUrl } = toolUrls(toolBaseUrl(req));
+    Object.assign(claims, {
+      [CLAIMS.message_type]: MESSAGE_TYPES.resource_link,
+      [CLAIMS.target_link_uri]: `${launchUrl}?course_id=${encodeURIComponent(hint.course_id)}`,
+      [CLAIMS.resource_link]: { id: `mock-link-${hint.course_id}`, title: 'Mock course activity' },
+      [CLAIMS.custom]: { course_id: hint.course_id },
+      // No line item: the tool finds or creates one in the container
+      [CLAIMS.ags_endpoint]: { scope: [SCOPES.lineitem, SCOPES.score], lineitems: mockUrl(req, '/lineitems') }
+    });
+  }
+  autoPostForm(res, String(redirectUri), { id_token: signJwt(claims, { privateKey: getMockKey(), kid: MOCK_KID }), state: String(state) });
+});
+
+// Checks a JWT signed by the tool against the tool's JWKS, fetched the way
+// a real platform would. Returns { payload } or { error }.
+async function verifyToolJwt(req, token) {
+  const decoded = decodeJwt(token);
+  if (!decoded) return { error: 'Not a JWT' };
+  const jwks = await axios.get(toolUrls(toolBaseUrl(req)).jwks_url, { timeout: 10000 });
+  const jwk = jwks.data.keys.find(key => key.kid === decoded.header.kid);
+  if (!jwk) return { error: `Unknown key ${decoded.header.kid}` };
+  return verifyJwt(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+}
+
+// POST the client credentials grant, with the client assertion signed by the tool
+router.post('/token', async (req, res, next) => {
+  try {
+    const { client_assertion: assertion, scope = '' } = req.body || {};
+    const verified = await verifyToolJwt(req, assertion);
+    if (verified.error || verified.payload.sub !== MOCK_CLIENT_ID || verified.payload.aud !== mockUrl(req, '/token')) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(token, { scopes: String(scope).split(' ').filter(Boolean), expires_at: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, scope });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/lineitems', requireScope(SCOPES.lineitem), (req, res) => {
+  const items = [...lineItems.values()].filter(item => !req.query.resource_link_id || item.resourceLinkId === req.query.resource_link_id);
+  res.json(items);
+});
+
+router.post('/lineitems', express.json({ type: ['application/json', 'application/vnd.ims.lis.v2.lineitem+json'] }), requireScope(SCOPES.lineitem), (req, res) => {
+  const id = mockUrl(req, `/lineitems/${crypto.randomUUID()}`);
+  const item = { ...req.body, id };
+  lineItems.set(id, item);
+  res.status(201).json(item);
+});
+
+router.post('/lineitems/:itemId/scores', express.json({ type: ['application/json', 'application/vnd.ims.lis.v1.score+json'] }), requireScope(SCOPES.score), (req, res) => {
+  const lineItem = mockUrl(req, `/lineitems/${req.params.itemId}`);
+  if (!lineItems.has(lineItem)) {
+    return res.status(404).json({ error: 'Line item not found' });
+  }
+  scores.push({ ...req.body, line_item: lineItem, received_at: new Date().toISOString() });
+  res.status(204).end();
+});
+
+// GET the scores the tool posted, newest last
+router.get('/scores', (req, res) => {
+  res.json(scores);
+});
+
+// POST the deep linking response from the tool
+router.post('/deep-link-return', async (req, res, next) => {
+  try {
+    const verified = await verifyToolJwt(req, (req.body || {}).JWT);
+    if (verified.error || verified.payload.aud !== MOCK_ISSUER) {
+      return res.status(401).json({ error: verified.error || 'The response is not meant for this platform' });
+    }
+    const items = verified.payload['https://purl.imsglobal.org/spec/lti-dl/claim/content_items'] || [];
+    deepLinks.push({ items, data: verified.payload['https://purl.imsglobal.org/spec/lti-dl/claim/data'], received_at: new Date().toISOString() });
+    res.type('html').send(`<!DOCTYPE html><html><body><h1>Mock LMS</h1><p>Added ${items.length} course(s):</p><ul>${items.map(item => `<li>${escapeHtml(item.title)}</li>`).join('')}</ul></body></html>`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET the deep linking responses received
+router.get('/deep-links', (req, res) => {
+  res.json(deepLinks);
+});
+
+export default router;
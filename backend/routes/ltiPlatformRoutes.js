@@ -0,0 +1,118 @@
+import express from 'express';
+import { listCourses } from '../lib/courseStore.js';
+import { requireRole } from '../lib/auth/index.js';
+import { listPlatforms, getPlatform, savePlatform, deletePlatform } from '../lib/lti/platformStore.js';
+import { getDeepLinkSession, toDeepLinkSummary, completeDeepLink } from '../lib/lti/deepLinking.js';
+import { toolBaseUrl, toolUrls } from '../lib/lti/index.js';
+
+const router = express.Router();
+
+router.use('/lti/platforms', requireRole('admin'));
+router.use('/lti/deep-links', requireRole('author'));
+
+// GET the registered LTI platforms
+router.get('/lti/platforms', async (req, res, next) => {
+  try {
+    res.json(await listPlatforms());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST register a platform: { name?, issuer, client_id, deployment_ids,
+// auth_login_url, auth_token_url, jwks_url, tenant_id? }
+router.post('/lti/platforms', async (req, res, next) => {
+  try {
+    const result = await savePlatform(req.body || {});
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.status(201).json(result.platform);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET one platform
+router.get('/lti/platforms/:id', async (req, res, next) => {
+  try {
+    const platform = await getPlatform(req.params.id);
+    if (!platform) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+    res.json(platform);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT change the fields of a platform
+router.put('/lti/platforms/:id', async (req, res, next) => {
+  try {
+    const result = await savePlatform(req.body || {}, { id: req.params.id });
+    if (!result) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(result.platform);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE a platform; its users can no longer launch
+router.delete('/lti/platforms/:id', async (req, res, next) => {
+  try {
+    const platform = await deletePlatform(req.params.id);
+    if (!platform) {
+      return res.status(404).json({ error: 'Platform not found' });
+    }
+    res.json({ result: true, id: platform.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET a deep linking request started by the signed-in instructor
+router.get('/lti/deep-links/:id', async (req, res, next) => {
+  try {
+    const session = await getDeepLinkSession(req.params.id, req.user);
+    if (!session) {
+      return res.status(404).json({ error: 'Deep linking request not found or expired' });
+    }
+    res.json(toDeepLinkSummary(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST the picked courses { course_ids: [...] }; answers with the signed
+// response the browser posts back to the platform as { return_url, jwt }
+router.post('/lti/deep-links/:id', async (req, res, next) => {
+  try {
+    const { course_ids: courseIds } = req.body || {};
+    if (!Array.isArray(courseIds) || !courseIds.length) {
+      return res.status(400).json({ error: 'course_ids must be a non-empty list' });
+    }
+    const session = await getDeepLinkSession(req.params.id, req.user);
+    if (!session) {
+      return res.status(404).json({ error: 'Deep linking request not found or expired' });
+    }
+    const courses = await listCourses({ tenantId: req.user.tenant_id });
+    const picked = courseIds.map(id => courses.find(course => course.id === id));
+    if (picked.some(course => !course)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    const result = await completeDeepLink(session, picked, { launchUrl: toolUrls(toolBaseUrl(req)).launch_url });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
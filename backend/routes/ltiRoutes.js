@@ -0,0 +1,98 @@
+import express from 'express';
+import { getCourse } from '../lib/courseStore.js';
+import { courseTenantId } from '../lib/auth/tenantStore.js';
+import { createSession, setSessionCookie, readCookie, hasRole } from '../lib/auth/index.js';
+import { toolBaseUrl, toolUrls, toolConfiguration, getToolJwks, isSecureToolRequest } from '../lib/lti/index.js';
+import { startLogin, validateLaunch, launchedCourseId, CLAIMS, MESSAGE_TYPES, STATE_TTL_MS } from '../lib/lti/launch.js';
+import { createDeepLinkSession } from '../lib/lti/deepLinking.js';
+import { recordGradeLink } from '../lib/lti/gradeService.js';
+
+const router = express.Router();
+
+// Platforms post login initiations and launches as forms
+router.use(express.urlencoded({ extended: false }));
+
+// Binds a login's state to the browser it was started in. The launch is a
+// cross-site form post from the platform, which browsers only send the
+// cookie with when it is SameSite=None (and so Secure).
+const STATE_COOKIE = 'synapticx_lti_state';
+
+const stateCookieOptions = (req) => {
+  const secure = isSecureToolRequest(req);
+  return { httpOnly: true, sameSite: secure ? 'none' : 'lax', secure, path: '/lti' };
+};
+
+// The session of a launch is used inside the platform's frame, so it is a
+// cross-site cookie as well
+const setLaunchSession = (req, res, user) => {
+  setSessionCookie(req, res, createSession(user), { crossSite: true, secure: isSecureToolRequest(req) });
+};
+
+// GET our public key set, used by platforms to check deep linking
+// responses and AGS client assertions
+router.get('/jwks', (req, res) => {
+  res.json(getToolJwks());
+});
+
+// GET the URLs and key to register the tool with an LMS
+router.get('/config', (req, res) => {
+  res.json(toolConfiguration(toolBaseUrl(req)));
+});
+
+// GET or POST OIDC login initiation from a platform: redirects the browser
+// to the platform's auth endpoint
+router.all('/login', async (req, res, next) => {
+  try {
+    if (!['GET', 'POST'].includes(req.method)) {
+      return res.status(405).json({ error: 'Use GET or POST' });
+    }
+    const params = req.method === 'POST' ? req.body || {} : req.query;
+    const result = await startLogin(params, { redirectUri: toolUrls(toolBaseUrl(req)).launch_url });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.cookie(STATE_COOKIE, result.state, { ...stateCookieOptions(req), maxAge: STATE_TTL_MS });
+    res.redirect(302, result.redirect_url);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST the id_token of a launch (form_post). Signs the user in and opens
+// the launched course in the player, or the course picker for deep linking.
+router.post('/launch', async (req, res, next) => {
+  try {
+    const { id_token: idToken, state } = req.body || {};
+    const cookieState = readCookie(req, STATE_COOKIE);
+    // The state is single use, so is its cookie
+    res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+    const launch = await validateLaunch({ idToken, state, cookieState });
+    if (launch.error) {
+      return res.status(launch.status).json({ error: launch.error });
+    }
+    const { platform, claims, user } = launch;
+
+    if (claims[CLAIMS.message_type] === MESSAGE_TYPES.deep_linking) {
+      if (!hasRole(user, 'author')) {
+        return res.status(403).json({ error: 'Only instructors can add courses' });
+      }
+      const session = await createDeepLinkSession({ platform, claims, user });
+      setLaunchSession(req, res, user);
+      return res.redirect(303, `/deep-link/${session.id}`);
+    }
+
+    const courseId = launchedCourseId(claims);
+    const course = courseId ? await getCourse(courseId) : null;
+    // A platform only launches courses of its own tenant
+    if (!course || courseTenantId(course) !== platform.tenant_id) {
+      return res.status(404).json({ error: 'The launched course does not exist' });
+    }
+    await recordGradeLink({ platform, claims, user, courseId: course.id });
+    setLaunchSession(req, res, user);
+    res.redirect(303, `/courses/${course.id}/play`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { searchCourses, SEARCH_MODES } from '../lib/search/searchIndex.js';
+import { reindexCourse, reindexCourses } from '../lib/search/courseIndexing.js';
+import { listCourses, getCourse } from '../lib/courseStore.js';
+import { requireRole, hasRole, tenantScope, canAccessCourse } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+// GET search the indexed content of the user's tenant: ?q=<query>, optional
+// mode=keyword|semantic|hybrid, course_id, limit (default 20) and offset.
+// Hits are SCOs with a highlighted snippet and links to the course and SCO.
+router.get('/search', async (req, res, next) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+    const mode = req.query.mode ? String(req.query.mode) : undefined;
+    if (mode && !SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${SEARCH_MODES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const courseId = req.query.course_id ? String(req.query.course_id) : null;
+
+    const tenantId = tenantScope(req.user);
+    const courseIds = tenantId ? new Set((await listCourses({ tenantId })).map(course => course.id)) : null;
+    const result = await searchCourses(query, { mode, limit, offset, courseId, courseIds });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST rebuild the search index; { "course_id": "..." } for one course of
+// the user's tenant, { "stale_only": true } for courses missing or outdated
+// in the index (all tenants, so admins only)
+router.post('/search/reindex', requireRole('author'), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (body.course_id) {
+      const course = await getCourse(String(body.course_id));
+      if (!course || !canAccessCourse(req.user, course)) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      const result = await reindexCourse(course.id);
+      if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error });
+      }
+      return res.json({ indexed: [result], removed: [] });
+    }
+    if (!hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Reindexing every course requires the admin role' });
+    }
+    const result = await reindexCourses({ onlyStale: Boolean(body.stale_only) });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import {
+  UPLOAD_LIMITS,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  finalizeUpload,
+  removeUploadSession
+} from '../lib/uploadSessions.js';
+import { ingestScormPackage } from '../lib/packageIngest.js';
+import { requireRole, hasRole } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+// Resumable upload protocol:
+//   POST   /uploads                 { file_name, size, sha256? } -> session
+//   HEAD   /uploads/:id             Upload-Offset / Upload-Length headers
+//   GET    /uploads/:id             session with its current offset
+//   PUT    /uploads/:id             raw chunk, Upload-Offset header, optional
+//                                   Upload-Checksum: "sha256 <base64>"
+//   POST   /uploads/:id/complete    { sha256?, new_course? } -> same response as /upload-scorm
+//   DELETE /uploads/:id             abandon the upload
+// Uploading needs the author role; an upload is only visible to the user
+// who started it (and to admins).
+const rawChunk = express.raw({ type: () => true, limit: UPLOAD_LIMITS.max_chunk_bytes });
+
+function setOffsetHeaders(res, session) {
+  res.set('Upload-Offset', String(session.offset));
+  res.set('Upload-Length', String(session.size));
+  res.set('Cache-Control', 'no-store');
+}
+
+router.use('/uploads', requireRole('author'));
+
+// Loads the session if it belongs to the user, or answers with 404
+async function loadOwnSession(req, res) {
+  const session = await getUploadSession(req.params.id);
+  if (!session || (session.user_id !== req.user.id && !hasRole(req.user, 'admin'))) {
+    if (req.method === 'HEAD') res.status(404).end();
+    else res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return session;
+}
+
+// POST start a resumable upload
+router.post('/uploads', async (req, res, next) => {
+  try {
+    const { file_name: fileName, size, sha256 } = req.body || {};
+    const result = await createUploadSession({ fileName, size: Number(size), sha256, userId: req.user.id });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    setOffsetHeaders(res, result.session);
+    res.status(201).json(result.session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// HEAD the number of bytes received so far
+router.head('/uploads/:id', async (req, res, next) => {
+  try {
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+    setOffsetHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET an upload session with its current offset
+router.get('/uploads/:id', async (req, res, next) => {
+  try {
+    const session = await loadOwnSession(req, res);
+    if (!session) return;
+    setOffsetHeaders(res, session);
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT the next chunk at Upload-Offset
+router.put('/uploads/:id', rawChunk, async (req, res, next) => {
+  try {
+    if (!(await loadOwnSession(req, res))) return;
+    const offsetHeader = req.get('Upload-Offset');
+    const checksumHeader = req.get('Upload-Checksum');
+    let checksum = null;
+    if (checksumHeader) {
+      const [algorithm, value] = checksumHeader.trim().split(/\s+/);
+      if (algorithm.toLowerCase() !== 'sha256' || !value) {
+        return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <base64 digest>"' });
+      }
+      checksum = value;
+    }
+
+    const result = await appendChunk(req.params.id, {
+      offset: offsetHeader === undefined || offsetHeader === '' ? NaN : Number(offsetHeader),
+      data: req.body,
+      checksum
+    });
+    if (result.error) {
+      if (result.offset !== undefined) res.set('Upload-Offset', String(result.offset));
+      return res.status(result.status).json({ error: result.error, offset: result.offset });
+    }
+    setOffsetHeaders(res, result.session);
+    res.json(result.session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST finalize: verify size and checksum, then extract and register the course
+router.post('/uploads/:id/complete', async (req, res, next) => {
+  try {
+    if (!(await loadOwnSession(req, res))) return;
+    const { sha256, new_course: newCourse } = req.body || {};
+    const finalized = await finalizeUpload(req.params.id, {
+      sha256,
+      processFile: (zipPath, fileName) => ingestScormPackage(zipPath, fileName, { newCourse: newCourse === true, tenantId: req.user.tenant_id })
+    });
+    if (finalized.error) {
+      return res.status(finalized.status).json({ error: finalized.error, offset: finalized.offset });
+    }
+
+    const { response, error, extraction } = finalized.result;
+    if (error) {
+      return res.status(422).json({ error, extraction, sha256: finalized.sha256 });
+    }
+    res.status(200).json({ ...response, upload_id: req.params.id, sha256: finalized.sha256 });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE abandon an upload and its partial file
+router.delete('/uploads/:id', async (req, res, next) => {
+  try {
+    if (!(await loadOwnSession(req, res))) return;
+    const removed = await removeUploadSession(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
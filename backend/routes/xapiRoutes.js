@@ -0,0 +1,153 @@
+import express from 'express';
+import { storeStatements, getStatement, queryStatements, validateAgent, XAPI_VERSION } from '../lib/xapi/lrs.js';
+import { queueForwarding } from '../lib/xapi/index.js';
+import { userAgent } from '../lib/xapi/statements.js';
+import { authenticate, tenantScope, hasRole } from '../lib/auth/index.js';
+
+const router = express.Router();
+
+const QUERY_FORMATS = ['ids', 'exact', 'canonical'];
+// Parameters that may be combined with statementId/voidedStatementId
+const SINGLE_STATEMENT_PARAMS = ['statementId', 'voidedStatementId', 'format', 'attachments'];
+
+// xAPI requires the version header on every request but /about
+router.use((req, res, next) => {
+  res.set({
+    'X-Experience-API-Version': XAPI_VERSION,
+    'Access-Control-Expose-Headers': 'X-Experience-API-Version, X-Experience-API-Consistent-Through'
+  });
+  if (req.path === '/about') return next();
+  const version = req.get('X-Experience-API-Version');
+  if (!version || !/^1\.0(\.\d+)?$/.test(version)) {
+    return res.status(400).json({ error: 'X-Experience-API-Version header with a 1.0.x version is required' });
+  }
+  next();
+});
+
+// GET the xAPI versions this LRS supports
+router.get('/about', (req, res) => {
+  res.json({ version: [XAPI_VERSION] });
+});
+
+// Statements need a session (Authorization: Bearer <token>) and are kept
+// per tenant
+router.use(authenticate);
+
+// Learners only read and write their own statements; authors and admins
+// see every statement of the tenant, as in the analytics
+const actorScope = (user) => (hasRole(user, 'author') ? null : userAgent(user));
+
+// Parses the query parameters of GET /statements. Returns { filters } or { error }.
+function parseStatementQuery(query) {
+  const filters = {};
+  if (query.agent !== undefined) {
+    try {
+      filters.agent = JSON.parse(query.agent);
+    } catch {
+      return { error: 'agent must be a JSON encoded Agent or Group' };
+    }
+    const agentError = validateAgent(filters.agent);
+    if (agentError) return { error: agentError };
+  }
+  ['verb', 'activity', 'registration'].forEach(name => {
+    if (query[name] !== undefined) filters[name] = String(query[name]);
+  });
+  for (const name of ['since', 'until']) {
+    if (query[name] === undefined) continue;
+    if (Number.isNaN(Date.parse(query[name]))) return { error: `${name} must be an ISO 8601 timestamp` };
+    filters[name] = query[name];
+  }
+  for (const name of ['related_activities', 'related_agents', 'ascending']) {
+    if (query[name] === undefined) continue;
+    if (!['true', 'false'].includes(query[name])) return { error: `${name} must be true or false` };
+    filters[name] = query[name] === 'true';
+  }
+  if (query.limit !== undefined) {
+    filters.limit = Number(query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 0) return { error: 'limit must be a non-negative integer' };
+  }
+  if (query.format !== undefined) {
+    if (!QUERY_FORMATS.includes(query.format)) return { error: `format must be one of: ${QUERY_FORMATS.join(', ')}` };
+    filters.format = query.format;
+  }
+  return { filters };
+}
+
+// GET one statement (?statementId= or ?voidedStatementId=) or a
+// StatementResult for the filters; "more" links to the next page
+router.get('/statements', async (req, res, next) => {
+  try {
+    res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+    const { statementId, voidedStatementId } = req.query;
+    if (statementId !== undefined || voidedStatementId !== undefined) {
+      if (statementId !== undefined && voidedStatementId !== undefined) {
+        return res.status(400).json({ error: 'Use either statementId or voidedStatementId' });
+      }
+      const extra = Object.keys(req.query).filter(name => !SINGLE_STATEMENT_PARAMS.includes(name));
+      if (extra.length) {
+        return res.status(400).json({ error: `${extra.join(', ')} cannot be combined with a statement id` });
+      }
+      const statement = await getStatement(statementId ?? voidedStatementId, {
+        voided: voidedStatementId !== undefined,
+        tenantId: tenantScope(req.user),
+        actor: actorScope(req.user)
+      });
+      if (!statement) {
+        return res.status(404).json({ error: 'Statement not found' });
+      }
+      return res.json(statement);
+    }
+
+    const { filters, error } = parseStatementQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const offset = Math.max(0, Number(req.query.cursor) || 0);
+    const result = await queryStatements(filters, { offset, tenantId: tenantScope(req.user), actor: actorScope(req.user) });
+    let more = '';
+    if (result.more_offset !== null) {
+      const params = new URLSearchParams({ ...req.query, cursor: String(result.more_offset) });
+      more = `${req.baseUrl}/statements?${params}`;
+    }
+    res.json({ statements: result.statements, more });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST one statement or an array of them; answers with the statement ids
+router.post('/statements', async (req, res, next) => {
+  try {
+    const result = await storeStatements(req.body, { tenantId: req.user.tenant_id, actor: actorScope(req.user) });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await queueForwarding(result.stored);
+    res.json(result.ids);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT a single statement under ?statementId=
+router.put('/statements', async (req, res, next) => {
+  try {
+    const { statementId } = req.query;
+    if (!statementId) {
+      return res.status(400).json({ error: 'statementId is required' });
+    }
+    if (req.body && req.body.id !== undefined && String(req.body.id).toLowerCase() !== String(statementId).toLowerCase()) {
+      return res.status(400).json({ error: 'The statement id does not match statementId' });
+    }
+    const result = await storeStatements({ ...req.body, id: statementId }, { tenantId: req.user.tenant_id, actor: actorScope(req.user) });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await queueForwarding(result.stored);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
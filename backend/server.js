@@ -4,13 +4,34 @@ import path from 'path';
 import fs from 'fs/promises'; // Using promises version of fs for async operations
 import { existsSync, mkdirSync, readFileSync, unlinkSync } from 'fs'; // For some sync operations
 import { v4 as uuidv4 } from 'uuid';
-import AdmZip from 'adm-zip';
-import xml2js from 'xml2js';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { config } from 'dotenv';
-import axios from 'axios';
-import { JSDOM } from 'jsdom'; // For robust HTML parsing
+import { TEMP_UPLOADS_DIR, FRONTEND_DIST_DIR } from './lib/paths.js';
+import { resumeJobs, JOB_CONCURRENCY } from './lib/jobQueue.js';
+import { describeAiProvider } from './lib/ai/index.js';
+import { describeXapiForwarding } from './lib/xapi/index.js';
+import { ingestScormPackage } from './lib/packageIngest.js';
+import { validatePackageFile, auditPackageFile } from './lib/packageInspection.js';
+import { startStorageSweeps, STORAGE_LIMITS } from './lib/storageManager.js';
+import { reindexCourses } from './lib/search/courseIndexing.js';
+import { getEmbeddingProvider } from './lib/ai/embeddings.js';
+import courseRoutes from './routes/courseRoutes.js';
+import attemptRoutes from './routes/attemptRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import assessmentRoutes from './routes/assessmentRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import xapiRoutes from './routes/xapiRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import ltiRoutes from './routes/ltiRoutes.js';
+import ltiPlatformRoutes from './routes/ltiPlatformRoutes.js';
+import ltiMockPlatformRoutes, { registerMockPlatform } from './routes/ltiMockPlatformRoutes.js';
+import contentRoutes from './routes/contentRoutes.js';
+import { authenticate, requireRole, authorizeCourse, ensureInitialAdmin, rejectCrossSiteRequests } from './lib/auth/index.js';
 
 // Load environment variables from .env file in the project root
 config();
@@ -22,13 +43,45 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Browser origins other than our own that may call the API with the
+// session cookie, comma separated; none by default
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Serve a mock LMS at /lti-mock for trying LTI launches locally
+const LTI_MOCK_PLATFORM = process.env.LTI_MOCK_PLATFORM === '1';
+
+// Behind a reverse proxy that terminates TLS, TRUST_PROXY lets Express take
+// the client's scheme and address from the X-Forwarded-* headers: "true",
+// a number of proxy hops, or addresses/subnets as Express accepts them.
+// Without it every request looks like plain HTTP.
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 // --- Middleware ---
-app.use(cors()); // Enable CORS for all routes
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json()); // Parse JSON request bodies
 
-// --- File Upload Configuration (using multer) ---
-const TEMP_UPLOADS_DIR = path.join(__dirname, 'temp_uploads');
+// The session cookie of an LTI launch is sent cross-site, so data may only
+// be changed from our own pages (or CORS_ORIGINS)
+app.use(['/api', '/xapi'], rejectCrossSiteRequests({ allowedOrigins: CORS_ORIGINS }));
+
+// --- Package Content ---
+// SCO files, on the separate content origin and outside the /api session
+app.use('/content', contentRoutes);
 
+// --- Authentication Routes ---
+// Login and logout are public; every other /api route needs a session
+app.use('/api', authRoutes);
+app.use('/api', authenticate);
+// Courses of other tenants look like they don't exist
+app.use('/api/courses/:id', authorizeCourse);
+
+// --- File Upload Configuration (using multer) ---
 // Ensure temp_uploads directory exists
 if (!existsSync(TEMP_UPLOADS_DIR)) {
   mkdirSync(TEMP_UPLOADS_DIR, { recursive: true });
@@ -59,230 +112,11 @@ const upload = multer({
   }
 });
 
-// --- Helper Functions ---
-
-async function parseScormManifest(extractDirPath) {
-  const manifestPath = path.join(extractDirPath, 'imsmanifest.xml');
-  console.log(`Attempting to parse manifest at: ${manifestPath}`);
-  try {
-    if (!existsSync(manifestPath)) {
-      console.error(`Manifest file not found at: ${manifestPath}`);
-      return { error: 'Manifest file (imsmanifest.xml) not found in the package.' };
-    }
-
-    const xmlContent = await fs.readFile(manifestPath, 'utf-8');
-    // explicitRoot: true ensures the root tag 'manifest' is part of the result object
-    const parser = new xml2js.Parser({ explicitArray: false, ignoreAttrs: false, mergeAttrs: true, explicitRoot: true });
-    const result = await parser.parseStringPromise(xmlContent);
-
-    if (!result || !result.manifest) {
-      console.error('Invalid manifest structure: <manifest> root element not found.');
-      return { error: 'Invalid manifest structure: <manifest> root element not found.' };
-    }
-    const manifest = result.manifest;
-
-    let courseTitle = 'Untitled Course';
-    // Try to find title in organizations -> organization -> title
-    if (manifest.organizations && manifest.organizations.organization) {
-      const org = Array.isArray(manifest.organizations.organization) ? manifest.organizations.organization[0] : manifest.organizations.organization;
-      if (org && org.title) {
-        // xml2js with explicitArray: false often makes single text nodes direct properties
-        // If title is an object like { _: "Title Text" } due to attributes on title, access with ._
-        courseTitle = typeof org.title === 'string' ? org.title : (org.title._ || 'Untitled Organization');
-      }
-    }
-
-    const scos = [];
-    const resources = manifest.resources && manifest.resources.resource ?
-                      (Array.isArray(manifest.resources.resource) ? manifest.resources.resource : [manifest.resources.resource])
-                      : [];
-
-    const items = [];
-    // Helper function to recursively collect all items
-    const collectAllItems = (itemElement) => {
-        if (!itemElement) return;
-        const currentItems = Array.isArray(itemElement) ? itemElement : [itemElement];
-        currentItems.forEach(it => {
-            if (it) { // Ensure item itself is not null/undefined
-                items.push(it);
-                if (it.item) { // Recursively collect sub-items
-                    collectAllItems(it.item);
-                }
-            }
-        });
-    };
-    
-    if (manifest.organizations && manifest.organizations.organization) {
-        const org = Array.isArray(manifest.organizations.organization) ? manifest.organizations.organization[0] : manifest.organizations.organization;
-        if (org && org.item) {
-            collectAllItems(org.item);
-        }
-    }
-    
-    const resourceMap = new Map();
-    resources.forEach(res => {
-        // Attributes are typically under '$' when mergeAttrs is false, or directly if mergeAttrs is true
-        // With mergeAttrs: true, res.identifier should work if identifier is an attribute
-        if (res.identifier && res.href) {
-            resourceMap.set(res.identifier, res.href);
-        }
-    });
-
-    items.forEach(item => {
-        // item.identifierref should be directly accessible if mergeAttrs: true
-        if (item.identifierref && resourceMap.has(item.identifierref)) {
-            const resourceDetails = resources.find(r => r.identifier === item.identifierref);
-            // Check for SCORM type 'sco', often namespaced with adlcp or similar
-            // With mergeAttrs: true, attributes like 'adlcp:scormtype' become object keys
-            const scormType = resourceDetails ? (resourceDetails['adlcp:scormtype'] || resourceDetails.scormtype) : null;
-
-            if (scormType === 'sco') {
-                let scoTitle = 'Untitled SCO';
-                if (item.title && typeof item.title === 'string') {
-                    scoTitle = item.title;
-                } else if (item.title && item.title._) { // Handle cases where title is an object like {"_": "Title text"}
-                     scoTitle = item.title._;
-                } else if (item.identifier) { // Fallback to item identifier if available
-                    scoTitle = item.identifier;
-                }
-
-                scos.push({
-                    title: scoTitle,
-                    href: resourceMap.get(item.identifierref),
-                    identifier: item.identifier // Item identifier
-                });
-            }
-        }
-    });
-    console.log(`Manifest parsed. Course Title: "${courseTitle}", SCOs found: ${scos.length}`);
-    return {
-      course_title: courseTitle,
-      scos: scos
-    };
-
-  } catch (error) {
-    console.error('Error parsing SCORM manifest:', error);
-    return { error: `Error processing manifest: ${error.message}` };
-  }
-}
-
-async function extractTextFromHtml(htmlFilePath) {
-  console.log(`Attempting to extract text from HTML: ${htmlFilePath}`);
-  try {
-    if (!existsSync(htmlFilePath)) {
-      console.warn(`extractTextFromHtml: HTML file not found at path: ${htmlFilePath}`);
-      return { error: `HTML file not found at path: ${htmlFilePath}` };
-    }
-    
-    const htmlContent = await fs.readFile(htmlFilePath, 'utf-8');
-    const dom = new JSDOM(htmlContent);
-    const document = dom.window.document;
-
-    // Remove script, style, and other non-visible elements
-    document.querySelectorAll('script, style, noscript, iframe, head, link, meta').forEach(el => el.remove());
-
-    let text = '';
-    if (document.body) {
-        text = document.body.textContent || "";
-    }
-    
-    // Replace multiple whitespace characters (including newlines, tabs) with a single space and trim
-    const cleanedText = text.replace(/\s\s+/g, ' ').trim();
-    
-    console.log(`extractTextFromHtml: Extracted ${cleanedText.length} characters from ${htmlFilePath}. Preview: "${cleanedText.substring(0,100)}..."`);
-    return cleanedText; // Return text string directly on success
-
-  } catch (error) {
-    console.error(`Error extracting text from HTML file ${htmlFilePath}:`, error);
-    return { error: `Error extracting text from HTML: ${error.message}` };
-  }
-}
-
-async function getGeminiMetadata(textContent, apiKey) {
-  if (!textContent || typeof textContent !== 'string' || !textContent.trim()) {
-    console.warn('getGeminiMetadata: Text content is empty or invalid, skipping Gemini API call.');
-    return { error: 'Text content is empty or invalid, skipping Gemini API call.' };
-  }
-  if (!apiKey) {
-    console.error('getGeminiMetadata: Gemini API key is missing. Cannot make API call.');
-    return { error: 'Gemini API key is missing.' };
-  }
-
-  const endpointUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
-  
-  const prompt = `Analyze the following educational content. Based *only* on this text, provide the following in valid JSON format with the specified keys:
-"title": (A concise and engaging title for this content)
-"summary": (A comprehensive 4-5 sentence summary explaining the key concepts)
-"keywords": (A list of 7-10 relevant keywords and topics as strings)
-"learning_objectives": (A list of 2-4 learning objectives that a student should be able to achieve after studying this content. Each objective should start with an action verb like "Describe", "Identify", "Explain".)
-"language": (The primary language of the text e.g., "English", "Spanish")
-
-Content:
-${textContent}
-
-Respond *only* with the JSON object, without any leading or trailing text or markdown backticks. Just the raw JSON object.`;
-
-  const payload = {
-    contents: [{
-      parts: [{
-        text: prompt
-      }]
-    }],
-    generationConfig: {
-      response_mime_type: "application/json"
-    }
-  };
-
-  const headers = {
-    'Content-Type': 'application/json'
-  };
-
-  console.log('getGeminiMetadata: Calling Gemini API...');
-  try {
-    const apiResponse = await axios.post(endpointUrl, payload, { headers, timeout: 45000 }); // 45s timeout
-
-    if (apiResponse.status === 200) {
-      const data = apiResponse.data;
-      // Robustly try to get to the text part that contains our JSON
-      if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts && data.candidates[0].content.parts[0] && data.candidates[0].content.parts[0].text) {
-        const jsonTextResponse = data.candidates[0].content.parts[0].text;
-        console.log('getGeminiMetadata: Received text from Gemini, attempting to parse as JSON.');
-        try {
-          const parsedJson = JSON.parse(jsonTextResponse);
-          console.log('getGeminiMetadata: Successfully parsed JSON from Gemini.');
-          return parsedJson;
-        } catch (parseError) {
-          console.error('getGeminiMetadata: Error parsing JSON from Gemini response text:', parseError);
-          console.error('getGeminiMetadata: Gemini raw text response was:', jsonTextResponse);
-          return { error: 'Failed to parse JSON from Gemini API response text', details: jsonTextResponse };
-        }
-      } else {
-        console.error('getGeminiMetadata: Unexpected Gemini API response structure:', data);
-        return { error: 'Failed to extract JSON text from Gemini API response structure', details: data };
-      }
-    } else if (apiResponse.status === 429) {
-      console.warn('getGeminiMetadata: Gemini API rate limit exceeded.');
-      return { error: 'Gemini API rate limit exceeded', status_code: 429 };
-    } else {
-      console.error(`getGeminiMetadata: Gemini API request failed with status ${apiResponse.status}:`, apiResponse.data);
-      return { error: 'Gemini API request failed', status_code: apiResponse.status, details: apiResponse.data };
-    }
-  } catch (error) {
-    console.error('getGeminiMetadata: Gemini API request exception:', error.message);
-    if (error.response) { // Axios wraps HTTP errors in error.response
-      console.error('getGeminiMetadata: Error response data:', error.response.data);
-      console.error('getGeminiMetadata: Error response status:', error.response.status);
-      return { error: 'Gemini API request exception', details: error.message, status: error.response.status, data: error.response.data };
-    }
-    return { error: 'Gemini API request exception', details: error.message };
-  }
-}
-
 // --- Main SCORM Upload Route ---
 // This route should be defined under /api/ as per your apiRoutes import,
 // or if apiRoutes.js doesn't exist or define it, it should be app.post('/api/upload-scorm', ...)
 // For now, assuming it's directly on app for simplicity if apiRoutes is not yet set up.
-app.post('/api/upload-scorm', upload.single('file'), async (req, res) => {
+app.post('/api/upload-scorm', requireRole('author'), upload.single('file'), async (req, res) => {
   console.log(`Received request for /api/upload-scorm. File: ${req.file ? req.file.originalname : 'No file'}`);
   if (!req.file) {
     console.log('No file uploaded with the request.');
@@ -293,97 +127,17 @@ app.post('/api/upload-scorm', upload.single('file'), async (req, res) => {
   const originalFileName = req.file.originalname;
   console.log(`Uploaded file saved to: ${uploadedFilePath}, original name: ${originalFileName}`);
 
-  const baseName = path.parse(originalFileName).name;
-  const uniqueId = uuidv4();
-  // Ensure extractDir is within TEMP_UPLOADS_DIR which is already joined with __dirname
-  const extractDir = path.join(TEMP_UPLOADS_DIR, `${baseName}_${uniqueId}`);
-
   try {
-    if (!existsSync(extractDir)) {
-      await fs.mkdir(extractDir, { recursive: true });
-      console.log(`Created extraction directory: ${extractDir}`);
+    // ?new_course=1 registers the package as a new course even when its
+    // manifest identifier matches an existing one
+    const { response: apiResponse, error, extraction } = await ingestScormPackage(uploadedFilePath, originalFileName, {
+      newCourse: req.query.new_course === '1' || req.query.new_course === 'true',
+      tenantId: req.user.tenant_id
+    });
+    if (error) {
+      return res.status(422).json({ error, extraction });
     }
 
-    console.log(`Extracting ZIP file from ${uploadedFilePath} to ${extractDir}`);
-    const zip = new AdmZip(uploadedFilePath);
-    zip.extractAllTo(extractDir, /*overwrite*/ true);
-    console.log('ZIP file extracted successfully.');
-    
-    console.log('Parsing SCORM manifest...');
-    const manifestData = await parseScormManifest(extractDir);
-
-    const apiResponse = {
-      message: "File uploaded and processed.",
-      extracted_content_path: extractDir, // For debugging, can be removed in production
-      manifest_parsing_status: manifestData.error ? "error" : "success",
-    };
-
-    if (manifestData.error) {
-      console.error('Manifest parsing error:', manifestData.error);
-      apiResponse.manifest_error_details = manifestData.error;
-      apiResponse.processed_sco_ai_metadata = { status: "AI processing skipped due to manifest error" };
-    } else {
-      apiResponse.manifest_data = manifestData;
-      console.log('Manifest parsed successfully.');
-
-      if (manifestData.scos && manifestData.scos.length > 0) {
-        const firstScoToProcess = manifestData.scos[0]; // Process the first SCO
-        console.log(`Attempting to process first SCO: Title: "${firstScoToProcess.title}", Href: "${firstScoToProcess.href}"`);
-
-        apiResponse.processed_sco_title = firstScoToProcess.title || firstScoToProcess.identifier || 'Unknown SCO';
-        apiResponse.processed_sco_href = firstScoToProcess.href;
-
-        // Check if the SCO href points to an HTML file, ignoring query parameters
-        if (firstScoToProcess.href && typeof firstScoToProcess.href === 'string' && firstScoToProcess.href.split('?')[0].toLowerCase().endsWith('.html')) {
-          const htmlFileRelativePath = firstScoToProcess.href.split('?')[0]; // Path relative to SCORM root
-          const htmlFilePath = path.join(extractDir, htmlFileRelativePath);
-          console.log(`Full path to HTML SCO for text extraction: ${htmlFilePath}`);
-
-          if (existsSync(htmlFilePath)) {
-            const textExtractionResult = await extractTextFromHtml(htmlFilePath);
-
-            // extractTextFromHtml returns a string on success, or an object with an error key on failure
-            if (typeof textExtractionResult === 'string') { 
-              apiResponse.processed_sco_text_content = textExtractionResult.length > 500
-                ? textExtractionResult.substring(0, 500) + "..."
-                : textExtractionResult;
-              
-              if (textExtractionResult.trim()) { // Only call Gemini if there's actual text
-                const geminiApiKey = process.env.GEMINI_API_KEY;
-                if (geminiApiKey) {
-                  console.log('GEMINI_API_KEY found, calling getGeminiMetadata with extracted text...');
-                  const metadata = await getGeminiMetadata(textExtractionResult, geminiApiKey);
-                  apiResponse.processed_sco_ai_metadata = metadata;
-                } else {
-                  console.warn('GEMINI_API_KEY not found in environment variables.');
-                  apiResponse.processed_sco_ai_metadata = { error: 'GEMINI_API_KEY not found in environment variables' };
-                }
-              } else {
-                console.log('Extracted text content was empty, skipping AI metadata.');
-                apiResponse.processed_sco_text_content = ""; // Ensure it's set even if empty
-                apiResponse.processed_sco_ai_metadata = { status: 'AI processing skipped due to empty text content' };
-              }
-            } else { // Error object from extractTextFromHtml
-              console.error('Error extracting text from HTML:', textExtractionResult.error);
-              apiResponse.processed_sco_text_error = textExtractionResult.error;
-              apiResponse.processed_sco_ai_metadata = { status: 'AI processing skipped due to text extraction error' };
-            }
-          } else {
-            console.warn(`HTML SCO file not found: ${htmlFilePath}`);
-            apiResponse.processed_sco_text_error = `HTML file not found at path: ${htmlFilePath}`;
-            apiResponse.processed_sco_ai_metadata = { status: 'AI processing skipped due to HTML file not found' };
-          }
-        } else {
-          console.log('First SCO is not an HTML file or href is missing/invalid.');
-          apiResponse.processed_sco_note = "First SCO is not an HTML file or href is missing/invalid.";
-          apiResponse.processed_sco_ai_metadata = { status: 'AI processing skipped, first SCO not HTML or href missing' };
-        }
-      } else {
-        console.log('No SCOs found in manifest to process.');
-        apiResponse.processed_sco_note = "No processable SCOs found in manifest.";
-        apiResponse.processed_sco_ai_metadata = { status: 'AI processing skipped due to no SCOs in manifest' };
-      }
-    }
     console.log('Sending final API response.');
     return res.status(200).json(apiResponse);
 
@@ -414,6 +168,99 @@ app.post('/api/upload-scorm', upload.single('file'), async (req, res) => {
 });
 
 
+// --- Resumable Upload Routes ---
+// Large packages can be sent in chunks and resumed after a failure; the
+// finalized file goes through the same ingest as /api/upload-scorm
+app.use('/api', uploadRoutes);
+
+
+// --- SCORM Validation Route ---
+// Checks a package for conformance problems without registering it as a course.
+// The extracted files are removed again once the report has been built.
+app.post('/api/validate-scorm', requireRole('author'), upload.single('file'), async (req, res) => {
+  console.log(`Received request for /api/validate-scorm. File: ${req.file ? req.file.originalname : 'No file'}`);
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded with the request." });
+  }
+
+  try {
+    const result = await validatePackageFile(req.file.path, req.file.originalname);
+    return res.status(result.error ? 422 : 200).json(result);
+  } catch (error) {
+    console.error('Critical error in /api/validate-scorm route:', error);
+    return res.status(500).json({ error: 'An unexpected server error occurred.', details: error.message });
+  } finally {
+    try {
+      if (existsSync(req.file.path)) await fs.unlink(req.file.path);
+    } catch (cleanupErr) {
+      console.error('Error cleaning up after validation:', cleanupErr);
+    }
+  }
+});
+
+// --- Accessibility Audit Route ---
+// WCAG 2.1 AA audit of the HTML pages of a package, per file, per SCO and
+// for the whole course, without registering it as a course.
+app.post('/api/audit-accessibility', requireRole('author'), upload.single('file'), async (req, res) => {
+  console.log(`Received request for /api/audit-accessibility. File: ${req.file ? req.file.originalname : 'No file'}`);
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded with the request." });
+  }
+
+  try {
+    const result = await auditPackageFile(req.file.path, req.file.originalname);
+    return res.status(result.error ? 422 : 200).json(result);
+  } catch (error) {
+    console.error('Critical error in /api/audit-accessibility route:', error);
+    return res.status(500).json({ error: 'An unexpected server error occurred.', details: error.message });
+  } finally {
+    try {
+      if (existsSync(req.file.path)) await fs.unlink(req.file.path);
+    } catch (cleanupErr) {
+      console.error('Error cleaning up after accessibility audit:', cleanupErr);
+    }
+  }
+});
+
+
+// --- Course Registry Routes ---
+app.use('/api', courseRoutes);
+
+// --- Learner Attempt Routes ---
+app.use('/api', attemptRoutes);
+
+// --- Background Job Routes ---
+app.use('/api', jobRoutes);
+
+// --- Assessment Routes ---
+app.use('/api', assessmentRoutes);
+
+// --- Package Export Routes ---
+app.use('/api', exportRoutes);
+
+// --- Search Routes ---
+app.use('/api', searchRoutes);
+
+// --- Learner Analytics Routes ---
+app.use('/api', analyticsRoutes);
+
+// --- Admin Routes ---
+app.use('/api', adminRoutes);
+
+// --- LTI 1.3 Tool ---
+// Platform registrations and deep linking pick-up live under /api; the
+// endpoints LMSs call (login, launch, JWKS) under /lti
+app.use('/api', ltiPlatformRoutes);
+app.use('/lti', ltiRoutes);
+if (LTI_MOCK_PLATFORM) {
+  app.use('/lti-mock', ltiMockPlatformRoutes);
+}
+
+// --- xAPI Learning Record Store ---
+// Mounted outside /api so the endpoint matches what xAPI clients expect
+app.use('/xapi', xapiRoutes);
+
+
 // --- Example API routes (e.g., for todos) ---
 // These would typically be in backend/routes/todoRoutes.js and imported
 let todos = [
@@ -431,12 +278,7 @@ app.get('/api/todos', (req, res) => {
 
 
 // --- Serve React Frontend (for production builds) ---
-// Adjust this path based on your actual frontend build output structure
-// If your root package.json builds the frontend into a 'dist' folder at the project root:
-const FRONTEND_DIST_DIR = path.join(__dirname, '../dist'); 
-// If your frontend is in 'src' and builds into 'src/dist' (relative to project root):
-// const FRONTEND_DIST_DIR = path.join(__dirname, '../src/dist'); // More likely if src is frontend root
-
+// FRONTEND_DIST_DIR is the 'dist' folder at the project root (see lib/paths.js)
 if (existsSync(FRONTEND_DIST_DIR)) {
     app.use(express.static(FRONTEND_DIST_DIR));
     // Serves the index.html for any routes not handled by the API, enabling client-side routing
@@ -460,6 +302,10 @@ app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
     console.error('File size limit exceeded:', err.message);
     return res.status(413).json({ error: `File too large. Maximum file size is 200MB. Details: ${err.message}` });
+  } else if (err && err.type === 'entity.too.large') {
+    // A JSON body or upload chunk over the body parser limit
+    console.error('Request body too large:', err.message);
+    return res.status(413).json({ error: `Request body too large. Maximum size is ${err.limit} bytes.` });
   } else if (err) { 
     console.error("Unhandled error caught by generic error handler:", err.stack || err.message);
     // Avoid sending detailed stack in production, but helpful for PoC
@@ -475,5 +321,28 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`SynapticX Backend Server is running on port ${PORT}`);
   console.log(`To test, POST a SCORM .zip file to /api/upload-scorm`);
-  console.log(`Expecting GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? 'Found and loaded!' : 'NOT FOUND (check .env file in project root and ensure server was restarted after creating/modifying it!)'}`);
+  console.log(`Background jobs run with a concurrency of ${JOB_CONCURRENCY}`);
+  console.log(`CORS: ${CORS_ORIGINS.length ? `allowed for ${CORS_ORIGINS.join(', ')}` : 'same origin only (set CORS_ORIGINS to allow others)'}`);
+  const initialAdmin = ensureInitialAdmin().catch(error => console.error('Failed to create the initial admin account:', error));
+  // Pick up processing jobs that were interrupted by a restart
+  resumeJobs().catch(error => console.error('Failed to resume background jobs:', error));
+  // Reconcile temp_uploads with the course registry, then sweep periodically
+  startStorageSweeps();
+  console.log(`Storage: orphans removed after ${STORAGE_LIMITS.orphan_ttl_ms / 3600000}h, quota ${STORAGE_LIMITS.quota_bytes ? `${STORAGE_LIMITS.quota_bytes} bytes` : 'unlimited'}`);
+  console.log(`AI metadata provider: ${describeAiProvider()}`);
+  // Index processed courses the search index doesn't have yet
+  reindexCourses({ onlyStale: true }).catch(error => console.error('Failed to update the search index:', error));
+  const embeddingProvider = getEmbeddingProvider();
+  console.log(`Search: ${embeddingProvider ? `keyword and semantic (${embeddingProvider.name} embeddings, ${embeddingProvider.model})` : 'keyword only (set EMBEDDING_PROVIDER for semantic search)'}`);
+  const forwarding = describeXapiForwarding();
+  console.log(`xAPI statements are stored at /xapi/statements${forwarding.enabled ? ` and forwarded to ${forwarding.url}` : ''}`);
+  console.log('LTI 1.3: register the tool with the settings at /lti/config');
+  if (LTI_MOCK_PLATFORM) {
+    const baseUrl = (process.env.LTI_TOOL_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+    // After the initial admin, which creates the default tenant
+    initialAdmin
+      .then(() => registerMockPlatform(baseUrl))
+      .then(() => console.log(`LTI mock platform: launch a course at ${baseUrl}/lti-mock/launch?course_id=<id>`))
+      .catch(error => console.error('Failed to register the mock LTI platform:', error));
+  }
 });
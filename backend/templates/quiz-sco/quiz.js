@@ -0,0 +1,225 @@
+// Quiz SCO runtime. Renders the questions in QUIZ_DATA (quiz-data.js),
+// scores the answers and reports them to the LMS through the SCORM 1.2 API
+// (or the SCORM 2004 API when that is what the LMS offers).
+(function () {
+  'use strict';
+
+  var quiz = window.QUIZ_DATA;
+  var api = null;
+  var apiVersion = null;
+  var startedAt = new Date();
+
+  function findApi(win) {
+    var tries = 0;
+    while (win && tries < 10) {
+      if (win.API_1484_11) return { api: win.API_1484_11, version: '2004' };
+      if (win.API) return { api: win.API, version: '1.2' };
+      if (win.parent === win) break;
+      win = win.parent;
+      tries += 1;
+    }
+    return null;
+  }
+
+  function initialize() {
+    var found = findApi(window) || (window.opener ? findApi(window.opener) : null);
+    if (!found) return;
+    api = found.api;
+    apiVersion = found.version;
+    if (apiVersion === '2004') {
+      api.Initialize('');
+      api.SetValue('cmi.completion_status', 'incomplete');
+    } else {
+      api.LMSInitialize('');
+      api.LMSSetValue('cmi.core.lesson_status', 'incomplete');
+    }
+  }
+
+  function setValue(name12, name2004, value) {
+    if (!api) return;
+    if (apiVersion === '2004') {
+      if (name2004) api.SetValue(name2004, String(value));
+    } else if (name12) {
+      api.LMSSetValue(name12, String(value));
+    }
+  }
+
+  function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+  }
+
+  function sessionTime() {
+    var seconds = Math.round((new Date() - startedAt) / 1000);
+    if (apiVersion === '2004') return 'PT' + seconds + 'S';
+    return pad(Math.floor(seconds / 3600)) + ':' + pad(Math.floor(seconds / 60) % 60) + ':' + pad(seconds % 60);
+  }
+
+  function finish() {
+    if (!api) return;
+    setValue('cmi.core.session_time', 'cmi.session_time', sessionTime());
+    if (apiVersion === '2004') {
+      api.Commit('');
+      api.Terminate('');
+    } else {
+      api.LMSCommit('');
+      api.LMSFinish('');
+    }
+    api = null;
+  }
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function renderQuestion(item, index) {
+    var fieldset = element('fieldset', 'question');
+    fieldset.appendChild(element('legend', null, (index + 1) + '. ' + item.stem));
+    if (item.choices.length) {
+      var multiple = item.type === 'multiple_response';
+      item.choices.forEach(function (choice) {
+        var label = element('label', 'choice');
+        var input = document.createElement('input');
+        input.type = multiple ? 'checkbox' : 'radio';
+        input.name = 'q' + index;
+        input.value = choice.id;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + choice.text));
+        fieldset.appendChild(label);
+      });
+    } else {
+      var field = document.createElement('input');
+      field.type = 'text';
+      field.name = 'q' + index;
+      field.setAttribute('aria-label', 'Answer to question ' + (index + 1));
+      fieldset.appendChild(field);
+    }
+    fieldset.appendChild(element('p', 'feedback'));
+    return fieldset;
+  }
+
+  function normalize(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  function responseOf(form, item, index) {
+    if (!item.choices.length) {
+      return [form.elements['q' + index].value];
+    }
+    var selected = [];
+    var inputs = form.querySelectorAll('input[name="q' + index + '"]');
+    for (var i = 0; i < inputs.length; i += 1) {
+      if (inputs[i].checked) selected.push(inputs[i].value);
+    }
+    return selected;
+  }
+
+  function isCorrect(item, response) {
+    if (item.type === 'numeric') {
+      return response.length === 1 && item.correct_response.some(function (value) {
+        return Number(response[0]) === Number(value);
+      });
+    }
+    var given = response.map(normalize).sort();
+    var expected = item.correct_response.map(normalize).sort();
+    if (item.type === 'fill_in') {
+      return given.length === 1 && expected.indexOf(given[0]) !== -1;
+    }
+    return given.join(',') === expected.join(',');
+  }
+
+  // SCORM 1.2 and 2004 share the interaction model, with different names
+  var INTERACTION_TYPES = {
+    choice: 'choice',
+    multiple_response: 'choice',
+    true_false: 'true-false',
+    numeric: 'numeric',
+    fill_in: 'fill-in'
+  };
+
+  function recordInteraction(item, index, response, correct) {
+    var prefix = 'cmi.interactions.' + index + '.';
+    var separator = apiVersion === '2004' ? '[,]' : ',';
+    // SCORM 1.2 writes true/false answers as t and f
+    var format = function (values) {
+      return values.map(function (value) {
+        return apiVersion !== '2004' && item.type === 'true_false' ? String(value).charAt(0) : value;
+      }).join(separator);
+    };
+    setValue(prefix + 'id', prefix + 'id', item.id.replace(/[^A-Za-z0-9_.:-]/g, '_'));
+    setValue(prefix + 'type', prefix + 'type', INTERACTION_TYPES[item.type]);
+    setValue(prefix + 'correct_responses.0.pattern', prefix + 'correct_responses.0.pattern', format(item.correct_response));
+    setValue(prefix + 'student_response', prefix + 'learner_response', format(response));
+    setValue(prefix + 'result', prefix + 'result', correct ? 'correct' : (apiVersion === '2004' ? 'incorrect' : 'wrong'));
+    if (item.objective_id) {
+      setValue(prefix + 'objectives.0.id', prefix + 'objectives.0.id', item.objective_id);
+    }
+  }
+
+  function submit(form, event) {
+    event.preventDefault();
+    var score = 0;
+    quiz.items.forEach(function (item, index) {
+      var response = responseOf(form, item, index);
+      var correct = isCorrect(item, response);
+      if (correct) score += 1;
+      recordInteraction(item, index, response, correct);
+
+      var feedback = form.querySelectorAll('.feedback')[index];
+      feedback.className = 'feedback ' + (correct ? 'correct' : 'incorrect');
+      var answer = item.choices.length
+        ? item.choices.filter(function (choice) {
+          return item.correct_response.indexOf(choice.id) !== -1;
+        }).map(function (choice) { return choice.text; }).join(', ')
+        : item.correct_response.join(' / ');
+      feedback.textContent = (correct ? 'Correct. ' : 'Incorrect, the answer is: ' + answer + '. ') + (item.explanation || '');
+    });
+
+    var total = quiz.items.length;
+    var percent = total ? Math.round((score / total) * 100) : 0;
+    var passed = percent >= quiz.mastery_score;
+    setValue('cmi.core.score.raw', 'cmi.score.raw', percent);
+    setValue('cmi.core.score.min', 'cmi.score.min', 0);
+    setValue('cmi.core.score.max', 'cmi.score.max', 100);
+    setValue(null, 'cmi.score.scaled', (percent / 100).toFixed(2));
+    setValue('cmi.core.lesson_status', 'cmi.success_status', passed ? 'passed' : 'failed');
+    setValue(null, 'cmi.completion_status', 'completed');
+
+    var result = document.getElementById('result');
+    result.textContent = 'You scored ' + score + ' of ' + total + ' (' + percent + '%). ' + (passed ? 'Passed.' : 'Not passed, ' + quiz.mastery_score + '% is needed.');
+    form.querySelector('button[type="submit"]').disabled = true;
+    finish();
+  }
+
+  function renderFlashcards(container) {
+    if (!quiz.flashcards.length) return;
+    var section = element('section', 'flashcards');
+    section.appendChild(element('h2', null, 'Flashcards'));
+    quiz.flashcards.forEach(function (card) {
+      var details = element('details', 'flashcard');
+      details.appendChild(element('summary', null, card.front));
+      details.appendChild(element('p', null, card.back));
+      section.appendChild(details);
+    });
+    container.appendChild(section);
+  }
+
+  window.onload = function () {
+    initialize();
+    var container = document.getElementById('quiz');
+    var form = element('form');
+    quiz.items.forEach(function (item, index) {
+      form.appendChild(renderQuestion(item, index));
+    });
+    var button = element('button', null, 'Submit answers');
+    button.type = 'submit';
+    form.appendChild(button);
+    form.onsubmit = function (event) { submit(form, event); };
+    container.appendChild(form);
+    renderFlashcards(container);
+  };
+
+  window.onbeforeunload = finish;
+}());
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAiProvider, describeAiProvider, generateStructured } from '../lib/ai/index.js';
+import { generateMetadata, METADATA_SCHEMA } from '../lib/ai/metadata.js';
+import { summarizeSco, summarizeCourse } from '../lib/ai/summarization.js';
+
+// --- AI Pipeline Checks ---
+// Schema checking of provider answers, and the metadata and summarization
+// pipeline run against the offline mock provider (AI_PROVIDER=mock).
+
+const LESSON = 'Photosynthesis converts light energy into chemical energy. Plants capture light with chlorophyll in their leaves. '
+  + 'The chlorophyll absorbs light and the leaves release oxygen. Glucose made by photosynthesis feeds the plant.';
+
+// A provider that answers every task with the given response
+const fixedProvider = (response) => ({ name: 'fixed', model: 'fixed-1', generateJson: async () => response });
+
+test('the provider is chosen by AI_PROVIDER', () => {
+  assert.equal(getAiProvider({ AI_PROVIDER: 'mock' }).name, 'mock');
+  assert.equal(getAiProvider({ AI_PROVIDER: 'MOCK' }).name, 'mock');
+  assert.equal(getAiProvider({}), null);
+  assert.equal(getAiProvider({ AI_PROVIDER: 'unknown' }), null);
+  assert.equal(describeAiProvider(null), 'none');
+  assert.equal(describeAiProvider(getAiProvider({ AI_PROVIDER: 'mock' })), 'mock (mock-deterministic)');
+});
+
+test('a response of the wrong shape is a schema_mismatch listing every problem', async () => {
+  const response = { title: '', summary: 'A summary.', keywords: 'photosynthesis', learning_objectives: [] };
+  const result = await generateStructured(fixedProvider(response), { task: 'metadata', prompt: 'prompt', text: LESSON, schema: METADATA_SCHEMA });
+  assert.equal(result.error_type, 'schema_mismatch');
+  assert.deepEqual(result.details, response);
+  const paths = result.schema_errors.map(problem => problem.path).sort();
+  assert.deepEqual(paths, ['$.keywords', '$.language', '$.learning_objectives', '$.title']);
+  result.schema_errors.forEach(problem => assert.ok(problem.message));
+});
+
+test('provider errors are passed on unchanged', async () => {
+  const failure = { error: 'AI provider rate limit exceeded', error_type: 'rate_limited', status_code: 429 };
+  assert.deepEqual(await generateMetadata(fixedProvider(failure), LESSON), failure);
+});
+
+test('the mock provider gives metadata that matches the schema, the same every time', async () => {
+  const provider = getAiProvider({ AI_PROVIDER: 'mock' });
+  const metadata = await generateMetadata(provider, LESSON);
+  assert.equal(metadata.error, undefined);
+  assert.equal(metadata.title, 'Photosynthesis Converts Light Energy Into Chemical Energy');
+  assert.equal(metadata.language, 'English');
+  assert.ok(metadata.keywords.includes('photosynthesis'));
+  assert.ok(metadata.learning_objectives.length >= 1);
+  assert.deepEqual(await generateMetadata(provider, LESSON), metadata);
+
+  assert.equal((await generateMetadata(provider, 'La fotosíntesis es el proceso de las plantas y de la luz que es la energía.')).language, 'Spanish');
+  assert.equal((await generateMetadata(provider, '   ')).error_type, 'empty_input');
+});
+
+test('a short SCO is summarized in one call with objectives traced to its page', async () => {
+  const provider = getAiProvider({ AI_PROVIDER: 'mock' });
+  const summary = await summarizeSco(provider, [{ file: 'lesson1.html', text: LESSON }]);
+  assert.equal(summary.error, undefined);
+  assert.equal(summary.chunks.length, 1);
+  assert.equal(summary.skipped_chunks, 0);
+  assert.equal(summary.objective_sources.length, summary.learning_objectives.length);
+  summary.objective_sources.forEach(({ sources }) => assert.equal(sources[0].file, 'lesson1.html'));
+
+  assert.equal((await summarizeSco(provider, [])).error_type, 'empty_input');
+});
+
+test('a long SCO is summarized per chunk and merged, and SCOs roll up into a course', async () => {
+  const provider = getAiProvider({ AI_PROVIDER: 'mock' });
+  // Well over one chunk of the default budget
+  const pages = Array.from({ length: 4 }, (_, index) => ({
+    file: `page${index + 1}.html`,
+    text: Array.from({ length: 60 }, (__, line) => `Section ${index + 1} line ${line} explains respiration and energy transfer in cells.`).join('\n')
+  }));
+  const module = await summarizeSco(provider, pages);
+  assert.equal(module.error, undefined);
+  assert.ok(module.chunks.length > 1);
+  assert.ok(module.learning_objectives.length >= 1);
+  const files = new Set(module.objective_sources.flatMap(({ sources }) => sources.map(source => source.file)));
+  assert.ok(files.size > 1, 'merged objectives point at more than one page');
+
+  const lesson = await summarizeSco(provider, [{ file: 'lesson1.html', text: LESSON }]);
+  const course = await summarizeCourse(provider, [
+    { sco_id: 'sco-1', title: 'Photosynthesis', metadata: lesson },
+    { sco_id: 'sco-2', title: 'Respiration', metadata: module },
+    { sco_id: 'sco-3', title: 'Failed', metadata: { error: 'AI provider request failed', error_type: 'request_failed' } }
+  ]);
+  assert.equal(course.error, undefined);
+  assert.equal(course.sco_count, 2);
+  const scoIds = new Set(course.objective_sources.flatMap(({ sources }) => sources.map(source => source.sco_id)));
+  assert.deepEqual([...scoIds].sort(), ['sco-1', 'sco-2']);
+  assert.ok(course.keywords.includes('photosynthesis'));
+
+  assert.equal((await summarizeCourse(provider, [])).error_type, 'empty_input');
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+// --- Attempt Resume Checks ---
+// Suspends and relaunches SCOs of SCORM 2004 and 1.2 attempts: the SCO is
+// told to resume, gets its suspend_data and location back and the session
+// times add up in total_time.
+
+let tempDir;
+let store;
+
+const COURSE_2004 = { id: 'course-2004', manifest: { scorm_version: '2004' } };
+const COURSE_12 = { id: 'course-12', manifest: { scorm_version: '1.2' } };
+const ITEM = { identifier: 'sco-1', title: 'Lesson 1' };
+const LEARNER = { learnerId: 'learner-1', learnerName: 'Learner One' };
+
+before(async () => {
+  // The stores pick their folder when first imported
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'synapticx-attempts-'));
+  process.env.SYNAPTICX_DATA_DIR = tempDir;
+  store = await import('../lib/attemptStore.js');
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Launches the SCO, commits the values and finishes the session the way
+// the runtime does on Terminate
+async function runSession(attempt, cmi) {
+  const launched = await store.launchSco(attempt, ITEM);
+  await store.commitScoCmi(attempt, ITEM, cmi, { finish: true });
+  return launched;
+}
+
+test('the first launch of a SCO starts ab-initio', async () => {
+  const attempt = await store.createAttempt(COURSE_2004, LEARNER);
+  const launched = await store.launchSco(attempt, ITEM);
+  assert.equal(launched.cmi['cmi.entry'], 'ab-initio');
+  assert.equal(launched.cmi['cmi.total_time'], 'PT0H0M0S');
+  assert.equal(launched.launch_count, 1);
+});
+
+test('a suspended SCO resumes with its suspend_data and location and total_time adds up', async () => {
+  const attempt = await store.createAttempt(COURSE_2004, LEARNER);
+  await runSession(attempt, {
+    'cmi.exit': 'suspend',
+    'cmi.suspend_data': 'page=3;answers=a,c',
+    'cmi.location': 'page-3',
+    'cmi.session_time': 'PT1M30S',
+    'cmi.entry': 'tampered'
+  });
+  assert.equal(attempt.status, 'suspended');
+
+  // As the player does: the learner's latest unfinished attempt is resumed
+  const reloaded = await store.findResumableAttempt(COURSE_2004.id, LEARNER.learnerId);
+  assert.equal(reloaded.id, attempt.id);
+  const resumed = await store.launchSco(reloaded, ITEM);
+  assert.equal(resumed.cmi['cmi.entry'], 'resume');
+  assert.equal(resumed.cmi['cmi.suspend_data'], 'page=3;answers=a,c');
+  assert.equal(resumed.cmi['cmi.location'], 'page-3');
+  assert.equal(resumed.cmi['cmi.total_time'], 'PT0H1M30S');
+  // Write-only values of the last session are gone
+  assert.equal(resumed.cmi['cmi.exit'], undefined);
+  assert.equal(resumed.cmi['cmi.session_time'], undefined);
+  assert.equal(reloaded.status, 'active');
+
+  await store.commitScoCmi(reloaded, ITEM, { 'cmi.exit': 'suspend', 'cmi.session_time': 'PT1H0M45.5S' }, { finish: true });
+  const third = await store.launchSco(await store.getAttempt(attempt.id), ITEM);
+  assert.equal(third.cmi['cmi.entry'], 'resume');
+  assert.equal(third.cmi['cmi.total_time'], 'PT1H2M15.5S');
+  assert.equal(third.launch_count, 3);
+});
+
+test('a SCO that exits normally is relaunched without resume', async () => {
+  const attempt = await store.createAttempt(COURSE_2004, { learnerId: 'learner-2' });
+  await runSession(attempt, { 'cmi.exit': 'normal', 'cmi.completion_status': 'completed', 'cmi.session_time': 'PT10S' });
+  assert.equal(attempt.status, 'active');
+  const relaunched = await store.launchSco(attempt, ITEM);
+  assert.equal(relaunched.cmi['cmi.entry'], '');
+  assert.equal(relaunched.cmi['cmi.total_time'], 'PT0H0M10S');
+});
+
+test('SCORM 1.2 attempts resume through the cmi.core elements', async () => {
+  const attempt = await store.createAttempt(COURSE_12, { learnerId: 'learner-3' });
+  const first = await runSession(attempt, {
+    'cmi.core.exit': 'suspend',
+    'cmi.suspend_data': 'slide=7',
+    'cmi.core.lesson_location': 'slide-7',
+    'cmi.core.session_time': '0000:05:20.25'
+  });
+  assert.equal(first.cmi['cmi.core.entry'], 'ab-initio');
+
+  const resumed = await store.launchSco(attempt, ITEM);
+  assert.equal(resumed.cmi['cmi.core.entry'], 'resume');
+  assert.equal(resumed.cmi['cmi.suspend_data'], 'slide=7');
+  assert.equal(resumed.cmi['cmi.core.lesson_location'], 'slide-7');
+  assert.equal(resumed.cmi['cmi.core.total_time'], '0000:05:20.25');
+  assert.equal(resumed.cmi['cmi.core.session_time'], undefined);
+
+  await store.commitScoCmi(attempt, ITEM, { 'cmi.core.exit': '', 'cmi.core.session_time': '0001:00:00' }, { finish: true });
+  assert.equal(attempt.scos[ITEM.identifier].cmi['cmi.core.total_time'], '0001:05:20.25');
+});
+
+test('completed attempts are not offered for resuming', async () => {
+  const attempt = await store.createAttempt(COURSE_2004, { learnerId: 'learner-4' });
+  await store.saveAttempt({ ...attempt, status: 'completed' });
+  assert.equal(await store.findResumableAttempt(COURSE_2004.id, 'learner-4'), null);
+});
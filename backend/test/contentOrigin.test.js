@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startServer } from './helpers/testServer.js';
+
+// --- Content Origin Checks ---
+// The development defaults of CONTENT_ORIGIN only work on a developer's
+// machine, so production needs it set.
+
+// fetch doesn't let a request set its Host header; resolves with the status
+const statusFor = (url, host) => new Promise((resolve, reject) => {
+  http.get(url, { headers: host ? { Host: host } : {} }, response => {
+    response.resume();
+    resolve(response.statusCode);
+  }).on('error', reject);
+});
+
+test('in production the server does not start without CONTENT_ORIGIN', async () => {
+  await assert.rejects(startServer({ NODE_ENV: 'production' }), /CONTENT_ORIGIN must be set in production/);
+});
+
+test('in production package content is served from CONTENT_ORIGIN', async () => {
+  const server = await startServer({ NODE_ENV: 'production', CONTENT_ORIGIN: 'https://content.example.com/' });
+  try {
+    // Only requests for the content host reach the package files
+    assert.equal(await statusFor(`${server.url}/content/not-a-token/index.html`, 'content.example.com'), 403);
+    assert.equal(await statusFor(`${server.url}/content/not-a-token/index.html`), 404);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,105 @@
+import path from 'path';
+import fs from 'fs';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+// --- Safe Extraction Fixtures ---
+// Writes the archives used by backend/test/safeExtract.test.js. ZIP
+// libraries clean up entry names and attributes when they add files, so
+// the archives are assembled byte by byte here to keep the hostile parts.
+// Run with `node backend/test/fixtures/safe-extract/generate.js` after
+// changing a fixture; the generated .zip files are committed.
+
+const FIXTURE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const S_IFREG = 0o100644;
+const S_IFLNK = 0o120777;
+// "Made by" Unix, so readers take the upper attribute bits as a file mode
+const VERSION_MADE_BY = (3 << 8) | 20;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// entries: [{ name, data, mode?, declaredSize? }]; declaredSize lets an
+// entry lie about how large it inflates
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data, mode = S_IFREG, declaredSize }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data, { level: 9 });
+    const crc = crc32(data);
+    const size = declaredSize ?? data.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION_MADE_BY, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const centralSize = centrals.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+const text = (value) => Buffer.from(value, 'utf8');
+const manifest = { name: 'imsmanifest.xml', data: text('<?xml version="1.0"?>\n<manifest identifier="fixture"/>\n') };
+
+// The smallest valid ELF header, renamed to an image
+const elfHeader = Buffer.alloc(64);
+elfHeader.set([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]);
+
+const FIXTURES = {
+  'clean.zip': [manifest, { name: 'content/index.html', data: text('<!doctype html><title>Fixture</title>\n') }],
+  'zip-slip.zip': [manifest, { name: '../../zip-slip.txt', data: text('escaped\n') }],
+  'absolute-path.zip': [manifest, { name: '/tmp/synapticx-absolute-path.txt', data: text('escaped\n') }],
+  'symlink.zip': [manifest, { name: 'content/passwd', data: text('/etc/passwd'), mode: S_IFLNK }],
+  // 4 MB of zeros deflate to about 4 KB
+  'compression-ratio.zip': [manifest, { name: 'content/zeros.bin', data: Buffer.alloc(4 * 1024 * 1024) }],
+  // Declares 16 bytes but inflates to 1 MB, so only the inflation cap stops it
+  'size-mismatch.zip': [manifest, { name: 'content/bomb.txt', data: Buffer.alloc(1024 * 1024, 0x61), declaredSize: 16 }],
+  'blocked-file-type.zip': [manifest, { name: 'content/shell.php', data: text('<?php system($_GET["c"]);\n') }],
+  'disguised-executable.zip': [manifest, { name: 'content/logo.png', data: elfHeader }]
+};
+
+Object.entries(FIXTURES).forEach(([fileName, entries]) => {
+  fs.writeFileSync(path.join(FIXTURE_DIR, fileName), buildZip(entries));
+  console.log(`generate: Wrote ${fileName}`);
+});
@@ -0,0 +1,143 @@
+// --- Test Browser ---
+// Just enough of a browser for the cookie flows: a cookie jar that applies
+// SameSite and Secure the way browsers do, Origin and Sec-Fetch-Site
+// headers, redirects and auto-posting forms.
+//
+// top is the origin of the top-level page. Set it to another site's origin
+// to act like the tool running in a platform's iframe: every request is then
+// cross-site, so only SameSite=None cookies are stored and sent.
+// tlsProxy pretends a TLS-terminating proxy sits in front of the server:
+// the server's URLs count as https (https:// URLs are requested over plain
+// HTTP) and requests carry X-Forwarded-Proto: https.
+// cookies shares the jar of another browser, e.g. to visit a second site
+// in the same browser.
+
+const MAX_REDIRECTS = 10;
+
+// Registrable site, close enough for test hosts
+const siteOf = (url) => {
+  const { hostname } = new URL(url);
+  return /^[\d.]+$/.test(hostname) ? hostname : hostname.split('.').slice(-2).join('.');
+};
+
+function parseSetCookie(header) {
+  const [pair, ...attributes] = header.split(';').map(part => part.trim());
+  const index = pair.indexOf('=');
+  const cookie = { name: pair.slice(0, index), value: pair.slice(index + 1), path: '/', sameSite: 'lax', secure: false, expired: false };
+  attributes.forEach(attribute => {
+    const [key, value = ''] = attribute.split('=');
+    switch (key.toLowerCase()) {
+      case 'path': cookie.path = value; break;
+      case 'samesite': cookie.sameSite = value.toLowerCase(); break;
+      case 'secure': cookie.secure = true; break;
+      case 'max-age': cookie.expired = Number(value) <= 0; break;
+      case 'expires': cookie.expired = new Date(value).getTime() <= Date.now(); break;
+    }
+  });
+  return cookie;
+}
+
+export function createBrowser({ top = null, tlsProxy = false, cookies = new Map() } = {}) {
+  // cookies: name -> cookie
+
+  const isCrossSite = (url, initiator) => {
+    if (top && siteOf(top) !== siteOf(url)) return true;
+    return Boolean(initiator) && siteOf(initiator) !== siteOf(url);
+  };
+
+  function store(url, response, crossSite) {
+    const secureContext = tlsProxy || new URL(url).protocol === 'https:';
+    response.headers.getSetCookie().forEach(header => {
+      const cookie = parseSetCookie(header);
+      // Rejected by browsers: None without Secure, Secure over HTTP and, in
+      // a cross-site context, anything but None
+      if (cookie.sameSite === 'none' && !cookie.secure) return;
+      if (cookie.secure && !secureContext) return;
+      if (crossSite && cookie.sameSite !== 'none') return;
+      if (cookie.expired) cookies.delete(cookie.name);
+      else cookies.set(cookie.name, cookie);
+    });
+  }
+
+  function cookieHeader(url, method, crossSite) {
+    const { pathname } = new URL(url);
+    const secureContext = tlsProxy || new URL(url).protocol === 'https:';
+    return [...cookies.values()]
+      .filter(cookie => pathname === cookie.path || pathname.startsWith(cookie.path.replace(/\/?$/, '/')))
+      .filter(cookie => !cookie.secure || secureContext)
+      .filter(cookie => !crossSite || cookie.sameSite === 'none'
+        // Top-level GET navigations still carry Lax cookies
+        || (!top && method === 'GET' && cookie.sameSite === 'lax'))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  // One request, no redirects. initiator is the origin of the page making
+  // it; null for one typed into the address bar.
+  async function send(url, { method = 'GET', headers = {}, body, initiator = null } = {}) {
+    const crossSite = isCrossSite(url, initiator);
+    const target = new URL(url);
+    const requestHeaders = { ...headers };
+    const cookie = cookieHeader(url, method, crossSite);
+    if (cookie) requestHeaders.Cookie = cookie;
+    if (initiator) {
+      const sameOrigin = new URL(initiator).origin === target.origin;
+      requestHeaders['Sec-Fetch-Site'] = sameOrigin ? 'same-origin' : siteOf(initiator) === siteOf(url) ? 'same-site' : 'cross-site';
+      if (method !== 'GET' && method !== 'HEAD') requestHeaders.Origin = new URL(initiator).origin;
+    } else {
+      requestHeaders['Sec-Fetch-Site'] = 'none';
+    }
+    if (tlsProxy) {
+      requestHeaders['X-Forwarded-Proto'] = 'https';
+      target.protocol = 'http:';
+    }
+    const response = await fetch(target, { method, headers: requestHeaders, body, redirect: 'manual' });
+    store(url, response, crossSite);
+    return response;
+  }
+
+  // Follows redirects like a navigation; resolves with the final response
+  // and its URL
+  async function navigate(url, options = {}) {
+    let current = url;
+    let request = options;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const response = await send(current, request);
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) return { response, url: current };
+      const next = new URL(location, current).toString();
+      // 303, and 302 after a POST, continue as a GET
+      const keepMethod = response.status === 307 || response.status === 308;
+      if (!keepMethod) request = { initiator: request.initiator };
+      current = next;
+    }
+    throw new Error(`Too many redirects from ${url}`);
+  }
+
+  // Submits the first form of an HTML page (an auto-posting LTI form) from
+  // the page at pageUrl; returns the navigation result
+  async function submitForm(html, pageUrl, { initiator = new URL(pageUrl).origin } = {}) {
+    const { action, fields } = parseForm(html);
+    return navigate(new URL(action, pageUrl).toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString(),
+      initiator
+    });
+  }
+
+  return { send, navigate, submitForm, cookies };
+}
+
+const unescapeHtml = (value) => value.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code))).replace(/&amp;/g, '&');
+
+// The action and hidden fields of the first form in a page
+export function parseForm(html) {
+  const form = html.match(/<form[^>]*action="([^"]*)"[^>]*>([\s\S]*?)<\/form>/i);
+  if (!form) throw new Error(`No form in the page: ${html.slice(0, 200)}`);
+  const fields = {};
+  for (const input of form[2].matchAll(/<input[^>]*name="([^"]*)"[^>]*value="([^"]*)"/gi)) {
+    fields[unescapeHtml(input[1])] = unescapeHtml(input[2]);
+  }
+  return { action: unescapeHtml(form[1]), fields };
+}
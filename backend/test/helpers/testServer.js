@@ -0,0 +1,120 @@
+import path from 'path';
+import os from 'os';
+import net from 'net';
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// --- Test Server ---
+// Runs backend/server.js in a child process on a free port, with its own
+// data and uploads folders, so route tests go through the real middleware
+// stack without touching the developer's courses.
+
+const SERVER_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 20000;
+
+export const ADMIN = { username: 'admin', password: 'admin-test-password' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Logs in with a password; returns the session token
+export async function login(url, { username, password } = ADMIN) {
+  const response = await fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!response.ok) throw new Error(`Login as ${username} failed with ${response.status}`);
+  return (await response.json()).token;
+}
+
+// Starts the server with the extra environment variables; resolves once the
+// initial admin can log in. Returns { url, adminToken, logs, stop }.
+export async function startServer(env = {}) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'synapticx-server-'));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const output = [];
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      SYNAPTICX_DATA_DIR: path.join(tempDir, 'data'),
+      SYNAPTICX_UPLOADS_DIR: path.join(tempDir, 'uploads'),
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      AI_PROVIDER: 'mock',
+      NODE_ENV: 'test',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await exited;
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  };
+
+  const fail = async (reason) => {
+    await stop();
+    throw new Error(`${reason}:\n${output.join('')}`);
+  };
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  // Listening first: a public route answers
+  while (!(await fetch(`${url}/lti/jwks`).then(response => response.ok, () => false))) {
+    if (child.exitCode !== null) await fail('The server exited during startup');
+    if (Date.now() > deadline) await fail(`The server did not start within ${STARTUP_TIMEOUT_MS}ms`);
+    await pause(200);
+  }
+  // The initial admin is created right after; failed logins are throttled,
+  // so only a few tries
+  for (let tries = 1; ; tries++) {
+    try {
+      const adminToken = await login(url);
+      return { url, adminToken, logs: () => output.join(''), stop };
+    } catch (error) {
+      if (tries === 4) await fail(error.message);
+      await pause(500);
+    }
+  }
+}
+
+// The sample packages in backend/samples
+export const SAMPLES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'samples');
+
+// Uploads a package as the token's user; resolves with the upload response
+export async function uploadPackage(url, token, fileName) {
+  const form = new FormData();
+  form.append('file', new Blob([await fs.readFile(path.join(SAMPLES_DIR, fileName))]), fileName);
+  const response = await fetch(`${url}/api/upload-scorm`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+  const body = await response.json();
+  if (!response.ok) throw new Error(`Upload of ${fileName} failed with ${response.status}: ${JSON.stringify(body)}`);
+  return body;
+}
+
+// The mock LMS registers itself shortly after startup (LTI_MOCK_PLATFORM=1)
+export async function waitForMockPlatform({ url, adminToken }) {
+  for (let tries = 0; tries < 50; tries++) {
+    const response = await fetch(`${url}/api/lti/platforms`, { headers: { Authorization: `Bearer ${adminToken}` } });
+    if (response.ok && (await response.json()).length) return;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('The mock LTI platform was not registered');
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeItems } from '../lib/analytics/itemAnalysis.js';
+
+// --- Item Analysis Checks ---
+
+const interaction = (id, result) => ({ id, result, learner_response: result === 'correct' ? 'a' : 'b' });
+
+test('questions are listed in course order, by interaction id, with removed SCOs last', () => {
+  const course = { scos: [{ identifier: 'sco-1', title: 'One' }, { identifier: 'sco-2', title: 'Two' }] };
+  const evaluated = [{
+    attempt: { id: 'attempt-1' },
+    scos: {
+      'sco-removed-b': { interactions: [interaction('q1', 'correct')] },
+      'sco-2': { interactions: [interaction('q10', 'correct'), interaction('q2', 'incorrect')] },
+      'sco-removed-a': { interactions: [interaction('q1', 'incorrect')] },
+      'sco-1': { interactions: [interaction('q3', 'correct'), interaction('q1', 'correct')] }
+    }
+  }];
+  const order = analyzeItems(course, evaluated).map(item => `${item.sco_id}/${item.interaction_id}`);
+  assert.deepEqual(order, [
+    'sco-1/q1', 'sco-1/q3',
+    'sco-2/q2', 'sco-2/q10',
+    'sco-removed-a/q1', 'sco-removed-b/q1'
+  ]);
+});
@@ -0,0 +1,198 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, uploadPackage, waitForMockPlatform } from './helpers/testServer.js';
+import { createBrowser, parseForm } from './helpers/browser.js';
+
+// --- LTI Launch Checks ---
+// Launches courses through the mock LMS (/lti-mock) the way a browser
+// would, including from inside a platform page on another site, and posts
+// a score back to it through Assignment and Grade Services.
+
+const PLATFORM_ORIGIN = 'https://lms.example';
+
+let server;
+let courseId;
+// The mock registers its endpoints under localhost; launching there too
+// keeps the whole flow on one site over plain HTTP
+let localUrl;
+
+before(async () => {
+  server = await startServer({ LTI_MOCK_PLATFORM: '1', TRUST_PROXY: 'true' });
+  await waitForMockPlatform(server);
+  ({ course_id: courseId } = await uploadPackage(server.url, server.adminToken, 'RuntimeMinimumCalls_SCORM20043rdEdition.zip'));
+  localUrl = server.url.replace('127.0.0.1', 'localhost');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Runs a launch from the mock LMS up to the id_token form post and returns
+// { browser, response, url } of the launch response
+async function launch(browser, query, { initiator = PLATFORM_ORIGIN } = {}) {
+  const auth = await browser.navigate(`${server.url}/lti-mock/launch?${new URLSearchParams(query)}`, { initiator });
+  assert.equal(auth.response.status, 200, await auth.response.clone().text());
+  return browser.submitForm(await auth.response.text(), auth.url, { initiator });
+}
+
+// Runs the OIDC login on localhost up to the mock's id_token form; returns
+// the form's action and fields (id_token, state)
+async function loginForm(browser, user) {
+  const auth = await browser.navigate(`${localUrl}/lti-mock/launch?${new URLSearchParams({ course_id: courseId, user })}`, { initiator: localUrl });
+  assert.equal(auth.response.status, 200, await auth.response.clone().text());
+  assert.ok(browser.cookies.has('synapticx_lti_state'));
+  return parseForm(await auth.response.text());
+}
+
+// Posts the form without following the redirect; resolves with the response
+const postLaunch = (browser, { action, fields }) => browser.send(action, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(fields).toString(),
+  initiator: localUrl
+});
+
+test('a launch from a platform on another site signs the user in inside its frame', async () => {
+  const browser = createBrowser({ top: PLATFORM_ORIGIN, tlsProxy: true });
+  const { url } = await launch(browser, { course_id: courseId, user: 'framed-learner' });
+  assert.match(url, new RegExp(`/courses/${courseId}/play$`));
+
+  const session = browser.cookies.get('synapticx_session');
+  assert.equal(session.sameSite, 'none');
+  assert.equal(session.secure, true);
+  // The state cookie is single use
+  assert.equal(browser.cookies.has('synapticx_lti_state'), false);
+
+  const me = await browser.send(`${server.url}/api/auth/me`, { initiator: server.url });
+  assert.equal(me.status, 200);
+  assert.equal((await me.json()).role, 'learner');
+});
+
+test('without HTTPS the state cookie cannot cross sites and the launch is refused', async () => {
+  const browser = createBrowser({ top: PLATFORM_ORIGIN });
+  const { response } = await launch(browser, { course_id: courseId, user: 'plain-http-learner' });
+  assert.equal(response.status, 401);
+  assert.match((await response.json()).error, /not started from this browser/);
+});
+
+test('the SameSite=None session of a launch cannot be used from another site to change data', async () => {
+  const framed = createBrowser({ top: PLATFORM_ORIGIN, tlsProxy: true });
+  await launch(framed, { course_id: courseId, user: 'framed-instructor', role: 'instructor' });
+  const upload = () => {
+    const form = new FormData();
+    form.append('file', new Blob(['not a zip']), 'package.zip');
+    return form;
+  };
+
+  // A page on another site, in the same browser, posting to the API
+  const attacker = createBrowser({ top: 'https://attacker.example', tlsProxy: true, cookies: framed.cookies });
+  const forged = await attacker.send(`${server.url}/api/validate-scorm`, { method: 'POST', body: upload(), initiator: 'https://attacker.example' });
+  assert.equal(forged.status, 403);
+  const forgedStatement = await attacker.send(`${server.url}/xapi/statements`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' },
+    body: '{}',
+    initiator: 'https://attacker.example'
+  });
+  assert.equal(forgedStatement.status, 403);
+
+  // The tool's own page in the platform's frame may
+  const own = await framed.send(`${server.url}/api/validate-scorm`, { method: 'POST', body: upload(), initiator: server.url });
+  assert.notEqual(own.status, 403);
+  assert.notEqual(own.status, 401);
+});
+
+test('the mock LMS logs a learner in with a signed id_token', async () => {
+  const browser = createBrowser();
+  const form = await loginForm(browser, 'mock-learner-1');
+  assert.equal(form.action, `${localUrl}/lti/launch`);
+  assert.equal(form.fields.id_token.split('.').length, 3);
+
+  const response = await postLaunch(browser, form);
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get('location'), `/courses/${courseId}/play`);
+  const me = await (await browser.send(`${localUrl}/api/auth/me`, { initiator: localUrl })).json();
+  assert.equal(me.role, 'learner');
+  assert.equal(me.display_name, 'Learner mock-learner-1');
+});
+
+test('a state is only accepted once and only in the browser it was issued to', async () => {
+  const browser = createBrowser();
+  const form = await loginForm(browser, 'mock-learner-2');
+
+  const elsewhere = await postLaunch(createBrowser(), form);
+  assert.equal(elsewhere.status, 401);
+  assert.match((await elsewhere.json()).error, /not started from this browser/);
+
+  assert.equal((await postLaunch(browser, form)).status, 303);
+  // Replayed, even with the state cookie put back
+  browser.cookies.set('synapticx_lti_state', { name: 'synapticx_lti_state', value: form.fields.state, path: '/lti', sameSite: 'lax', secure: false });
+  const replay = await postLaunch(browser, form);
+  assert.equal(replay.status, 400);
+  assert.match((await replay.json()).error, /already used state/);
+});
+
+test('an id_token issued for another login request is refused by its nonce', async () => {
+  const browser = createBrowser();
+  const first = await loginForm(browser, 'mock-learner-3');
+  const second = await loginForm(browser, 'mock-learner-3');
+  const response = await postLaunch(browser, { ...second, fields: { ...second.fields, id_token: first.fields.id_token } });
+  assert.equal(response.status, 401);
+  assert.match((await response.json()).error, /nonce does not match/);
+});
+
+test('a launch from a deployment that is not registered is refused', async () => {
+  const headers = { Authorization: `Bearer ${server.adminToken}`, 'Content-Type': 'application/json' };
+  const [platform] = await (await fetch(`${server.url}/api/lti/platforms`, { headers })).json();
+  const setDeployments = (ids) => fetch(`${server.url}/api/lti/platforms/${platform.id}`, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ deployment_ids: ids })
+  });
+  assert.equal((await setDeployments(['another-deployment'])).status, 200);
+  try {
+    const browser = createBrowser();
+    const response = await postLaunch(browser, await loginForm(browser, 'mock-learner-4'));
+    assert.equal(response.status, 401);
+    assert.match((await response.json()).error, /Deployment mock-deployment is not registered/);
+  } finally {
+    assert.equal((await setDeployments(platform.deployment_ids)).status, 200);
+  }
+});
+
+test('finishing the launched course posts the score to the mock LMS', async () => {
+  const browser = createBrowser();
+  await postLaunch(browser, await loginForm(browser, 'mock-learner-5'));
+  const api = async (method, pathName, body) => {
+    const response = await browser.send(`${localUrl}/api${pathName}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      initiator: localUrl
+    });
+    assert.ok(response.ok, `${method} ${pathName}: ${response.status} ${await response.clone().text()}`);
+    return response.json();
+  };
+  const course = await api('GET', `/courses/${courseId}`);
+  const attempt = await api('POST', `/courses/${courseId}/attempts`, {});
+  const scoId = course.scos[0].identifier;
+  await api('POST', `/attempts/${attempt.id}/scos/${scoId}/launch`, {});
+  await api('PUT', `/attempts/${attempt.id}/scos/${scoId}/cmi`, {
+    cmi: { 'cmi.completion_status': 'completed', 'cmi.success_status': 'passed', 'cmi.score.scaled': '0.8' },
+    finish: true
+  });
+
+  // The score is posted by a background job
+  let score;
+  for (let tries = 0; tries < 50 && !score; tries++) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const scores = await (await fetch(`${server.url}/lti-mock/scores`)).json();
+    score = scores.find(entry => entry.userId === 'mock-learner-5');
+  }
+  assert.ok(score, `No score was posted:\n${server.logs()}`);
+  assert.equal(score.scoreGiven, 80);
+  assert.equal(score.scoreMaximum, 100);
+  assert.equal(score.gradingProgress, 'FullyGraded');
+  // The course has more SCOs than the one finished
+  assert.equal(score.activityProgress, 'InProgress');
+});
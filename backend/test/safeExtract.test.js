@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { extractZipSafely } from '../lib/safeExtract.js';
+
+// --- Safe Extraction Checks ---
+// Extracts each fixture archive (see fixtures/safe-extract/generate.js)
+// into <sandbox>/work/extract and checks the rejection codes, and that
+// nothing at all was written anywhere in the sandbox when an archive is
+// rejected. Run with `npm test`.
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'safe-extract');
+
+// Every file below dir, relative to it
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => !entry.isDirectory())
+    .map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)));
+}
+
+async function extractFixture(fileName) {
+  const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'synapticx-extract-'));
+  const extractDir = path.join(sandbox, 'work', 'extract');
+  try {
+    const result = await extractZipSafely(path.join(FIXTURE_DIR, fileName), extractDir);
+    return { result, files: await listFiles(sandbox) };
+  } finally {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  }
+}
+
+test('extracts a clean package', async () => {
+  const { result, files } = await extractFixture('clean.zip');
+  assert.equal(result.error, undefined);
+  assert.equal(result.report.safe, true);
+  assert.deepEqual(files.sort(), [path.join('work', 'extract', 'content', 'index.html'), path.join('work', 'extract', 'imsmanifest.xml')]);
+});
+
+const REJECTIONS = [
+  { fixture: 'zip-slip.zip', code: 'unsafe_path', location: '../../zip-slip.txt' },
+  { fixture: 'absolute-path.zip', code: 'unsafe_path', location: '/tmp/synapticx-absolute-path.txt', outside: '/tmp/synapticx-absolute-path.txt' },
+  { fixture: 'symlink.zip', code: 'symlink', location: 'content/passwd' },
+  { fixture: 'compression-ratio.zip', code: 'compression_ratio', location: 'content/zeros.bin' },
+  { fixture: 'size-mismatch.zip', code: 'size_mismatch', location: 'content/bomb.txt' },
+  { fixture: 'blocked-file-type.zip', code: 'blocked_file_type', location: 'content/shell.php' },
+  { fixture: 'disguised-executable.zip', code: 'blocked_file_type', location: 'content/logo.png' }
+];
+
+REJECTIONS.forEach(({ fixture, code, location, outside }) => {
+  test(`rejects ${fixture} with ${code}`, async () => {
+    const { result, files } = await extractFixture(fixture);
+    assert.ok(result.error, 'the archive should be rejected');
+    assert.equal(result.report.safe, false);
+    assert.ok(
+      result.report.errors.some(issue => issue.code === code && issue.location === location),
+      `expected ${code} at ${location}, got ${JSON.stringify(result.report.errors)}`
+    );
+    assert.deepEqual(files, [], 'no file may be left in or around the extraction folder');
+    if (outside) {
+      await assert.rejects(fs.access(outside), 'the entry must not be written at its absolute path');
+    }
+  });
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { extractZipSafely } from '../lib/safeExtract.js';
+import { parseScormManifest } from '../lib/scormManifest.js';
+import { buildActivityTree, createSequencingState, processNavigationRequest, summarizeActivities } from '../lib/sequencingEngine.js';
+import { SAMPLES_DIR } from './helpers/testServer.js';
+
+// --- Sequencing Engine Checks ---
+// Runs the bundled SequencingSimpleRemediation course: four content SCOs
+// and four quizzes in a wrapper that is retried until every quiz is
+// passed. On each retry, content and quizzes whose objective is already
+// satisfied are skipped.
+
+const CONTENT = ['playing_item', 'etuqiette_item', 'handicapping_item', 'havingfun_item'];
+const QUIZZES = ['test_1', 'test_2', 'test_3', 'test_4'];
+
+let tempDir;
+let tree;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'synapticx-sequencing-'));
+  const extractDir = path.join(tempDir, 'package');
+  const { error } = await extractZipSafely(path.join(SAMPLES_DIR, 'SequencingSimpleRemediation_SCORM20043rdEdition.zip'), extractDir);
+  assert.equal(error, undefined);
+  tree = buildActivityTree(await parseScormManifest(extractDir));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// What a SCO commits: content completes, quizzes also pass or fail
+const runtimeData = (id, results) => (results[id]
+  ? { 'cmi.completion_status': 'completed', 'cmi.success_status': results[id], 'cmi.score.scaled': results[id] === 'passed' ? '0.9' : '0.2' }
+  : { 'cmi.completion_status': 'completed' });
+
+// Continues from the delivered activity until the session ends or the
+// limit is reached. Returns the identifiers delivered along the way and the
+// last result.
+function continueThrough(result, results, limit = 20) {
+  const delivered = [];
+  let current = result;
+  while (current.delivered && delivered.length < limit) {
+    const id = current.delivered.identifier;
+    delivered.push(id);
+    current = processNavigationRequest(tree, current.state, 'continue', { cmiFor: activityId => (activityId === id ? runtimeData(id, results) : null) });
+    assert.equal(current.exception, null, `continue from ${id}`);
+  }
+  return { delivered, result: current };
+}
+
+const start = () => processNavigationRequest(tree, createSequencingState(tree), 'start');
+
+test('start delivers the first content SCO', () => {
+  const result = start();
+  assert.equal(result.exception, null);
+  assert.equal(result.delivered.identifier, 'playing_item');
+  assert.equal(result.delivered.new_attempt, true);
+});
+
+test('passing every quiz the first time ends the session without remediation', () => {
+  const results = Object.fromEntries(QUIZZES.map(id => [id, 'passed']));
+  const { delivered, result } = continueThrough(start(), results);
+  assert.deepEqual(delivered, [...CONTENT, ...QUIZZES]);
+  assert.equal(result.session_ended, true);
+  const summary = Object.fromEntries(summarizeActivities(tree, result.state).map(activity => [activity.identifier, activity]));
+  QUIZZES.forEach(id => assert.equal(summary[id].success_status, 'passed', id));
+});
+
+test('failed quizzes send the learner back through only the content and quizzes still unsatisfied', () => {
+  const results = { test_1: 'passed', test_2: 'failed', test_3: 'passed', test_4: 'failed' };
+  const firstPass = continueThrough(start(), results, CONTENT.length + QUIZZES.length);
+  assert.deepEqual(firstPass.delivered, [...CONTENT, ...QUIZZES]);
+
+  // The wrapper is retried: playing and handicapping were satisfied by
+  // their quizzes and are skipped, as are those quizzes
+  assert.equal(firstPass.result.session_ended, false);
+  assert.equal(firstPass.result.delivered.identifier, 'etuqiette_item');
+  const remediation = continueThrough(firstPass.result, { test_2: 'passed', test_4: 'passed' });
+  assert.deepEqual(remediation.delivered, ['etuqiette_item', 'havingfun_item', 'test_2', 'test_4']);
+  assert.equal(remediation.result.session_ended, true);
+});
+
+test('remediation repeats until the remaining quiz is passed', () => {
+  const results = { test_1: 'passed', test_2: 'passed', test_3: 'passed', test_4: 'failed' };
+  const firstPass = continueThrough(start(), results, CONTENT.length + QUIZZES.length);
+  const secondPass = continueThrough(firstPass.result, { test_4: 'failed' }, 2);
+  assert.deepEqual(secondPass.delivered, ['havingfun_item', 'test_4']);
+  assert.equal(secondPass.result.delivered.identifier, 'havingfun_item');
+  const thirdPass = continueThrough(secondPass.result, { test_4: 'passed' });
+  assert.deepEqual(thirdPass.delivered, ['havingfun_item', 'test_4']);
+  assert.equal(thirdPass.result.session_ended, true);
+});
+
+test('choice is not allowed in the flow-only course', () => {
+  const result = processNavigationRequest(tree, start().state, 'choice', { target: 'test_1' });
+  assert.notEqual(result.exception, null);
+  assert.equal(result.delivered, null);
+});
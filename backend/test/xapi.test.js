@@ -0,0 +1,199 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, login } from './helpers/testServer.js';
+
+// --- xAPI Statement Checks ---
+// Stores and reads statements through /xapi/statements as an author and as
+// learners, who only see and write their own.
+
+const VOIDED = 'http://adlnet.gov/expapi/verbs/voided';
+const VERBS = {
+  experienced: 'http://adlnet.gov/expapi/verbs/experienced',
+  completed: 'http://adlnet.gov/expapi/verbs/completed'
+};
+const ACTIVITY = 'http://synapticx.test/activities/lesson-1';
+
+let server;
+let author;
+let learner;
+let otherLearner;
+
+// Creates a user as the admin and logs in; returns { token, agent }
+async function createUser(username, role) {
+  const password = `${username}-password`;
+  const response = await fetch(`${server.url}/api/users`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${server.adminToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password, role, display_name: username })
+  });
+  assert.equal(response.status, 201, await response.clone().text());
+  const user = await response.json();
+  return {
+    token: await login(server.url, { username, password }),
+    agent: { objectType: 'Agent', name: username, account: { homePage: 'http://localhost', name: user.id } }
+  };
+}
+
+before(async () => {
+  server = await startServer();
+  author = await createUser('xapi-author', 'author');
+  learner = await createUser('xapi-learner', 'learner');
+  otherLearner = await createUser('xapi-other', 'learner');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function xapi(user, { method = 'GET', query = {}, body } = {}) {
+  const headers = { Authorization: `Bearer ${user.token}`, 'X-Experience-API-Version': '1.0.3' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return fetch(`${server.url}/xapi/statements?${new URLSearchParams(query)}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+const statement = (user, verb, activity = ACTIVITY, extra = {}) => ({
+  actor: user.agent,
+  verb: { id: VERBS[verb], display: { 'en-US': verb } },
+  object: { objectType: 'Activity', id: activity },
+  ...extra
+});
+
+async function query(user, filters) {
+  const response = await xapi(user, { query: filters });
+  assert.equal(response.status, 200, await response.clone().text());
+  return response.json();
+}
+
+test('requests without the version header are refused', async () => {
+  const response = await fetch(`${server.url}/xapi/statements`, { headers: { Authorization: `Bearer ${learner.token}` } });
+  assert.equal(response.status, 400);
+});
+
+test('POST stores a batch and answers with the ids in order, PUT stores under statementId', async () => {
+  const posted = await xapi(learner, { method: 'POST', body: [statement(learner, 'experienced'), statement(learner, 'completed')] });
+  assert.equal(posted.status, 200, await posted.clone().text());
+  const ids = await posted.json();
+  assert.equal(ids.length, 2);
+
+  const stored = await (await xapi(learner, { query: { statementId: ids[1] } })).json();
+  assert.equal(stored.verb.id, VERBS.completed);
+  assert.ok(stored.stored);
+  assert.ok(stored.authority);
+
+  const id = crypto.randomUUID();
+  const put = await xapi(learner, { method: 'PUT', query: { statementId: id }, body: statement(learner, 'experienced') });
+  assert.equal(put.status, 204);
+  assert.equal((await (await xapi(learner, { query: { statementId: id } })).json()).id, id);
+
+  const missingId = await xapi(learner, { method: 'PUT', body: statement(learner, 'experienced') });
+  assert.equal(missingId.status, 400);
+  const mismatch = await xapi(learner, { method: 'PUT', query: { statementId: crypto.randomUUID() }, body: { ...statement(learner, 'experienced'), id } });
+  assert.equal(mismatch.status, 400);
+});
+
+test('an id that is stored again must carry the same statement', async () => {
+  const id = crypto.randomUUID();
+  const body = statement(learner, 'completed', ACTIVITY, { id, timestamp: '2026-01-01T00:00:00.000Z' });
+  assert.equal((await xapi(learner, { method: 'POST', body })).status, 200);
+  // The same statement again is accepted and not duplicated
+  assert.deepEqual(await (await xapi(learner, { method: 'POST', body })).json(), [id]);
+
+  const conflict = await xapi(learner, { method: 'POST', body: { ...body, verb: { id: VERBS.experienced } } });
+  assert.equal(conflict.status, 409);
+  const conflictingPut = await xapi(learner, { method: 'PUT', query: { statementId: id }, body: statement(learner, 'experienced') });
+  assert.equal(conflictingPut.status, 409);
+});
+
+test('GET filters by verb, activity, agent, registration and stored time and pages with more', async () => {
+  const activity = 'http://synapticx.test/activities/filters';
+  const registration = crypto.randomUUID();
+  const since = new Date().toISOString();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const ids = await (await xapi(author, {
+    method: 'POST',
+    body: [
+      statement(learner, 'experienced', activity),
+      statement(learner, 'completed', activity, { context: { registration } }),
+      statement(otherLearner, 'completed', activity),
+      statement(learner, 'completed', 'http://synapticx.test/activities/other', {
+        context: { contextActivities: { parent: [{ id: activity }] } }
+      })
+    ]
+  })).json();
+
+  const byVerb = await query(author, { activity, verb: VERBS.completed });
+  assert.deepEqual(byVerb.statements.map(s => s.id), [ids[2], ids[1]]);
+
+  const byAgent = await query(author, { activity, agent: JSON.stringify(otherLearner.agent) });
+  assert.deepEqual(byAgent.statements.map(s => s.id), [ids[2]]);
+
+  const related = await query(author, { activity, related_activities: 'true', ascending: 'true' });
+  assert.deepEqual(related.statements.map(s => s.id), ids);
+
+  const byRegistration = await query(author, { registration });
+  assert.deepEqual(byRegistration.statements.map(s => s.id), [ids[1]]);
+
+  assert.equal((await query(author, { activity, since })).statements.length, 3);
+  assert.equal((await query(author, { activity, until: since })).statements.length, 0);
+
+  const firstPage = await query(author, { activity, related_activities: 'true', limit: '3' });
+  assert.equal(firstPage.statements.length, 3);
+  assert.ok(firstPage.more);
+  const nextPage = await (await fetch(`${server.url}${firstPage.more}`, {
+    headers: { Authorization: `Bearer ${author.token}`, 'X-Experience-API-Version': '1.0.3' }
+  })).json();
+  assert.deepEqual(nextPage.statements.map(s => s.id), [ids[0]]);
+  assert.equal(nextPage.more, '');
+
+  const idsFormat = await query(author, { activity, verb: VERBS.experienced, format: 'ids' });
+  assert.deepEqual(idsFormat.statements[0].verb, { id: VERBS.experienced });
+
+  assert.equal((await xapi(author, { query: { agent: 'not json' } })).status, 400);
+  assert.equal((await xapi(author, { query: { since: 'yesterday' } })).status, 400);
+  assert.equal((await xapi(author, { query: { statementId: ids[0], verb: VERBS.completed } })).status, 400);
+});
+
+test('a voided statement is only found through voidedStatementId', async () => {
+  const [target] = await (await xapi(learner, { method: 'POST', body: statement(learner, 'experienced') })).json();
+  const voiding = await xapi(learner, {
+    method: 'POST',
+    body: { actor: learner.agent, verb: { id: VOIDED }, object: { objectType: 'StatementRef', id: target } }
+  });
+  assert.equal(voiding.status, 200);
+  const [voidingId] = await voiding.json();
+
+  assert.equal((await xapi(learner, { query: { statementId: target } })).status, 404);
+  const voided = await xapi(learner, { query: { voidedStatementId: target } });
+  assert.equal(voided.status, 200);
+  assert.equal((await voided.json()).id, target);
+
+  const listed = (await query(learner, { verb: VERBS.experienced })).statements.map(s => s.id);
+  assert.equal(listed.includes(target), false);
+  assert.ok((await query(learner, { verb: VOIDED })).statements.some(s => s.id === voidingId));
+});
+
+test('learners only write and read their own statements', async () => {
+  const forged = await xapi(learner, { method: 'POST', body: statement(otherLearner, 'completed') });
+  assert.equal(forged.status, 403);
+
+  const [othersId] = await (await xapi(otherLearner, { method: 'POST', body: statement(otherLearner, 'completed') })).json();
+  assert.equal((await xapi(learner, { query: { statementId: othersId } })).status, 404);
+  assert.equal((await xapi(author, { query: { statementId: othersId } })).status, 200);
+
+  const own = await query(learner, {});
+  assert.ok(own.statements.length > 0);
+  own.statements.forEach(s => assert.equal(s.actor.account.name, learner.agent.account.name));
+
+  // Voiding another learner's statement stores the voiding statement but
+  // leaves the target alone
+  await xapi(learner, {
+    method: 'POST',
+    body: { actor: learner.agent, verb: { id: VOIDED }, object: { objectType: 'StatementRef', id: othersId } }
+  });
+  assert.equal((await xapi(otherLearner, { query: { statementId: othersId } })).status, 200);
+});
@@ -1,19 +1,37 @@
 import { Routes, Route } from 'react-router-dom';
 import Layout from './components/layout/Layout';
-import HomePage from './pages/HomePage';
-import TodosPage from './pages/TodosPage';
 import AboutPage from './pages/AboutPage';
 import NotFoundPage from './pages/NotFoundPage';
 import ScormUploadTest from './pages/ScormUploadTest';
+import PlayerPage from './pages/PlayerPage';
+import SearchPage from './pages/SearchPage';
+import CatalogPage from './pages/CatalogPage';
+import CourseDetailPage from './pages/CourseDetailPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import CourseAnalyticsPage from './pages/CourseAnalyticsPage';
+import LoginPage from './pages/LoginPage';
+import DeepLinkPage from './pages/DeepLinkPage';
+import RequireAuth from './components/auth/RequireAuth';
 
 function App() {
   return (
     <Routes>
       <Route path="/" element={<Layout />}>
-        <Route index element={<HomePage />} />
-        <Route path="todos" element={<TodosPage />} />
         <Route path="about" element={<AboutPage />} />
-        <Route path="scorm-test" element={<ScormUploadTest />} />
+        <Route path="login" element={<LoginPage />} />
+        <Route element={<RequireAuth />}>
+          <Route index element={<CatalogPage />} />
+          <Route path="courses" element={<CatalogPage />} />
+          <Route path="courses/:courseId" element={<CourseDetailPage />} />
+          <Route path="courses/:courseId/play" element={<PlayerPage />} />
+          <Route path="search" element={<SearchPage />} />
+        </Route>
+        <Route element={<RequireAuth role="author" />}>
+          <Route path="scorm-test" element={<ScormUploadTest />} />
+          <Route path="analytics" element={<AnalyticsPage />} />
+          <Route path="analytics/:courseId" element={<CourseAnalyticsPage />} />
+          <Route path="deep-link/:sessionId" element={<DeepLinkPage />} />
+        </Route>
         <Route path="*" element={<NotFoundPage />} />
       </Route>
     </Routes>
@@ -0,0 +1,59 @@
+import React from 'react';
+import { FileText, Folder } from 'lucide-react';
+import { DropOffPoint } from '../../types/analytics';
+import { formatPercent } from './format';
+
+interface DropOffTreeProps {
+  points: DropOffPoint[];
+}
+
+// The activity tree with how far attempts got: the bar shows the share of
+// attempts that reached an activity, the red figure how many stopped there
+const DropOffTree: React.FC<DropOffTreeProps> = ({ points }) => {
+  const worst = Math.max(0, ...points.filter((point) => point.is_leaf).map((point) => point.dropped_count));
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500 border-b">
+          <th className="py-2 font-medium">Activity</th>
+          <th className="py-2 font-medium w-1/3">Reached</th>
+          <th className="py-2 font-medium text-right">Completed</th>
+          <th className="py-2 font-medium text-right">Stopped here</th>
+        </tr>
+      </thead>
+      <tbody>
+        {points.map((point) => (
+          <tr key={point.identifier} className="border-b border-gray-100">
+            <td className="py-2">
+              <div className="flex items-center" style={{ paddingLeft: `${point.depth * 1.25}rem` }}>
+                {point.is_leaf ? (
+                  <FileText className="h-4 w-4 text-blue-500 mr-2 flex-shrink-0" />
+                ) : (
+                  <Folder className="h-4 w-4 text-amber-500 mr-2 flex-shrink-0" />
+                )}
+                <span className={point.is_leaf ? '' : 'font-medium'}>{point.title}</span>
+              </div>
+            </td>
+            <td className="py-2">
+              <div className="flex items-center">
+                <div className="flex-1 bg-gray-100 rounded h-2 mr-2">
+                  <div className="bg-blue-500 h-2 rounded" style={{ width: `${(point.reached_rate || 0) * 100}%` }} />
+                </div>
+                <span className="text-xs text-gray-600 w-16 text-right">
+                  {point.reached_count} ({formatPercent(point.reached_rate)})
+                </span>
+              </div>
+            </td>
+            <td className="py-2 text-right">{point.completed_count}</td>
+            <td className={`py-2 text-right ${point.is_leaf && worst > 0 && point.dropped_count === worst ? 'text-red-600 font-semibold' : ''}`}>
+              {point.dropped_count > 0 ? `${point.dropped_count} (${formatPercent(point.drop_off_rate)})` : '–'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default DropOffTree;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { ItemAnalysis, ItemFlag } from '../../types/analytics';
+import { formatPercent } from './format';
+
+interface ItemAnalysisTableProps {
+  items: ItemAnalysis[];
+}
+
+const FLAG_LABELS: Record<ItemFlag, string> = {
+  too_easy: 'Too easy',
+  too_hard: 'Too hard',
+  low_discrimination: 'Low discrimination',
+  negative_discrimination: 'Negative discrimination'
+};
+
+const ItemAnalysisTable: React.FC<ItemAnalysisTableProps> = ({ items }) => {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">No interactions recorded yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-2 pr-3 font-medium">Question</th>
+            <th className="py-2 pr-3 font-medium text-right">Responses</th>
+            <th className="py-2 pr-3 font-medium text-right" title="Share of scored responses that were correct">Difficulty (p)</th>
+            <th className="py-2 pr-3 font-medium text-right" title="Share correct in the top 27% minus the bottom 27%">Discrimination (D)</th>
+            <th className="py-2 pr-3 font-medium">Most chosen distractor</th>
+            <th className="py-2 font-medium">Flags</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item) => (
+            <tr key={`${item.sco_id}-${item.interaction_id}`} className="border-b border-gray-100 align-top">
+              <td className="py-2 pr-3">
+                <div className="font-medium">{item.description || item.interaction_id}</div>
+                <div className="text-xs text-gray-500">
+                  {item.sco_title} · {item.interaction_id}{item.type ? ` · ${item.type}` : ''}
+                  {item.correct_response && <> · correct: <code>{item.correct_response}</code></>}
+                </div>
+              </td>
+              <td className="py-2 pr-3 text-right">{item.response_count}</td>
+              <td className="py-2 pr-3 text-right">{item.difficulty === null ? '–' : item.difficulty.toFixed(2)}</td>
+              <td className="py-2 pr-3 text-right">{item.discrimination === null ? '–' : item.discrimination.toFixed(2)}</td>
+              <td className="py-2 pr-3">
+                {item.most_chosen_distractor ? (
+                  <>
+                    <code>{item.most_chosen_distractor.response}</code>
+                    <span className="text-xs text-gray-500 ml-1">
+                      {item.most_chosen_distractor.count}× ({formatPercent(item.most_chosen_distractor.share_of_incorrect)} of incorrect)
+                    </span>
+                  </>
+                ) : '–'}
+              </td>
+              <td className="py-2">
+                <div className="flex flex-wrap gap-1">
+                  {item.flags.map((flag) => (
+                    <span key={flag} className="text-xs px-2 py-0.5 rounded bg-amber-50 text-amber-700">{FLAG_LABELS[flag]}</span>
+                  ))}
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ItemAnalysisTable;
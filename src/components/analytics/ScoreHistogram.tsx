@@ -0,0 +1,41 @@
+import React from 'react';
+import { ScoreBucket } from '../../types/analytics';
+
+interface ScoreHistogramProps {
+  buckets: ScoreBucket[];
+  label: string;
+}
+
+const ScoreHistogram: React.FC<ScoreHistogramProps> = ({ buckets, label }) => {
+  const highest = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  if (total === 0) {
+    return <p className="text-sm text-gray-500">No scores recorded yet.</p>;
+  }
+
+  return (
+    <figure>
+      <div className="flex items-end h-40 gap-1" role="img" aria-label={`${label}: ${buckets.map((bucket) => `${bucket.range}%: ${bucket.count}`).join(', ')}`}>
+        {buckets.map((bucket) => (
+          <div key={bucket.range} className="flex-1 flex flex-col items-center justify-end h-full">
+            {bucket.count > 0 && <span className="text-xs text-gray-600 mb-1">{bucket.count}</span>}
+            <div
+              className="w-full bg-blue-500 rounded-t"
+              style={{ height: `${(bucket.count / highest) * 100}%` }}
+              title={`${bucket.range}%: ${bucket.count}`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {buckets.map((bucket) => (
+          <span key={bucket.range} className="flex-1 text-center text-[10px] text-gray-500">{bucket.min}</span>
+        ))}
+      </div>
+      <figcaption className="text-xs text-gray-500 text-center mt-1">{label} (score %, {total} total)</figcaption>
+    </figure>
+  );
+};
+
+export default ScoreHistogram;
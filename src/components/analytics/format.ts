@@ -0,0 +1,14 @@
+export const formatPercent = (rate: number | null): string => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+export const formatScore = (score: number | null): string => (score === null ? '–' : `${score.toFixed(1)}%`);
+
+export const formatSeconds = (seconds: number | null): string => {
+  if (seconds === null) return '–';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${rest}s`;
+  return `${rest}s`;
+};
@@ -0,0 +1,24 @@
+import { createContext, useContext } from 'react';
+import { User, UserRole } from '../../types/auth';
+
+const USER_ROLES: UserRole[] = ['learner', 'author', 'admin'];
+
+export const userHasRole = (user: User | null, role: UserRole): boolean =>
+  user !== null && USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+
+export interface AuthContextValue {
+  user: User | null;
+  // True until the session has been checked on startup
+  isLoading: boolean;
+  login: (username: string, password: string) => Promise<User>;
+  logout: () => Promise<void>;
+  hasRole: (role: UserRole) => boolean;
+}
+
+export const AuthContext = createContext<AuthContextValue | null>(null);
+
+export const useAuth = (): AuthContextValue => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside an AuthProvider');
+  return context;
+};
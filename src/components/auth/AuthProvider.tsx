@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from 'axios';
+import { login as loginRequest, logout as logoutRequest, getCurrentUser } from '../../services/authService';
+import { User, UserRole } from '../../types/auth';
+import { AuthContext, userHasRole } from './AuthContext';
+
+const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // Any 401 means the session expired or was revoked; dropping the user
+  // sends guarded pages back to the login page
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401 && !String(error.config?.url || '').startsWith('/api/auth/login')) {
+        setUser(null);
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const login = useCallback(async (username: string, password: string) => {
+    const response = await loginRequest(username, password);
+    setUser(response.user);
+    return response.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await logoutRequest();
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    isLoading,
+    login,
+    logout,
+    hasRole: (role: UserRole) => userHasRole(user, role)
+  }), [user, isLoading, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
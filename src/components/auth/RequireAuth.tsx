@@ -0,0 +1,39 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { Loader, ShieldAlert } from 'lucide-react';
+import { UserRole } from '../../types/auth';
+import { useAuth } from './AuthContext';
+
+// Route guard: without a session it redirects to the login page (which
+// returns here afterwards); with too low a role it shows a notice
+const RequireAuth = ({ role = 'learner' }: { role?: UserRole }) => {
+  const { user, isLoading, hasRole } = useAuth();
+  const location = useLocation();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] text-gray-600">
+        <Loader className="animate-spin h-6 w-6 mr-2" />
+        Loading...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!hasRole(role)) {
+    return (
+      <div className="max-w-xl mx-auto p-6">
+        <div className="p-4 bg-yellow-50 text-yellow-800 rounded-md flex items-start">
+          <ShieldAlert className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>This page requires the {role} role. You are signed in as {user.display_name} ({user.role}).</p>
+        </div>
+      </div>
+    );
+  }
+
+  return <Outlet />;
+};
+
+export default RequireAuth;
@@ -1,11 +1,34 @@
 import { useState } from 'react';
-import { NavLink } from 'react-router-dom';
-import { Menu, X, FlaskRound as Flask } from 'lucide-react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { Menu, X, FlaskRound as Flask, LogOut, User as UserIcon } from 'lucide-react';
+import { useAuth } from '../auth/AuthContext';
+import { UserRole } from '../../types/auth';
+
+// Links with a role are only shown to signed-in users with at least that role
+const NAV_LINKS: { to: string; label: string; role?: UserRole }[] = [
+  { to: '/courses', label: 'Courses', role: 'learner' },
+  { to: '/about', label: 'About' },
+  { to: '/scorm-test', label: 'SCORM Test', role: 'author' },
+  { to: '/search', label: 'Search', role: 'learner' },
+  { to: '/analytics', label: 'Analytics', role: 'author' }
+];
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
+  const { user, logout, hasRole } = useAuth();
+  const navigate = useNavigate();
   
   const toggleMenu = () => setIsOpen(!isOpen);
+
+  const visibleLinks = NAV_LINKS.filter((link) => !link.role || hasRole(link.role));
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } finally {
+      navigate('/login');
+    }
+  };
   
   const navLinkClass = ({ isActive }: { isActive: boolean }) => 
     `px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
@@ -14,6 +37,11 @@ const Navbar = () => {
         : 'text-gray-700 hover:bg-blue-500 hover:text-white'
     }`;
 
+  const mobileNavLinkClass = ({ isActive }: { isActive: boolean }) =>
+    `block px-3 py-2 rounded-md text-base font-medium ${
+      isActive ? 'bg-blue-700 text-white' : 'text-gray-700 hover:bg-blue-500 hover:text-white'
+    }`;
+
   return (
     <nav className="bg-white shadow-md">
       <div className="container mx-auto px-4">
@@ -27,10 +55,27 @@ const Navbar = () => {
           
           {/* Desktop menu */}
           <div className="hidden md:flex md:items-center md:space-x-2">
-            <NavLink to="/" className={navLinkClass} end>Home</NavLink>
-            <NavLink to="/todos" className={navLinkClass}>Todos</NavLink>
-            <NavLink to="/about" className={navLinkClass}>About</NavLink>
-            <NavLink to="/scorm-test" className={navLinkClass}>SCORM Test</NavLink>
+            {visibleLinks.map((link) => (
+              <NavLink key={link.to} to={link.to} className={navLinkClass} end={link.to === '/'}>{link.label}</NavLink>
+            ))}
+            {user ? (
+              <div className="flex items-center pl-3 ml-1 border-l border-gray-200">
+                <span className="flex items-center text-sm text-gray-600" title={`${user.role} in ${user.tenant_id}`}>
+                  <UserIcon className="h-4 w-4 mr-1" />
+                  {user.display_name}
+                </span>
+                <button
+                  type="button"
+                  onClick={handleLogout}
+                  className="ml-2 inline-flex items-center px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-blue-500 hover:text-white"
+                >
+                  <LogOut className="h-4 w-4 mr-1" />
+                  Log out
+                </button>
+              </div>
+            ) : (
+              <NavLink to="/login" className={navLinkClass}>Log in</NavLink>
+            )}
           </div>
           
           {/* Mobile menu button */}
@@ -50,51 +95,33 @@ const Navbar = () => {
       {/* Mobile menu */}
       <div className={`md:hidden ${isOpen ? 'block' : 'hidden'}`}>
         <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3">
-          <NavLink 
-            to="/" 
-            className={({isActive}) => 
-              `block px-3 py-2 rounded-md text-base font-medium ${
-                isActive ? 'bg-blue-700 text-white' : 'text-gray-700 hover:bg-blue-500 hover:text-white'
-              }`
-            }
-            onClick={toggleMenu}
-            end
-          >
-            Home
-          </NavLink>
-          <NavLink 
-            to="/todos" 
-            className={({isActive}) => 
-              `block px-3 py-2 rounded-md text-base font-medium ${
-                isActive ? 'bg-blue-700 text-white' : 'text-gray-700 hover:bg-blue-500 hover:text-white'
-              }`
-            }
-            onClick={toggleMenu}
-          >
-            Todos
-          </NavLink>
-          <NavLink 
-            to="/about" 
-            className={({isActive}) => 
-              `block px-3 py-2 rounded-md text-base font-medium ${
-                isActive ? 'bg-blue-700 text-white' : 'text-gray-700 hover:bg-blue-500 hover:text-white'
-              }`
-            }
-            onClick={toggleMenu}
-          >
-            About
-          </NavLink>
-          <NavLink 
-            to="/scorm-test" 
-            className={({isActive}) => 
-              `block px-3 py-2 rounded-md text-base font-medium ${
-                isActive ? 'bg-blue-700 text-white' : 'text-gray-700 hover:bg-blue-500 hover:text-white'
-              }`
-            }
-            onClick={toggleMenu}
-          >
-            SCORM Test
-          </NavLink>
+          {visibleLinks.map((link) => (
+            <NavLink
+              key={link.to}
+              to={link.to}
+              className={mobileNavLinkClass}
+              onClick={toggleMenu}
+              end={link.to === '/'}
+            >
+              {link.label}
+            </NavLink>
+          ))}
+          {user ? (
+            <button
+              type="button"
+              onClick={() => {
+                toggleMenu();
+                handleLogout();
+              }}
+              className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:bg-blue-500 hover:text-white"
+            >
+              Log out ({user.display_name})
+            </button>
+          ) : (
+            <NavLink to="/login" className={mobileNavLinkClass} onClick={toggleMenu}>
+              Log in
+            </NavLink>
+          )}
         </div>
       </div>
     </nav>
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Accessibility, AlertTriangle, XCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { AccessibilityReport, AccessibilityFileReport, AccessibilityIssue } from '../../types/scorm';
+
+interface AccessibilitySummaryProps {
+  report: AccessibilityReport;
+}
+
+const scoreColor = (score: number | null) => {
+  if (score === null) return 'text-gray-500';
+  if (score >= 90) return 'text-green-600';
+  if (score >= 70) return 'text-amber-600';
+  return 'text-red-600';
+};
+
+const formatScore = (score: number | null) => (score === null ? 'n/a' : `${Math.round(score)}`);
+
+const IssueRow: React.FC<{ issue: AccessibilityIssue }> = ({ issue }) => (
+  <li className="flex items-start p-2 rounded hover:bg-gray-100">
+    {issue.severity === 'error' ? (
+      <XCircle className="h-4 w-4 text-red-500 mr-2 mt-0.5 flex-shrink-0" />
+    ) : (
+      <AlertTriangle className="h-4 w-4 text-amber-500 mr-2 mt-0.5 flex-shrink-0" />
+    )}
+    <div className="min-w-0">
+      <div className="text-sm text-gray-800">{issue.message}</div>
+      <div className="text-xs text-gray-500">
+        {issue.code}
+        {issue.wcag && ` · WCAG ${issue.wcag}`}
+        {issue.location && ` · ${issue.location}`}
+      </div>
+      <code className="block text-xs text-gray-600 truncate" title={issue.snippet}>{issue.selector}</code>
+    </div>
+  </li>
+);
+
+const FileRow: React.FC<{ file: AccessibilityFileReport }> = ({ file }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const hasIssues = file.issues.length > 0;
+
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!hasIssues}
+        className="w-full flex items-center p-2 rounded text-left hover:bg-gray-100 disabled:hover:bg-transparent"
+      >
+        {hasIssues ? (
+          isOpen ? <ChevronDown className="h-4 w-4 text-gray-500 mr-1" /> : <ChevronRight className="h-4 w-4 text-gray-500 mr-1" />
+        ) : (
+          <span className="w-5" />
+        )}
+        <span className="text-sm text-gray-800 flex-grow truncate">{file.file}</span>
+        <span className="text-xs text-gray-500 mx-3">
+          {file.error ? file.error : `${file.error_count} error(s), ${file.warning_count} warning(s)`}
+        </span>
+        <span className={`text-sm font-medium ${scoreColor(file.score)}`}>{formatScore(file.score)}</span>
+      </button>
+      {isOpen && (
+        <ul className="ml-6 space-y-1">
+          {file.issues.map((issue, index) => (
+            <IssueRow key={index} issue={issue} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const AccessibilitySummary: React.FC<AccessibilitySummaryProps> = ({ report }) => (
+  <div className="mt-4">
+    <div className="flex items-center mb-2">
+      <Accessibility className={`h-5 w-5 mr-2 ${scoreColor(report.score)}`} />
+      <h4 className="text-md font-medium text-gray-700">
+        Accessibility ({report.standard}): score{' '}
+        <span className={scoreColor(report.score)}>{formatScore(report.score)}</span>,{' '}
+        {report.error_count} error(s), {report.warning_count} warning(s) in {report.audited_file_count} page(s)
+        {report.truncated && <span className="ml-2 text-xs text-gray-500">(first {report.audited_file_count} of {report.file_count} audited)</span>}
+      </h4>
+    </div>
+
+    {report.rules.some(rule => rule.failed > 0) && (
+      <div className="flex flex-wrap gap-2 mb-2">
+        {report.rules.filter(rule => rule.failed > 0).map(rule => (
+          <span
+            key={rule.id}
+            title={rule.description}
+            className={`text-xs px-2 py-1 rounded ${rule.severity === 'error' ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-700'}`}
+          >
+            {rule.id}: {rule.failed} of {rule.checked}
+          </span>
+        ))}
+      </div>
+    )}
+
+    {report.scos.length > 0 && (
+      <div className="bg-gray-50 p-2 rounded-md mb-2">
+        <h5 className="text-sm font-medium text-gray-700 mb-1">By SCO</h5>
+        <ul className="space-y-1">
+          {report.scos.map(sco => (
+            <li key={sco.identifier} className="flex items-center text-sm px-2">
+              <span className="text-gray-800 flex-grow truncate">{sco.title}</span>
+              <span className="text-xs text-gray-500 mx-3">
+                {sco.files.length} page(s), {sco.error_count} error(s), {sco.warning_count} warning(s)
+              </span>
+              <span className={`font-medium ${scoreColor(sco.score)}`}>{formatScore(sco.score)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {report.files.length > 0 && (
+      <ul className="bg-gray-50 p-2 rounded-md max-h-80 overflow-y-auto space-y-1">
+        {report.files.map(file => (
+          <FileRow key={file.file} file={file} />
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default AccessibilitySummary;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { FileText, Folder, EyeOff } from 'lucide-react';
+import { ManifestItem } from '../../types/scorm';
+
+interface ActivityTreeProps {
+  items: ManifestItem[];
+  depth?: number;
+  // Extra content shown under an item, e.g. its AI metadata
+  renderDetails?: (item: ManifestItem) => React.ReactNode;
+}
+
+const ActivityTree: React.FC<ActivityTreeProps> = ({ items, depth = 0, renderDetails }) => {
+  return (
+    <ul className={depth > 0 ? 'ml-6 border-l border-gray-200 pl-2 space-y-1' : 'space-y-1'}>
+      {items.map((item) => (
+        <li key={item.identifier}>
+          <div className="p-2 hover:bg-gray-100 rounded flex items-start">
+            {item.children.length > 0 ? (
+              <Folder className="h-5 w-5 text-amber-500 mr-2 mt-0.5 flex-shrink-0" />
+            ) : (
+              <FileText className="h-5 w-5 text-blue-500 mr-2 mt-0.5 flex-shrink-0" />
+            )}
+            <div className="flex-1 min-w-0">
+              <div className="font-medium flex items-center">
+                {item.title}
+                {!item.isvisible && (
+                  <EyeOff className="h-4 w-4 text-gray-400 ml-2" aria-label="Hidden from learners" />
+                )}
+                {item.scorm_type && (
+                  <span className="ml-2 text-xs uppercase px-1.5 py-0.5 rounded bg-blue-50 text-blue-700">
+                    {item.scorm_type}
+                  </span>
+                )}
+              </div>
+              {item.href && <div className="text-sm text-gray-500">{item.href}</div>}
+              {renderDetails && renderDetails(item)}
+            </div>
+          </div>
+          {item.children.length > 0 && <ActivityTree items={item.children} depth={depth + 1} renderDetails={renderDetails} />}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ActivityTree;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { ClipboardList, CheckCircle } from 'lucide-react';
+import { AssessmentItem, AssessmentItemType } from '../../types/assessment';
+
+interface AssessmentItemListProps {
+  items: AssessmentItem[];
+}
+
+const TYPE_LABELS: Record<AssessmentItemType, string> = {
+  choice: 'Multiple choice',
+  multiple_response: 'Multiple response',
+  true_false: 'True/false',
+  numeric: 'Numeric',
+  fill_in: 'Fill in'
+};
+
+const ItemRow: React.FC<{ item: AssessmentItem }> = ({ item }) => (
+  <li className="p-2 rounded hover:bg-gray-100">
+    <div className="text-sm text-gray-800">{item.stem}</div>
+    <div className="text-xs text-gray-500">
+      {TYPE_LABELS[item.type]}
+      {(item.objective_id || item.objective) && ` · ${item.objective_id || item.objective}`}
+      {item.source.file && ` · ${item.source.file}${item.source.line ? `:${item.source.line}` : ''}`}
+    </div>
+    {item.choices.length > 0 ? (
+      <ul className="mt-1 ml-4 space-y-0.5">
+        {item.choices.map((choice) => (
+          <li key={choice.id} className="flex items-center text-xs text-gray-700">
+            {item.correct_response.includes(choice.id) ? (
+              <CheckCircle className="h-3 w-3 text-green-500 mr-1 flex-shrink-0" />
+            ) : (
+              <span className="w-3 mr-1 flex-shrink-0" />
+            )}
+            {choice.text}
+          </li>
+        ))}
+      </ul>
+    ) : (
+      item.correct_response.length > 0 && (
+        <div className="mt-1 ml-4 text-xs text-gray-700">Answer: {item.correct_response.join(', ')}</div>
+      )
+    )}
+    {item.explanation && <div className="mt-1 ml-4 text-xs text-gray-500 italic">{item.explanation}</div>}
+  </li>
+);
+
+const AssessmentItemList: React.FC<AssessmentItemListProps> = ({ items }) => (
+  <div className="mt-4">
+    <div className="flex items-center mb-2">
+      <ClipboardList className="h-5 w-5 text-gray-500 mr-2" />
+      <h4 className="text-md font-medium text-gray-700">Assessment items: {items.length}</h4>
+    </div>
+    {items.length > 0 && (
+      <ul className="bg-gray-50 p-2 rounded-md max-h-80 overflow-y-auto space-y-1">
+        {items.map((item) => (
+          <ItemRow key={item.id} item={item} />
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default AssessmentItemList;
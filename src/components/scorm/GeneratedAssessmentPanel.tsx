@@ -0,0 +1,86 @@
+import React, { useCallback, useState } from 'react';
+import { Loader, Sparkles, FileText } from 'lucide-react';
+import JobProgress from './JobProgress';
+import AssessmentItemList from './AssessmentItemList';
+import { generateAssessment, getGeneratedAssessment, getGeneratedAssessmentUrl } from '../../services/courseService';
+import { GeneratedAssessment } from '../../types/assessment';
+import { Job } from '../../types/job';
+
+interface GeneratedAssessmentPanelProps {
+  courseId: string;
+}
+
+// Generates quiz questions and flashcards with the configured AI provider
+// and offers them for download once the job has finished
+const GeneratedAssessmentPanel: React.FC<GeneratedAssessmentPanelProps> = ({ courseId }) => {
+  const [jobId, setJobId] = useState<string | null>(null);
+  const [assessment, setAssessment] = useState<GeneratedAssessment | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const handleGenerate = async () => {
+    setIsStarting(true);
+    setError(null);
+    setAssessment(null);
+    try {
+      const response = await generateAssessment(courseId);
+      setJobId(response.job_id);
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Failed to start question generation');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleFinished = useCallback(async (job: Job) => {
+    if (job.status === 'failed') {
+      setError('Question generation failed');
+      return;
+    }
+    try {
+      setAssessment(await getGeneratedAssessment(courseId));
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Failed to load the generated questions');
+    }
+  }, [courseId]);
+
+  const isRunning = jobId !== null && !assessment && !error;
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200">
+      <button
+        onClick={handleGenerate}
+        disabled={isStarting || isRunning}
+        className="flex items-center px-3 py-2 text-sm rounded-md bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-400 transition-colors"
+      >
+        {isStarting ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Sparkles className="h-4 w-4 mr-2" />}
+        Generate quiz &amp; flashcards
+      </button>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {jobId && <JobProgress key={jobId} jobId={jobId} title="Question generation" onFinished={handleFinished} />}
+
+      {assessment && (
+        <>
+          <AssessmentItemList items={assessment.items} />
+          <p className="mt-1 text-xs text-gray-500">
+            {assessment.flashcards.length} flashcard(s) &middot; {assessment.duplicate_count} duplicate(s) removed &middot; {assessment.rejected.length} rejected &middot; {assessment.provider} ({assessment.model})
+          </p>
+          <div className="mt-2 flex items-center text-sm">
+            <FileText className="h-4 w-4 text-gray-500 mr-2" />
+            <span className="text-gray-700 mr-3">Export quiz:</span>
+            <a href={getGeneratedAssessmentUrl(courseId, 'scorm')} className="text-blue-600 hover:text-blue-800 mr-3">
+              SCORM 1.2 SCO
+            </a>
+            <a href={getGeneratedAssessmentUrl(courseId, 'json')} className="text-blue-600 hover:text-blue-800">
+              JSON
+            </a>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GeneratedAssessmentPanel;
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle, Clock, Loader, MinusCircle, XCircle } from 'lucide-react';
+import { getJob } from '../../services/jobService';
+import { Job, JobTask } from '../../types/job';
+
+interface JobProgressProps {
+  jobId: string;
+  title?: string;
+  // Called once with the finished job
+  onFinished?: (job: Job) => void;
+}
+
+const POLL_INTERVAL_MS = 2000;
+
+const TaskIcon: React.FC<{ task: JobTask }> = ({ task }) => {
+  switch (task.status) {
+    case 'completed':
+      return <CheckCircle className="h-4 w-4 text-green-500 mr-2 mt-0.5 flex-shrink-0" />;
+    case 'failed':
+      return <XCircle className="h-4 w-4 text-red-500 mr-2 mt-0.5 flex-shrink-0" />;
+    case 'skipped':
+      return <MinusCircle className="h-4 w-4 text-gray-400 mr-2 mt-0.5 flex-shrink-0" />;
+    case 'running':
+      return <Loader className="animate-spin h-4 w-4 text-blue-500 mr-2 mt-0.5 flex-shrink-0" />;
+    default:
+      return <Clock className="h-4 w-4 text-gray-400 mr-2 mt-0.5 flex-shrink-0" />;
+  }
+};
+
+const TaskRow: React.FC<{ task: JobTask }> = ({ task }) => {
+  const metadata = task.result?.metadata as { title?: string; summary?: string } | undefined;
+  return (
+    <li className="flex items-start p-2 rounded hover:bg-gray-100">
+      <TaskIcon task={task} />
+      <div className="min-w-0">
+        <div className="text-sm text-gray-800">
+          {task.title}
+          <span className="ml-2 text-xs text-gray-500">{task.status}</span>
+          {task.attempts > 1 && <span className="ml-1 text-xs text-gray-500">(attempt {task.attempts})</span>}
+        </div>
+        {task.result?.files && (
+          <div className="text-xs text-gray-500">
+            {task.result.files.length} file(s) &middot; {task.result.text_length} characters
+            {task.result.provider && <> &middot; {task.result.provider} ({task.result.model})</>}
+          </div>
+        )}
+        {task.result?.note && <div className="text-xs text-gray-500">{task.result.note}</div>}
+        {task.error && (
+          <div className="text-xs text-red-600">
+            {task.error}
+            {task.status === 'pending' && task.next_attempt_at && ` · retrying at ${new Date(task.next_attempt_at).toLocaleTimeString()}`}
+          </div>
+        )}
+        {metadata?.title && <div className="text-sm font-medium text-gray-700 mt-1">{metadata.title}</div>}
+        {metadata?.summary && <p className="text-xs text-gray-600">{metadata.summary}</p>}
+        {!metadata?.summary && task.result?.text_preview && (
+          <p className="text-xs text-gray-600 truncate">{task.result.text_preview}</p>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Polls a background job until it has finished and lists the state of every SCO
+const JobProgress: React.FC<JobProgressProps> = ({ jobId, title = 'SCO processing', onFinished }) => {
+  const [job, setJob] = useState<Job | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer: number | undefined;
+
+    const poll = async () => {
+      try {
+        const latest = await getJob(jobId);
+        if (cancelled) return;
+        setJob(latest);
+        setError(null);
+        if (latest.status === 'queued' || latest.status === 'running') {
+          timer = window.setTimeout(poll, POLL_INTERVAL_MS);
+        } else if (onFinished) {
+          onFinished(latest);
+        }
+      } catch (err: any) {
+        if (cancelled) return;
+        setError(err.response?.data?.error || err.message || 'Failed to load job');
+        timer = window.setTimeout(poll, POLL_INTERVAL_MS * 2);
+      }
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [jobId]);
+
+  if (!job) {
+    return (
+      <div className="mt-4 text-sm text-gray-600 flex items-center">
+        {error ? error : (
+          <>
+            <Loader className="animate-spin h-4 w-4 mr-2" />
+            Loading processing status...
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const finished = job.status === 'completed' || job.status === 'failed';
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center mb-2">
+        {!finished && <Loader className="animate-spin h-4 w-4 text-blue-500 mr-2" />}
+        <h4 className="text-md font-medium text-gray-700">
+          {title}: {job.progress.percent}%
+          <span className="ml-2 text-xs text-gray-500">
+            {job.progress.completed} completed, {job.progress.skipped} skipped, {job.progress.failed} failed of {job.progress.total}
+          </span>
+        </h4>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+        <div
+          className={`h-2 rounded-full ${job.status === 'failed' ? 'bg-red-500' : 'bg-blue-600'}`}
+          style={{ width: `${job.progress.percent}%` }}
+        />
+      </div>
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+      <ul className="bg-gray-50 p-2 rounded-md max-h-80 overflow-y-auto space-y-1">
+        {job.tasks.map((task) => (
+          <TaskRow key={task.id} task={task} />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { GitCompare, Plus, Minus, Pencil } from 'lucide-react';
+import { RevisionDiff } from '../../types/course';
+
+interface RevisionDiffSummaryProps {
+  diff: RevisionDiff;
+}
+
+const DiffList: React.FC<{ label: string; icon: React.ReactNode; entries: string[] }> = ({ label, icon, entries }) => {
+  if (entries.length === 0) return null;
+  return (
+    <div className="mb-2">
+      <div className="flex items-center text-sm font-medium text-gray-700 mb-1">
+        {icon}
+        {label} ({entries.length})
+      </div>
+      <ul className="ml-6 text-xs text-gray-600 max-h-32 overflow-y-auto">
+        {entries.map(entry => (
+          <li key={entry} className="truncate">{entry}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const RevisionDiffSummary: React.FC<RevisionDiffSummaryProps> = ({ diff }) => {
+  const { scos, files } = diff;
+  const unchanged = [scos.added, scos.removed, scos.changed, files.added, files.removed, files.changed]
+    .every(entries => entries.length === 0);
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center mb-2">
+        <GitCompare className="h-5 w-5 text-blue-500 mr-2" />
+        <h4 className="text-md font-medium text-gray-700">
+          Changes from revision {diff.from_revision} to {diff.to_revision}
+        </h4>
+      </div>
+      {unchanged ? (
+        <p className="text-sm text-gray-500">No differences.</p>
+      ) : (
+        <div className="bg-gray-50 p-3 rounded-md">
+          <DiffList label="SCOs added" icon={<Plus className="h-4 w-4 text-green-500 mr-1" />}
+            entries={scos.added.map(sco => sco.title)} />
+          <DiffList label="SCOs removed" icon={<Minus className="h-4 w-4 text-red-500 mr-1" />}
+            entries={scos.removed.map(sco => sco.title)} />
+          <DiffList label="SCOs changed" icon={<Pencil className="h-4 w-4 text-amber-500 mr-1" />}
+            entries={scos.changed.map(sco => `${sco.title} (${sco.changes.join(', ')})`)} />
+          <DiffList label="Files added" icon={<Plus className="h-4 w-4 text-green-500 mr-1" />} entries={files.added} />
+          <DiffList label="Files removed" icon={<Minus className="h-4 w-4 text-red-500 mr-1" />} entries={files.removed} />
+          <DiffList label="Files changed" icon={<Pencil className="h-4 w-4 text-amber-500 mr-1" />} entries={files.changed} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionDiffSummary;
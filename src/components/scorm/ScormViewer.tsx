@@ -1,34 +1,52 @@
 import React from 'react';
-import { ChevronRight } from 'lucide-react';
+import { ChevronRight, PlayCircle } from 'lucide-react';
 
 interface SCO {
   identifier: string;
+  title?: string;
   href: string;
 }
 
 interface ScormViewerProps {
   courseTitle: string;
   scos: SCO[];
+  selectedId?: string | null;
+  disabledIds?: string[];
+  onSelect?: (sco: SCO) => void;
 }
 
-const ScormViewer: React.FC<ScormViewerProps> = ({ courseTitle, scos }) => {
+const ScormViewer: React.FC<ScormViewerProps> = ({ courseTitle, scos, selectedId, disabledIds = [], onSelect }) => {
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">{courseTitle}</h2>
-      
+
       <div className="space-y-2">
-        {scos.map((sco) => (
-          <div 
-            key={sco.identifier}
-            className="flex items-center p-3 hover:bg-gray-50 rounded-md cursor-pointer border border-gray-200"
-          >
-            <ChevronRight className="h-5 w-5 text-blue-500 mr-2" />
-            <span className="text-gray-700">{sco.href}</span>
-          </div>
-        ))}
+        {scos.map((sco) => {
+          const isSelected = sco.identifier === selectedId;
+          const isDisabled = disabledIds.includes(sco.identifier);
+          return (
+            <button
+              type="button"
+              key={sco.identifier}
+              onClick={() => onSelect && onSelect(sco)}
+              disabled={isDisabled}
+              aria-current={isSelected ? 'true' : undefined}
+              className={`w-full text-left flex items-center p-3 rounded-md cursor-pointer border ${
+                isSelected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              } disabled:cursor-default disabled:hover:bg-transparent`}
+            >
+              {isSelected ? (
+                <PlayCircle className="h-5 w-5 text-blue-600 mr-2 flex-shrink-0" />
+              ) : (
+                <ChevronRight className="h-5 w-5 text-blue-500 mr-2 flex-shrink-0" />
+              )}
+              <span className="text-gray-700">{sco.title || sco.href}</span>
+            </button>
+          );
+        })}
       </div>
     </div>
   );
 };
 
-export default ScormViewer;
\ No newline at end of file
+export default ScormViewer;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, AlertTriangle, XCircle } from 'lucide-react';
+import { ValidationReport, ValidationIssue } from '../../types/scorm';
+
+interface ValidationSummaryProps {
+  report: ValidationReport;
+}
+
+const IssueRow: React.FC<{ issue: ValidationIssue }> = ({ issue }) => (
+  <li className="flex items-start p-2 rounded hover:bg-gray-100">
+    {issue.severity === 'error' ? (
+      <XCircle className="h-4 w-4 text-red-500 mr-2 mt-0.5 flex-shrink-0" />
+    ) : (
+      <AlertTriangle className="h-4 w-4 text-amber-500 mr-2 mt-0.5 flex-shrink-0" />
+    )}
+    <div>
+      <div className="text-sm text-gray-800">{issue.message}</div>
+      <div className="text-xs text-gray-500">
+        {issue.code}
+        {issue.location && ` · ${issue.location}`}
+      </div>
+    </div>
+  </li>
+);
+
+const ValidationSummary: React.FC<ValidationSummaryProps> = ({ report }) => {
+  const issues = [...report.errors, ...report.warnings];
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center mb-2">
+        {report.valid ? (
+          <ShieldCheck className="h-5 w-5 text-green-500 mr-2" />
+        ) : (
+          <ShieldAlert className="h-5 w-5 text-red-500 mr-2" />
+        )}
+        <h4 className="text-md font-medium text-gray-700">
+          Validation: {report.error_count} error(s), {report.warning_count} warning(s)
+          {!report.xsd.checked && <span className="ml-2 text-xs text-gray-500">(XSD not checked)</span>}
+        </h4>
+      </div>
+      {issues.length > 0 && (
+        <ul className="bg-gray-50 p-2 rounded-md max-h-60 overflow-y-auto space-y-1">
+          {issues.map((issue, index) => (
+            <IssueRow key={index} issue={issue} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ValidationSummary;
@@ -1,53 +0,0 @@
-import React, { useState } from 'react';
-import { Plus } from 'lucide-react';
-
-interface TodoFormProps {
-  onAddTodo: (title: string) => void;
-}
-
-const TodoForm: React.FC<TodoFormProps> = ({ onAddTodo }) => {
-  const [title, setTitle] = useState('');
-  const [error, setError] = useState<string | null>(null);
-
-  const handleSubmit = (e: React.FormEvent) => {
-    e.preventDefault();
-    
-    if (!title.trim()) {
-      setError('Todo title cannot be empty');
-      return;
-    }
-    
-    onAddTodo(title);
-    setTitle('');
-    setError(null);
-  };
-
-  return (
-    <form onSubmit={handleSubmit} className="mb-6">
-      <div className="flex items-center">
-        <input
-          type="text"
-          value={title}
-          onChange={(e) => {
-            setTitle(e.target.value);
-            if (error) setError(null);
-          }}
-          placeholder="Add a new todo..."
-          className="flex-grow px-4 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          aria-label="New todo title"
-        />
-        <button
-          type="submit"
-          className="bg-blue-600 text-white px-4 py-2 rounded-r-md hover:bg-blue-700 transition-colors duration-200 flex items-center"
-          aria-label="Add todo"
-        >
-          <Plus className="h-5 w-5 mr-1" />
-          Add
-        </button>
-      </div>
-      {error && <p className="text-red-500 mt-2 text-sm">{error}</p>}
-    </form>
-  );
-};
-
-export default TodoForm;
\ No newline at end of file
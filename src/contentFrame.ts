@@ -0,0 +1,66 @@
+import { ScormRuntime, installRuntime } from './services/scormRuntime';
+import { ContentFrameMessage, PlayerMessage } from './types/contentFrame';
+
+// Runtime host page on the content origin (content-frame.html). SCOs look
+// for the SCORM API in their parent window, so it is published here, on
+// the same origin as the SCO framed below; the player, on the app origin,
+// launches it and stores what the runtime commits.
+
+const scoFrame = document.getElementById('sco') as HTMLIFrameElement;
+const pendingCommits = new Map<number, { resolve: () => void; reject: (error: Error) => void }>();
+let nextCommitId = 1;
+let runtime: ScormRuntime | null = null;
+// Set by the launch; nothing with learner data is posted before that
+let playerOrigin: string | null = null;
+
+const postToPlayer = (message: ContentFrameMessage) => {
+  window.parent.postMessage(message, message.type === 'ready' ? '*' : playerOrigin || '*');
+};
+
+const launch = (message: Extract<PlayerMessage, { type: 'launch' }>) => {
+  runtime = new ScormRuntime({
+    version: message.version,
+    cmi: message.cmi,
+    onCommit: (cmi, finish) => new Promise<void>((resolve, reject) => {
+      const id = nextCommitId++;
+      pendingCommits.set(id, { resolve, reject });
+      postToPlayer({ type: 'commit', id, cmi, finish });
+    }),
+    onTerminate: (cmi) => postToPlayer({ type: 'terminate', cmi })
+  });
+  installRuntime(window, runtime);
+  scoFrame.src = message.url;
+};
+
+const close = async () => {
+  if (runtime) {
+    if (runtime.isRunning) runtime.terminate();
+    await runtime.whenCommitted();
+  }
+  scoFrame.removeAttribute('src');
+  postToPlayer({ type: 'closed' });
+};
+
+window.addEventListener('message', (event: MessageEvent<PlayerMessage>) => {
+  if (event.source !== window.parent || (playerOrigin && event.origin !== playerOrigin)) return;
+  const message = event.data;
+  switch (message?.type) {
+    case 'launch':
+      if (runtime) return;
+      playerOrigin = event.origin;
+      launch(message);
+      break;
+    case 'committed': {
+      const pending = pendingCommits.get(message.id);
+      pendingCommits.delete(message.id);
+      if (pending && message.error) pending.reject(new Error(message.error));
+      else if (pending) pending.resolve();
+      break;
+    }
+    case 'close':
+      close();
+      break;
+  }
+});
+
+postToPlayer({ type: 'ready' });
@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { BarChart3, Loader, AlertCircle, Download } from 'lucide-react';
+import { getCourseOverviews, getCourseOverviewsCsvUrl } from '../services/analyticsService';
+import { CourseAnalyticsOverview } from '../types/analytics';
+import { formatPercent, formatScore, formatSeconds } from '../components/analytics/format';
+
+const AnalyticsPage = () => {
+  const [overviews, setOverviews] = useState<CourseAnalyticsOverview[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchOverviews = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await getCourseOverviews();
+        setOverviews(data);
+      } catch (err) {
+        setError('Failed to fetch analytics. Please try again later.');
+        console.error('Error fetching analytics:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchOverviews();
+  }, []);
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Learner Analytics</h1>
+        <a
+          href={getCourseOverviewsCsvUrl()}
+          className="inline-flex items-center px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          CSV
+        </a>
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center justify-center text-gray-600">
+          <Loader className="animate-spin h-5 w-5 mr-2" />
+          Loading analytics...
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-md flex items-start">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!isLoading && !error && (
+        overviews.length === 0 ? (
+          <p className="text-gray-500">No courses yet.</p>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="p-3 font-medium">Course</th>
+                  <th className="p-3 font-medium text-right">Learners</th>
+                  <th className="p-3 font-medium text-right">Attempts</th>
+                  <th className="p-3 font-medium text-right">Completion</th>
+                  <th className="p-3 font-medium text-right">Pass rate</th>
+                  <th className="p-3 font-medium text-right">Avg. score</th>
+                  <th className="p-3 font-medium text-right">Median time</th>
+                  <th className="p-3 font-medium">Last activity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {overviews.map((overview) => (
+                  <tr key={overview.course_id} className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="p-3">
+                      <Link to={`/analytics/${overview.course_id}`} className="flex items-center text-blue-600 hover:underline">
+                        <BarChart3 className="h-4 w-4 mr-2 flex-shrink-0" />
+                        {overview.title}
+                      </Link>
+                    </td>
+                    <td className="p-3 text-right">{overview.learner_count}</td>
+                    <td className="p-3 text-right">{overview.attempt_count}</td>
+                    <td className="p-3 text-right">{formatPercent(overview.completion_rate)}</td>
+                    <td className="p-3 text-right">{formatPercent(overview.pass_rate)}</td>
+                    <td className="p-3 text-right">{formatScore(overview.average_score)}</td>
+                    <td className="p-3 text-right">{formatSeconds(overview.median_time_seconds)}</td>
+                    <td className="p-3 text-gray-500">
+                      {overview.last_activity_at ? new Date(overview.last_activity_at).toLocaleString() : '–'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,206 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { BookOpen, Loader, AlertCircle, Layers, Globe, X } from 'lucide-react';
+import { getCourses } from '../services/courseService';
+import { CourseSummary } from '../types/course';
+import { useAuth } from '../components/auth/AuthContext';
+
+const STATUS_LABELS: Record<string, string> = {
+  queued: 'Processing queued',
+  running: 'Processing',
+  failed: 'Processing failed',
+  skipped: 'Not processed'
+};
+
+const matchesKeyword = (course: CourseSummary, keyword: string) => {
+  const needle = keyword.toLowerCase();
+  return [course.title, course.ai_title || '', course.description || '', ...course.keywords]
+    .some((text) => text.toLowerCase().includes(needle));
+};
+
+const CatalogPage = () => {
+  const { hasRole } = useAuth();
+  const [courses, setCourses] = useState<CourseSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  // Filters live in the URL so a filtered catalog can be linked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const keyword = searchParams.get('keyword') || '';
+  const language = searchParams.get('language') || '';
+
+  useEffect(() => {
+    const fetchCourses = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await getCourses();
+        setCourses(data);
+      } catch (err) {
+        setError('Failed to fetch courses. Please try again later.');
+        console.error('Error fetching courses:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchCourses();
+  }, []);
+
+  const languages = useMemo(
+    () => [...new Set(courses.map((course) => course.language).filter((value): value is string => Boolean(value)))].sort(),
+    [courses]
+  );
+
+  const filtered = courses.filter((course) =>
+    (!keyword || matchesKeyword(course, keyword)) && (!language || course.language === language)
+  );
+
+  const setFilter = (name: 'keyword' | 'language', value: string) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set(name, value);
+    else params.delete(name);
+    setSearchParams(params);
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto p-6">
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Course Catalog</h1>
+        {hasRole('author') && (
+          <Link to="/scorm-test" className="px-4 py-2 rounded-md text-white font-medium bg-blue-600 hover:bg-blue-700">
+            Upload a course
+          </Link>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6 flex flex-col sm:flex-row gap-3">
+        <label htmlFor="catalog-keyword" className="sr-only">Filter by keyword</label>
+        <input
+          id="catalog-keyword"
+          type="search"
+          value={keyword}
+          onChange={(e) => setFilter('keyword', e.target.value)}
+          placeholder="Filter by keyword or title"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <label htmlFor="catalog-language" className="sr-only">Filter by language</label>
+        <select
+          id="catalog-language"
+          value={language}
+          onChange={(e) => setFilter('language', e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+        >
+          <option value="">All languages</option>
+          {languages.map((value) => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+        {(keyword || language) && (
+          <button
+            type="button"
+            onClick={() => setSearchParams({})}
+            className="flex items-center justify-center px-3 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <X className="h-4 w-4 mr-1" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center justify-center text-gray-600">
+          <Loader className="animate-spin h-5 w-5 mr-2" />
+          Loading courses...
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-md flex items-start">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!isLoading && !error && (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            {filtered.length === courses.length
+              ? `${courses.length} course${courses.length === 1 ? '' : 's'}`
+              : `${filtered.length} of ${courses.length} courses`}
+          </p>
+
+          {courses.length === 0 ? (
+            <p className="text-gray-500">
+              No courses yet.
+              {hasRole('author') && (
+                <> <Link to="/scorm-test" className="text-blue-600 hover:underline">Upload a SCORM package</Link> to get started.</>
+              )}
+            </p>
+          ) : filtered.length === 0 ? (
+            <p className="text-gray-500">No courses match these filters.</p>
+          ) : (
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {filtered.map((course) => (
+                <li key={course.id} className="bg-white rounded-lg shadow-md p-5 flex flex-col">
+                  <div className="flex items-start">
+                    <BookOpen className="h-6 w-6 text-blue-500 mr-2 mt-0.5 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <Link to={`/courses/${course.id}`} className="text-lg font-semibold text-gray-800 hover:text-blue-600">
+                        {course.ai_title || course.title}
+                      </Link>
+                      {course.ai_title && course.ai_title !== course.title && (
+                        <p className="text-xs text-gray-500 truncate">{course.title}</p>
+                      )}
+                    </div>
+                  </div>
+
+                  {course.description && (
+                    <p className="text-sm text-gray-700 mt-3 line-clamp-3">{course.description}</p>
+                  )}
+
+                  {course.keywords.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-3">
+                      {course.keywords.slice(0, 8).map((value) => (
+                        <button
+                          type="button"
+                          key={value}
+                          onClick={() => setFilter('keyword', value)}
+                          className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 hover:bg-blue-100 hover:text-blue-700"
+                        >
+                          {value}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-4 mt-auto pt-4 text-sm text-gray-500">
+                    <span className="flex items-center">
+                      <Layers className="h-4 w-4 mr-1" />
+                      {course.sco_count} SCO{course.sco_count === 1 ? '' : 's'}
+                    </span>
+                    {course.language && (
+                      <span className="flex items-center">
+                        <Globe className="h-4 w-4 mr-1" />
+                        {course.language}
+                      </span>
+                    )}
+                    {course.processing_status && STATUS_LABELS[course.processing_status] && (
+                      <span className="text-xs px-2 py-0.5 rounded bg-amber-50 text-amber-700">
+                        {STATUS_LABELS[course.processing_status]}
+                      </span>
+                    )}
+                    <Link to={`/courses/${course.id}`} className="ml-auto text-blue-600 hover:underline">
+                      Details
+                    </Link>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CatalogPage;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader, AlertCircle, Download, RefreshCw } from 'lucide-react';
+import { getCourseAnalytics, getAnalyticsCsvUrl } from '../services/analyticsService';
+import { AnalyticsSection, CourseAnalytics } from '../types/analytics';
+import { formatPercent, formatScore, formatSeconds } from '../components/analytics/format';
+import ScoreHistogram from '../components/analytics/ScoreHistogram';
+import DropOffTree from '../components/analytics/DropOffTree';
+import ItemAnalysisTable from '../components/analytics/ItemAnalysisTable';
+
+const Section: React.FC<{ title: string; courseId: string; csv: AnalyticsSection; children: React.ReactNode }> = ({ title, courseId, csv, children }) => (
+  <section className="bg-white rounded-lg shadow-md p-6 mb-6">
+    <div className="flex items-center justify-between mb-4">
+      <h2 className="text-xl font-semibold text-gray-800">{title}</h2>
+      <a href={getAnalyticsCsvUrl(courseId, csv)} className="inline-flex items-center text-sm text-blue-600 hover:underline">
+        <Download className="h-4 w-4 mr-1" />
+        CSV
+      </a>
+    </div>
+    {children}
+  </section>
+);
+
+const Stat: React.FC<{ label: string; value: string; detail?: string }> = ({ label, value, detail }) => (
+  <div className="p-4 bg-gray-50 rounded-md">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-2xl font-semibold text-gray-800">{value}</div>
+    {detail && <div className="text-xs text-gray-500">{detail}</div>}
+  </div>
+);
+
+const CourseAnalyticsPage = () => {
+  const { courseId } = useParams<{ courseId: string }>();
+  const [report, setReport] = useState<CourseAnalytics | null>(null);
+  const [selectedScoId, setSelectedScoId] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    if (!courseId) return;
+    let cancelled = false;
+
+    const fetchReport = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await getCourseAnalytics(courseId);
+        if (!cancelled) setReport(data);
+      } catch (err: any) {
+        if (!cancelled) {
+          setError(err.response?.status === 404 ? 'Course not found.' : 'Failed to load analytics. Please try again later.');
+        }
+        console.error('Error fetching course analytics:', err);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchReport();
+    return () => {
+      cancelled = true;
+    };
+  }, [courseId, reloadCount]);
+
+  if (isLoading && !report) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] text-gray-600">
+        <Loader className="animate-spin h-6 w-6 mr-2" />
+        Loading analytics...
+      </div>
+    );
+  }
+
+  if (error || !report || !courseId) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="p-4 bg-red-50 text-red-700 rounded-md flex items-start mb-4">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error || 'Course not found.'}</p>
+        </div>
+        <Link to="/analytics" className="text-blue-600 hover:underline">Back to all courses</Link>
+      </div>
+    );
+  }
+
+  const { overview } = report;
+  const selectedSco = report.scos.find((sco) => sco.sco_id === selectedScoId);
+
+  return (
+    <div className="max-w-6xl mx-auto p-6">
+      <Link to="/analytics" className="inline-flex items-center text-sm text-blue-600 hover:underline mb-4">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        All courses
+      </Link>
+      <div className="flex items-center justify-between mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">{report.title}</h1>
+          <p className="text-sm text-gray-500">
+            <Link to={`/courses/${report.course_id}`} className="hover:underline">Course details</Link>
+            {' · '}Generated {new Date(report.generated_at).toLocaleString()}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setReloadCount((count) => count + 1)}
+          disabled={isLoading}
+          className="inline-flex items-center px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <Section title="Overview" courseId={courseId} csv="overview">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Stat label="Learners" value={String(overview.learner_count)} detail={`${overview.attempt_count} attempts, ${overview.started_count} started`} />
+          <Stat label="Completion rate" value={formatPercent(overview.completion_rate)} detail={`${overview.completed_count} completed`} />
+          <Stat label="Pass rate" value={formatPercent(overview.pass_rate)} detail={`${overview.passed_count} passed, ${overview.failed_count} failed`} />
+          <Stat label="Average score" value={formatScore(overview.average_score)} detail={`median ${formatScore(overview.median_score)}`} />
+          <Stat label="Median time" value={formatSeconds(overview.median_time_seconds)} detail={`average ${formatSeconds(overview.average_time_seconds)}`} />
+        </div>
+      </Section>
+
+      <Section title="Score distribution" courseId={courseId} csv="scores">
+        <div className="flex justify-end mb-2">
+          <label htmlFor="score-scope" className="sr-only">Scores of</label>
+          <select
+            id="score-scope"
+            value={selectedScoId}
+            onChange={(e) => setSelectedScoId(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-1.5 bg-white text-sm"
+          >
+            <option value="">Whole course</option>
+            {report.scos.map((sco) => (
+              <option key={sco.sco_id} value={sco.sco_id}>{sco.title}</option>
+            ))}
+          </select>
+        </div>
+        <ScoreHistogram
+          buckets={selectedSco ? selectedSco.score_distribution : report.score_distribution}
+          label={selectedSco ? selectedSco.title : 'Attempt scores'}
+        />
+      </Section>
+
+      <Section title="SCOs" courseId={courseId} csv="scos">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-3 font-medium">SCO</th>
+                <th className="py-2 pr-3 font-medium text-right">Launched</th>
+                <th className="py-2 pr-3 font-medium text-right">Completion</th>
+                <th className="py-2 pr-3 font-medium text-right">Pass rate</th>
+                <th className="py-2 pr-3 font-medium text-right">Avg. score</th>
+                <th className="py-2 pr-3 font-medium text-right">Median time</th>
+                <th className="py-2 font-medium text-right">Total time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.scos.map((sco) => (
+                <tr key={sco.sco_id} className="border-b border-gray-100">
+                  <td className="py-2 pr-3">{sco.title}</td>
+                  <td className="py-2 pr-3 text-right">{sco.launched_count}</td>
+                  <td className="py-2 pr-3 text-right">{formatPercent(sco.completion_rate)}</td>
+                  <td className="py-2 pr-3 text-right">{formatPercent(sco.pass_rate)}</td>
+                  <td className="py-2 pr-3 text-right">{formatScore(sco.average_score)}</td>
+                  <td className="py-2 pr-3 text-right">{formatSeconds(sco.median_time_seconds)}</td>
+                  <td className="py-2 text-right">{formatSeconds(sco.total_time_seconds)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Section>
+
+      <Section title="Drop-off in the activity tree" courseId={courseId} csv="drop-off">
+        <DropOffTree points={report.drop_off} />
+      </Section>
+
+      <Section title="Item analysis" courseId={courseId} csv="items">
+        <ItemAnalysisTable items={report.items} />
+      </Section>
+
+      <Section title="Attempts" courseId={courseId} csv="attempts">
+        {report.attempts.length === 0 ? (
+          <p className="text-sm text-gray-500">No attempts yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-3 font-medium">Learner</th>
+                  <th className="py-2 pr-3 font-medium">Status</th>
+                  <th className="py-2 pr-3 font-medium">Result</th>
+                  <th className="py-2 pr-3 font-medium text-right">Score</th>
+                  <th className="py-2 pr-3 font-medium text-right">Time</th>
+                  <th className="py-2 font-medium">Last activity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.attempts.map((attempt) => (
+                  <tr key={attempt.attempt_id} className="border-b border-gray-100">
+                    <td className="py-2 pr-3">
+                      {attempt.learner_name}
+                      <span className="text-xs text-gray-500 ml-1">({attempt.learner_id})</span>
+                    </td>
+                    <td className="py-2 pr-3">{attempt.completed ? 'Completed' : attempt.status}</td>
+                    <td className="py-2 pr-3">{attempt.success_status === 'unknown' ? '–' : attempt.success_status}</td>
+                    <td className="py-2 pr-3 text-right">{formatScore(attempt.score)}</td>
+                    <td className="py-2 pr-3 text-right">{formatSeconds(attempt.time_seconds)}</td>
+                    <td className="py-2 text-gray-500">{new Date(attempt.updated_at).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Section>
+    </div>
+  );
+};
+
+export default CourseAnalyticsPage;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader, AlertCircle, PlayCircle, Globe, Layers, Target, AlertTriangle } from 'lucide-react';
+import { getCourse } from '../services/courseService';
+import { Course, ScoAiMetadata } from '../types/course';
+import { ManifestItem } from '../types/scorm';
+import ActivityTree from '../components/scorm/ActivityTree';
+import JobProgress from '../components/scorm/JobProgress';
+import { useAuth } from '../components/auth/AuthContext';
+
+const KeywordList: React.FC<{ keywords: string[] }> = ({ keywords }) => (
+  <div className="flex flex-wrap gap-1">
+    {keywords.map((keyword) => (
+      <Link
+        key={keyword}
+        to={`/courses?keyword=${encodeURIComponent(keyword)}`}
+        className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 hover:bg-blue-100 hover:text-blue-700"
+      >
+        {keyword}
+      </Link>
+    ))}
+  </div>
+);
+
+// AI metadata and launch link shown under each SCO of the activity tree
+const ScoDetails: React.FC<{ courseId: string; item: ManifestItem; metadata?: ScoAiMetadata }> = ({ courseId, item, metadata }) => {
+  if (item.scorm_type !== 'sco' || !item.href) return null;
+  return (
+    <div className="mt-2 mb-1 p-3 bg-gray-50 rounded-md text-sm">
+      {metadata?.summary && <p className="text-gray-700 mb-2">{metadata.summary}</p>}
+      {metadata?.keywords && metadata.keywords.length > 0 && (
+        <div className="mb-2"><KeywordList keywords={metadata.keywords} /></div>
+      )}
+      {metadata?.learning_objectives && metadata.learning_objectives.length > 0 && (
+        <ul className="list-disc ml-5 text-gray-600 mb-2">
+          {metadata.learning_objectives.map((objective) => (
+            <li key={objective}>{objective}</li>
+          ))}
+        </ul>
+      )}
+      {(metadata?.error || metadata?.status) && (
+        <p className="flex items-center text-xs text-amber-700 mb-2">
+          <AlertTriangle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+          {metadata.error || metadata.status}
+        </p>
+      )}
+      {!metadata && <p className="text-xs text-gray-500 mb-2">No AI metadata yet.</p>}
+      <div className="flex items-center gap-4">
+        <Link
+          to={`/courses/${courseId}/play?sco=${encodeURIComponent(item.identifier)}`}
+          className="inline-flex items-center text-blue-600 hover:underline"
+        >
+          <PlayCircle className="h-4 w-4 mr-1" />
+          Launch
+        </Link>
+        {metadata?.language && (
+          <span className="flex items-center text-xs text-gray-500">
+            <Globe className="h-3.5 w-3.5 mr-1" />
+            {metadata.language}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const CourseDetailPage = () => {
+  const { hasRole } = useAuth();
+  const { courseId } = useParams<{ courseId: string }>();
+  const [course, setCourse] = useState<Course | null>(null);
+  const [organizationId, setOrganizationId] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!courseId) return;
+    let cancelled = false;
+
+    const fetchCourse = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await getCourse(courseId);
+        if (cancelled) return;
+        setCourse(data);
+        setOrganizationId(data.manifest.default_organization || data.manifest.organizations[0]?.identifier || null);
+      } catch (err: any) {
+        if (!cancelled) {
+          setError(err.response?.status === 404 ? 'Course not found.' : 'Failed to load the course. Please try again later.');
+        }
+        console.error('Error fetching course:', err);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchCourse();
+    return () => {
+      cancelled = true;
+    };
+  }, [courseId]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] text-gray-600">
+        <Loader className="animate-spin h-6 w-6 mr-2" />
+        Loading course...
+      </div>
+    );
+  }
+
+  if (error || !course) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="p-4 bg-red-50 text-red-700 rounded-md flex items-start mb-4">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error || 'Course not found.'}</p>
+        </div>
+        <Link to="/courses" className="text-blue-600 hover:underline">Back to the catalog</Link>
+      </div>
+    );
+  }
+
+  const organizations = course.manifest.organizations;
+  const organization = organizations.find((org) => org.identifier === organizationId);
+  const aiSummary = course.ai_summary;
+  const processing = course.processing_status === 'queued' || course.processing_status === 'running';
+
+  return (
+    <div className="max-w-5xl mx-auto p-6">
+      <Link to="/courses" className="inline-flex items-center text-sm text-blue-600 hover:underline mb-4">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Course catalog
+      </Link>
+
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div className="min-w-0">
+            <h1 className="text-3xl font-bold text-gray-800">{course.ai_title || course.title}</h1>
+            {course.ai_title && course.ai_title !== course.title && (
+              <p className="text-sm text-gray-500 mt-1">Package title: {course.title}</p>
+            )}
+          </div>
+          <Link
+            to={`/courses/${course.id}/play`}
+            className="inline-flex items-center justify-center px-4 py-2 rounded-md text-white font-medium bg-blue-600 hover:bg-blue-700 flex-shrink-0"
+          >
+            <PlayCircle className="h-5 w-5 mr-2" />
+            Launch course
+          </Link>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-4 text-sm text-gray-500">
+          <span className="flex items-center">
+            <Layers className="h-4 w-4 mr-1" />
+            {course.sco_count} SCO{course.sco_count === 1 ? '' : 's'}
+          </span>
+          {course.language && (
+            <span className="flex items-center">
+              <Globe className="h-4 w-4 mr-1" />
+              {course.language}
+            </span>
+          )}
+          {course.manifest.scorm_version && <span>SCORM {course.manifest.scorm_version}</span>}
+          <span>Revision {course.revision}</span>
+          <span>Uploaded {new Date(course.uploaded_at).toLocaleString()}</span>
+          {hasRole('author') && (
+            <Link to={`/analytics/${course.id}`} className="text-blue-600 hover:underline">Learner analytics</Link>
+          )}
+        </div>
+
+        {course.description && <p className="text-gray-700 mt-4">{course.description}</p>}
+        {course.keywords.length > 0 && (
+          <div className="mt-4"><KeywordList keywords={course.keywords} /></div>
+        )}
+
+        {aiSummary && aiSummary.learning_objectives.length > 0 && (
+          <div className="mt-4">
+            <div className="flex items-center mb-2">
+              <Target className="h-5 w-5 text-blue-500 mr-2" />
+              <h2 className="text-md font-medium text-gray-700">Learning objectives</h2>
+            </div>
+            <ul className="list-disc ml-6 text-sm text-gray-700 space-y-1">
+              {aiSummary.learning_objectives.map((objective) => (
+                <li key={objective}>{objective}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {processing && course.processing_job_id && (
+          <div className="mt-4">
+            <JobProgress
+              jobId={course.processing_job_id}
+              onFinished={() => {
+                // Picks up the AI metadata the job stored
+                getCourse(course.id).then(setCourse).catch((err) => console.error('Error refreshing course:', err));
+              }}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4 gap-4">
+          <h2 className="text-xl font-semibold text-gray-800">Activity tree</h2>
+          {organizations.length > 1 && (
+            <>
+              <label htmlFor="course-organization" className="sr-only">Organization</label>
+              <select
+                id="course-organization"
+                value={organizationId || ''}
+                onChange={(e) => setOrganizationId(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-1.5 bg-white text-sm"
+              >
+                {organizations.map((org) => (
+                  <option key={org.identifier} value={org.identifier}>
+                    {org.title || org.identifier}
+                    {org.identifier === course.manifest.default_organization ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+        {organization && organization.children.length > 0 ? (
+          <ActivityTree
+            items={organization.children}
+            renderDetails={(item) => (
+              <ScoDetails courseId={course.id} item={item} metadata={course.ai_metadata[item.identifier]} />
+            )}
+          />
+        ) : (
+          <p className="text-gray-500">This course has no activities.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CourseDetailPage;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Link2, Loader, AlertCircle } from 'lucide-react';
+import { getCourses } from '../services/courseService';
+import { getDeepLinkRequest, completeDeepLink, postDeepLinkResponse } from '../services/ltiService';
+import { CourseSummary } from '../types/course';
+import { DeepLinkRequest } from '../types/lti';
+
+// Opened by an LTI deep linking launch: the instructor picks courses from
+// the library and they are sent back to their LMS as activities
+const DeepLinkPage = () => {
+  const { sessionId } = useParams<{ sessionId: string }>();
+  const [request, setRequest] = useState<DeepLinkRequest | null>(null);
+  const [courses, setCourses] = useState<CourseSummary[]>([]);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    const fetchRequest = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [requestData, courseData] = await Promise.all([getDeepLinkRequest(sessionId), getCourses()]);
+        setRequest(requestData);
+        setCourses(courseData);
+      } catch (err: any) {
+        setError(err.response?.status === 404
+          ? 'This request has expired or was already completed. Start again from your LMS.'
+          : 'Failed to load the request. Please try again later.');
+        console.error('Error fetching deep linking request:', err);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchRequest();
+  }, [sessionId]);
+
+  const toggleCourse = (courseId: string) => {
+    if (!request?.accept_multiple) {
+      setSelectedIds([courseId]);
+      return;
+    }
+    setSelectedIds((ids) => (ids.includes(courseId) ? ids.filter((id) => id !== courseId) : [...ids, courseId]));
+  };
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!sessionId || !selectedIds.length) return;
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      postDeepLinkResponse(await completeDeepLink(sessionId, selectedIds));
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to add the courses. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] text-gray-600">
+        <Loader className="animate-spin h-6 w-6 mr-2" />
+        Loading...
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="p-4 bg-red-50 text-red-700 rounded-md flex items-start">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error || 'Request not found.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <h1 className="text-3xl font-bold text-gray-800 mb-2">Add courses to {request.platform_name}</h1>
+      <p className="text-gray-600 mb-6">
+        {request.context_title ? `Pick the courses to add to ${request.context_title}.` : 'Pick the courses to add.'}
+        {!request.accept_multiple && ' Your LMS accepts one course here.'}
+      </p>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-md flex items-start">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {!request.accepts_links ? (
+        <p className="text-gray-500">Your LMS does not accept courses in this place.</p>
+      ) : courses.length === 0 ? (
+        <p className="text-gray-500">The library has no courses yet.</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <fieldset className="bg-white rounded-lg shadow-md divide-y divide-gray-100 mb-6">
+            <legend className="sr-only">Courses</legend>
+            {courses.map((course) => (
+              <label key={course.id} className="flex items-start p-4 cursor-pointer hover:bg-gray-50">
+                <input
+                  type={request.accept_multiple ? 'checkbox' : 'radio'}
+                  name="course"
+                  checked={selectedIds.includes(course.id)}
+                  onChange={() => toggleCourse(course.id)}
+                  className="mt-1 mr-3"
+                />
+                <span>
+                  <span className="block font-medium text-gray-800">{course.ai_title || course.title}</span>
+                  {course.description && <span className="block text-sm text-gray-500">{course.description}</span>}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+          <button
+            type="submit"
+            disabled={!selectedIds.length || isSubmitting}
+            className="inline-flex items-center px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSubmitting ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Link2 className="h-4 w-4 mr-2" />}
+            Add {selectedIds.length || ''} {selectedIds.length === 1 ? 'course' : 'courses'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DeepLinkPage;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate, Location } from 'react-router-dom';
+import { LogIn, Loader, AlertCircle } from 'lucide-react';
+import { useAuth } from '../components/auth/AuthContext';
+
+const LoginPage = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The guarded page that sent us here
+  const from = (location.state as { from?: Location } | null)?.from;
+  const redirectTo = from ? `${from.pathname}${from.search}` : '/courses';
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await login(username.trim(), password);
+      navigate(redirectTo, { replace: true });
+    } catch (err: any) {
+      const status = err.response?.status;
+      if (status === 401) setError('Invalid username or password.');
+      else if (status === 429) setError('Too many failed logins. Please try again later.');
+      else setError('Login failed. Please try again later.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-12">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+        <h1 className="text-2xl font-bold text-gray-800">Sign in</h1>
+
+        {error && (
+          <div className="p-3 bg-red-50 text-red-700 rounded-md flex items-start text-sm" role="alert">
+            <AlertCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+          <input
+            id="username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            autoFocus
+            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username.trim() || !password}
+          className="w-full inline-flex items-center justify-center px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <LogIn className="h-4 w-4 mr-2" />}
+          Sign in
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
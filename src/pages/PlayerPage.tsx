@@ -0,0 +1,308 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, ChevronLeft, ChevronRight, Loader, PauseCircle } from 'lucide-react';
+import ScormViewer from '../components/scorm/ScormViewer';
+import { Attempt, Course, NavigationRequest, SequencingInfo } from '../types/course';
+import {
+  getCourse,
+  startAttempt,
+  launchSco,
+  commitScoCmi,
+  getSequencing,
+  navigateAttempt,
+  getCourseContentUrl
+} from '../services/courseService';
+import { CmiData } from '../services/scormRuntime';
+import { ContentFrameSession } from '../services/contentFrame';
+
+interface LaunchableSco {
+  identifier: string;
+  title?: string;
+  href: string | null;
+}
+
+// Splits an adl.nav.request value such as "{target=item_3}choice"
+const parseNavRequest = (value: string | undefined): { request: NavigationRequest; target?: string } | null => {
+  if (!value || value === '_none_') return null;
+  const choice = /^\{target=([^}]+)\}(choice|jump)$/.exec(value);
+  if (choice) return { request: 'choice', target: choice[1] };
+  return { request: value as NavigationRequest };
+};
+
+const PlayerPage = () => {
+  const { courseId } = useParams<{ courseId: string }>();
+  // ?sco=<identifier> opens that SCO instead of resuming (e.g. from search)
+  const [searchParams] = useSearchParams();
+  const requestedScoId = searchParams.get('sco');
+  const [course, setCourse] = useState<Course | null>(null);
+  const [attempt, setAttempt] = useState<Attempt | null>(null);
+  const [sequencing, setSequencing] = useState<SequencingInfo | null>(null);
+  const [currentSco, setCurrentSco] = useState<LaunchableSco | null>(null);
+  // The runtime host page on the content origin; key remounts it per launch
+  const [frame, setFrame] = useState<{ url: string; key: number } | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const sessionRef = useRef<ContentFrameSession | null>(null);
+  const launchCountRef = useRef(0);
+  const closingRef = useRef(false);
+  const navigateRef = useRef<(request: NavigationRequest, target?: string) => void>(() => {});
+
+  // SCORM 2004 courses are driven by the server-side sequencing engine;
+  // SCORM 1.2 courses simply follow the SCO list
+  const usesSequencing = attempt?.scorm_version === '2004';
+
+  // Ends the running SCO session and waits until its data is stored
+  const closeSco = useCallback(async () => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    closingRef.current = true;
+    try {
+      await session.close();
+    } finally {
+      closingRef.current = false;
+    }
+    setFrame(null);
+  }, []);
+
+  const openSco = useCallback(async (sco: LaunchableSco) => {
+    if (!course || !attempt || !sco.href) return;
+    try {
+      const scoState = await launchSco(attempt.id, sco.identifier);
+      // The runtime runs next to the SCO on the content origin
+      const session = new ContentFrameSession({
+        origin: scoState.content.origin,
+        version: attempt.scorm_version,
+        cmi: scoState.cmi,
+        url: getCourseContentUrl(scoState.content.base_url, sco.href),
+        onCommit: async (cmi: CmiData, finish: boolean) => {
+          await commitScoCmi(attempt.id, sco.identifier, cmi, finish);
+        },
+        onTerminate: (cmi: CmiData) => {
+          // Navigation chosen inside the content runs once Terminate returns
+          if (closingRef.current) return;
+          const navigation = parseNavRequest(cmi['adl.nav.request']);
+          if (navigation) {
+            window.setTimeout(() => navigateRef.current(navigation.request, navigation.target), 0);
+          }
+        }
+      });
+      sessionRef.current = session;
+      launchCountRef.current += 1;
+      setCurrentSco(sco);
+      setFrame({ url: scoState.content.frame_url, key: launchCountRef.current });
+      setMessage(null);
+      setError(null);
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Failed to launch SCO');
+    }
+  }, [course, attempt]);
+
+  const navigate = useCallback(async (request: NavigationRequest, target?: string) => {
+    if (!course || !attempt) return;
+    try {
+      await closeSco();
+
+      if (usesSequencing) {
+        const result = await navigateAttempt(attempt.id, request, target);
+        setSequencing(result);
+        if (result.delivered) {
+          await openSco(result.delivered);
+        } else {
+          setCurrentSco(null);
+          if (result.session_ended) {
+            setMessage('You have reached the end of this course.');
+          } else if (result.exception) {
+            setMessage(result.exception.message);
+          } else {
+            setMessage('Select an activity to continue.');
+          }
+        }
+        return;
+      }
+
+      // Linear navigation through the SCO list
+      const index = currentSco ? course.scos.findIndex((sco) => sco.identifier === currentSco.identifier) : -1;
+      let next: LaunchableSco | undefined;
+      if (request === 'start') next = course.scos[0];
+      if (request === 'continue') next = course.scos[index + 1];
+      if (request === 'previous') next = course.scos[index - 1];
+      if (request === 'choice') next = course.scos.find((sco) => sco.identifier === target);
+      if (next) {
+        await openSco(next);
+      } else {
+        setCurrentSco(null);
+        setMessage(request === 'continue' ? 'You have reached the end of this course.' : 'Select an activity to continue.');
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Navigation failed');
+    }
+  }, [course, attempt, usesSequencing, currentSco, closeSco, openSco]);
+
+  useEffect(() => {
+    navigateRef.current = navigate;
+  }, [navigate]);
+
+  useEffect(() => {
+    if (!courseId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const loadedCourse = await getCourse(courseId);
+        const newAttempt = await startAttempt(courseId, { resume: true });
+        if (cancelled) return;
+        setCourse(loadedCourse);
+        setAttempt(newAttempt);
+        setError(null);
+      } catch (err: any) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || err.message || 'Failed to load course');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [courseId]);
+
+  // Start the course once the attempt exists, picking up where a resumed
+  // attempt left off
+  const started = useRef(false);
+  useEffect(() => {
+    if (!course || !attempt || started.current) return;
+    started.current = true;
+
+    const begin = async () => {
+      if (requestedScoId && course.scos.some((sco) => sco.identifier === requestedScoId)) {
+        if (usesSequencing && attempt.sequencing) setSequencing(await getSequencing(attempt.id));
+        return navigate('choice', requestedScoId);
+      }
+      if (usesSequencing && attempt.sequencing) {
+        const info = await getSequencing(attempt.id);
+        setSequencing(info);
+        if (info.valid_requests.resume_all) return navigate('resumeAll');
+        const current = course.scos.find((sco) => sco.identifier === info.current_activity);
+        if (current && !info.session_ended) return openSco(current);
+      }
+      if (!usesSequencing && attempt.last_sco_id) {
+        const last = course.scos.find((sco) => sco.identifier === attempt.last_sco_id);
+        if (last) return openSco(last);
+      }
+      return navigate('start');
+    };
+    begin().catch((err) => setError(err.message || 'Failed to start course'));
+  }, [course, attempt, usesSequencing, requestedScoId, navigate, openSco]);
+
+  useEffect(() => () => {
+    closeSco();
+  }, [closeSco]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] text-gray-600">
+        <Loader className="animate-spin h-6 w-6 mr-2" />
+        Loading course...
+      </div>
+    );
+  }
+
+  const currentIndex = currentSco && course ? course.scos.findIndex((sco) => sco.identifier === currentSco.identifier) : -1;
+  const canContinue = usesSequencing ? Boolean(sequencing?.valid_requests.continue) : Boolean(course && currentIndex < course.scos.length - 1);
+  const canGoBack = usesSequencing ? Boolean(sequencing?.valid_requests.previous) : currentIndex > 0;
+  const disabledIds = usesSequencing && sequencing
+    ? Object.entries(sequencing.valid_requests.choice).filter(([, allowed]) => !allowed).map(([id]) => id)
+    : [];
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <Link to={`/courses/${courseId}`} className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-4">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Course details
+      </Link>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {course && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-1">
+            <ScormViewer
+              courseTitle={course.title}
+              scos={course.scos}
+              selectedId={currentSco?.identifier}
+              disabledIds={disabledIds}
+              onSelect={(sco) => navigate('choice', sco.identifier)}
+            />
+            {attempt && (
+              <p className="text-xs text-gray-500 mt-2">
+                SCORM {attempt.scorm_version} &middot; attempt {attempt.id.slice(0, 8)}
+              </p>
+            )}
+          </div>
+          <div className="lg:col-span-3">
+            <div className="flex items-center justify-between mb-3">
+              <button
+                type="button"
+                onClick={() => navigate('previous')}
+                disabled={!canGoBack}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4 mr-1" />
+                Previous
+              </button>
+              {usesSequencing && currentSco && (
+                <button
+                  type="button"
+                  onClick={() => navigate('suspendAll')}
+                  className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+                >
+                  <PauseCircle className="h-4 w-4 mr-1" />
+                  Suspend
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => navigate('continue')}
+                disabled={!canContinue}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Continue
+                <ChevronRight className="h-4 w-4 ml-1" />
+              </button>
+            </div>
+            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+              {course.scos.length === 0 && (
+                <p className="p-6 text-gray-600">This course has no launchable SCOs.</p>
+              )}
+              {message && !frame && (
+                <p className="p-6 text-gray-600">{message}</p>
+              )}
+              {frame && currentSco && (
+                <iframe
+                  key={frame.key}
+                  ref={(element) => sessionRef.current?.attach(element)}
+                  src={frame.url}
+                  title={currentSco.title || currentSco.identifier}
+                  sandbox="allow-scripts allow-same-origin allow-forms allow-popups allow-modals"
+                  className="w-full h-[75vh] border-0"
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayerPage;
@@ -1,14 +1,34 @@
-import React, { useState, useCallback } from 'react';
-import { uploadScormPackage } from '../services/scormService';
-import { FileUp, CheckCircle, AlertCircle, Loader, ChevronDown, ChevronUp, FileText } from 'lucide-react';
+import React, { useState, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { uploadScormPackageResumable, cancelResumableUpload, isUploadPaused } from '../services/scormService';
+import { getCourseDocumentUrl, getCourseAssessmentUrl, getCourseExportUrl } from '../services/courseService';
+import { FileUp, CheckCircle, AlertCircle, Loader, ChevronDown, ChevronUp, PlayCircle, FileText, FileArchive, Pause, Play, X } from 'lucide-react';
+import ActivityTree from '../components/scorm/ActivityTree';
+import ValidationSummary from '../components/scorm/ValidationSummary';
+import AccessibilitySummary from '../components/scorm/AccessibilitySummary';
+import RevisionDiffSummary from '../components/scorm/RevisionDiffSummary';
+import JobProgress from '../components/scorm/JobProgress';
+import AssessmentItemList from '../components/scorm/AssessmentItemList';
+import GeneratedAssessmentPanel from '../components/scorm/GeneratedAssessmentPanel';
+import { ExtractionReport, ManifestOrganization } from '../types/scorm';
+
+// Packages are uploaded in resumable chunks, so the limit is the server's
+// UPLOAD_MAX_BYTES default rather than the multipart limit
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
 
 const ScormUploadTest = () => {
   const [file, setFile] = useState<File | null>(null);
   const [response, setResponse] = useState<any>(null);
   const [error, setError] = useState<string | null>(null);
+  const [rejection, setRejection] = useState<ExtractionReport | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [showFullResponse, setShowFullResponse] = useState(false);
+  // Resumable upload state: the server session, bytes sent and whether it is paused
+  const [uploadId, setUploadId] = useState<string | null>(null);
+  const [progress, setProgress] = useState<{ uploaded: number; total: number } | null>(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const abortRef = useRef<AbortController | null>(null);
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files[0]) {
@@ -19,13 +39,18 @@ const ScormUploadTest = () => {
 
   const validateAndSetFile = (selectedFile: File) => {
     if (selectedFile.type === 'application/zip' || selectedFile.name.endsWith('.zip')) {
-      if (selectedFile.size > 200 * 1024 * 1024) {
-        setError('File is too large. Maximum file size is 200MB.');
+      if (selectedFile.size > MAX_UPLOAD_BYTES) {
+        setError('File is too large. Maximum file size is 1GB.');
         return;
       }
+      // A paused upload of the previous file is abandoned
+      if (uploadId) cancelResumableUpload(uploadId).catch(() => undefined);
       setFile(selectedFile);
       setError(null);
       setResponse(null);
+      setUploadId(null);
+      setProgress(null);
+      setIsPaused(false);
     } else {
       setError('Please upload a valid SCORM package (.zip file)');
     }
@@ -50,28 +75,68 @@ const ScormUploadTest = () => {
     }
   }, []);
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
+  // Starts a new upload, or continues the paused one when resumeId is set
+  const startUpload = async (resumeId: string | null) => {
     if (!file) {
       setError('Please select a file');
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setIsLoading(true);
+    setIsPaused(false);
     setError(null);
+    setRejection(null);
     setResponse(null);
 
     try {
-      const response = await uploadScormPackage(file);
+      const response = await uploadScormPackageResumable(file, {
+        uploadId: resumeId,
+        signal: controller.signal,
+        onSession: (session) => setUploadId(session.id),
+        onProgress: (uploaded, total) => setProgress({ uploaded, total })
+      });
       setResponse(response);
+      setUploadId(null);
+      setProgress(null);
     } catch (err: any) {
-      setError(err.response?.data?.error || err.message || 'An error occurred');
-      console.error('Upload error:', err);
+      if (isUploadPaused(err)) {
+        setIsPaused(true);
+      } else {
+        setError(err.response?.data?.error || err.message || 'An error occurred');
+        setRejection(err.extraction || null);
+        setUploadId(null);
+        setProgress(null);
+        console.error('Upload error:', err);
+      }
     } finally {
+      abortRef.current = null;
       setIsLoading(false);
     }
   };
 
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    startUpload(null);
+  };
+
+  const handlePause = () => abortRef.current?.abort();
+
+  const handleCancel = async () => {
+    abortRef.current?.abort();
+    if (uploadId) {
+      try {
+        await cancelResumableUpload(uploadId);
+      } catch (err) {
+        console.error('Cancel upload error:', err);
+      }
+    }
+    setUploadId(null);
+    setProgress(null);
+    setIsPaused(false);
+  };
+
   const formatFileSize = (bytes: number): string => {
     if (bytes < 1024) return bytes + ' bytes';
     else if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
@@ -99,7 +164,7 @@ const ScormUploadTest = () => {
             <p className="text-gray-500 mb-4">
               {file 
                 ? `${formatFileSize(file.size)} - ${file.type || 'application/zip'}`
-                : 'or click to browse (max 200MB)'}
+                : 'or click to browse (max 1GB)'}
             </p>
             
             <input
@@ -118,23 +183,69 @@ const ScormUploadTest = () => {
           </div>
         </div>
         
-        <button
-          onClick={handleSubmit}
-          disabled={!file || isLoading}
-          className={`w-full py-3 px-4 rounded-md font-medium text-white flex items-center justify-center
-            ${!file || isLoading 
-              ? 'bg-gray-400 cursor-not-allowed' 
-              : 'bg-blue-600 hover:bg-blue-700'}`}
-        >
-          {isLoading ? (
-            <>
-              <Loader className="animate-spin h-5 w-5 mr-2" />
-              Uploading...
-            </>
-          ) : (
-            'Upload SCORM Package'
-          )}
-        </button>
+        {progress && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+              <span>
+                {progress.uploaded >= progress.total && isLoading
+                  ? 'Processing package...'
+                  : `${formatFileSize(progress.uploaded)} of ${formatFileSize(progress.total)}${isPaused ? ' (paused)' : ''}`}
+              </span>
+              <span>{Math.floor((progress.uploaded / Math.max(1, progress.total)) * 100)}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full transition-all ${isPaused ? 'bg-yellow-500' : 'bg-blue-600'}`}
+                style={{ width: `${(progress.uploaded / Math.max(1, progress.total)) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {isPaused ? (
+          <div className="flex gap-2">
+            <button
+              onClick={() => startUpload(uploadId)}
+              className="flex-1 py-3 px-4 rounded-md font-medium text-white flex items-center justify-center bg-blue-600 hover:bg-blue-700"
+            >
+              <Play className="h-5 w-5 mr-2" />
+              Resume Upload
+            </button>
+            <button
+              onClick={handleCancel}
+              className="py-3 px-4 rounded-md font-medium text-gray-700 flex items-center justify-center bg-gray-100 hover:bg-gray-200"
+            >
+              <X className="h-5 w-5 mr-2" />
+              Cancel
+            </button>
+          </div>
+        ) : isLoading && progress && progress.uploaded < progress.total ? (
+          <button
+            onClick={handlePause}
+            className="w-full py-3 px-4 rounded-md font-medium text-white flex items-center justify-center bg-yellow-500 hover:bg-yellow-600"
+          >
+            <Pause className="h-5 w-5 mr-2" />
+            Pause Upload
+          </button>
+        ) : (
+          <button
+            onClick={handleSubmit}
+            disabled={!file || isLoading}
+            className={`w-full py-3 px-4 rounded-md font-medium text-white flex items-center justify-center
+              ${!file || isLoading 
+                ? 'bg-gray-400 cursor-not-allowed' 
+                : 'bg-blue-600 hover:bg-blue-700'}`}
+          >
+            {isLoading ? (
+              <>
+                <Loader className="animate-spin h-5 w-5 mr-2" />
+                {progress ? 'Processing...' : 'Uploading...'}
+              </>
+            ) : (
+              'Upload SCORM Package'
+            )}
+          </button>
+        )}
       </div>
 
       {error && (
@@ -143,6 +254,16 @@ const ScormUploadTest = () => {
           <div>
             <h2 className="text-lg font-semibold text-red-800 mb-1">Error</h2>
             <p className="text-red-600">{error}</p>
+            {rejection && rejection.errors.length > 0 && (
+              <ul className="mt-2 text-sm text-red-700 list-disc ml-5 max-h-60 overflow-y-auto">
+                {rejection.errors.map((issue, index) => (
+                  <li key={index}>
+                    {issue.message}
+                    {issue.location && <span className="text-red-500"> · {issue.location}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
         </div>
       )}
@@ -151,8 +272,40 @@ const ScormUploadTest = () => {
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex items-center mb-4">
             <CheckCircle className="h-6 w-6 text-green-500 mr-2" />
-            <h2 className="text-xl font-semibold text-gray-800">Upload Successful</h2>
+            <h2 className="text-xl font-semibold text-gray-800">
+              {response.duplicate ? 'Already Uploaded' : 'Upload Successful'}
+            </h2>
+            {response.course_id && (
+              <Link
+                to={`/courses/${response.course_id}`}
+                className="ml-auto mr-2 inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-md hover:bg-gray-50"
+              >
+                Course Details
+              </Link>
+            )}
+            {response.course_id && (
+              <Link
+                to={`/courses/${response.course_id}/play`}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700"
+              >
+                <PlayCircle className="h-4 w-4 mr-2" />
+                Launch Course
+              </Link>
+            )}
           </div>
+
+          {response.duplicate && (
+            <p className="text-sm text-gray-600 mb-2">
+              This package matches revision {response.duplicate_of.revision} of an existing course
+              ({response.duplicate_of.match === 'archive' ? 'identical zip file' : 'identical content'}), so no new course was created.
+            </p>
+          )}
+          {response.revision && response.revision.revision > 1 && (
+            <p className="text-sm text-gray-600 mb-2">
+              Uploaded as revision {response.revision.revision} of an existing course with manifest identifier {response.revision.manifest_identifier}.
+            </p>
+          )}
+          {response.revision?.diff && <RevisionDiffSummary diff={response.revision.diff} />}
           
           {response.manifest_data && (
             <div className="mt-4">
@@ -160,37 +313,97 @@ const ScormUploadTest = () => {
                 Course: {response.manifest_data.course_title}
               </h3>
               
-              {response.manifest_data.scos && response.manifest_data.scos.length > 0 ? (
-                <div>
-                  <h4 className="text-md font-medium text-gray-700 mb-2">SCOs ({response.manifest_data.scos.length}):</h4>
-                  <div className="bg-gray-50 p-4 rounded-md max-h-60 overflow-y-auto">
-                    <ul className="space-y-2">
-                      {response.manifest_data.scos.map((sco: any, index: number) => (
-                        <li key={index} className="p-2 hover:bg-gray-100 rounded flex items-start">
-                          <FileText className="h-5 w-5 text-blue-500 mr-2 mt-0.5 flex-shrink-0" />
-                          <div>
-                            <div className="font-medium">{sco.identifier}</div>
-                            <div className="text-sm text-gray-500">{sco.href}</div>
-                          </div>
-                        </li>
-                      ))}
-                    </ul>
-                  </div>
+              {response.manifest_data.scorm_version && (
+                <p className="text-sm text-gray-500 mb-2">
+                  SCORM {response.manifest_data.scorm_version}
+                  {response.manifest_data.schemaversion && ` (${response.manifest_data.schemaversion})`}
+                </p>
+              )}
+
+              {response.manifest_data.organizations && response.manifest_data.organizations.length > 0 ? (
+                <div className="space-y-4">
+                  {response.manifest_data.organizations.map((org: ManifestOrganization) => (
+                    <div key={org.identifier}>
+                      <h4 className="text-md font-medium text-gray-700 mb-2">
+                        {org.title}
+                        {org.identifier === response.manifest_data.default_organization && (
+                          <span className="ml-2 text-xs text-green-700 bg-green-50 px-1.5 py-0.5 rounded">default</span>
+                        )}
+                      </h4>
+                      <div className="bg-gray-50 p-4 rounded-md max-h-80 overflow-y-auto">
+                        <ActivityTree items={org.children} />
+                      </div>
+                    </div>
+                  ))}
                 </div>
               ) : (
-                <p className="text-gray-500">No SCOs found in the package</p>
+                <p className="text-gray-500">No organizations found in the package</p>
               )}
             </div>
           )}
           
-          {response.processed_sco_text_content && (
-            <div className="mt-4">
-              <h4 className="text-md font-medium text-gray-700 mb-2">Content Preview:</h4>
-              <div className="bg-gray-50 p-4 rounded-md max-h-40 overflow-y-auto">
-                <p className="text-sm text-gray-600">{response.processed_sco_text_content}</p>
-              </div>
+          {response.validation && <ValidationSummary report={response.validation} />}
+
+          {response.accessibility && <AccessibilitySummary report={response.accessibility} />}
+
+          {response.course_id && (
+            <div className="mt-4 flex items-center text-sm">
+              <FileText className="h-4 w-4 text-gray-500 mr-2" />
+              <span className="text-gray-700 mr-3">Export content:</span>
+              <a href={getCourseDocumentUrl(response.course_id, 'markdown')} className="text-blue-600 hover:text-blue-800 mr-3">
+                Markdown
+              </a>
+              <a href={getCourseDocumentUrl(response.course_id, 'json')} className="text-blue-600 hover:text-blue-800">
+                JSON
+              </a>
+            </div>
+          )}
+
+          {response.course_id && (
+            <div className="mt-2 flex items-center text-sm">
+              <FileArchive className="h-4 w-4 text-gray-500 mr-2" />
+              <span className="text-gray-700 mr-3">Export package:</span>
+              <a href={getCourseExportUrl(response.course_id, 'scorm12')} className="text-blue-600 hover:text-blue-800 mr-3">
+                SCORM 1.2
+              </a>
+              <a href={getCourseExportUrl(response.course_id, 'scorm2004')} className="text-blue-600 hover:text-blue-800 mr-3">
+                SCORM 2004
+              </a>
+              <a href={getCourseExportUrl(response.course_id, 'cmi5')} className="text-blue-600 hover:text-blue-800 mr-3">
+                cmi5
+              </a>
+              <a href={getCourseExportUrl(response.course_id, 'cc')} className="text-blue-600 hover:text-blue-800">
+                Common Cartridge
+              </a>
+            </div>
+          )}
+
+          {response.assessment_items && <AssessmentItemList items={response.assessment_items} />}
+
+          {response.assessment_item_count > 0 && (
+            <div className="mt-2 flex items-center text-sm">
+              <FileText className="h-4 w-4 text-gray-500 mr-2" />
+              <span className="text-gray-700 mr-3">Export items:</span>
+              <a href={getCourseAssessmentUrl(response.course_id, 'qti')} className="text-blue-600 hover:text-blue-800 mr-3">
+                QTI 2.1
+              </a>
+              <a href={getCourseAssessmentUrl(response.course_id, 'json')} className="text-blue-600 hover:text-blue-800">
+                JSON
+              </a>
             </div>
           )}
+
+          {response.assessment_error && (
+            <p className="mt-2 text-sm text-amber-600">Assessment items could not be extracted: {response.assessment_error}</p>
+          )}
+
+          {response.processing_job_id && <JobProgress jobId={response.processing_job_id} />}
+
+          {response.processed_sco_note && (
+            <p className="mt-4 text-sm text-gray-500">{response.processed_sco_note}</p>
+          )}
+
+          {response.course_id && <GeneratedAssessmentPanel courseId={response.course_id} />}
           
           <div className="mt-6 pt-4 border-t border-gray-200">
             <button 
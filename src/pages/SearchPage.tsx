@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search, Loader, AlertCircle, PlayCircle, FileText } from 'lucide-react';
+import { searchCourses } from '../services/searchService';
+import { SearchHighlight, SearchMode, SearchResponse } from '../types/search';
+
+const PAGE_SIZE = 20;
+
+const MODE_LABELS: Record<SearchMode, string> = {
+  keyword: 'Keyword',
+  semantic: 'Semantic',
+  hybrid: 'Hybrid'
+};
+
+// Splits the snippet at the highlight ranges so matches render as <mark>
+const HighlightedSnippet: React.FC<{ text: string; highlights: SearchHighlight[] }> = ({ text, highlights }) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+  [...highlights].sort((a, b) => a.start - b.start).forEach((highlight) => {
+    if (highlight.start < position) return;
+    if (highlight.start > position) parts.push(text.slice(position, highlight.start));
+    parts.push(
+      <mark key={highlight.start} className="bg-yellow-200 rounded px-0.5">
+        {text.slice(highlight.start, highlight.end)}
+      </mark>
+    );
+    position = highlight.end;
+  });
+  parts.push(text.slice(position));
+  return <p className="text-sm text-gray-700 mt-2">{parts}</p>;
+};
+
+const SearchPage = () => {
+  // The query lives in the URL so results can be linked and survive reloads
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const mode = (searchParams.get('mode') || '') as SearchMode | '';
+  const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState<SearchResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setInput(query);
+    if (!query) {
+      setResults(null);
+      return;
+    }
+    let cancelled = false;
+
+    const runSearch = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const data = await searchCourses(query, { mode: mode || undefined, limit: PAGE_SIZE, offset });
+        if (!cancelled) setResults(data);
+      } catch (err: any) {
+        if (!cancelled) {
+          setResults(null);
+          setError(err.response?.data?.error || err.message || 'Search failed');
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    runSearch();
+    return () => {
+      cancelled = true;
+    };
+  }, [query, mode, offset]);
+
+  const updateParams = (next: { q?: string; mode?: string; offset?: number }) => {
+    const params: Record<string, string> = {};
+    const q = next.q ?? query;
+    const nextMode = next.mode ?? mode;
+    if (q) params.q = q;
+    if (nextMode) params.mode = nextMode;
+    if (next.offset) params.offset = String(next.offset);
+    setSearchParams(params);
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateParams({ q: input.trim(), offset: 0 });
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">Search Courses</h1>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8" role="search">
+        <div className="flex flex-col sm:flex-row gap-3">
+          <label htmlFor="search-query" className="sr-only">Search query</label>
+          <input
+            id="search-query"
+            type="search"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Search the content of all uploaded courses"
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <label htmlFor="search-mode" className="sr-only">Search mode</label>
+          <select
+            id="search-mode"
+            value={mode}
+            onChange={(e) => updateParams({ mode: e.target.value, offset: 0 })}
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+          >
+            <option value="">Default</option>
+            {(Object.keys(MODE_LABELS) as SearchMode[]).map((value) => (
+              <option key={value} value={value}>{MODE_LABELS[value]}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className="flex items-center justify-center px-4 py-2 rounded-md text-white font-medium bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            <Search className="h-4 w-4 mr-2" />
+            Search
+          </button>
+        </div>
+      </form>
+
+      {isLoading && (
+        <div className="flex items-center justify-center text-gray-600 mb-6">
+          <Loader className="animate-spin h-5 w-5 mr-2" />
+          Searching...
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-md flex items-start">
+          <AlertCircle className="h-5 w-5 mr-2 mt-0.5 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {results && !isLoading && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            {results.total} result{results.total === 1 ? '' : 's'} for "{results.query}" ({MODE_LABELS[results.mode].toLowerCase()} search
+            {results.embedding ? `, ${results.embedding.provider} embeddings` : ''}) across {results.indexed_scos} indexed SCOs
+          </p>
+
+          {results.hits.length === 0 ? (
+            <p className="text-gray-500">No matching course content.</p>
+          ) : (
+            <ul className="space-y-4">
+              {results.hits.map((hit) => (
+                <li key={`${hit.course_id}-${hit.sco_id}`} className="bg-white rounded-lg shadow-md p-5">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <Link to={hit.links.sco} className="text-lg font-semibold text-blue-600 hover:underline">
+                        {hit.sco_title}
+                      </Link>
+                      <p className="text-sm text-gray-500">
+                        in <Link to={hit.links.course} className="hover:underline">{hit.course_title}</Link>
+                      </p>
+                    </div>
+                    <span className="text-xs text-gray-400 whitespace-nowrap" title="Relevance score">
+                      {hit.score.toFixed(3)}
+                    </span>
+                  </div>
+
+                  {hit.snippet && <HighlightedSnippet text={hit.snippet} highlights={hit.highlights} />}
+
+                  {hit.keywords.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-3">
+                      {hit.keywords.slice(0, 8).map((keyword) => (
+                        <span
+                          key={keyword}
+                          className={`text-xs px-2 py-0.5 rounded-full ${
+                            hit.matched_fields.includes('keywords') && results.terms.some((term) => keyword.toLowerCase().startsWith(term))
+                              ? 'bg-yellow-100 text-yellow-800'
+                              : 'bg-gray-100 text-gray-600'
+                          }`}
+                        >
+                          {keyword}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-4 mt-3 text-sm">
+                    <Link to={hit.links.sco} className="flex items-center text-blue-600 hover:underline">
+                      <PlayCircle className="h-4 w-4 mr-1" />
+                      Open SCO
+                    </Link>
+                    <a href={hit.links.sco_document} target="_blank" rel="noopener noreferrer" className="flex items-center text-blue-600 hover:underline">
+                      <FileText className="h-4 w-4 mr-1" />
+                      Structured content
+                    </a>
+                    {hit.matched_fields.length > 0 && (
+                      <span className="text-xs text-gray-400">Matched in {hit.matched_fields.join(', ').replace(/_/g, ' ')}</span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {results.total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-6">
+              <button
+                onClick={() => updateParams({ offset: Math.max(offset - PAGE_SIZE, 0) })}
+                disabled={offset === 0}
+                className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, results.total)} of {results.total}
+              </span>
+              <button
+                onClick={() => updateParams({ offset: offset + PAGE_SIZE })}
+                disabled={offset + PAGE_SIZE >= results.total}
+                className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
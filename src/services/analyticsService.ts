@@ -0,0 +1,32 @@
+import axios from 'axios';
+import { AnalyticsSection, CourseAnalytics, CourseAnalyticsOverview } from '../types/analytics';
+
+const API_URL = '/api';
+
+export const getCourseOverviews = async (): Promise<CourseAnalyticsOverview[]> => {
+  try {
+    const response = await axios.get(`${API_URL}/analytics/courses`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching course analytics:', error);
+    throw error;
+  }
+};
+
+export const getCourseAnalytics = async (courseId: string): Promise<CourseAnalytics> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${courseId}/analytics`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching analytics of course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+export const getCourseOverviewsCsvUrl = (): string => {
+  return `${API_URL}/analytics/courses?format=csv`;
+};
+
+export const getAnalyticsCsvUrl = (courseId: string, section: AnalyticsSection): string => {
+  return `${API_URL}/courses/${courseId}/analytics/${section}?format=csv`;
+};
@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { LoginResponse, User } from '../types/auth';
+
+const API_URL = '/api';
+
+// The server keeps the session in an HttpOnly cookie, so the token in the
+// response isn't stored here; same-origin requests send the cookie along.
+export const login = async (username: string, password: string): Promise<LoginResponse> => {
+  try {
+    const response = await axios.post(`${API_URL}/auth/login`, { username, password });
+    return response.data;
+  } catch (error) {
+    console.error('Error logging in:', error);
+    throw error;
+  }
+};
+
+export const logout = async (): Promise<void> => {
+  try {
+    await axios.post(`${API_URL}/auth/logout`);
+  } catch (error) {
+    console.error('Error logging out:', error);
+    throw error;
+  }
+};
+
+// The signed-in user, or null without a valid session
+export const getCurrentUser = async (): Promise<User | null> => {
+  try {
+    const response = await axios.get(`${API_URL}/auth/me`);
+    return response.data;
+  } catch (error: any) {
+    if (error.response?.status === 401) return null;
+    console.error('Error fetching the current user:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,79 @@
+import { CmiData, ScormVersion } from './scormRuntime';
+import { ContentFrameMessage, PlayerMessage } from '../types/contentFrame';
+
+// Player side of a SCO launched in the runtime host page on the content
+// origin (see src/contentFrame.ts). Hands the launch data to the frame once
+// it is ready, stores what its runtime commits and tells the player when
+// the SCO terminated. Only messages from the framed window on the content
+// origin are accepted.
+
+// How long close() waits for the frame to finish its last commit
+const CLOSE_TIMEOUT_MS = 5000;
+
+interface ContentFrameOptions {
+  origin: string;
+  version: ScormVersion;
+  cmi: CmiData;
+  url: string;
+  onCommit: (cmi: CmiData, finish: boolean) => Promise<void>;
+  onTerminate: (cmi: CmiData) => void;
+}
+
+export class ContentFrameSession {
+  private readonly options: ContentFrameOptions;
+  private readonly listener: (event: MessageEvent<ContentFrameMessage>) => void;
+  private frame: Window | null = null;
+  private launched = false;
+  private onClosed: (() => void) | null = null;
+
+  constructor(options: ContentFrameOptions) {
+    this.options = options;
+    this.listener = (event) => this.receive(event);
+    window.addEventListener('message', this.listener);
+  }
+
+  // Called with the iframe element that loads the frame_url of the launch
+  attach(element: HTMLIFrameElement | null): void {
+    if (element) this.frame = element.contentWindow;
+  }
+
+  // Terminates the SCO if it is still running and waits until its data is stored
+  async close(): Promise<void> {
+    if (this.launched && this.frame) {
+      await new Promise<void>((resolve) => {
+        this.onClosed = resolve;
+        window.setTimeout(resolve, CLOSE_TIMEOUT_MS);
+        this.post({ type: 'close' });
+      });
+    }
+    window.removeEventListener('message', this.listener);
+    this.frame = null;
+  }
+
+  private post(message: PlayerMessage): void {
+    this.frame?.postMessage(message, this.options.origin);
+  }
+
+  private receive(event: MessageEvent<ContentFrameMessage>): void {
+    if (!this.frame || event.source !== this.frame || event.origin !== this.options.origin) return;
+    const message = event.data;
+    switch (message?.type) {
+      case 'ready':
+        if (this.launched) return;
+        this.launched = true;
+        this.post({ type: 'launch', version: this.options.version, cmi: this.options.cmi, url: this.options.url });
+        break;
+      case 'commit':
+        this.options.onCommit(message.cmi, message.finish)
+          .then(() => this.post({ type: 'committed', id: message.id }))
+          .catch((error) => this.post({ type: 'committed', id: message.id, error: error.message || 'Commit failed' }));
+        break;
+      case 'terminate':
+        this.options.onTerminate(message.cmi);
+        break;
+      case 'closed':
+        this.onClosed?.();
+        break;
+    }
+  }
+}
@@ -0,0 +1,205 @@
+import axios from 'axios';
+import { Attempt, AttemptSummary, Course, CourseRevisionHistory, CourseSummary, ExportFormat, RevisionDiff, NavigationRequest, NavigationResult, ScoCmiResponse, ScoLaunchResponse, SequencingInfo } from '../types/course';
+import { ScoDocument } from '../types/content';
+import { CourseAssessment, GenerateAssessmentOptions, GenerateAssessmentResponse, GeneratedAssessment } from '../types/assessment';
+
+const API_URL = '/api';
+
+export const getCourses = async (): Promise<CourseSummary[]> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    throw error;
+  }
+};
+
+export const getCourse = async (id: string): Promise<Course> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching course ${id}:`, error);
+    throw error;
+  }
+};
+
+export const getCourseRevisions = async (id: string): Promise<CourseRevisionHistory> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${id}/revisions`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching revisions of course ${id}:`, error);
+    throw error;
+  }
+};
+
+// Without from/to: the current revision against the one before it
+export const getRevisionDiff = async (id: string, from?: number, to?: number): Promise<RevisionDiff> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${id}/revisions/diff`, { params: { from, to } });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching revision diff of course ${id}:`, error);
+    throw error;
+  }
+};
+
+// Starts an attempt for the signed-in user. With resume their unfinished
+// attempt is returned when there is one.
+export const startAttempt = async (courseId: string, options: { resume?: boolean } = {}): Promise<Attempt> => {
+  try {
+    const response = await axios.post(`${API_URL}/courses/${courseId}/attempts`, {
+      resume: options.resume
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error starting attempt on course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+export const getAttempts = async (courseId: string, learnerId?: string): Promise<AttemptSummary[]> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${courseId}/attempts`, { params: { learner_id: learnerId } });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching attempts for course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+export const getScoCmi = async (attemptId: string, scoId: string): Promise<ScoCmiResponse> => {
+  try {
+    const response = await axios.get(`${API_URL}/attempts/${attemptId}/scos/${encodeURIComponent(scoId)}/cmi`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error loading CMI data for SCO ${scoId}:`, error);
+    throw error;
+  }
+};
+
+// Prepares a new runtime session for a SCO (sets cmi.entry for resume)
+export const launchSco = async (attemptId: string, scoId: string): Promise<ScoLaunchResponse> => {
+  try {
+    const response = await axios.post(`${API_URL}/attempts/${attemptId}/scos/${encodeURIComponent(scoId)}/launch`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error launching SCO ${scoId}:`, error);
+    throw error;
+  }
+};
+
+export const commitScoCmi = async (attemptId: string, scoId: string, cmi: Record<string, string>, finish = false): Promise<ScoCmiResponse> => {
+  try {
+    const response = await axios.put(`${API_URL}/attempts/${attemptId}/scos/${encodeURIComponent(scoId)}/cmi`, { cmi, finish });
+    return response.data;
+  } catch (error) {
+    console.error(`Error committing CMI data for SCO ${scoId}:`, error);
+    throw error;
+  }
+};
+
+// Sequencing refusals come back as 409 with the full result, so they are
+// returned to the player instead of thrown
+export const getSequencing = async (attemptId: string): Promise<SequencingInfo> => {
+  try {
+    const response = await axios.get(`${API_URL}/attempts/${attemptId}/sequencing`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching sequencing state for attempt ${attemptId}:`, error);
+    throw error;
+  }
+};
+
+export const navigateAttempt = async (attemptId: string, request: NavigationRequest, target?: string): Promise<NavigationResult> => {
+  try {
+    const response = await axios.post(`${API_URL}/attempts/${attemptId}/navigation`, { request, target });
+    return response.data;
+  } catch (error: any) {
+    if (error.response?.status === 409 && error.response.data?.exception) {
+      return error.response.data;
+    }
+    console.error(`Error processing navigation request "${request}":`, error);
+    throw error;
+  }
+};
+
+const decodeSegment = (segment: string): string => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// URL of a file from the extracted package, under the content base URL of
+// a launch. The launch href may carry a query string from the item parameters.
+export const getCourseContentUrl = (baseUrl: string, href: string): string => {
+  const queryStart = href.search(/[?#]/);
+  const filePath = queryStart === -1 ? href : href.slice(0, queryStart);
+  const suffix = queryStart === -1 ? '' : href.slice(queryStart);
+  return `${baseUrl}${filePath.split('/').map((segment) => encodeURIComponent(decodeSegment(segment))).join('/')}${suffix}`;
+};
+
+export const getScoDocument = async (courseId: string, scoId: string): Promise<ScoDocument> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${courseId}/scos/${encodeURIComponent(scoId)}/document`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching document of SCO ${scoId}:`, error);
+    throw error;
+  }
+};
+
+// Download link for the structured content of a whole course
+export const getCourseDocumentUrl = (courseId: string, format: 'json' | 'markdown'): string => {
+  return `${API_URL}/courses/${courseId}/document?format=${format}&download=1`;
+};
+
+export const getCourseAssessment = async (courseId: string): Promise<CourseAssessment> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${courseId}/assessment`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching assessment items of course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+// Download link for the course repackaged as SCORM 1.2, SCORM 2004, cmi5 or Common Cartridge
+export const getCourseExportUrl = (courseId: string, format: ExportFormat): string => {
+  return `${API_URL}/courses/${courseId}/export?format=${format}`;
+};
+
+// Download link for the assessment items as JSON or as a QTI 2.1 package
+export const getCourseAssessmentUrl = (courseId: string, format: 'json' | 'qti'): string => {
+  return `${API_URL}/courses/${courseId}/assessment?format=${format}&download=1`;
+};
+
+// Starts AI question generation as a background job
+export const generateAssessment = async (courseId: string, options: GenerateAssessmentOptions = {}): Promise<GenerateAssessmentResponse> => {
+  try {
+    const response = await axios.post(`${API_URL}/courses/${courseId}/generate-assessment`, options);
+    return response.data;
+  } catch (error) {
+    console.error(`Error starting question generation for course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+export const getGeneratedAssessment = async (courseId: string): Promise<GeneratedAssessment> => {
+  try {
+    const response = await axios.get(`${API_URL}/courses/${courseId}/generated-assessment`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching generated assessment of course ${courseId}:`, error);
+    throw error;
+  }
+};
+
+// Download link for the generated questions as JSON or as a SCORM 1.2 quiz SCO
+export const getGeneratedAssessmentUrl = (courseId: string, format: 'json' | 'scorm'): string => {
+  return `${API_URL}/courses/${courseId}/generated-assessment?format=${format}&download=1`;
+};
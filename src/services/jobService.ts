@@ -0,0 +1,14 @@
+import axios from 'axios';
+import { Job } from '../types/job';
+
+const API_URL = '/api';
+
+export const getJob = async (id: string): Promise<Job> => {
+  try {
+    const response = await axios.get(`${API_URL}/jobs/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching job ${id}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,39 @@
+import axios from 'axios';
+import { DeepLinkRequest, DeepLinkResponse } from '../types/lti';
+
+const API_URL = '/api';
+
+export const getDeepLinkRequest = async (sessionId: string): Promise<DeepLinkRequest> => {
+  try {
+    const response = await axios.get(`${API_URL}/lti/deep-links/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching deep linking request ${sessionId}:`, error);
+    throw error;
+  }
+};
+
+export const completeDeepLink = async (sessionId: string, courseIds: string[]): Promise<DeepLinkResponse> => {
+  try {
+    const response = await axios.post(`${API_URL}/lti/deep-links/${sessionId}`, { course_ids: courseIds });
+    return response.data;
+  } catch (error) {
+    console.error(`Error completing deep linking request ${sessionId}:`, error);
+    throw error;
+  }
+};
+
+// Posts the deep linking response to the LMS the way LTI expects: a form
+// with a JWT field, which navigates away from the app
+export const postDeepLinkResponse = ({ return_url: returnUrl, jwt }: DeepLinkResponse): void => {
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = returnUrl;
+  const input = document.createElement('input');
+  input.type = 'hidden';
+  input.name = 'JWT';
+  input.value = jwt;
+  form.appendChild(input);
+  document.body.appendChild(form);
+  form.submit();
+};
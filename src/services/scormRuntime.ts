@@ -0,0 +1,551 @@
+// SCORM runtime adapter. Exposes the SCORM 1.2 API (window.API) and the
+// SCORM 2004 API (window.API_1484_11) to a launched SCO and keeps its CMI
+// data model as a flat map of element name -> string value.
+
+export type ScormVersion = '1.2' | '2004';
+export type CmiData = Record<string, string>;
+
+type Access = 'ro' | 'rw' | 'wo';
+type Validator = (value: string) => boolean;
+
+interface ElementDefinition {
+  access: Access;
+  validate?: Validator;
+}
+
+interface RuntimeOptions {
+  version: ScormVersion;
+  cmi: CmiData;
+  // finish is true for the final commit made by Terminate/LMSFinish
+  onCommit: (cmi: CmiData, finish: boolean) => Promise<void>;
+  onTerminate?: (cmi: CmiData) => void;
+}
+
+type RuntimeState = 'not_initialized' | 'running' | 'terminated';
+
+// --- Value validators ---
+
+const vocabulary = (...values: string[]): Validator => (value) => values.includes(value);
+
+const real = (min?: number, max?: number): Validator => (value) => {
+  if (value.trim() === '' || !/^-?\d*\.?\d+$/.test(value.trim())) return false;
+  const number = Number(value);
+  return (min === undefined || number >= min) && (max === undefined || number <= max);
+};
+
+const integer = (min?: number, max?: number): Validator => (value) =>
+  /^-?\d+$/.test(value) && real(min, max)(value);
+
+const maxLength = (length: number): Validator => (value) => value.length <= length;
+
+// ISO 8601 duration used by SCORM 2004 (e.g. PT1H30M5.5S)
+const timeInterval: Validator = (value) =>
+  /^P(?!$)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/.test(value);
+
+// SCORM 1.2 CMITimespan (HHHH:MM:SS.SS)
+const timespan: Validator = (value) => /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value);
+
+// SCORM 1.2 score fields accept a decimal between 0 and 100 or an empty string
+const score12: Validator = (value) => value === '' || real(0, 100)(value);
+
+const timestamp: Validator = (value) =>
+  /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2}(\.\d{1,2})?)?)?(Z|[+-]\d{2}(:\d{2})?)?)?)?)?$/.test(value);
+
+const INTERACTION_TYPES_2004 = vocabulary('true-false', 'choice', 'fill-in', 'long-fill-in', 'matching',
+  'performance', 'sequencing', 'likert', 'numeric', 'other');
+const INTERACTION_TYPES_12 = vocabulary('true-false', 'choice', 'fill-in', 'matching', 'performance',
+  'sequencing', 'likert', 'numeric');
+
+// --- Data model definitions ---
+// Array indices are written as ".n." (first level) and ".m." (second level).
+
+const MODEL_2004: Record<string, ElementDefinition> = {
+  'cmi._version': { access: 'ro' },
+  'cmi.comments_from_learner._children': { access: 'ro' },
+  'cmi.comments_from_learner._count': { access: 'ro' },
+  'cmi.comments_from_learner.n.comment': { access: 'rw', validate: maxLength(4000) },
+  'cmi.comments_from_learner.n.location': { access: 'rw', validate: maxLength(250) },
+  'cmi.comments_from_learner.n.timestamp': { access: 'rw', validate: timestamp },
+  'cmi.comments_from_lms._children': { access: 'ro' },
+  'cmi.comments_from_lms._count': { access: 'ro' },
+  'cmi.comments_from_lms.n.comment': { access: 'ro' },
+  'cmi.comments_from_lms.n.location': { access: 'ro' },
+  'cmi.comments_from_lms.n.timestamp': { access: 'ro' },
+  'cmi.completion_status': { access: 'rw', validate: vocabulary('completed', 'incomplete', 'not attempted', 'unknown') },
+  'cmi.completion_threshold': { access: 'ro' },
+  'cmi.credit': { access: 'ro' },
+  'cmi.entry': { access: 'ro' },
+  'cmi.exit': { access: 'wo', validate: vocabulary('time-out', 'suspend', 'logout', 'normal', '') },
+  'cmi.interactions._children': { access: 'ro' },
+  'cmi.interactions._count': { access: 'ro' },
+  'cmi.interactions.n.id': { access: 'rw', validate: maxLength(4000) },
+  'cmi.interactions.n.type': { access: 'rw', validate: INTERACTION_TYPES_2004 },
+  'cmi.interactions.n.objectives._count': { access: 'ro' },
+  'cmi.interactions.n.objectives.m.id': { access: 'rw', validate: maxLength(4000) },
+  'cmi.interactions.n.timestamp': { access: 'rw', validate: timestamp },
+  'cmi.interactions.n.correct_responses._count': { access: 'ro' },
+  'cmi.interactions.n.correct_responses.m.pattern': { access: 'rw' },
+  'cmi.interactions.n.weighting': { access: 'rw', validate: real() },
+  'cmi.interactions.n.learner_response': { access: 'rw' },
+  'cmi.interactions.n.result': { access: 'rw', validate: (value) => ['correct', 'incorrect', 'unanticipated', 'neutral'].includes(value) || real()(value) },
+  'cmi.interactions.n.latency': { access: 'rw', validate: timeInterval },
+  'cmi.interactions.n.description': { access: 'rw', validate: maxLength(250) },
+  'cmi.launch_data': { access: 'ro' },
+  'cmi.learner_id': { access: 'ro' },
+  'cmi.learner_name': { access: 'ro' },
+  'cmi.learner_preference._children': { access: 'ro' },
+  'cmi.learner_preference.audio_level': { access: 'rw', validate: real(0) },
+  'cmi.learner_preference.language': { access: 'rw', validate: maxLength(250) },
+  'cmi.learner_preference.delivery_speed': { access: 'rw', validate: real(0) },
+  'cmi.learner_preference.audio_captioning': { access: 'rw', validate: vocabulary('-1', '0', '1') },
+  'cmi.location': { access: 'rw', validate: maxLength(1000) },
+  'cmi.max_time_allowed': { access: 'ro' },
+  'cmi.mode': { access: 'ro' },
+  'cmi.objectives._children': { access: 'ro' },
+  'cmi.objectives._count': { access: 'ro' },
+  'cmi.objectives.n.id': { access: 'rw', validate: maxLength(4000) },
+  'cmi.objectives.n.score._children': { access: 'ro' },
+  'cmi.objectives.n.score.scaled': { access: 'rw', validate: real(-1, 1) },
+  'cmi.objectives.n.score.raw': { access: 'rw', validate: real() },
+  'cmi.objectives.n.score.min': { access: 'rw', validate: real() },
+  'cmi.objectives.n.score.max': { access: 'rw', validate: real() },
+  'cmi.objectives.n.success_status': { access: 'rw', validate: vocabulary('passed', 'failed', 'unknown') },
+  'cmi.objectives.n.completion_status': { access: 'rw', validate: vocabulary('completed', 'incomplete', 'not attempted', 'unknown') },
+  'cmi.objectives.n.progress_measure': { access: 'rw', validate: real(0, 1) },
+  'cmi.objectives.n.description': { access: 'rw', validate: maxLength(250) },
+  'cmi.progress_measure': { access: 'rw', validate: real(0, 1) },
+  'cmi.scaled_passing_score': { access: 'ro' },
+  'cmi.score._children': { access: 'ro' },
+  'cmi.score.scaled': { access: 'rw', validate: real(-1, 1) },
+  'cmi.score.raw': { access: 'rw', validate: real() },
+  'cmi.score.min': { access: 'rw', validate: real() },
+  'cmi.score.max': { access: 'rw', validate: real() },
+  'cmi.session_time': { access: 'wo', validate: timeInterval },
+  'cmi.success_status': { access: 'rw', validate: vocabulary('passed', 'failed', 'unknown') },
+  'cmi.suspend_data': { access: 'rw', validate: maxLength(64000) },
+  'cmi.time_limit_action': { access: 'ro' },
+  'cmi.total_time': { access: 'ro' },
+  'adl.nav.request': { access: 'rw', validate: (value) => /^(\{target=[^}]+\}(choice|jump)|continue|previous|exit|exitAll|abandon|abandonAll|suspendAll|_none_)$/.test(value) }
+};
+
+const MODEL_12: Record<string, ElementDefinition> = {
+  'cmi.core._children': { access: 'ro' },
+  'cmi.core.student_id': { access: 'ro' },
+  'cmi.core.student_name': { access: 'ro' },
+  'cmi.core.lesson_location': { access: 'rw', validate: maxLength(255) },
+  'cmi.core.credit': { access: 'ro' },
+  'cmi.core.lesson_status': { access: 'rw', validate: vocabulary('passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted') },
+  'cmi.core.entry': { access: 'ro' },
+  'cmi.core.score._children': { access: 'ro' },
+  'cmi.core.score.raw': { access: 'rw', validate: score12 },
+  'cmi.core.score.min': { access: 'rw', validate: score12 },
+  'cmi.core.score.max': { access: 'rw', validate: score12 },
+  'cmi.core.total_time': { access: 'ro' },
+  'cmi.core.lesson_mode': { access: 'ro' },
+  'cmi.core.exit': { access: 'wo', validate: vocabulary('time-out', 'suspend', 'logout', '') },
+  'cmi.core.session_time': { access: 'wo', validate: timespan },
+  'cmi.suspend_data': { access: 'rw', validate: maxLength(4096) },
+  'cmi.launch_data': { access: 'ro' },
+  'cmi.comments': { access: 'rw', validate: maxLength(4096) },
+  'cmi.comments_from_lms': { access: 'ro' },
+  'cmi.objectives._children': { access: 'ro' },
+  'cmi.objectives._count': { access: 'ro' },
+  'cmi.objectives.n.id': { access: 'rw', validate: maxLength(255) },
+  'cmi.objectives.n.score._children': { access: 'ro' },
+  'cmi.objectives.n.score.raw': { access: 'rw', validate: score12 },
+  'cmi.objectives.n.score.min': { access: 'rw', validate: score12 },
+  'cmi.objectives.n.score.max': { access: 'rw', validate: score12 },
+  'cmi.objectives.n.status': { access: 'rw', validate: vocabulary('passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted') },
+  'cmi.student_data._children': { access: 'ro' },
+  'cmi.student_data.mastery_score': { access: 'ro' },
+  'cmi.student_data.max_time_allowed': { access: 'ro' },
+  'cmi.student_data.time_limit_action': { access: 'ro' },
+  'cmi.student_preference._children': { access: 'ro' },
+  'cmi.student_preference.audio': { access: 'rw', validate: integer(-1, 100) },
+  'cmi.student_preference.language': { access: 'rw', validate: maxLength(255) },
+  'cmi.student_preference.speed': { access: 'rw', validate: integer(-100, 100) },
+  'cmi.student_preference.text': { access: 'rw', validate: integer(-1, 1) },
+  'cmi.interactions._children': { access: 'ro' },
+  'cmi.interactions._count': { access: 'ro' },
+  'cmi.interactions.n.id': { access: 'wo', validate: maxLength(255) },
+  'cmi.interactions.n.objectives._count': { access: 'ro' },
+  'cmi.interactions.n.objectives.m.id': { access: 'wo', validate: maxLength(255) },
+  'cmi.interactions.n.time': { access: 'wo', validate: (value) => /^\d{2}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value) },
+  'cmi.interactions.n.type': { access: 'wo', validate: INTERACTION_TYPES_12 },
+  'cmi.interactions.n.correct_responses._count': { access: 'ro' },
+  'cmi.interactions.n.correct_responses.m.pattern': { access: 'wo' },
+  'cmi.interactions.n.weighting': { access: 'wo', validate: real() },
+  'cmi.interactions.n.student_response': { access: 'wo' },
+  'cmi.interactions.n.result': { access: 'wo', validate: (value) => ['correct', 'wrong', 'unanticipated', 'neutral'].includes(value) || real()(value) },
+  'cmi.interactions.n.latency': { access: 'wo', validate: timespan }
+};
+
+const CHILDREN: Record<ScormVersion, Record<string, string>> = {
+  '2004': {
+    'cmi.comments_from_learner._children': 'comment,location,timestamp',
+    'cmi.comments_from_lms._children': 'comment,location,timestamp',
+    'cmi.interactions._children': 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description',
+    'cmi.learner_preference._children': 'audio_level,language,delivery_speed,audio_captioning',
+    'cmi.objectives._children': 'id,score,success_status,completion_status,progress_measure,description',
+    'cmi.objectives.n.score._children': 'scaled,raw,min,max',
+    'cmi.score._children': 'scaled,raw,min,max'
+  },
+  '1.2': {
+    'cmi.core._children': 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+    'cmi.core.score._children': 'raw,min,max',
+    'cmi.objectives._children': 'id,score,status',
+    'cmi.objectives.n.score._children': 'raw,min,max',
+    'cmi.student_data._children': 'mastery_score,max_time_allowed,time_limit_action',
+    'cmi.student_preference._children': 'audio,language,speed,text',
+    'cmi.interactions._children': 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency'
+  }
+};
+
+// --- Error codes ---
+
+const ERRORS_2004: Record<number, string> = {
+  0: 'No Error',
+  101: 'General Exception',
+  102: 'General Initialization Failure',
+  103: 'Already Initialized',
+  104: 'Content Instance Terminated',
+  111: 'General Termination Failure',
+  112: 'Termination Before Initialization',
+  113: 'Termination After Termination',
+  122: 'Retrieve Data Before Initialization',
+  123: 'Retrieve Data After Termination',
+  132: 'Store Data Before Initialization',
+  133: 'Store Data After Termination',
+  142: 'Commit Before Initialization',
+  143: 'Commit After Termination',
+  201: 'General Argument Error',
+  301: 'General Get Failure',
+  351: 'General Set Failure',
+  391: 'General Commit Failure',
+  401: 'Undefined Data Model Element',
+  402: 'Unimplemented Data Model Element',
+  403: 'Data Model Element Value Not Initialized',
+  404: 'Data Model Element Is Read Only',
+  405: 'Data Model Element Is Write Only',
+  406: 'Data Model Element Type Mismatch',
+  407: 'Data Model Element Value Out Of Range',
+  408: 'Data Model Dependency Not Established'
+};
+
+const ERRORS_12: Record<number, string> = {
+  0: 'No error',
+  101: 'General exception',
+  201: 'Invalid argument error',
+  202: 'Element cannot have children',
+  203: 'Element not an array - cannot have count',
+  301: 'Not initialized',
+  401: 'Not implemented error',
+  402: 'Invalid set value, element is a keyword',
+  403: 'Element is read only',
+  404: 'Element is write only',
+  405: 'Incorrect data type'
+};
+
+// Replaces array indices with the placeholders used in the model tables
+function normalizeElement(element: string): { pattern: string; indices: number[] } {
+  const indices: number[] = [];
+  let level = 0;
+  const pattern = element.replace(/\.(\d+)(?=\.|$)/g, (_match, index: string) => {
+    indices.push(parseInt(index, 10));
+    level += 1;
+    return level === 1 ? '.n' : '.m';
+  });
+  return { pattern, indices };
+}
+
+export class ScormRuntime {
+  private readonly version: ScormVersion;
+  private readonly model: Record<string, ElementDefinition>;
+  private readonly cmi: CmiData;
+  private readonly onCommit: (cmi: CmiData, finish: boolean) => Promise<void>;
+  private readonly onTerminate?: (cmi: CmiData) => void;
+  private state: RuntimeState = 'not_initialized';
+  private lastError = 0;
+  private diagnostic = '';
+  private dirty = false;
+  private pendingCommit: Promise<void> = Promise.resolve();
+
+  constructor({ version, cmi, onCommit, onTerminate }: RuntimeOptions) {
+    this.version = version;
+    this.model = version === '1.2' ? MODEL_12 : MODEL_2004;
+    this.cmi = { ...cmi };
+    this.onCommit = onCommit;
+    this.onTerminate = onTerminate;
+  }
+
+  get isRunning(): boolean {
+    return this.state === 'running';
+  }
+
+  snapshot(): CmiData {
+    return { ...this.cmi };
+  }
+
+  // --- Version independent operations ---
+
+  private setError(code: number, diagnostic = ''): void {
+    this.lastError = code;
+    this.diagnostic = diagnostic;
+  }
+
+  private errorCodes() {
+    return this.version === '1.2'
+      ? { notInitialized: 301, terminated: 101, alreadyInitialized: 101, undefinedElement: 401, readOnly: 403, writeOnly: 404, typeMismatch: 405, argument: 201, dependency: 201, notImplemented: 401, notAnArray: 203, noChildren: 202 }
+      : { notInitialized: 0, terminated: 0, alreadyInitialized: 103, undefinedElement: 401, readOnly: 404, writeOnly: 405, typeMismatch: 406, argument: 201, dependency: 408, notImplemented: 402, notAnArray: 401, noChildren: 401 };
+  }
+
+  private count(prefix: string): number {
+    let count = 0;
+    while (Object.keys(this.cmi).some((key) => key.startsWith(`${prefix}.${count}.`))) {
+      count += 1;
+    }
+    return count;
+  }
+
+  initialize(): boolean {
+    if (this.state === 'running') {
+      this.setError(this.errorCodes().alreadyInitialized, 'Initialize was already called');
+      return false;
+    }
+    if (this.state === 'terminated') {
+      this.setError(this.version === '1.2' ? 101 : 104, 'The content instance has been terminated');
+      return false;
+    }
+    this.state = 'running';
+    this.setError(0);
+    return true;
+  }
+
+  getValue(element: string): string {
+    if (this.state !== 'running') {
+      this.setError(this.version === '1.2' ? 301 : (this.state === 'terminated' ? 123 : 122));
+      return '';
+    }
+    const codes = this.errorCodes();
+    if (!element) {
+      this.setError(this.version === '1.2' ? 201 : 301, 'No data model element given');
+      return '';
+    }
+
+    const { pattern, indices } = normalizeElement(element);
+    if (pattern.endsWith('._children')) {
+      const children = CHILDREN[this.version][pattern];
+      if (children) {
+        this.setError(0);
+        return children;
+      }
+      this.setError(codes.noChildren, `${element} does not have children`);
+      return '';
+    }
+    if (pattern.endsWith('._count')) {
+      if (!(pattern in this.model)) {
+        this.setError(codes.notAnArray, `${element} is not an array`);
+        return '';
+      }
+      this.setError(0);
+      return String(this.count(this.resolveArrayPrefix(element)));
+    }
+    if (element === 'cmi._version') {
+      this.setError(0);
+      return '1.0';
+    }
+
+    const definition = this.model[pattern];
+    if (!definition) {
+      this.setError(codes.undefinedElement, `${element} is not part of the SCORM ${this.version} data model`);
+      return '';
+    }
+    if (definition.access === 'wo') {
+      this.setError(codes.writeOnly, `${element} is write only`);
+      return '';
+    }
+    if (indices.length > 0 && !(element in this.cmi)) {
+      this.setError(this.version === '1.2' ? 201 : 301, `${element} does not exist yet`);
+      return '';
+    }
+    if (!(element in this.cmi)) {
+      // SCORM 2004 distinguishes "never set" from an empty value
+      this.setError(this.version === '1.2' ? 0 : 403, `${element} has not been initialized`);
+      return '';
+    }
+    this.setError(0);
+    return this.cmi[element];
+  }
+
+  setValue(element: string, rawValue: unknown): boolean {
+    if (this.state !== 'running') {
+      this.setError(this.version === '1.2' ? 301 : (this.state === 'terminated' ? 133 : 132));
+      return false;
+    }
+    const codes = this.errorCodes();
+    const value = rawValue === null || rawValue === undefined ? '' : String(rawValue);
+    const { pattern, indices } = normalizeElement(element || '');
+
+    if (pattern.endsWith('._children') || pattern.endsWith('._count') || element === 'cmi._version') {
+      this.setError(this.version === '1.2' ? 402 : 404, `${element} is a keyword and cannot be set`);
+      return false;
+    }
+    const definition = this.model[pattern];
+    if (!definition) {
+      this.setError(codes.undefinedElement, `${element} is not part of the SCORM ${this.version} data model`);
+      return false;
+    }
+    if (definition.access === 'ro') {
+      this.setError(codes.readOnly, `${element} is read only`);
+      return false;
+    }
+    if (definition.validate && !definition.validate(value)) {
+      this.setError(codes.typeMismatch, `"${value}" is not a valid value for ${element}`);
+      return false;
+    }
+
+    // Array elements may only append at index == _count, and a new record
+    // must get its id first
+    if (indices.length > 0) {
+      const arrayPrefix = this.resolveArrayPrefix(element);
+      const index = indices[indices.length - 1];
+      const count = this.count(arrayPrefix);
+      if (index > count) {
+        this.setError(this.version === '1.2' ? 201 : 351, `Index ${index} is out of sequence for ${arrayPrefix} (count ${count})`);
+        return false;
+      }
+      const isIdentifierField = /\.(id|pattern)$/.test(pattern) || pattern.startsWith('cmi.comments_from_learner');
+      if (index === count && !isIdentifierField) {
+        this.setError(codes.dependency, `${arrayPrefix}.${index}.id must be set before other fields`);
+        return false;
+      }
+    }
+
+    this.cmi[element] = value;
+    this.dirty = true;
+    this.setError(0);
+    return true;
+  }
+
+  // Returns the array prefix that owns the last index in the element name,
+  // e.g. cmi.interactions.0.objectives.1.id -> cmi.interactions.0.objectives
+  private resolveArrayPrefix(element: string): string {
+    const parts = element.split('.');
+    const lastIndex = parts.map((part) => /^\d+$/.test(part)).lastIndexOf(true);
+    if (element.endsWith('._count')) {
+      return parts.slice(0, -1).join('.');
+    }
+    return parts.slice(0, lastIndex).join('.');
+  }
+
+  commit(): boolean {
+    if (this.state !== 'running') {
+      this.setError(this.version === '1.2' ? 301 : (this.state === 'terminated' ? 143 : 142));
+      return false;
+    }
+    this.flush();
+    this.setError(0);
+    return true;
+  }
+
+  terminate(): boolean {
+    if (this.state !== 'running') {
+      this.setError(this.version === '1.2' ? 301 : (this.state === 'terminated' ? 113 : 112));
+      return false;
+    }
+    this.dirty = true;
+    this.flush(true);
+    this.state = 'terminated';
+    this.setError(0);
+    if (this.onTerminate) {
+      this.onTerminate(this.snapshot());
+    }
+    return true;
+  }
+
+  // Sends the data model to the backend. SCORM calls are synchronous, so
+  // the request is fired and failures are only logged. Commits are chained
+  // so they reach the backend in order.
+  private flush(finish = false): void {
+    if (!this.dirty) return;
+    this.dirty = false;
+    const data = this.snapshot();
+    this.pendingCommit = this.pendingCommit
+      .then(() => this.onCommit(data, finish))
+      .catch((error) => {
+        console.error('SCORM runtime commit failed:', error);
+        this.dirty = true;
+      });
+  }
+
+  // Resolves once every commit issued so far has been sent
+  whenCommitted(): Promise<void> {
+    return this.pendingCommit;
+  }
+
+  getLastError(): string {
+    return String(this.lastError);
+  }
+
+  getErrorString(code: unknown): string {
+    const table = this.version === '1.2' ? ERRORS_12 : ERRORS_2004;
+    return table[parseInt(String(code), 10)] || '';
+  }
+
+  getDiagnostic(code: unknown): string {
+    if (code === undefined || code === null || code === '' || String(code) === String(this.lastError)) {
+      return this.diagnostic;
+    }
+    return this.getErrorString(code);
+  }
+
+  // --- API objects as seen by content ---
+
+  api12() {
+    return {
+      LMSInitialize: (param: string = '') => String(param === '' ? this.initialize() : this.argumentError()),
+      LMSFinish: (param: string = '') => String(param === '' ? this.terminate() : this.argumentError()),
+      LMSGetValue: (element: string) => this.getValue(element),
+      LMSSetValue: (element: string, value: unknown) => String(this.setValue(element, value)),
+      LMSCommit: (param: string = '') => String(param === '' ? this.commit() : this.argumentError()),
+      LMSGetLastError: () => this.getLastError(),
+      LMSGetErrorString: (code: unknown) => this.getErrorString(code),
+      LMSGetDiagnostic: (code: unknown) => this.getDiagnostic(code)
+    };
+  }
+
+  api2004() {
+    return {
+      version: '1.0',
+      Initialize: (param: string = '') => String(param === '' ? this.initialize() : this.argumentError()),
+      Terminate: (param: string = '') => String(param === '' ? this.terminate() : this.argumentError()),
+      GetValue: (element: string) => this.getValue(element),
+      SetValue: (element: string, value: unknown) => String(this.setValue(element, value)),
+      Commit: (param: string = '') => String(param === '' ? this.commit() : this.argumentError()),
+      GetLastError: () => this.getLastError(),
+      GetErrorString: (code: unknown) => this.getErrorString(code),
+      GetDiagnostic: (code: unknown) => this.getDiagnostic(code)
+    };
+  }
+
+  private argumentError(): boolean {
+    this.setError(201, 'The argument must be an empty string');
+    return false;
+  }
+}
+
+type ScormWindow = Window & { API?: unknown; API_1484_11?: unknown };
+
+// Publishes the runtime on the window SCOs look for it in, the runtime host
+// page that frames them (src/contentFrame.ts)
+export const installRuntime = (target: Window, runtime: ScormRuntime): void => {
+  const scormWindow = target as ScormWindow;
+  scormWindow.API = runtime.api12();
+  scormWindow.API_1484_11 = runtime.api2004();
+};
+
+export const uninstallRuntime = (target: Window): void => {
+  const scormWindow = target as ScormWindow;
+  delete scormWindow.API;
+  delete scormWindow.API_1484_11;
+};
@@ -1,4 +1,34 @@
 import axios from 'axios';
+import { UploadSession } from '../types/scorm';
+
+// Maps an axios error from one of the upload endpoints to a readable Error
+const toUploadError = (error: any): Error => {
+  if (error.response) {
+    const statusCode = error.response.status;
+    const errorMessage = error.response.data?.error || error.response.data?.message || 'Unknown server error';
+
+    if (statusCode === 413) {
+      return new Error(error.response.data?.error || 'File is too large. Maximum file size is 200MB.');
+    } else if (statusCode === 415) {
+      return new Error('Invalid file type. Please upload a valid SCORM package (.zip).');
+    } else if (statusCode === 401) {
+      return new Error('Unauthorized. Please log in and try again.');
+    } else if (statusCode === 422 && error.response.data?.extraction) {
+      // Rejected by the safe extraction; keep the report for the upload page
+      return Object.assign(new Error(`Upload failed: ${errorMessage}`), { extraction: error.response.data.extraction });
+    } else {
+      return new Error(`Upload failed: ${errorMessage}`);
+    }
+  } else if (error.request) {
+    if (error.code === 'ECONNABORTED') {
+      return new Error('Upload timed out. The file might be too large or the connection is slow.');
+    } else {
+      return new Error('No response from server. Please check your connection and try again.');
+    }
+  } else {
+    return new Error('An unexpected error occurred during upload. Please try again.');
+  }
+};
 
 export const uploadScormPackage = async (file: File) => {
   const formData = new FormData();
@@ -18,28 +48,104 @@ export const uploadScormPackage = async (file: File) => {
     return response.data;
   } catch (error: any) {
     console.error('SCORM Upload Error:', error);
+    throw toUploadError(error);
+  }
+};
 
-    if (error.response) {
-      const statusCode = error.response.status;
-      const errorMessage = error.response.data?.error || error.response.data?.message || 'Unknown server error';
-      
-      if (statusCode === 413) {
-        throw new Error('File is too large. Maximum file size is 200MB.');
-      } else if (statusCode === 415) {
-        throw new Error('Invalid file type. Please upload a valid SCORM package (.zip).');
-      } else if (statusCode === 401) {
-        throw new Error('Unauthorized. Please log in and try again.');
-      } else {
-        throw new Error(`Upload failed: ${errorMessage}`);
-      }
-    } else if (error.request) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Upload timed out. The file might be too large or the connection is slow.');
-      } else {
-        throw new Error('No response from server. Please check your connection and try again.');
-      }
+
+// --- Resumable uploads ---
+// The file is sent in chunks to /api/uploads/:id. Each chunk carries its
+// SHA-256 so corruption is caught per chunk; the server returns the digest of
+// the whole file when the upload is finalized.
+
+export interface ResumableUploadOptions {
+  // Continue an earlier upload instead of starting a new one
+  uploadId?: string | null;
+  // Called once the upload session exists, so the caller can resume it later
+  onSession?: (session: UploadSession) => void;
+  onProgress?: (uploaded: number, total: number) => void;
+  // Aborting pauses the upload; call again with the same uploadId to resume
+  signal?: AbortSignal;
+}
+
+const MAX_CHUNK_RETRIES = 3;
+
+const chunkChecksum = async (chunk: Blob): Promise<string | null> => {
+  // SubtleCrypto is only available in secure contexts (https, localhost)
+  if (!window.crypto?.subtle) return null;
+  const digest = await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+  let binary = '';
+  new Uint8Array(digest).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+// True for the error a paused (aborted) upload rejects with
+export const isUploadPaused = (error: unknown) => axios.isCancel(error);
+
+export const getUploadSession = async (uploadId: string): Promise<UploadSession> => {
+  const response = await axios.get(`/api/uploads/${uploadId}`);
+  return response.data;
+};
+
+export const cancelResumableUpload = async (uploadId: string) => {
+  await axios.delete(`/api/uploads/${uploadId}`);
+};
+
+export const uploadScormPackageResumable = async (file: File, options: ResumableUploadOptions = {}) => {
+  const { onSession, onProgress, signal } = options;
+  try {
+    let session: UploadSession;
+    if (options.uploadId) {
+      session = await getUploadSession(options.uploadId);
     } else {
-      throw new Error('An unexpected error occurred during upload. Please try again.');
+      const created = await axios.post('/api/uploads', { file_name: file.name, size: file.size }, { signal });
+      session = created.data;
     }
+    onSession?.(session);
+
+    let offset = session.offset;
+    let retries = 0;
+    onProgress?.(offset, file.size);
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + session.chunk_size);
+      const checksum = await chunkChecksum(chunk);
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/octet-stream',
+        'Upload-Offset': String(offset)
+      };
+      if (checksum) headers['Upload-Checksum'] = `sha256 ${checksum}`;
+      const chunkStart = offset;
+      try {
+        const response = await axios.put(`/api/uploads/${session.id}`, chunk, {
+          headers,
+          signal,
+          onUploadProgress: (event) => onProgress?.(chunkStart + event.loaded, file.size)
+        });
+        offset = response.data.offset;
+        retries = 0;
+      } catch (error: any) {
+        if (axios.isCancel(error)) throw error;
+        // The server tells us where to continue when offsets got out of step
+        if (error.response?.status === 409 && typeof error.response.data?.offset === 'number') {
+          offset = error.response.data.offset;
+        } else if ((!error.response || error.response.status >= 500) && retries < MAX_CHUNK_RETRIES) {
+          retries += 1;
+          await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+          offset = (await getUploadSession(session.id)).offset;
+        } else {
+          throw error;
+        }
+      }
+      onProgress?.(offset, file.size);
+    }
+
+    // Extraction and parsing can take a while for large packages. Not
+    // abortable: once finalizing has started the package is processed anyway.
+    const response = await axios.post(`/api/uploads/${session.id}/complete`, {}, { timeout: 300000 });
+    return response.data;
+  } catch (error: any) {
+    if (axios.isCancel(error)) throw error;
+    console.error('Resumable SCORM Upload Error:', error);
+    throw toUploadError(error);
   }
-};
\ No newline at end of file
+};
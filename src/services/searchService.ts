@@ -0,0 +1,22 @@
+import axios from 'axios';
+import { SearchOptions, SearchResponse } from '../types/search';
+
+const API_URL = '/api';
+
+export const searchCourses = async (query: string, options: SearchOptions = {}): Promise<SearchResponse> => {
+  try {
+    const response = await axios.get(`${API_URL}/search`, {
+      params: {
+        q: query,
+        mode: options.mode,
+        course_id: options.courseId,
+        limit: options.limit,
+        offset: options.offset
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error searching for "${query}":`, error);
+    throw error;
+  }
+};
@@ -1,53 +0,0 @@
-import axios from 'axios';
-import { Todo } from '../types/todo';
-
-const API_URL = '/api/todos';
-
-export const getTodos = async (): Promise<Todo[]> => {
-  try {
-    const response = await axios.get(API_URL);
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching todos:', error);
-    throw error;
-  }
-};
-
-const getTodoById = async (id: number): Promise<Todo> => {
-  try {
-    const response = await axios.get(`${API_URL}/${id}`);
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching todo with id ${id}:`, error);
-    throw error;
-  }
-};
-
-export const addTodo = async (title: string): Promise<Todo> => {
-  try {
-    const response = await axios.post(API_URL, { title });
-    return response.data;
-  } catch (error) {
-    console.error('Error adding todo:', error);
-    throw error;
-  }
-};
-
-export const updateTodo = async (id: number, todo: Partial<Todo>): Promise<Todo> => {
-  try {
-    const response = await axios.put(`${API_URL}/${id}`, todo);
-    return response.data;
-  } catch (error) {
-    console.error(`Error updating todo with id ${id}:`, error);
-    throw error;
-  }
-};
-
-export const deleteTodo = async (id: number): Promise<void> => {
-  try {
-    await axios.delete(`${API_URL}/${id}`);
-  } catch (error) {
-    console.error(`Error deleting todo with id ${id}:`, error);
-    throw error;
-  }
-};
\ No newline at end of file
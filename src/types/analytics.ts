@@ -0,0 +1,116 @@
+// Rates are fractions (0-1), scores percentages (0-100) and times seconds;
+// null where there is nothing to measure yet
+
+export interface AnalyticsOverview {
+  attempt_count: number;
+  learner_count: number;
+  started_count: number;
+  completed_count: number;
+  completion_rate: number | null;
+  passed_count: number;
+  failed_count: number;
+  // Of the attempts with a pass/fail outcome
+  pass_rate: number | null;
+  scored_count: number;
+  average_score: number | null;
+  median_score: number | null;
+  average_time_seconds: number | null;
+  median_time_seconds: number | null;
+  last_activity_at: string | null;
+}
+
+export interface CourseAnalyticsOverview extends AnalyticsOverview {
+  course_id: string;
+  title: string;
+}
+
+export interface ScoreBucket {
+  range: string;
+  min: number;
+  max: number;
+  count: number;
+}
+
+export interface ScoAnalytics {
+  sco_id: string;
+  title: string;
+  launched_count: number;
+  completed_count: number;
+  completion_rate: number | null;
+  passed_count: number;
+  failed_count: number;
+  pass_rate: number | null;
+  scored_count: number;
+  average_score: number | null;
+  median_score: number | null;
+  total_time_seconds: number | null;
+  average_time_seconds: number | null;
+  median_time_seconds: number | null;
+  score_distribution: ScoreBucket[];
+}
+
+// One activity of the tree, in tree order
+export interface DropOffPoint {
+  identifier: string;
+  title: string;
+  parent: string | null;
+  depth: number;
+  is_leaf: boolean;
+  reached_count: number;
+  reached_rate: number | null;
+  completed_count: number;
+  // Unfinished attempts whose last launched SCO is (below) this activity
+  dropped_count: number;
+  drop_off_rate: number | null;
+}
+
+export type ItemFlag = 'too_easy' | 'too_hard' | 'low_discrimination' | 'negative_discrimination';
+
+export interface ItemAnalysis {
+  sco_id: string;
+  sco_title: string;
+  interaction_id: string;
+  type: string | null;
+  description: string | null;
+  correct_response: string | null;
+  response_count: number;
+  scored_count: number;
+  correct_count: number;
+  // Share of scored responses that were correct
+  difficulty: number | null;
+  // Upper-lower 27% index, -1 to 1; null with too few responses
+  discrimination: number | null;
+  most_chosen_distractor: { response: string; count: number; share_of_incorrect: number } | null;
+  distractors: { response: string; count: number; share_of_incorrect: number }[];
+  responses: { response: string; count: number; correct: boolean | null }[];
+  flags: ItemFlag[];
+}
+
+export interface AttemptAnalytics {
+  attempt_id: string;
+  learner_id: string;
+  learner_name: string;
+  status: 'active' | 'suspended' | 'completed';
+  completed: boolean;
+  success_status: 'passed' | 'failed' | 'unknown';
+  score: number | null;
+  time_seconds: number | null;
+  scos_launched: number;
+  last_sco_id: string | null;
+  started_at: string;
+  updated_at: string;
+}
+
+export interface CourseAnalytics {
+  course_id: string;
+  title: string;
+  generated_at: string;
+  overview: AnalyticsOverview;
+  score_distribution: ScoreBucket[];
+  scos: ScoAnalytics[];
+  drop_off: DropOffPoint[];
+  items: ItemAnalysis[];
+  attempts: AttemptAnalytics[];
+}
+
+export type AnalyticsSection = 'overview' | 'scores' | 'scos' | 'drop-off' | 'items' | 'attempts';
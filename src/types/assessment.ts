@@ -0,0 +1,73 @@
+// Assessment items found in a package, as returned by the upload response
+// and GET /api/courses/:id/assessment
+
+export type AssessmentItemType = 'choice' | 'multiple_response' | 'true_false' | 'numeric' | 'fill_in';
+
+export interface AssessmentChoice {
+  id: string;
+  text: string;
+}
+
+export interface AssessmentItem {
+  id: string;
+  stem: string;
+  type: AssessmentItemType;
+  choices: AssessmentChoice[];
+  // Choice ids for choice types, the expected values otherwise
+  correct_response: string[];
+  objective_id: string | null;
+  sco_ids: string[];
+  source: {
+    file: string | null;
+    // null for HTML forms and generated items
+    line: number | null;
+    pattern: 'constructor' | 'object' | 'form' | 'generated';
+    chunk_id?: string;
+  };
+  // Set on AI-generated items
+  generated?: boolean;
+  objective?: string | null;
+  explanation?: string;
+}
+
+export interface CourseAssessment {
+  course_id: string;
+  title: string;
+  item_count: number;
+  items: AssessmentItem[];
+  errors: { sco_id: string; file: string; error: string }[];
+  extracted_at: string;
+}
+
+export interface Flashcard {
+  front: string;
+  back: string;
+  objective: string | null;
+  sco_id: string;
+}
+
+export interface GeneratedAssessment {
+  course_id: string;
+  title: string;
+  item_count: number;
+  job_id: string;
+  provider: string;
+  model: string;
+  generated_at: string;
+  items: AssessmentItem[];
+  flashcards: Flashcard[];
+  rejected: { question: string; reason: string }[];
+  duplicate_count: number;
+}
+
+export interface GenerateAssessmentOptions {
+  sco_ids?: string[];
+  questions_per_sco?: number;
+  flashcards_per_sco?: number;
+}
+
+export interface GenerateAssessmentResponse {
+  course_id: string;
+  job_id: string;
+  status: string;
+}
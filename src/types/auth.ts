@@ -0,0 +1,19 @@
+// learner < author < admin; each role can do everything the ones before it can
+export type UserRole = 'learner' | 'author' | 'admin';
+
+export interface User {
+  id: string;
+  username: string;
+  display_name: string;
+  role: UserRole;
+  tenant_id: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface LoginResponse {
+  token: string;
+  // Seconds until the session expires
+  expires_in: number;
+  user: User;
+}
@@ -0,0 +1,48 @@
+// Structured content of SCO pages, as returned by the document endpoints
+
+export interface ContentListItem {
+  text: string;
+  markdown?: string;
+  children?: ContentList[];
+}
+
+export interface ContentList {
+  type: 'list';
+  ordered: boolean;
+  items: ContentListItem[];
+}
+
+export type ContentBlock =
+  | { type: 'heading'; level: number; text: string }
+  | { type: 'paragraph'; text: string; markdown?: string }
+  | ContentList
+  | { type: 'table'; caption: string | null; header: string[] | null; rows: string[][] }
+  | { type: 'image'; src: string; path: string | null; alt: string | null; title: string | null }
+  | { type: 'code'; text: string }
+  | { type: 'quote'; text: string };
+
+export interface ContentLink {
+  text: string;
+  href: string;
+  // Path inside the package, null for external links
+  path: string | null;
+  external: boolean;
+}
+
+export interface ContentPage {
+  file: string;
+  title: string | null;
+  blocks: ContentBlock[];
+  links: ContentLink[];
+  images: { src: string; path: string | null; alt: string | null }[];
+  frames: string[];
+}
+
+export interface ScoDocument {
+  sco_id: string;
+  title: string;
+  href: string;
+  pages: ContentPage[];
+  errors: { file: string; error: string }[];
+  unvisited: string[];
+}
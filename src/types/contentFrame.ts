@@ -0,0 +1,18 @@
+import { CmiData, ScormVersion } from '../services/scormRuntime';
+
+// Messages between the player and the runtime host page on the content
+// origin (content-frame.html), which runs the SCORM runtime for the SCO
+// it frames and leaves storing the CMI data to the player.
+
+// Sent by the player
+export type PlayerMessage =
+  | { type: 'launch'; version: ScormVersion; cmi: CmiData; url: string }
+  | { type: 'committed'; id: number; error?: string }
+  | { type: 'close' };
+
+// Sent by the content frame
+export type ContentFrameMessage =
+  | { type: 'ready' }
+  | { type: 'commit'; id: number; cmi: CmiData; finish: boolean }
+  | { type: 'terminate'; cmi: CmiData }
+  | { type: 'closed' };
@@ -0,0 +1,236 @@
+import { ScormManifest } from './scorm';
+import { JobStatus } from './job';
+import { AssessmentItem, Flashcard } from './assessment';
+
+export interface CourseSco {
+  identifier: string;
+  title: string;
+  href: string;
+  resource_identifier: string | null;
+  parameters: string | null;
+}
+
+export interface CourseSummary {
+  id: string;
+  title: string;
+  original_filename: string;
+  // From the AI course summary; keywords and language fall back to the SCO
+  // metadata until the summary exists
+  ai_title: string | null;
+  description: string | null;
+  keywords: string[];
+  language: string | null;
+  sco_count: number;
+  processing_status: JobStatus | null;
+  revision: number;
+  uploaded_at: string;
+  revised_at: string | null;
+}
+
+// Where a generated learning objective came from: a chunk of a page,
+// and for course summaries also the SCO
+export interface ObjectiveSource {
+  sco_id?: string;
+  chunk_id?: string;
+  file?: string;
+  start?: number;
+  end?: number;
+}
+
+// AI metadata of one SCO. While a SCO is being (or couldn't be) processed
+// only status or error is set.
+export interface ScoAiMetadata {
+  title?: string;
+  summary?: string;
+  keywords?: string[];
+  learning_objectives?: string[];
+  language?: string;
+  objective_sources?: { objective: string; sources: ObjectiveSource[] }[];
+  status?: string;
+  error?: string;
+}
+
+// Course-level rollup of the SCO metadata
+export interface CourseAiSummary {
+  title: string;
+  summary: string;
+  keywords: string[];
+  learning_objectives: string[];
+  language: string;
+  objective_sources: { objective: string; sources: ObjectiveSource[] }[];
+  sco_count: number;
+  provider: string;
+  model: string;
+  generated_at: string;
+}
+
+export interface Course extends CourseSummary {
+  extract_dir: string;
+  archive_hash: string | null;
+  content_hash: string | null;
+  manifest: ScormManifest;
+  scos: CourseSco[];
+  ai_metadata: Record<string, ScoAiMetadata>;
+  ai_summary?: CourseAiSummary;
+  processing_job_id?: string;
+  // Items found in the package on upload
+  assessment?: { items: AssessmentItem[]; errors: { sco_id: string; file: string; error: string }[]; extracted_at: string };
+  // AI-generated questions, see POST /api/courses/:id/generate-assessment
+  generated_assessment?: {
+    job_id: string;
+    provider: string;
+    model: string;
+    generated_at: string;
+    items: AssessmentItem[];
+    flashcards: Flashcard[];
+    rejected: { question: string; reason: string }[];
+    duplicate_count: number;
+  };
+  generation_job_id?: string;
+  generation_status?: JobStatus;
+}
+
+export interface ScoState {
+  cmi: Record<string, string>;
+  commit_count: number;
+  launch_count: number;
+  last_exit: string | null;
+  first_launched_at: string;
+  last_launched_at?: string;
+  finished_at?: string;
+  updated_at: string;
+}
+
+// Version independent view of a SCO's data model
+export interface CmiSummary {
+  completion_status: string;
+  success_status: string;
+  score: { scaled: number | null; raw: number | null; min: number | null; max: number | null };
+  location: string | null;
+  suspend_data: string | null;
+  entry: string;
+  exit: string;
+  total_time: string;
+  progress_measure?: number | null;
+  interactions: Record<string, unknown>[];
+  objectives: Record<string, unknown>[];
+}
+
+export interface Attempt {
+  id: string;
+  course_id: string;
+  scorm_version: '1.2' | '2004';
+  learner_id: string;
+  learner_name: string;
+  status: 'active' | 'suspended' | 'completed';
+  started_at: string;
+  updated_at: string;
+  last_sco_id?: string;
+  scos: Record<string, ScoState>;
+  sequencing?: { current_activity: string | null; suspended_activity: string | null; session_ended: boolean };
+}
+
+export interface AttemptSummary {
+  id: string;
+  course_id: string;
+  scorm_version: '1.2' | '2004';
+  learner_id: string;
+  learner_name: string;
+  status: Attempt['status'];
+  started_at: string;
+  updated_at: string;
+  last_sco_id: string | null;
+  sco_count: number;
+}
+
+export interface ScoCmiResponse extends ScoState {
+  sco_id: string;
+  scorm_version: '1.2' | '2004';
+  summary: CmiSummary;
+}
+
+// Package files are served from a separate content origin under a signed
+// base URL; frame_url is the page there that hosts the SCORM runtime
+export interface ContentAccess {
+  origin: string;
+  frame_url: string;
+  base_url: string;
+  expires_at: string;
+}
+
+export interface ScoLaunchResponse extends ScoCmiResponse {
+  content: ContentAccess;
+}
+
+export interface ActivityStatus {
+  identifier: string;
+  title: string;
+  attempt_count: number;
+  active: boolean;
+  suspended: boolean;
+  completion_status: 'completed' | 'incomplete' | 'unknown';
+  success_status: 'passed' | 'failed' | 'unknown';
+  normalized_measure: number | null;
+}
+
+export interface SequencingInfo {
+  current_activity: string | null;
+  suspended_activity: string | null;
+  session_ended: boolean;
+  valid_requests: {
+    start: boolean;
+    resume_all: boolean;
+    continue: boolean;
+    previous: boolean;
+    choice: Record<string, boolean>;
+  };
+  activities: ActivityStatus[];
+}
+
+export type NavigationRequest = 'start' | 'resumeAll' | 'continue' | 'previous' | 'choice' | 'exit' | 'exitAll' | 'suspendAll' | 'abandon' | 'abandonAll';
+
+export interface NavigationResult extends SequencingInfo {
+  request: NavigationRequest;
+  delivered: { identifier: string; title: string; href: string | null; new_attempt: boolean } | null;
+  session_ended: boolean;
+  exception: { code: string; message: string } | null;
+}
+
+export type ExportFormat = 'scorm12' | 'scorm2004' | 'cmi5' | 'cc';
+
+// Differences between two uploads of a course; SCOs are matched by
+// identifier, files by path
+export interface RevisionDiff {
+  from_revision: number;
+  to_revision: number;
+  scos: {
+    added: { identifier: string; title: string }[];
+    removed: { identifier: string; title: string }[];
+    changed: { identifier: string; title: string; changes: ('title' | 'href' | 'content')[] }[];
+  };
+  files: { added: string[]; removed: string[]; changed: string[] };
+}
+
+export interface CourseRevision {
+  id: string;
+  course_id: string;
+  revision: number;
+  title: string;
+  original_filename: string;
+  manifest_identifier: string | null;
+  manifest_version: string | null;
+  archive_hash: string | null;
+  content_hash: string;
+  file_count: number;
+  total_bytes: number;
+  uploaded_at: string;
+  scos: { identifier: string; title: string; href: string; content_hash: string }[];
+  // Against the previous revision; null for the first one
+  diff: RevisionDiff | null;
+}
+
+export interface CourseRevisionHistory {
+  course_id: string;
+  current_revision: number;
+  revisions: CourseRevision[];
+}
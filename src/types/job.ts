@@ -0,0 +1,53 @@
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export type JobTaskStatus = 'pending' | 'running' | 'completed' | 'skipped' | 'failed';
+
+// Outcome of processing one SCO in a course-processing job. The course
+// rollup task only reports provider, model and metadata.
+export interface ScoProcessingResult {
+  href?: string;
+  files?: { file: string; characters: number }[];
+  file_errors?: { file: string; error: string }[];
+  text_length?: number;
+  text_preview?: string;
+  note?: string;
+  // AI provider that produced the metadata, e.g. 'gemini', 'openai' or 'mock'
+  provider?: string;
+  model?: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface JobTask {
+  id: string;
+  title: string;
+  status: JobTaskStatus;
+  attempts: number;
+  error: string | null;
+  next_attempt_at: string | null;
+  started_at: string | null;
+  finished_at: string | null;
+  result: ScoProcessingResult | null;
+}
+
+export interface JobProgress {
+  total: number;
+  pending: number;
+  running: number;
+  completed: number;
+  skipped: number;
+  failed: number;
+  percent: number;
+}
+
+export interface Job {
+  id: string;
+  type: string;
+  status: JobStatus;
+  course_id: string | null;
+  created_at: string;
+  updated_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+  progress: JobProgress;
+  tasks: JobTask[];
+}
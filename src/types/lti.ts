@@ -0,0 +1,14 @@
+// A deep linking request from an LMS, waiting for the instructor to pick courses
+export interface DeepLinkRequest {
+  id: string;
+  platform_name: string;
+  context_title: string | null;
+  accept_multiple: boolean;
+  accepts_links: boolean;
+}
+
+// The signed response the browser posts back to the LMS
+export interface DeepLinkResponse {
+  return_url: string;
+  jwt: string;
+}
@@ -0,0 +1,150 @@
+export interface ManifestItem {
+  identifier: string;
+  identifierref: string | null;
+  title: string;
+  isvisible: boolean;
+  parameters: string | null;
+  scorm_type: 'sco' | 'asset' | null;
+  href: string | null;
+  mastery_score: number | null;
+  max_time_allowed: string | null;
+  prerequisites: string | null;
+  time_limit_action: string | null;
+  data_from_lms: string | null;
+  completion_threshold: number | null;
+  // SCORM 2004 imsss:sequencing definition, merged with its collection entry
+  sequencing: Record<string, unknown> | null;
+  children: ManifestItem[];
+}
+
+export interface ManifestOrganization {
+  identifier: string;
+  title: string;
+  structure: string;
+  objectives_global_to_system: boolean;
+  sequencing: Record<string, unknown> | null;
+  children: ManifestItem[];
+}
+
+export interface ManifestResource {
+  identifier: string;
+  type: string | null;
+  scorm_type: 'sco' | 'asset' | null;
+  href: string | null;
+  base: string | null;
+  files: string[];
+  dependencies: string[];
+}
+
+export interface ScormManifest {
+  identifier: string | null;
+  version: string | null;
+  scorm_version: '1.2' | '2004' | null;
+  schema: string | null;
+  schemaversion: string | null;
+  course_title: string;
+  default_organization: string | null;
+  organizations: ManifestOrganization[];
+  resources: ManifestResource[];
+  warnings: string[];
+}
+
+export interface ValidationIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  location?: string;
+}
+
+export interface ValidationReport {
+  valid: boolean;
+  error_count: number;
+  warning_count: number;
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+  xsd: {
+    checked: boolean;
+    schemas: { namespace: string; location: string }[];
+  };
+}
+
+// WCAG 2.1 AA audit of a package's HTML pages; scores run from 0 to 100
+export interface AccessibilityIssue extends ValidationIssue {
+  wcag: string | null;
+  selector: string;
+  snippet: string;
+  lines?: number[];
+}
+
+export interface AccessibilityRule {
+  id: string;
+  wcag: string | null;
+  severity: 'error' | 'warning';
+  description: string;
+  checked: number;
+  failed: number;
+  files_failed: number;
+}
+
+export interface AccessibilityFileReport {
+  file: string;
+  score: number | null;
+  lang?: string | null;
+  error?: string;
+  error_count: number;
+  warning_count: number;
+  issues: AccessibilityIssue[];
+}
+
+export interface AccessibilityScoReport {
+  identifier: string;
+  title: string;
+  files: string[];
+  score: number | null;
+  error_count: number;
+  warning_count: number;
+}
+
+export interface AccessibilityReport {
+  standard: string;
+  score: number | null;
+  file_count: number;
+  audited_file_count: number;
+  truncated: boolean;
+  error_count: number;
+  warning_count: number;
+  rules: AccessibilityRule[];
+  files: AccessibilityFileReport[];
+  scos: AccessibilityScoReport[];
+}
+
+// Result of the safe ZIP extraction; errors list why a package was rejected
+export interface ExtractionReport {
+  safe: boolean;
+  limits: {
+    max_uncompressed_bytes: number;
+    max_entries: number;
+    max_compression_ratio: number;
+    ratio_check_min_bytes: number;
+  };
+  entry_count: number;
+  file_count: number;
+  total_uncompressed_bytes: number;
+  total_compressed_bytes: number;
+  error_count: number;
+  errors: ValidationIssue[];
+}
+
+// A resumable upload on the server; offset is the number of bytes received
+export interface UploadSession {
+  id: string;
+  file_name: string;
+  size: number;
+  offset: number;
+  sha256: string | null;
+  chunk_size: number;
+  max_chunk_size: number;
+  created_at: string;
+  updated_at: string;
+  expires_at: string;
+}
@@ -0,0 +1,51 @@
+export type SearchMode = 'keyword' | 'semantic' | 'hybrid';
+
+// Character range of a matched term within the hit's snippet
+export interface SearchHighlight {
+  start: number;
+  end: number;
+}
+
+export interface SearchHit {
+  course_id: string;
+  course_title: string;
+  sco_id: string;
+  sco_title: string;
+  score: number;
+  // BM25 score; 0 in semantic mode
+  keyword_score: number;
+  // Embedding similarity; null in keyword mode
+  similarity: number | null;
+  matched_terms: string[];
+  matched_fields: ('title' | 'keywords' | 'learning_objectives' | 'summary' | 'text')[];
+  snippet: string;
+  highlights: SearchHighlight[];
+  keywords: string[];
+  learning_objectives: string[];
+  links: {
+    course: string;
+    // Player opened at this SCO
+    sco: string;
+    course_api: string;
+    sco_document: string;
+  };
+}
+
+export interface SearchResponse {
+  query: string;
+  mode: SearchMode;
+  embedding: { provider: string; model: string } | null;
+  terms: string[];
+  total: number;
+  offset: number;
+  limit: number;
+  indexed_scos: number;
+  hits: SearchHit[];
+}
+
+export interface SearchOptions {
+  mode?: SearchMode;
+  courseId?: string;
+  limit?: number;
+  offset?: number;
+}
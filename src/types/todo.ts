@@ -1,5 +0,0 @@
-export interface Todo {
-  id: number;
-  title: string;
-  completed: boolean;
-}
\ No newline at end of file
@@ -4,6 +4,15 @@
         // https://vitejs.dev/config/
         export default defineConfig({
           plugins: [react()],
+          build: {
+            rollupOptions: {
+              // content-frame.html hosts the SCORM runtime on the content origin
+              input: {
+                main: 'index.html',
+                contentFrame: 'content-frame.html',
+              }
+            }
+          },
           server: {
             proxy: {
               // Proxy API requests starting with /api to your Express backend
@@ -12,6 +21,27 @@
                 changeOrigin: true, // Recommended for virtual hosted sites
                 // secure: false, // Uncomment if issues with self-signed SSL in dev, unlikely needed here
                 // No rewrite needed if your Express routes already include /api
+              },
+              // The built-in xAPI Learning Record Store
+              '/xapi': {
+                target: 'http://localhost:5000',
+                changeOrigin: true,
+              },
+              // LTI login and launch endpoints, and the mock LMS; start the
+              // backend with LTI_TOOL_URL set to this dev server's URL
+              '/lti': {
+                target: 'http://localhost:5000',
+                changeOrigin: true,
+              },
+              '/lti-mock': {
+                target: 'http://localhost:5000',
+                changeOrigin: true,
+              },
+              // Package content; the backend only serves it when the Host is
+              // the content origin (CONTENT_ORIGIN), so keep the original Host
+              '/content': {
+                target: 'http://localhost:5000',
+                changeOrigin: false,
               }
             }
           }